@@ -8,10 +8,12 @@ import { scene, camera, renderer, cssRenderer, controls, updateControls, resize
 import { PDBViewer } from './pdb/viewer.js';
 import { createCommandInterpreter, setRepChangedCallback } from './pdb/commands.js';
 import { createLegendOverlay } from './pdb/legendOverlay.js';
+import { createAtomPicker } from './pdb/picking.js';
 
 let pdbViewer = null;
 let cmdInterpreter = null;
 let legendOverlay = null;
+let atomPicker = null;
 let animFrameId = null;
 
 // --- React mount ---
@@ -38,38 +40,54 @@ ViewerEvents.on('enterViewerMode', (data) => {
     loop();
   }
 
-  // Load PDB data
-  const result = pdbViewer.loadFromText(data.pdbText, data.name);
-  if (result) {
-    const info = pdbViewer.getInfo();
-    ViewerEvents.emit('viewerLoaded', info);
-
+  // Load PDB data (a shared session link brings its own structures)
+  const result = data.session ? null : pdbViewer.loadFromText(data.pdbText, data.name, data.format, data.source);
+  if (result || data.session) {
     // Create legend overlay
     legendOverlay = createLegendOverlay(renderer.domElement.parentElement);
+    pdbViewer.legendOverlay = legendOverlay;
 
     // Create command interpreter and notify UI
     cmdInterpreter = createCommandInterpreter(pdbViewer);
     setRepChangedCallback((repType) => {
       ViewerEvents.emit('viewerRepChanged', { rep: repType });
     });
+
+    if (data.session) {
+      try {
+        cmdInterpreter.loadSession(data.session); // emits viewerLoaded
+      } catch (e) {
+        ViewerEvents.emit('viewerError', { message: `Failed to open shared session: ${e.message}` });
+      }
+    } else {
+      ViewerEvents.emit('viewerLoaded', pdbViewer.getInfo());
+    }
+
+    // Hover tooltip + click-to-select into "sele"
+    atomPicker = createAtomPicker(pdbViewer, renderer.domElement.parentElement, {
+      onPick: (atomIndex) => {
+        const message = cmdInterpreter.pick(atomIndex);
+        if (message) ViewerEvents.emit('viewerPick', { atomIndex, message });
+      },
+    });
     ViewerEvents.emit('viewerReady', {
       interpreter: cmdInterpreter,
       onLegendUpdate: (data) => legendOverlay.update(data),
     });
   } else {
-    ViewerEvents.emit('viewerError', { message: 'Failed to parse PDB file' });
+    ViewerEvents.emit('viewerError', { message: 'Failed to parse structure file' });
   }
 });
 
 // --- Load additional structure ---
 ViewerEvents.on('loadAdditionalStructure', (data) => {
   if (!pdbViewer) return;
-  const actualName = pdbViewer.addStructure(data.pdbText, data.name);
+  const actualName = pdbViewer.addStructure(data.pdbText, data.name, data.format, data.source);
   if (actualName) {
     const info = pdbViewer.getInfo();
     ViewerEvents.emit('viewerLoaded', info);
   } else {
-    ViewerEvents.emit('viewerError', { message: 'Failed to parse additional PDB file' });
+    ViewerEvents.emit('viewerError', { message: 'Failed to parse additional structure file' });
   }
 });
 
@@ -83,6 +101,8 @@ ViewerEvents.on('viewerQuality', (data) => {
 // --- Representation change ---
 ViewerEvents.on('viewerRepChange', (data) => {
   if (pdbViewer) {
+    // Not a command: share links can no longer replay the view from commands
+    if (cmdInterpreter) cmdInterpreter.noteExternalChange();
     if (pdbViewer.atomVisible && pdbViewer.model) {
       let hasHidden = false;
       for (let i = 0; i < pdbViewer.model.atomCount; i++) {
@@ -108,6 +128,10 @@ ViewerEvents.on('viewerOrient', () => {
 
 // --- Exit viewer mode ---
 ViewerEvents.on('exitViewerMode', () => {
+  if (atomPicker) {
+    atomPicker.dispose();
+    atomPicker = null;
+  }
   if (legendOverlay) {
     legendOverlay.dispose();
     legendOverlay = null;
@@ -4,8 +4,11 @@
 // the AI can query the loaded structure before generating cmds.
 // ============================================================
 
-import { SS_HELIX, SS_SHEET } from './parser.js';
+import { SS_HELIX, SS_SHEET, oneLetterCode } from './parser.js';
 import { parseSelection } from './selection.js';
+import { describeAssembly } from './assembly.js';
+import { chainGaps, describeGap } from './gaps.js';
+import { LINK_KINDS } from './constants.js';
 
 // ---- Tool schemas (Claude API format) ----
 
@@ -13,7 +16,7 @@ const TOOLS = [
   {
     name: 'get_structure_info',
     description:
-      'Get an overview of a loaded protein structure: chains, sequences, secondary structure breakdown, identical chain groups, and ligands/HETATM residues. When multiple structures are loaded, pass structure_name to query a specific one; omit it to get info about the merged view.',
+      'Get an overview of a loaded protein structure: chains, sequences, secondary structure breakdown, identical chain groups, ligands/HETATM residues, deposited (SEQRES) sequences with missing-residue gaps, and links from SSBOND / LINK records (disulfides, covalent and metal links; metal links are not drawn as bonds). When multiple structures are loaded, pass structure_name to query a specific one; omit it to get info about the merged view.',
     input_schema: {
       type: 'object',
       properties: {
@@ -112,6 +115,49 @@ function buildCommandLogContext(commandLog) {
 
 // ---- System prompt builder ----
 
+/** SD-tag names found on a model's molecules (SDF / MOL2), in file order */
+function moleculePropertyNames(model) {
+  const names = new Set();
+  for (const r of model.residues) {
+    if (r.props) for (const key of Object.keys(r.props)) names.add(key);
+  }
+  return [...names];
+}
+
+// Links listed per kind in get_structure_info
+const LINK_REPORT_CAP = 30;
+
+/**
+ * SSBOND / LINK records of a model grouped by kind (disulfide, covalent,
+ * metal), e.g. "CYS 26 A SG — CYS 84 A SG (2.03 Å)".
+ * @returns {Object<string, string[]>|null} null when there are none
+ */
+function describeLinks(model) {
+  if (!model.links || model.links.length === 0) return null;
+  const { atoms, positions } = model;
+  const atomText = (i) => {
+    const a = atoms[i];
+    return `${a.resName} ${a.resSeq}${(a.iCode || '').trim()} ${a.chainId} ${a.name}`;
+  };
+  const byKind = {};
+  for (const [a, b, kind] of model.links) {
+    const list = byKind[kind] || (byKind[kind] = []);
+    if (list.length === LINK_REPORT_CAP) list.push('…');
+    if (list.length > LINK_REPORT_CAP) continue;
+    const d = Math.hypot(positions[a * 3] - positions[b * 3], positions[a * 3 + 1] - positions[b * 3 + 1],
+      positions[a * 3 + 2] - positions[b * 3 + 2]);
+    list.push(`${atomText(a)} — ${atomText(b)} (${d.toFixed(2)} Å)`);
+  }
+  return byKind;
+}
+
+/** "3 disulfide, 2 covalent" summary of model.links */
+function linkCounts(model) {
+  const counts = {};
+  for (const [, , kind] of model.links || []) counts[kind] = (counts[kind] || 0) + 1;
+  return Object.entries(counts).map(([kind, n]) => `${n} ${kind}`).join(', ');
+}
+
 function buildSystemPrompt(model, commandLog, interpreter) {
   // Compact structure context so simple requests don't need tool calls
   let structureCtx = '';
@@ -133,6 +179,11 @@ function buildSystemPrompt(model, commandLog, interpreter) {
       });
       lines.push(`  Chains: ${chainSummaries.join(', ')}`);
       lines.push(`  Atoms: ${m.atomCount}`);
+      if (m.frames) lines.push(`  States: ${m.frames.length}`);
+      if (h.assemblies && h.assemblies.length > 0) lines.push(`  Assemblies: ${h.assemblies.map(describeAssembly).join(' | ')}`);
+      if (m.links && m.links.length > 0) lines.push(`  Links (SSBOND / LINK): ${linkCounts(m)}`);
+      const propNames = moleculePropertyNames(m);
+      if (propNames.length > 0) lines.push(`  Molecule properties (p.<tag>): ${propNames.join(', ')}`);
       if (entry.color) lines.push(`  Color: #${entry.color.getHexString()}`);
       parts.push(lines.join('\n'));
     }
@@ -154,6 +205,10 @@ function buildSystemPrompt(model, commandLog, interpreter) {
     });
     metaLines.push(...chainSummaries);
     metaLines.push(`Total atoms: ${model.atomCount}`);
+    if (model.frames) metaLines.push(`States: ${model.frames.length} (showing ${model.currentFrame + 1})`);
+    if (h.assemblies && h.assemblies.length > 0) metaLines.push(`Biological assemblies: ${h.assemblies.map(describeAssembly).join(' | ')}`);
+    const propNames = moleculePropertyNames(model);
+    if (propNames.length > 0) metaLines.push(`Molecule properties (p.<tag>): ${propNames.join(', ')}`);
     structureCtx = `\n\nCurrently loaded structure:\n  ${metaLines.join('\n  ')}`;
   }
 
@@ -164,6 +219,14 @@ function buildSystemPrompt(model, commandLog, interpreter) {
     if (vs) visualStateCtx = `\n\nCurrent visual state:\n${vs}`;
   }
 
+  // User-defined aliases (team view recipes) can be emitted like commands
+  let aliasCtx = '';
+  const aliases = interpreter?.getAliases ? interpreter.getAliases() : null;
+  if (aliases && aliases.size > 0) {
+    aliasCtx = `\n\nUser-defined aliases (emit the name alone to run them; prefer them when the user refers to a saved view or recipe):\n` +
+      [...aliases].map(([name, body]) => `  ${name}: ${body}`).join('\n');
+  }
+
   return `You are an assistant for a PDB protein viewer with a PyMOL-style console.
 
 You have tools to query the loaded structure(s). Use them when you need specific residue numbers, chain info, or to verify selections. For simple action requests (e.g. "color chain A red"), you can respond directly without tools.
@@ -187,7 +250,7 @@ Available commands:
   color <color>, <sel>   — Color atoms (default: all). "atomic" resets to element colors
   show [rep,] <sel>      — Show atoms. If rep provided, also switch those atoms to that representation. Different selections can have different representations (e.g., show cartoon, chain A then show sticks, chain B).
   hide [rep,] <sel>      — Hide atoms
-  represent <mode>       — spheres | sticks | cartoon | ball_and_stick | lines (alias: rep). Global: switches ALL atoms.
+  represent <mode>       — spheres | sticks | cartoon | ball_and_stick | lines | surface | mesh | dots | putty (alias: rep). Global: switches ALL atoms.
   zoom <sel>             — Fit camera to selection
   center <sel>           — Orbit around selection centroid
   orient <sel>           — Orient camera for best view of selection
@@ -198,19 +261,52 @@ Available commands:
   bond <sel1>, <sel2>[, <cutoff>] — Detect and add bonds between two selections. Uses covalent radii by default; optional cutoff in Angstroms overrides. Example: bond chain A, chain B or bond elem ZN, chain A, 2.8
   unbond <sel1>, <sel2>  — Remove bonds between two selections. Example: unbond chain A, chain B
   contacts <type>, <sel1>, <sel2>[, <cutoff>] — Show non-covalent interaction overlay as dashed lines. Types: hbonds (H-bonds, 3.5A default), salt_bridges (charged groups, 4.0A), covalent (radii-based), distance (requires cutoff). Example: contacts hbonds, chain A, chain B
+  contacts links[, <sel1>[, <sel2>]] — Dashed lines for the file's SSBOND / LINK records (disulfides, glycosylation, covalent ligands, metal coordination; listed under "links" in get_structure_info). Disulfide and covalent links are also bonds; metal links are not, so this is the only way to draw them. Selections default to all. Example: contacts links, organic
   contacts list [<type>]  — List individual interaction distances from active overlays, sorted by distance. If no type given, lists all. Example: contacts list hbonds
   contacts clear [<type>] — Remove interaction overlays. "contacts clear" removes all; "contacts clear hbonds" removes only H-bonds
   distance <sel1>, <sel2> — Measure distance between two selections. Single atoms: direct distance. Multiple atoms: minimum distance pair. Alias: get_distance. Example: distance name CA and resi 10, name CA and resi 20
+  distance <name>, <atom1>, <atom2> — Named persistent distance object (each selection must match exactly one atom)
+  angle [<name>,] <atom1>, <atom2>, <atom3> — Angle object with arc and label, vertex at atom2. Example: angle resi 10 and name N, resi 10 and name CA, resi 10 and name C
+  dihedral [<name>,] <atom1>, <atom2>, <atom3>, <atom4> — Dihedral (torsion) object. Example: dihedral phi10, resi 9 and name C, resi 10 and name N, resi 10 and name CA, resi 10 and name C
+  measure distance|angle|dihedral|off — Mouse measurement mode (user clicks 2/3/4 atoms)
+  measurements [clear]   — List measurement objects (or remove all). "delete <name>" removes one
+  label <sel>, <expr>    — Text labels. Properties: name, resn, resi, chain, elem, b, q, alt, id, index, oneletter, ss. Combine with + and quoted text, or Python % format. Residue-level expressions place one label per residue (at CA). Example: label name CA and resi 40-50, resn+resi   label resi 57 and name OG, "%s %.1f" % (name, b)
+  label <sel>            — Remove labels in selection. "hide labels" / "show labels" toggle existing labels
+  set label_color, <color>[, <sel>] / set label_size, <px>[, <sel>] / set label_offset, [x, y][, <sel>] — Label style (offset in screen pixels, y up)
   spectrum <prop>, <palette>, <sel> — Gradient coloring. Properties: count (residue index), b (B-factor), chain. Palettes: rainbow, blue_white_red, red_white_blue, blue_red, green_white_magenta, yellow_cyan_white
   set sphere_scale, <value>[, <sel>] — Scale atom sphere radius (multiplier, default all)
   set stick_radius, <value>[, <sel>] — Scale bond cylinder radius (multiplier, default all) (dont use this unless absolutely necessary)
+  set picking, atom|residue|chain|object — Granularity of mouse click selection. Clicked atoms collect in the named selection "sele" (usable as "sele" in any selection)
+  show surface, <sel> / show mesh, <sel> — Molecular surface (solid or wireframe) enclosing the selected atoms; like other reps it replaces their current representation. set surface_type, ses|sas (solvent-excluded by default / solvent-accessible), set solvent_radius, <Å> (probe, default 1.4), set transparency, <0-1>
+  show dots, <sel>       — Dotted van der Waals surface; see-through, good for ligand contact surfaces. Example: show sticks, organic then show dots, organic
+  show putty, <sel>      — B-factor putty: cartoon tube whose radius grows with the CA property (flexible regions look fat). set putty_property, b|q|resi|id; set putty_radius, [min, max] (Å; put min > max to invert, e.g. for AlphaFold pLDDT stored in B); set putty_transform, linear|sqrt|square|log
+  set valence, on|off    — Draw double / triple / aromatic bonds (extra strands) in sticks, ball-and-stick and lines; on by default. Orders come from SDF/MOL2, repeated CONECT records and residue templates
   set_color <name>, [r,g,b] — Define custom color (0-1 float or 0-255 int)
   util.cbc <sel>         — Color by chain (automatic distinct colors)
   util.ss <sel>          — Color by secondary structure (helix=red, sheet=yellow, loop=green)
-  load <PDB_ID>          — Fetch and add a structure from RCSB (async)
+  dss [sel]              — Recompute secondary structure (DSSP, from backbone H-bonds) and rebuild the cartoon. Done automatically for files without HELIX/SHEET records; use after editing or aligning models, or when the user doubts the file's assignment
+  load <PDB_ID>[, format=pdb|cif|bcif] — Fetch and add a structure from RCSB (async). Defaults to PDB format, falling back to mmCIF for entries too large for PDB format. Use format=bcif (BinaryCIF) for very large assemblies
+  assembly <id>[, <structure>] — Build biological assembly <id> (REMARK 350, listed under the structure info) as a new structure and hide the asymmetric unit. Use when the user asks for the biological unit / functional oligomer
   align <mobile>, <target> — Superpose mobile structure onto target using Kabsch on CA atoms
   remove <sel>           — Permanently delete atoms matching selection (e.g., remove solvent, remove hydrogens, remove chain B). Also removes a loaded structure by name as fallback.
   list                   — List all loaded structures with atom counts and colors
+  png <file>[, width, height, dpi, transparent] — Render the current view (with SSAO/bloom, labels, legend) to a downloadable PNG at any resolution. Sizes in px or with cm/mm/in units (e.g. png fig, width=8.5cm, dpi=300). transparent=1 drops the background. Only use when the user asks for an image/figure
+  ray [width, height]    — Render and download ray.png
+  save_session [file]    — Download the complete viewer state (structures, colors, reps, selections, contacts, camera, legend) as JSON
+  load_session [url]     — Restore a saved session; without a URL the user picks the file
+  load_template [url]    — Register ligand bond templates (bonds, bond orders) from a Chemical Component Dictionary CIF file, e.g. https://files.rcsb.org/ligands/view/<ID>.cif, and re-bond loaded residues with those names. Nucleotides and common HET groups (HEM, NAG, ATP, FAD, NAD, SO4, ...) are built in
+  share                  — Print (and copy) a link that reopens the current view. Only when the user asks to share/link the view
+  save <file>[, <sel>][, pdb|cif|sdf|xyz] — Download atoms (current, aligned coordinates) as a file; format from extension or trailing argument. Only use when the user asks to save/export/download
+  frame <n>              — Show model/state n (1-based) of a multi-model structure (NMR ensemble, trajectory)
+  mplay [fps]            — Animate through all states (default 10 fps)
+  mstop                  — Stop state animation
+  states                 — List the number of states per structure
+  run [url]              — Run a .pml command script; without a URL the user picks the file
+  alias <name>, <cmd1>; <cmd2> — Define a reusable command; only when the user asks to save a recipe/alias
+  undo [n] / redo [n]    — Undo or redo the last command(s). Each of your responses is recorded as one undo step, so when the user asks to revert what you just did, use "undo" (not reset); "undo ai" undoes back through your last response
+  altloc <code>[, <sel>] — Display alternate conformer <code> (A, B, ...) for residues in selection; no args lists residues with alternates. By default the first altLoc is shown
+  gaps [sel]             — List missing (unmodelled) residues from REMARK 465 / SEQRES, chain breaks, and residues missing atoms (REMARK 470). The cartoon is broken at each gap and the flanking residues are joined by a dashed line. Also reported per chain in get_structure_info
+  props [sel]            — List molecule properties (SD tags, e.g. docking scores) of molecules from SDF / MOL2 files. Poses of one molecule are frames (frame / mplay); different molecules are separate structures
 
 Selection syntax:
   chain A                — Chain ID
@@ -219,16 +315,21 @@ Selection syntax:
   resn ALA+GLY           — Residue names
   name CA+CB             — Atom names
   elem C+N               — Elements
-  ss H+S                 — Secondary structure (H=helix, S=sheet)
+  ss H+S+T               — Secondary structure (H=helix, S=sheet, T=turn; turns only after DSSP assignment)
   backbone / sidechain   — Backbone or sidechain atoms
   hetatm / polymer       — HETATM or standard residues
+  nucleic / dna / rna    — Standard nucleotides (all, deoxy DA/DC/DG/DT, or ribo A/C/G/U). Cartoon draws them as a phosphate tube with base ladders
   organic                — Non-polymer HETATM with carbon (small molecules)
   inorganic              — Non-polymer HETATM without carbon (ions)
   solvent / water        — Water molecules (HOH, WAT, etc.)
   hydrogens              — Hydrogen atoms
   metals                 — Metal ions/atoms
+  disulfides             — Cysteines joined by a disulfide bond (SSBOND records or SG-SG bonds). Example: show sticks, disulfides
   pepseq ACDE            — Residues matching amino acid sequence substring
   b > 30 / b < 20       — B-factor comparison (>, <, >=, <=, =)
+  q < 1.0                — Occupancy comparison (>, <, >=, <=, =)
+  alt A+B / alt ''       — Alternate location codes ('' = atoms without an altLoc)
+  p.score < -8           — Molecules whose SD-tag property compares true (numbers: >, <, >=, <=, =; text: =); p.<tag> alone = molecules that have it. Also usable in labels: label all, p.score
   neighbor <sel>         — Atoms directly bonded to selection
   bound_to <sel>         — Alias for neighbor
   index 1-100            — Select by atom index
@@ -288,7 +389,7 @@ Avoid these common mistakes:
   - Applying a single flat color to atoms you want chemical detail on — use element coloring or carbon-only recoloring.
   - Using "represent" (global) when you should use "show <rep>, <sel>" (targeted) — "represent" changes ALL atoms, overriding any multi-representation setup.
 
-When you execute visual commands (color, show/hide, represent, spectrum, util.cbc, util.ss, etc.), ALWAYS call the update_legend tool to describe what the visualization shows. Include all relevant color-to-meaning mappings.${structureCtx}${visualStateCtx}
+When you execute visual commands (color, show/hide, represent, spectrum, util.cbc, util.ss, etc.), ALWAYS call the update_legend tool to describe what the visualization shows. Include all relevant color-to-meaning mappings.${structureCtx}${visualStateCtx}${aliasCtx}
 
 IMPORTANT: The "Current visual state" section above (if present) is the authoritative source for what's currently on screen — representations, visibility, colors, contacts, selections, and scale. Prefer it over inferring state from command history. Build incrementally on the current state — only change what the user asks to change. Do NOT reset or hide everything and start over unless the user explicitly asks to reset. If the user says "also show X" or "add Y", keep existing setup and add to it.
 
@@ -315,7 +416,7 @@ function handleGetStructureInfo(mergedModel, interpreter, structureName) {
   const chains = model.chains.map(c => {
     const residues = model.residues.slice(c.residueStart, c.residueEnd);
     const seq = residues
-      .filter(r => r.isStandard)
+      .filter(r => r.isStandard || r.nucleic)
       .map(r => r.oneLetterCode)
       .join('');
     let helixCount = 0, sheetCount = 0, coilCount = 0;
@@ -324,12 +425,17 @@ function handleGetStructureInfo(mergedModel, interpreter, structureName) {
       else if (r.ss === SS_SHEET) sheetCount++;
       else coilCount++;
     }
-    return {
+    const info = {
       id: c.id,
       residueCount: residues.length,
       sequence: seq,
       secondaryStructure: { helix: helixCount, sheet: sheetCount, coil: coilCount },
     };
+    // Full deposited sequence (SEQRES) and unmodelled stretches
+    if (c.seqres) info.depositedSequence = c.seqres.map(oneLetterCode).join('');
+    const gaps = chainGaps(model, c);
+    if (gaps.length > 0) info.gaps = gaps.map(g => describeGap(model, g));
+    return info;
   });
 
   // Detect identical chain groups (same sequence)
@@ -344,7 +450,7 @@ function handleGetStructureInfo(mergedModel, interpreter, structureName) {
   // Ligands / HETATM residues
   const hetResidues = new Map();
   for (const r of model.residues) {
-    if (!r.isStandard) {
+    if (!r.isStandard && !r.nucleic) {
       const key = `${r.name}_${r.chainId}`;
       if (!hetResidues.has(key)) {
         hetResidues.set(key, { name: r.name, chain: r.chainId, count: 1 });
@@ -372,6 +478,13 @@ function handleGetStructureInfo(mergedModel, interpreter, structureName) {
     identicalChainGroups: identicalGroups,
     ligands: Array.from(hetResidues.values()),
   };
+  const propNames = moleculePropertyNames(model);
+  if (propNames.length > 0) result.moleculeProperties = propNames;
+  const links = describeLinks(model);
+  if (links) result.links = links;
+  if (links && links[LINK_KINDS.METAL]) {
+    result.linksNote = 'Metal links are coordination, not bonds: no stick is drawn for them; "contacts links" shows them as dashed lines';
+  }
   if (structureName) result.structureName = structureName;
   return result;
 }
@@ -473,7 +586,9 @@ export async function translateToCommands(userText, apiKey, interpreter, onProgr
 
   // Commands may appear in tool_use turns (e.g. alongside update_legend).
   // Accumulate them so they aren't lost when the loop continues.
-  const CMD_KEYWORDS = /^(select|color|show|hide|represent|rep|zoom|center|orient|turn|reset|bg_color|count_atoms|delete|selections|ls|help|spectrum|set_color|set|util\.cbc|util\.chainbow|util\.ss|lines|as|bond|unbond|contacts|distance|get_distance|load|fetch|align|remove|list)\b/i;
+  const CMD_KEYWORDS = /^(select|color|show|hide|represent|rep|zoom|center|orient|turn|reset|bg_color|count_atoms|delete|selections|ls|help|spectrum|set_color|set|util\.cbc|util\.chainbow|util\.ss|lines|as|bond|unbond|contacts|distance|get_distance|load|fetch|assembly|align|remove|list|frame|mplay|mstop|states|props|altloc|gaps|dss|undo|redo|run|alias|save|png|ray|save_session|load_session|load_template|share|angle|dihedral|measure|measurements|label)\b/i;
+  const aliasNames = interpreter?.getAliases ? interpreter.getAliases() : new Map();
+  const isCommand = l => CMD_KEYWORDS.test(l) || aliasNames.has(l.toLowerCase());
   const accumulatedCommands = [];
 
   for (let turn = 0; turn < MAX_TURNS; turn++) {
@@ -571,7 +686,7 @@ export async function translateToCommands(userText, apiKey, interpreter, onProgr
           .map(l => l.trim())
           .filter(l => l && !l.startsWith('```'));
         for (const l of turnLines) {
-          if (CMD_KEYWORDS.test(l)) accumulatedCommands.push(l);
+          if (isCommand(l)) accumulatedCommands.push(l);
         }
       }
 
@@ -587,8 +702,8 @@ export async function translateToCommands(userText, apiKey, interpreter, onProgr
       .map(l => l.trim())
       .filter(l => l && !l.startsWith('```'));
 
-    const commandLines = [...accumulatedCommands, ...lines.filter(l => CMD_KEYWORDS.test(l))];
-    const textLines = lines.filter(l => !CMD_KEYWORDS.test(l));
+    const commandLines = [...accumulatedCommands, ...lines.filter(isCommand)];
+    const textLines = lines.filter(l => !isCommand(l));
 
     if (commandLines.length > 0) {
       // Execute commands; attach any surrounding text as a message
@@ -0,0 +1,155 @@
+// ============================================================
+// assembly.js — Biological assemblies (REMARK 350 / BIOMT)
+// Applies an assembly's operators to the chains of a model and
+// builds the biological unit as a new model. The first copy of a
+// chain keeps its ID; every further copy gets an unused one-character
+// chain ID, and past those a numbered one ("A1") that only mmCIF holds.
+// ============================================================
+
+import { buildModel } from './parser.js';
+import { bondKey, bondKeyAtoms } from './bondInference.js';
+import { chainSequences } from './gaps.js';
+
+// Chain IDs handed to copies, in order (IDs already in the model are skipped)
+const CHAIN_ID_POOL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Find an assembly by ID in a model's header.
+ * @param {Object} model
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function findAssembly(model, id) {
+  const assemblies = (model.header && model.header.assemblies) || [];
+  return assemblies.find(a => a.id === String(id)) || null;
+}
+
+/** One-line description: "1 (tetrameric): 1 operator on A, B, C, D" */
+export function describeAssembly(assembly) {
+  const groups = assembly.groups.map(g =>
+    `${g.operators.length} operator${g.operators.length !== 1 ? 's' : ''} on ${g.chains.join(', ')}`);
+  return `${assembly.id}${assembly.details ? ` (${assembly.details})` : ''}: ${groups.join('; ')}`;
+}
+
+function transformInto(out, matrix, src, i) {
+  const x = src[i * 3], y = src[i * 3 + 1], z = src[i * 3 + 2];
+  out.push(
+    matrix[0] * x + matrix[1] * y + matrix[2] * z + matrix[3],
+    matrix[4] * x + matrix[5] * y + matrix[6] * z + matrix[7],
+    matrix[8] * x + matrix[9] * y + matrix[10] * z + matrix[11],
+  );
+}
+
+/**
+ * Build the biological unit of `model`.
+ *
+ * Every frame of a multi-model structure is transformed, CONECT bonds are
+ * kept within each copy, links (SSBOND / LINK) between chains moved by
+ * the same operator are kept. Secondary structure, missing atoms,
+ * deposited sequences and missing residues are copied from the source
+ * residues and chains.
+ *
+ * @param {Object} model - Source (asymmetric unit) model
+ * @param {Object} assembly - Entry of header.assemblies
+ * @returns {{ model: Object, copies: number, chainIds: string[] }|null}
+ *   null if none of the assembly's chains are in the model
+ */
+export function buildAssembly(model, assembly) {
+  const atomsByChain = new Map();
+  model.atoms.forEach((a, i) => {
+    if (!atomsByChain.has(a.chainId)) atomsByChain.set(a.chainId, []);
+    atomsByChain.get(a.chainId).push(i);
+  });
+
+  const conect = new Map();
+  for (const [a, b] of model.conectBonds || []) {
+    if (!conect.has(a)) conect.set(a, []);
+    conect.get(a).push(b);
+  }
+
+  const pool = [...CHAIN_ID_POOL].filter(c => !atomsByChain.has(c));
+  const placed = new Set();
+  let overflow = 0;
+  const chainIdForCopy = (chainId) => {
+    if (!placed.has(chainId)) {
+      placed.add(chainId);
+      return chainId;
+    }
+    // Past 62 chains IDs get a copy number (mmCIF-style multi-character IDs;
+    // writePDB refuses them rather than truncating "A1" into chain A)
+    return pool.length > 0 ? pool.shift() : `${chainId}${++overflow}`;
+  };
+
+  const frames = model.frames || [model.positions];
+  const atoms = [];
+  const extraFrames = frames.slice(1).map(() => []);
+  const conectMap = {};
+  const bondOrders = new Map();
+  const sourceOrders = [...(model.bondOrders || [])].map(([key, order]) => [...bondKeyAtoms(key), order]);
+  const links = [];
+  const sourceResidue = new Map(); // "chain:seq:iCode" of a copy → source residue
+  const sourceSequences = chainSequences(model);
+  const sequences = {};
+  const chainIds = [];
+  let copies = 0;
+
+  for (const group of assembly.groups) {
+    for (const op of group.operators) {
+      const indexOf = new Map(); // source atom → new atom index, for this operator
+      for (const chainId of group.chains) {
+        const indices = atomsByChain.get(chainId);
+        if (!indices) continue;
+        const newId = chainIdForCopy(chainId);
+        chainIds.push(newId);
+        if (sourceSequences[chainId]) sequences[newId] = sourceSequences[chainId];
+        copies++;
+
+        const serialOf = new Map();
+        const xyz = [];
+        for (const i of indices) {
+          xyz.length = 0;
+          transformInto(xyz, op.matrix, frames[0], i);
+          const serial = atoms.length + 1;
+          atoms.push({ ...model.atoms[i], x: xyz[0], y: xyz[1], z: xyz[2], chainId: newId, serial });
+          serialOf.set(i, serial);
+          indexOf.set(i, serial - 1);
+          for (let f = 1; f < frames.length; f++) transformInto(extraFrames[f - 1], op.matrix, frames[f], i);
+        }
+        for (const i of indices) {
+          for (const j of conect.get(i) || []) {
+            if (!serialOf.has(j)) continue;
+            const s = serialOf.get(i);
+            (conectMap[s] || (conectMap[s] = [])).push(serialOf.get(j));
+          }
+        }
+        for (const [a, b, order] of sourceOrders) {
+          if (serialOf.has(a) && serialOf.has(b)) bondOrders.set(bondKey(serialOf.get(a) - 1, serialOf.get(b) - 1), order);
+        }
+        for (const res of model.residues) {
+          if (res.chainId === chainId) sourceResidue.set(`${newId}:${res.seq}:${res.iCode}`, res);
+        }
+      }
+      for (const [a, b, kind] of model.links || []) {
+        if (indexOf.has(a) && indexOf.has(b)) links.push([indexOf.get(a), indexOf.get(b), kind]);
+      }
+    }
+  }
+  if (atoms.length === 0) return null;
+
+  const header = {
+    ...model.header,
+    title: `${model.header.title || model.header.pdbId || 'Structure'} - assembly ${assembly.id}`,
+    assemblies: [],
+  };
+  const built = buildModel(atoms, [], [], conectMap, header, extraFrames, { computeMissingSS: false, sequences });
+  for (const res of built.residues) {
+    const src = sourceResidue.get(`${res.chainId}:${res.seq}:${res.iCode}`);
+    if (!src) continue;
+    res.ss = src.ss;
+    if (src.dssp !== undefined) res.dssp = src.dssp;
+    if (src.missingAtoms) res.missingAtoms = src.missingAtoms;
+  }
+  built.bondOrders = bondOrders;
+  built.links = links;
+  return { model: built, copies, chainIds };
+}
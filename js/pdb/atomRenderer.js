@@ -143,6 +143,41 @@ export function createBondInstances(model, bonds, material, bondRadius = 0.1) {
   return mesh;
 }
 
+/**
+ * Create InstancedMesh for the extra strands of double / triple / aromatic
+ * bonds (valence.js segments). Instance k is segment k.
+ *
+ * @param {Object} model - Parsed PDB model
+ * @param {{ count: number, owner: Uint32Array, start: Float32Array, end: Float32Array }} segments
+ * @param {THREE.Material} material - Shared material
+ * @param {number} radius - Cylinder radius in Angstroms
+ * @returns {THREE.InstancedMesh}
+ */
+export function createValenceInstances(model, segments, material, radius) {
+  const { atoms } = model;
+  const { count, owner, start, end } = segments;
+  const mesh = new THREE.InstancedMesh(bondGeometry, material, count);
+  mesh.name = 'pdb-valence';
+
+  for (let k = 0; k < count; k++) {
+    _pos.set(start[k * 3], start[k * 3 + 1], start[k * 3 + 2]);
+    _dir.set(end[k * 3] - _pos.x, end[k * 3 + 1] - _pos.y, end[k * 3 + 2] - _pos.z);
+    const len = _dir.length();
+    _dir.normalize();
+    _quat.setFromUnitVectors(_up, _dir);
+    _scale.set(radius, len, radius);
+    _mat4.compose(_pos, _quat, _scale);
+    mesh.setMatrixAt(k, _mat4);
+    _color.setHex(ELEMENT_COLORS[atoms[owner[k]].element] || DEFAULT_COLOR);
+    mesh.setColorAt(k, _color);
+  }
+
+  mesh.instanceMatrix.needsUpdate = true;
+  if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+  mesh.frustumCulled = false;
+  return mesh;
+}
+
 /**
  * Update atom instance colors from an array of THREE.Color values.
  * Used by color scheme switching.
@@ -169,5 +204,15 @@ export function updateBondColors(mesh, bonds, atomColors) {
   mesh.instanceMatrix.needsUpdate = true;
 }
 
+/**
+ * Update valence strand colors to match their owner atoms.
+ */
+export function updateValenceColors(mesh, segments, atomColors) {
+  for (let k = 0; k < segments.count; k++) {
+    mesh.setColorAt(k, atomColors[segments.owner[k]]);
+  }
+  mesh.instanceColor.needsUpdate = true;
+}
+
 // Re-export for use by color schemes
 export { ELEMENT_COLORS, VDW_RADII };
@@ -0,0 +1,278 @@
+// ============================================================
+// bcifParser.js — BinaryCIF decoder
+// MessagePack container + column encodings (ByteArray, FixedPoint,
+// IntervalQuantization, RunLength, Delta, IntegerPacking,
+// StringArray) → parseCIF-style blocks → parsePDB-shaped model
+// ============================================================
+
+import { modelFromCIFBlock } from './mmcifParser.js';
+
+// ---- MessagePack ----
+
+const utf8 = new TextDecoder('utf-8');
+
+/**
+ * Minimal MessagePack decoder covering the types BinaryCIF emits.
+ * Binary payloads are returned as Uint8Array views into the input.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {*} Decoded value
+ */
+function decodeMsgPack(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+
+  const str = (len) => {
+    const s = utf8.decode(bytes.subarray(pos, pos + len));
+    pos += len;
+    return s;
+  };
+  const bin = (len) => {
+    const b = bytes.subarray(pos, pos + len);
+    pos += len;
+    return b;
+  };
+  const arr = (len) => {
+    const out = new Array(len);
+    for (let i = 0; i < len; i++) out[i] = read();
+    return out;
+  };
+  const map = (len) => {
+    const out = {};
+    for (let i = 0; i < len; i++) {
+      const key = read();
+      out[key] = read();
+    }
+    return out;
+  };
+
+  function read() {
+    const t = bytes[pos++];
+    if (t < 0x80) return t;                          // positive fixint
+    if (t < 0x90) return map(t & 0x0f);              // fixmap
+    if (t < 0xa0) return arr(t & 0x0f);              // fixarray
+    if (t < 0xc0) return str(t & 0x1f);              // fixstr
+    if (t >= 0xe0) return t - 0x100;                 // negative fixint
+
+    let v;
+    switch (t) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: v = view.getUint8(pos); pos += 1; return bin(v);
+      case 0xc5: v = view.getUint16(pos); pos += 2; return bin(v);
+      case 0xc6: v = view.getUint32(pos); pos += 4; return bin(v);
+      case 0xca: v = view.getFloat32(pos); pos += 4; return v;
+      case 0xcb: v = view.getFloat64(pos); pos += 8; return v;
+      case 0xcc: v = view.getUint8(pos); pos += 1; return v;
+      case 0xcd: v = view.getUint16(pos); pos += 2; return v;
+      case 0xce: v = view.getUint32(pos); pos += 4; return v;
+      case 0xcf: v = view.getUint32(pos) * 4294967296 + view.getUint32(pos + 4); pos += 8; return v;
+      case 0xd0: v = view.getInt8(pos); pos += 1; return v;
+      case 0xd1: v = view.getInt16(pos); pos += 2; return v;
+      case 0xd2: v = view.getInt32(pos); pos += 4; return v;
+      case 0xd3: v = view.getInt32(pos) * 4294967296 + view.getUint32(pos + 4); pos += 8; return v;
+      case 0xd9: v = view.getUint8(pos); pos += 1; return str(v);
+      case 0xda: v = view.getUint16(pos); pos += 2; return str(v);
+      case 0xdb: v = view.getUint32(pos); pos += 4; return str(v);
+      case 0xdc: v = view.getUint16(pos); pos += 2; return arr(v);
+      case 0xdd: v = view.getUint32(pos); pos += 4; return arr(v);
+      case 0xde: v = view.getUint16(pos); pos += 2; return map(v);
+      case 0xdf: v = view.getUint32(pos); pos += 4; return map(v);
+    }
+    throw new Error(`Unsupported MessagePack type 0x${t.toString(16)}`);
+  }
+
+  return read();
+}
+
+// ---- Column encodings ----
+
+// ByteArray type codes → typed array constructors
+const BYTE_ARRAY_TYPES = {
+  1: Int8Array,
+  2: Int16Array,
+  3: Int32Array,
+  4: Uint8Array,
+  5: Uint16Array,
+  6: Uint32Array,
+  32: Float32Array,
+  33: Float64Array,
+};
+
+const FLOAT_TYPES = { 32: Float32Array, 33: Float64Array };
+
+/** Data is little-endian; copy into an aligned buffer (all browser hosts are LE). */
+function decodeByteArray(data, encoding) {
+  const Type = BYTE_ARRAY_TYPES[encoding.type];
+  if (!Type) throw new Error(`Unsupported ByteArray type ${encoding.type}`);
+  if (Type === Uint8Array) return data;
+  const buf = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  return new Type(buf);
+}
+
+function decodeFixedPoint(data, encoding) {
+  const out = new (FLOAT_TYPES[encoding.srcType] || Float32Array)(data.length);
+  const f = encoding.factor;
+  for (let i = 0; i < data.length; i++) out[i] = data[i] / f;
+  return out;
+}
+
+function decodeIntervalQuantization(data, encoding) {
+  const out = new (FLOAT_TYPES[encoding.srcType] || Float32Array)(data.length);
+  const { min, max, numSteps } = encoding;
+  const delta = (max - min) / (numSteps - 1);
+  for (let i = 0; i < data.length; i++) out[i] = min + delta * data[i];
+  return out;
+}
+
+function decodeRunLength(data, encoding) {
+  const out = new (BYTE_ARRAY_TYPES[encoding.srcType] || Int32Array)(encoding.srcSize);
+  let k = 0;
+  for (let i = 0; i < data.length; i += 2) {
+    const value = data[i];
+    const count = data[i + 1];
+    for (let j = 0; j < count; j++) out[k++] = value;
+  }
+  return out;
+}
+
+function decodeDelta(data, encoding) {
+  const n = data.length;
+  const out = new (BYTE_ARRAY_TYPES[encoding.srcType] || Int32Array)(n);
+  if (n === 0) return out;
+  out[0] = data[0] + (encoding.origin | 0);
+  for (let i = 1; i < n; i++) out[i] = out[i - 1] + data[i];
+  return out;
+}
+
+function decodeIntegerPacking(data, encoding) {
+  const { byteCount, isUnsigned, srcSize } = encoding;
+  const out = new Int32Array(srcSize);
+  let upper, lower;
+  if (isUnsigned) {
+    upper = byteCount === 1 ? 0xff : 0xffff;
+    lower = -1; // never matches
+  } else {
+    upper = byteCount === 1 ? 0x7f : 0x7fff;
+    lower = byteCount === 1 ? -0x80 : -0x8000;
+  }
+  let i = 0;
+  let j = 0;
+  while (i < data.length) {
+    let value = 0;
+    let t = data[i];
+    while (t === upper || t === lower) {
+      value += t;
+      i++;
+      t = data[i];
+    }
+    value += t;
+    out[j++] = value;
+    i++;
+  }
+  return out;
+}
+
+function decodeStringArray(data, encoding) {
+  const offsets = decodeData(encoding.offsets, encoding.offsetEncoding);
+  const indices = decodeData(data, encoding.dataEncoding);
+  const strings = new Array(offsets.length - 1);
+  for (let i = 0; i < strings.length; i++) {
+    strings[i] = encoding.stringData.substring(offsets[i], offsets[i + 1]);
+  }
+  const out = new Array(indices.length);
+  for (let i = 0; i < indices.length; i++) {
+    out[i] = indices[i] < 0 ? '' : strings[indices[i]];
+  }
+  return out;
+}
+
+const DECODERS = {
+  ByteArray: decodeByteArray,
+  FixedPoint: decodeFixedPoint,
+  IntervalQuantization: decodeIntervalQuantization,
+  RunLength: decodeRunLength,
+  Delta: decodeDelta,
+  IntegerPacking: decodeIntegerPacking,
+  StringArray: decodeStringArray,
+};
+
+/**
+ * Apply an encoding chain in reverse (the last encoding applied is undone first).
+ *
+ * @param {Uint8Array} data - Raw encoded bytes
+ * @param {Object[]} encodings - Encoding descriptors, in encode order
+ * @returns {ArrayLike} Decoded values
+ */
+function decodeData(data, encodings) {
+  let result = data;
+  for (let i = encodings.length - 1; i >= 0; i--) {
+    const enc = encodings[i];
+    const decode = DECODERS[enc.kind];
+    if (!decode) throw new Error(`Unsupported BinaryCIF encoding "${enc.kind}"`);
+    result = decode(result, enc);
+  }
+  return result;
+}
+
+/**
+ * Decode one column. Masked rows (1 = '.', 2 = '?') become the text-CIF
+ * null markers so downstream readers treat both formats alike.
+ */
+function decodeColumn(col) {
+  const values = decodeData(col.data.data, col.data.encoding);
+  if (!col.mask) return values;
+  const mask = decodeData(col.mask.data, col.mask.encoding);
+  const out = Array.from(values);
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] === 1) out[i] = '.';
+    else if (mask[i] === 2) out[i] = '?';
+  }
+  return out;
+}
+
+// ---- Public API ----
+
+/**
+ * Decode a BinaryCIF file into data blocks shaped like parseCIF() output.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw .bcif contents
+ * @returns {Array<{ name: string, categories: Map }>}
+ */
+export function decodeBinaryCIF(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const file = decodeMsgPack(bytes);
+  if (!file || !Array.isArray(file.dataBlocks)) {
+    throw new Error('Not a BinaryCIF file');
+  }
+
+  return file.dataBlocks.map(db => {
+    const categories = new Map();
+    for (const cat of db.categories) {
+      const name = cat.name.startsWith('_') ? cat.name.substring(1) : cat.name;
+      const columns = {};
+      const fields = [];
+      for (const col of cat.columns) {
+        fields.push(col.name);
+        columns[col.name] = decodeColumn(col);
+      }
+      categories.set(name, { name, fields, columns, rowCount: cat.rowCount });
+    }
+    return { name: db.header, categories };
+  });
+}
+
+/**
+ * Parse a BinaryCIF file into a structured protein model.
+ * Uses the first data block that contains _atom_site.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw .bcif contents
+ * @returns {Object|null} Parsed protein model (same shape as parsePDB)
+ */
+export function parseBinaryCIF(buffer) {
+  const blocks = decodeBinaryCIF(buffer);
+  const block = blocks.find(b => b.categories.has('atom_site'));
+  if (!block) return null;
+  return modelFromCIFBlock(block);
+}
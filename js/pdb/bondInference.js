@@ -1,12 +1,22 @@
 // ============================================================
 // bondInference.js — Infer bonds from PDB atom positions
-// 1. Intra-residue: template lookup from residueTemplates.js
-// 2. Peptide bonds: C→N between consecutive residues (< 2.0 A)
+// 1. Intra-residue: template lookup from residueTemplates.js (amino
+//    acids) and componentTemplates.js (nucleotides, common ligands)
+// 2. Peptide bonds: C→N between consecutive residues (< 2.0 A);
+//    phosphodiester bonds: O3'→P between consecutive nucleotides
 // 3. Disulfide bonds: SG-SG between CYS (< 2.5 A)
-// 4. HETATM fallback: distance-based using covalent radii
+// 4. SSBOND / LINK records (model.links) and CONECT records. Metal
+//    coordination links are left out on purpose: they are not covalent
+//    bonds and would pull metals into sticks; `contacts links` draws them
+// Residues without a matching template get distance-based bonds
+// (covalent radii) in step 1.
+// Atoms from different alternate conformers (altLoc) are never bonded.
+// Bond orders (double / triple / aromatic) come from the residue
+// templates and duplicated CONECT records; single bonds are implied.
 // ============================================================
 
-import { getTemplateBonds, isStandardAA } from './residueTemplates.js';
+import { getTemplateBonds, getTemplateBondOrders, matchesTemplate } from './residueTemplates.js';
+import { LINK_KINDS } from './constants.js';
 
 // Covalent radii in Angstroms (for distance-based bond detection)
 const COVALENT_RADII = {
@@ -22,6 +32,28 @@ const BOND_TOLERANCE = 0.4;  // Angstroms tolerance on top of sum of covalent ra
 // Maximum possible bond distance for spatial hashing
 const MAX_BOND_DIST = 2.5;
 
+// Bond order map keys: lower atom index * stride + higher index
+const BOND_KEY_STRIDE = 0x1000000;
+
+/**
+ * Key of the bond between two atoms in a bond order map (order-independent).
+ * @param {number} a - Atom index
+ * @param {number} b - Atom index
+ * @returns {number}
+ */
+export function bondKey(a, b) {
+  return a < b ? a * BOND_KEY_STRIDE + b : b * BOND_KEY_STRIDE + a;
+}
+
+/**
+ * Atoms of a bondKey().
+ * @param {number} key
+ * @returns {[number, number]} [lower index, higher index]
+ */
+export function bondKeyAtoms(key) {
+  return [Math.floor(key / BOND_KEY_STRIDE), key % BOND_KEY_STRIDE];
+}
+
 /**
  * Infer all bonds for a parsed protein model.
  *
@@ -44,31 +76,39 @@ export function inferBonds(model) {
   }
 
   // 1. Intra-residue bonds from templates
-  for (const res of residues) {
-    const template = getTemplateBonds(res.name);
-    if (template) {
-      // Build name → atom index map for this residue
-      const nameToIdx = new Map();
-      for (let j = res.atomStart; j < res.atomEnd; j++) {
-        nameToIdx.set(atoms[j].name, j);
-      }
-      for (const [n1, n2] of template) {
-        const i1 = nameToIdx.get(n1);
-        const i2 = nameToIdx.get(n2);
-        if (i1 !== undefined && i2 !== undefined) {
-          addBond(i1, i2);
+  const templated = new Uint8Array(residues.length);
+  for (let ri = 0; ri < residues.length; ri++) {
+    const res = residues[ri];
+    if (matchesTemplate(res, atoms)) {
+      const template = getTemplateBonds(res.name);
+      templated[ri] = 1;
+      // One pass per conformer: shared (blank altLoc) atoms plus that altLoc's atoms
+      const conformers = res.altLocs && res.altLocs.length ? res.altLocs : [' '];
+      for (const alt of conformers) {
+        const nameToIdx = new Map();
+        for (let j = res.atomStart; j < res.atomEnd; j++) {
+          const a = atoms[j].altLoc || ' ';
+          if (a === ' ' || a === alt) nameToIdx.set(atoms[j].name, j);
+        }
+        for (const [n1, n2] of template) {
+          const i1 = nameToIdx.get(n1);
+          const i2 = nameToIdx.get(n2);
+          if (i1 !== undefined && i2 !== undefined) {
+            addBond(i1, i2);
+          }
         }
       }
-    } else if (!res.isStandard) {
-      // Non-standard residue: use distance-based for intra-residue
+    } else {
+      // No (matching) template: use distance-based for intra-residue
       inferDistanceBonds(atoms, positions, res.atomStart, res.atomEnd, addBond);
     }
   }
 
   // 1b. Bond unbonded hydrogens to nearest heavy atom in same residue
   // Templates only have heavy atoms, so H atoms need distance-based bonding.
-  for (const res of residues) {
-    if (!res.isStandard) continue;
+  for (let ri = 0; ri < residues.length; ri++) {
+    if (!templated[ri]) continue;
+    const res = residues[ri];
     for (let j = res.atomStart; j < res.atomEnd; j++) {
       if (atoms[j].element !== 'H') continue;
       // Check if already bonded (e.g. from CONECT or template)
@@ -85,6 +125,7 @@ export function inferBonds(model) {
       let bestK = -1, bestD2 = Infinity;
       for (let k = res.atomStart; k < res.atomEnd; k++) {
         if (k === j || atoms[k].element === 'H') continue;
+        if (!sameConformer(atoms[j], atoms[k])) continue;
         const dx = positions[k * 3] - positions[j * 3];
         const dy = positions[k * 3 + 1] - positions[j * 3 + 1];
         const dz = positions[k * 3 + 2] - positions[j * 3 + 2];
@@ -106,11 +147,38 @@ export function inferBonds(model) {
     for (let ri = chain.residueStart; ri < chain.residueEnd - 1; ri++) {
       const res1 = residues[ri];
       const res2 = residues[ri + 1];
-      if (res1.cIndex >= 0 && res2.nIndex >= 0) {
+      if (res1.cIndex < 0 || res2.nIndex < 0) continue;
+      if (!res1.altLocs?.length && !res2.altLocs?.length) {
         const d = atomDist(positions, res1.cIndex, res2.nIndex);
         if (d < 2.0) {
           addBond(res1.cIndex, res2.nIndex);
         }
+        continue;
+      }
+      // Alternate backbone conformers: pair every compatible C/N
+      for (let c = res1.atomStart; c < res1.atomEnd; c++) {
+        if (atoms[c].name !== 'C' || atoms[c].element !== 'C') continue;
+        for (let nn = res2.atomStart; nn < res2.atomEnd; nn++) {
+          if (atoms[nn].name !== 'N' || atoms[nn].element !== 'N') continue;
+          if (!sameConformer(atoms[c], atoms[nn])) continue;
+          if (atomDist(positions, c, nn) < 2.0) addBond(c, nn);
+        }
+      }
+    }
+  }
+
+  // 2b. Phosphodiester bonds: O3' of nucleotide i → P of nucleotide i+1
+  for (const chain of chains) {
+    for (let ri = chain.residueStart; ri < chain.residueEnd - 1; ri++) {
+      const res1 = residues[ri];
+      const res2 = residues[ri + 1];
+      if (!res1.nucleic || !res2.nucleic) continue;
+      for (let o = res1.atomStart; o < res1.atomEnd; o++) {
+        if (atoms[o].name !== "O3'") continue;
+        for (let p = res2.atomStart; p < res2.atomEnd; p++) {
+          if (atoms[p].name !== 'P' || !sameConformer(atoms[o], atoms[p])) continue;
+          if (atomDist(positions, o, p) < 2.0) addBond(o, p);
+        }
       }
     }
   }
@@ -120,14 +188,12 @@ export function inferBonds(model) {
   for (const res of residues) {
     if (res.name !== 'CYS') continue;
     for (let j = res.atomStart; j < res.atomEnd; j++) {
-      if (atoms[j].name === 'SG') {
-        sgAtoms.push(j);
-        break;
-      }
+      if (atoms[j].name === 'SG') sgAtoms.push(j);
     }
   }
   for (let i = 0; i < sgAtoms.length; i++) {
     for (let j = i + 1; j < sgAtoms.length; j++) {
+      if (!sameConformer(atoms[sgAtoms[i]], atoms[sgAtoms[j]])) continue;
       const d = atomDist(positions, sgAtoms[i], sgAtoms[j]);
       if (d < 2.5) {
         addBond(sgAtoms[i], sgAtoms[j]);
@@ -135,7 +201,11 @@ export function inferBonds(model) {
     }
   }
 
-  // 4. CONECT records (explicit bonds, typically for ligands)
+  // 4. SSBOND / LINK records (disulfides, glycosylation, covalent ligands),
+  // then CONECT records (explicit bonds, typically for ligands)
+  for (const [i, j, kind] of model.links || []) {
+    if (kind !== LINK_KINDS.METAL) addBond(i, j);
+  }
   for (const [i, j] of conectBonds) {
     addBond(i, j);
   }
@@ -143,6 +213,44 @@ export function inferBonds(model) {
   return new Uint32Array(bonds);
 }
 
+/**
+ * Bond orders for a model: standard residue templates (backbone C=O,
+ * aromatic rings, carboxyl / amide / guanidinium double bonds),
+ * component templates (nucleotides, ligands) and CONECT records listed
+ * more than once. Bonds not in the map are single.
+ *
+ * @param {Object} model - Output from parsePDB()
+ * @returns {Map<number, number>} bondKey() → order (BOND_ORDERS)
+ */
+export function inferBondOrders(model) {
+  const { atoms, residues } = model;
+  const orders = new Map();
+
+  for (const res of residues) {
+    if (!matchesTemplate(res, atoms)) continue;
+    const template = getTemplateBondOrders(res.name);
+    const nameToIdx = new Map();
+    for (let j = res.atomStart; j < res.atomEnd; j++) {
+      // Every conformer's atoms: pairs of different conformers are never bonded
+      const name = atoms[j].name;
+      if (!nameToIdx.has(name)) nameToIdx.set(name, []);
+      nameToIdx.get(name).push(j);
+    }
+    for (const [n1, n2, order] of template) {
+      for (const i1 of nameToIdx.get(n1) || []) {
+        for (const i2 of nameToIdx.get(n2) || []) {
+          if (sameConformer(atoms[i1], atoms[i2])) orders.set(bondKey(i1, i2), order);
+        }
+      }
+    }
+  }
+
+  for (const [i, j, order] of model.conectOrders || []) {
+    orders.set(bondKey(i, j), order);
+  }
+  return orders;
+}
+
 /**
  * Find bonds between two atom selections using distance criteria.
  * Uses spatial hashing for efficiency.
@@ -232,6 +340,7 @@ function inferDistanceBonds(atoms, positions, start, end, addBond) {
     const ri = COVALENT_RADII[atoms[i].element] || DEFAULT_RADIUS;
     const ix = positions[i * 3], iy = positions[i * 3 + 1], iz = positions[i * 3 + 2];
     for (let j = i + 1; j < end; j++) {
+      if (!sameConformer(atoms[i], atoms[j])) continue;
       const rj = COVALENT_RADII[atoms[j].element] || DEFAULT_RADIUS;
       const maxDist = ri + rj + BOND_TOLERANCE;
       const dx = positions[j * 3] - ix;
@@ -245,6 +354,15 @@ function inferDistanceBonds(atoms, positions, start, end, addBond) {
   }
 }
 
+/**
+ * Atoms can bond unless they belong to two different alternate conformers.
+ */
+function sameConformer(a, b) {
+  const altA = a.altLoc || ' ';
+  const altB = b.altLoc || ' ';
+  return altA === ' ' || altB === ' ' || altA === altB;
+}
+
 function atomDist(positions, i, j) {
   const dx = positions[j * 3] - positions[i * 3];
   const dy = positions[j * 3 + 1] - positions[i * 3 + 1];
@@ -3,13 +3,29 @@
 // Parses command lines, dispatches to handlers.
 // ============================================================
 
-import { parseSelection, createSelectionStore } from './selection.js';
+import { parseSelection, createSelectionStore, isReservedSelectionName } from './selection.js';
 import { findBondsBetween } from './bondInference.js';
-import { REP_TYPES, ELEMENT_COLORS, DEFAULT_COLOR } from './constants.js';
+import { REP_TYPES, ELEMENT_COLORS, DEFAULT_COLOR, LINK_KINDS } from './constants.js';
 import { SS_HELIX, SS_SHEET } from './parser.js';
-import { INTERACTION_TYPES, detectHBonds, detectSaltBridges, detectCovalent, detectDistance } from './interactionDetector.js';
+import { INTERACTION_TYPES, detectHBonds, detectSaltBridges, detectCovalent, detectDistance, detectLinks } from './interactionDetector.js';
 import { kabschAlign, pairCAAtoms, applyTransform } from './kabsch.js';
 import { ViewerEvents as GameEvents } from '../events.js';
+import { fetchStructure, normalizeFormat, getFetchUrlTemplate, setFetchUrlTemplate } from './formats.js';
+import { writeStructure, normalizeExportFormat, exportFormatFromFilename, exportExtension, downloadFile } from './writers.js';
+import { renderImage, canvasToPng, parseImageSize, MAX_IMAGE_SIZE } from './imageExport.js';
+import { serializeSession, restoreSession, pickSessionFile, fetchSession } from './session.js';
+import { findResidueIndex, atomMacro } from './picking.js';
+import { MEASUREMENT_KINDS, formatMeasurement } from './measurements.js';
+import { buildLabelTexts, LABEL_PROPERTY_NAMES } from './labels.js';
+import { TITLE_PROPERTY } from './molParser.js';
+import { SURFACE_TYPES, DEFAULT_PROBE_RADIUS } from './surface.js';
+import { PUTTY_PROPERTIES, PUTTY_TRANSFORMS } from './representations/CartoonRepresentation.js';
+import { createHistory, isUnrecorded } from './history.js';
+import { findAssembly, describeAssembly, buildAssembly } from './assembly.js';
+import { encodeSessionBlob, buildShareUrl, SHARE_URL_WARN_LENGTH } from './shareLink.js';
+import { registerComponentTemplates, pickComponentFile, fetchComponentFile } from './componentTemplates.js';
+import { chainSequence, chainGaps, describeGap } from './gaps.js';
+import { parseScript, splitCommands, isErrorResult, loadAliases, saveAliases, pickScriptFile, fetchScript } from './script.js';
 
 // Callback for notifying UI when representation changes from console
 let _onRepChanged = null;
@@ -32,6 +48,10 @@ const REP_ALIASES = {
   line:           REP_TYPES.LINES,
   wireframe:      REP_TYPES.LINES,
   wire:           REP_TYPES.LINES,
+  surface:        REP_TYPES.SURFACE,
+  mesh:           REP_TYPES.MESH,
+  dots:           REP_TYPES.DOTS,
+  putty:          REP_TYPES.PUTTY,
 };
 
 // All PyMOL representation names (including unsupported ones) so show/hide
@@ -39,7 +59,7 @@ const REP_ALIASES = {
 const ALL_REP_NAMES = new Set([
   ...Object.keys(REP_ALIASES),
   'lines', 'dots', 'mesh', 'surface', 'nb_spheres', 'cell',
-  'nonbonded', 'wire', 'everything', 'label', 'extent',
+  'nonbonded', 'wire', 'everything', 'label', 'labels', 'extent',
   'slice', 'dashes', 'putty',
 ]);
 
@@ -57,9 +77,30 @@ const CONTACT_TYPE_ALIASES = {
   covalent:     INTERACTION_TYPES.COVALENT,
   cov:          INTERACTION_TYPES.COVALENT,
   distance:     INTERACTION_TYPES.DISTANCE,
+  links:        INTERACTION_TYPES.LINKS,
+  link:         INTERACTION_TYPES.LINKS,
+  ssbond:       INTERACTION_TYPES.LINKS,
   dist:         INTERACTION_TYPES.DISTANCE,
 };
 
+// Scripts may run scripts and aliases; deeper nesting is assumed to be a loop
+const MAX_SCRIPT_DEPTH = 8;
+
+// Click-to-select granularity aliases (set picking, <mode>)
+const PICK_MODE_ALIASES = {
+  atom: 'atom', atoms: 'atom',
+  residue: 'residue', residues: 'residue', res: 'residue',
+  chain: 'chain', chains: 'chain',
+  object: 'object', objects: 'object', structure: 'object',
+};
+
+// Measurement mode aliases (measure <kind>)
+const MEASURE_MODE_ALIASES = {
+  distance: 'distance', dist: 'distance',
+  angle: 'angle',
+  dihedral: 'dihedral', dihe: 'dihedral', torsion: 'dihedral',
+};
+
 // ---- Color interpolation for spectrum command ----
 
 const PALETTES = {
@@ -131,14 +172,48 @@ const COLOR_NAMES = {
   sulfur:     0xFFFF33,
 };
 
+// Colors added with set_color (saved in sessions)
+const CUSTOM_COLORS = {};
+
+function defineColor(name, hex) {
+  COLOR_NAMES[name] = hex;
+  CUSTOM_COLORS[name] = hex;
+}
+
+// Commands a share link can't rebuild by refetching the structures and
+// replaying commands: they edit structures, add unfetched ones or rewind history
+const SHARE_BREAKING_COMMANDS = new Set(['remove', 'align', 'dss', 'assembly', 'load_template', 'load_session', 'undo', 'redo']);
+
 /**
  * Create a command interpreter bound to a PDBViewer instance.
  *
  * @param {PDBViewer} viewer - The viewer instance
- * @returns {{ execute: (line: string) => string|null, namedSelections: Map }}
+ * @returns {{ execute: (line: string, ctx?: Object) => string|null, pick: (atomIndex: number) => string|null,
+ *   pickResidues: (residueIndices: number[]) => string|null, beginUndoGroup: (label: string) => Object,
+ *   endUndoGroup: (ctx: Object) => void, runScript: (text: string, name: string) => string|Promise<string>,
+ *   getAliases: () => Map<string, string>, loadSession: (session: Object) => string,
+ *   noteExternalChange: () => void, namedSelections: Map }}
  */
 export function createCommandInterpreter(viewer) {
   const namedSelections = createSelectionStore();
+  const history = createHistory(viewer, namedSelections);
+  let pickMode = 'residue';
+
+  // Scripts and aliases
+  const aliases = loadAliases();
+  let scriptOnError = 'stop';
+
+  // Measurement mode: successive clicks collect atoms for one measurement
+  let measureMode = null;
+  let measurePicks = [];
+  // "sele" version and pick count the markers and UI last showed
+  let shownSele = 0;
+  let shownPicks = 0;
+
+  // Share links: successful commands since the structures present at the first
+  // one (`base`); share replays them when nothing else changed the view
+  const shareLog = { base: null, commands: [], replayable: true, seleClicked: false };
+  const fetchedByCommand = new WeakSet();
 
   function getModel() {
     return viewer.model;
@@ -187,6 +262,7 @@ export function createCommandInterpreter(viewer) {
       const [name, selStr] = splitComma(args);
       if (!name) return 'Usage: select <name>, <selection>';
       if (!selStr) return 'Usage: select <name>, <selection>';
+      if (isReservedSelectionName(name)) return `Error: "${name}" is a selection keyword; choose another name`;
       const result = sel(selStr);
       namedSelections.set(name.toLowerCase(), result);
       return `Selection "${name}" created with ${result.size} atoms`;
@@ -197,7 +273,7 @@ export function createCommandInterpreter(viewer) {
       if (!colorName) return 'Usage: color <color>, [selection]';
 
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
 
       const indices = selStr ? sel(selStr) : sel('all');
 
@@ -210,7 +286,7 @@ export function createCommandInterpreter(viewer) {
       if (hex === undefined) {
         // Try parsing as hex: 0xRRGGBB or #RRGGBB
         const parsed = parseHexColor(colorName);
-        if (parsed === null) return `Unknown color: "${colorName}". Use "help" to see available colors.`;
+        if (parsed === null) return `Error: Unknown color: "${colorName}". Use "help" to see available colors.`;
         viewer.colorAtoms(indices, parsed);
         return `Colored ${indices.size} atoms`;
       }
@@ -221,7 +297,7 @@ export function createCommandInterpreter(viewer) {
 
     show(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
       // Handle PyMOL-style "show <representation>, <selection>"
       let repName = null, selStr = args;
       if (args) {
@@ -232,6 +308,10 @@ export function createCommandInterpreter(viewer) {
         }
       }
       const indices = selStr ? sel(selStr) : sel('all');
+      if (repName === 'label' || repName === 'labels') {
+        const count = viewer.setLabelsShown(indices, true);
+        return `Showing ${count} labels`;
+      }
       if (repName) {
         const repType = REP_ALIASES[repName];
         if (repType) {
@@ -250,7 +330,7 @@ export function createCommandInterpreter(viewer) {
 
     hide(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
       // Handle PyMOL-style "hide <representation>, <selection>"
       let repName = null, selStr = args;
       if (args) {
@@ -261,9 +341,16 @@ export function createCommandInterpreter(viewer) {
         }
       }
 
+      // "hide labels" — keep the text so "show labels" brings it back
+      if (repName === 'label' || repName === 'labels') {
+        const count = viewer.setLabelsShown(selStr ? sel(selStr) : null, false);
+        return `Hid ${count} labels`;
+      }
+
       // "hide everything" — hide all atoms (PyMOL: hide all representations)
       if (repName === 'everything') {
         const indices = selStr ? sel(selStr) : sel('all');
+        viewer.setLabelsShown(indices, false);
         viewer.hideAtoms(indices);
         viewer.recenterOnVisible();
         return `Hid ${indices.size} atoms`;
@@ -283,8 +370,8 @@ export function createCommandInterpreter(viewer) {
           viewer.recenterOnVisible();
           return `Hid ${indices.size} atoms shown as ${repName}`;
         }
-        // Unrecognized rep alias (e.g. "dots", "mesh") — no-op
-        return `Representation "${repName}" not supported`;
+        // Unrecognized rep alias (e.g. "cell", "slice") — no-op
+        return `Error: Representation "${repName}" not supported`;
       }
 
       const indices = selStr ? sel(selStr) : sel('all');
@@ -295,18 +382,18 @@ export function createCommandInterpreter(viewer) {
 
     zoom(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
       const indices = args ? sel(args) : sel('all');
-      if (indices.size === 0) return 'No atoms in selection';
+      if (indices.size === 0) return 'Error: No atoms in selection';
       viewer.zoomToAtoms(indices);
       return `Zoomed to ${indices.size} atoms`;
     },
 
     center(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
       const indices = args ? sel(args) : sel('all');
-      if (indices.size === 0) return 'No atoms in selection';
+      if (indices.size === 0) return 'Error: No atoms in selection';
       viewer.centerOnAtoms(indices);
       return `Centered on ${indices.size} atoms`;
     },
@@ -346,7 +433,7 @@ export function createCommandInterpreter(viewer) {
       let hex = COLOR_NAMES[colorName];
       if (hex === undefined) {
         hex = parseHexColor(args.trim());
-        if (hex === null) return `Unknown color: "${args}"`;
+        if (hex === null) return `Error: Unknown color: "${args}"`;
       }
       viewer.setBackground(hex);
       return `Background set to ${colorName || args}`;
@@ -354,7 +441,7 @@ export function createCommandInterpreter(viewer) {
 
     count_atoms(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
       const indices = args ? sel(args) : sel('all');
       return `count_atoms: ${indices.size}`;
     },
@@ -377,13 +464,17 @@ export function createCommandInterpreter(viewer) {
       if (!name) return 'Usage: delete <name>';
       if (name === 'all') {
         namedSelections.clear();
-        return 'Deleted all named selections';
+        viewer.clearMeasurements();
+        return 'Deleted all named selections and measurements';
+      }
+      if (viewer.removeMeasurement(name)) {
+        return `Deleted measurement "${name}"`;
       }
       if (namedSelections.has(name)) {
         namedSelections.delete(name);
         return `Deleted selection "${name}"`;
       }
-      return `Selection "${name}" not found`;
+      return `Error: Selection "${name}" not found`;
     },
 
     // Representation commands
@@ -418,10 +509,10 @@ export function createCommandInterpreter(viewer) {
     },
 
     as(args) {
-      if (!args) return 'Usage: as <representation>\nAvailable: cartoon, sticks, spheres, ball_and_stick, lines';
+      if (!args) return 'Usage: as <representation>\nAvailable: cartoon, sticks, spheres, ball_and_stick, lines, surface, mesh, dots, putty';
       const repName = args.trim().toLowerCase();
       const repType = REP_ALIASES[repName];
-      if (!repType) return `Unknown representation: "${repName}". Available: cartoon, sticks, spheres, ball_and_stick, lines`;
+      if (!repType) return `Error: Unknown representation: "${repName}". Available: cartoon, sticks, spheres, ball_and_stick, lines, surface, mesh, dots, putty`;
       viewer.setRepresentation(repType);
       if (_onRepChanged) _onRepChanged(repType);
       return `Switched to ${repName} representation`;
@@ -430,7 +521,7 @@ export function createCommandInterpreter(viewer) {
     bond(args) {
       // bond <sel1>, <sel2>[, <cutoff>]
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
       if (!args) return 'Usage: bond <sel1>, <sel2>[, <cutoff>]\n  Detect and show bonds between two selections.\n  cutoff: distance in Angstroms (default: covalent radii)';
 
       const parts = args.split(',').map(s => s.trim());
@@ -440,14 +531,14 @@ export function createCommandInterpreter(viewer) {
       const sel2 = sel(parts[1]);
       const cutoff = parts[2] ? parseFloat(parts[2]) : null;
 
-      if (sel1.size === 0) return 'First selection matched 0 atoms';
-      if (sel2.size === 0) return 'Second selection matched 0 atoms';
-      if (cutoff !== null && (isNaN(cutoff) || cutoff <= 0)) return 'Cutoff must be a positive number';
+      if (sel1.size === 0) return 'Error: First selection matched 0 atoms';
+      if (sel2.size === 0) return 'Error: Second selection matched 0 atoms';
+      if (cutoff !== null && (isNaN(cutoff) || cutoff <= 0)) return 'Error: Cutoff must be a positive number';
 
       const newBonds = findBondsBetween(model, sel1, sel2, cutoff);
       if (newBonds.length === 0) {
         const method = cutoff ? `${cutoff} A cutoff` : 'covalent radii';
-        return `No bonds found between selections (${method})`;
+        return `Error: No bonds found between selections (${method})`;
       }
 
       const added = viewer.addBonds(newBonds);
@@ -458,7 +549,7 @@ export function createCommandInterpreter(viewer) {
     unbond(args) {
       // unbond <sel1>, <sel2>
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
       if (!args) return 'Usage: unbond <sel1>, <sel2>\n  Remove bonds between two selections.';
 
       const parts = args.split(',').map(s => s.trim());
@@ -467,18 +558,18 @@ export function createCommandInterpreter(viewer) {
       const sel1 = sel(parts[0]);
       const sel2 = sel(parts[1]);
 
-      if (sel1.size === 0) return 'First selection matched 0 atoms';
-      if (sel2.size === 0) return 'Second selection matched 0 atoms';
+      if (sel1.size === 0) return 'Error: First selection matched 0 atoms';
+      if (sel2.size === 0) return 'Error: Second selection matched 0 atoms';
 
       const removed = viewer.removeBonds(sel1, sel2);
-      if (removed === 0) return 'No bonds found between selections to remove';
+      if (removed === 0) return 'Error: No bonds found between selections to remove';
       return `Removed ${removed} bond${removed !== 1 ? 's' : ''} between selections`;
     },
 
     contacts(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
-      if (!args) return 'Usage: contacts <type>, <sel1>, <sel2>[, <cutoff>]\n  contacts list [<type>]\n  contacts clear [<type>]\n  Types: hbonds, salt_bridges, covalent, distance';
+      if (!model) return 'Error: No structure loaded';
+      if (!args) return 'Usage: contacts <type>, <sel1>, <sel2>[, <cutoff>]\n  contacts links[, <sel1>[, <sel2>]]\n  contacts list [<type>]\n  contacts clear [<type>]\n  Types: hbonds, salt_bridges, covalent, distance, links';
 
       const trimmed = args.trim().toLowerCase();
 
@@ -491,7 +582,7 @@ export function createCommandInterpreter(viewer) {
         const rest = args.trim().substring(5).trim();
         const typeName = rest.toLowerCase();
         const type = CONTACT_TYPE_ALIASES[typeName];
-        if (!type) return `Unknown interaction type: "${rest}". Types: hbonds, salt_bridges, covalent, distance`;
+        if (!type) return `Error: Unknown interaction type: "${rest}". Types: hbonds, salt_bridges, covalent, distance, links`;
         viewer.removeInteractions(type);
         return `Cleared ${type} overlay`;
       }
@@ -521,7 +612,7 @@ export function createCommandInterpreter(viewer) {
         // List specific type
         const typeName = rest.toLowerCase();
         const type = CONTACT_TYPE_ALIASES[typeName];
-        if (!type) return `Unknown interaction type: "${rest}". Types: hbonds, salt_bridges, covalent, distance`;
+        if (!type) return `Error: Unknown interaction type: "${rest}". Types: hbonds, salt_bridges, covalent, distance, links`;
         const pairs = viewer.getInteractionPairs(type);
         if (!pairs || pairs.length === 0) return `No ${type} pairs found (run "contacts ${typeName}, <sel1>, <sel2>" first)`;
         const sorted = [...pairs].sort((a, b) => a.distance - b.distance);
@@ -537,26 +628,30 @@ export function createCommandInterpreter(viewer) {
 
       // Parse: <type>, <sel1>, <sel2>[, <cutoff>]
       const parts = args.split(',').map(s => s.trim());
-      if (parts.length < 3) return 'Usage: contacts <type>, <sel1>, <sel2>[, <cutoff>]';
-
       const typeName = parts[0].toLowerCase();
       const type = CONTACT_TYPE_ALIASES[typeName];
-      if (!type) return `Unknown interaction type: "${parts[0]}". Types: hbonds, salt_bridges, covalent, distance`;
+      if (!type) return `Error: Unknown interaction type: "${parts[0]}". Types: hbonds, salt_bridges, covalent, distance, links`;
+
+      // Links come from the file (SSBOND / LINK): selections default to all
+      if (type === INTERACTION_TYPES.LINKS) {
+        while (parts.length < 3) parts.push('all');
+      }
+      if (parts.length < 3) return 'Usage: contacts <type>, <sel1>, <sel2>[, <cutoff>]';
 
       const sel1 = sel(parts[1]);
       const sel2 = sel(parts[2]);
       const cutoffStr = parts[3] ? parts[3].trim() : null;
 
-      if (sel1.size === 0) return 'First selection matched 0 atoms';
-      if (sel2.size === 0) return 'Second selection matched 0 atoms';
+      if (sel1.size === 0) return 'Error: First selection matched 0 atoms';
+      if (sel2.size === 0) return 'Error: Second selection matched 0 atoms';
 
       // Distance type requires a cutoff
       if (type === INTERACTION_TYPES.DISTANCE && !cutoffStr) {
-        return 'Distance contacts require a cutoff: contacts distance, <sel1>, <sel2>, <cutoff>';
+        return 'Error: Distance contacts require a cutoff: contacts distance, <sel1>, <sel2>, <cutoff>';
       }
 
       const cutoff = cutoffStr ? parseFloat(cutoffStr) : null;
-      if (cutoff !== null && (isNaN(cutoff) || cutoff <= 0)) return 'Cutoff must be a positive number';
+      if (cutoff !== null && (isNaN(cutoff) || cutoff <= 0)) return 'Error: Cutoff must be a positive number';
 
       let pairs;
       switch (type) {
@@ -572,8 +667,12 @@ export function createCommandInterpreter(viewer) {
         case INTERACTION_TYPES.DISTANCE:
           pairs = detectDistance(model, sel1, sel2, cutoff);
           break;
+        case INTERACTION_TYPES.LINKS:
+          pairs = detectLinks(model, sel1, sel2);
+          if (pairs.length === 0) return 'Error: No SSBOND / LINK records between selections';
+          break;
         default:
-          return `Unsupported interaction type: ${type}`;
+          return `Error: Unsupported interaction type: ${type}`;
       }
 
       if (pairs.length === 0) {
@@ -581,22 +680,27 @@ export function createCommandInterpreter(viewer) {
       }
 
       viewer.addInteractions(type, pairs);
+      // Metal links are never bonds: these dashed lines are their only drawing
+      const metal = type === INTERACTION_TYPES.LINKS ? pairs.filter(p => p.kind === LINK_KINDS.METAL).length : 0;
+      if (metal > 0) return `Found ${pairs.length} ${type} between selections (${metal} metal coordination, shown only as dashed lines, not bonded)`;
       return `Found ${pairs.length} ${type} between selections`;
     },
 
     distance(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
-      if (!args) return 'Usage: distance <sel1>, <sel2>\n  Measure distance between two selections.';
+      if (!model) return 'Error: No structure loaded';
+      if (!args) return 'Usage: distance [<name>,] <sel1>, <sel2>\n  Measure distance between two selections.';
 
       const parts = args.split(',').map(s => s.trim());
-      if (parts.length < 2) return 'Usage: distance <sel1>, <sel2>';
+      if (parts.length < 2) return 'Usage: distance [<name>,] <sel1>, <sel2>';
+      // Named form creates a persistent measurement object between single atoms
+      if (parts.length === 3) return measureCommand('distance', parts);
 
       const sel1 = sel(parts[0]);
       const sel2 = sel(parts[1]);
 
-      if (sel1.size === 0) return 'First selection matched 0 atoms';
-      if (sel2.size === 0) return 'Second selection matched 0 atoms';
+      if (sel1.size === 0) return 'Error: First selection matched 0 atoms';
+      if (sel2.size === 0) return 'Error: Second selection matched 0 atoms';
 
       const { positions } = model;
 
@@ -644,9 +748,74 @@ export function createCommandInterpreter(viewer) {
       return commands.distance(args);
     },
 
+    angle(args) {
+      const parts = (args || '').split(',').map(s => s.trim());
+      if (parts.length !== 3 && parts.length !== 4) return 'Usage: angle [<name>,] <sel1>, <sel2>, <sel3>  (angle at sel2)';
+      return measureCommand('angle', parts);
+    },
+
+    dihedral(args) {
+      const parts = (args || '').split(',').map(s => s.trim());
+      if (parts.length !== 4 && parts.length !== 5) return 'Usage: dihedral [<name>,] <sel1>, <sel2>, <sel3>, <sel4>';
+      return measureCommand('dihedral', parts);
+    },
+
+    measure(args) {
+      const mode = (args || '').trim().toLowerCase();
+      if (!mode) {
+        if (!measureMode) return 'Measurement mode is off. Usage: measure distance|angle|dihedral|off';
+        return `Measuring ${measureMode}: ${measurePicks.length}/${MEASUREMENT_KINDS[measureMode].atoms} atoms picked`;
+      }
+      measurePicks = [];
+      if (mode === 'off') {
+        measureMode = null;
+        return 'Measurement mode off; clicks select into "sele"';
+      }
+      const kind = MEASURE_MODE_ALIASES[mode];
+      if (!kind) return 'Usage: measure distance|angle|dihedral|off';
+      measureMode = kind;
+      return `Measurement mode: click ${MEASUREMENT_KINDS[kind].atoms} atoms per ${kind} ("measure off" to stop)`;
+    },
+
+    measurements(args) {
+      const sub = (args || '').trim().toLowerCase();
+      const list = viewer.getMeasurements();
+      if (sub === 'clear') {
+        viewer.clearMeasurements();
+        return `Removed ${list.length} measurement${list.length !== 1 ? 's' : ''}`;
+      }
+      if (sub) return 'Usage: measurements [clear]';
+      if (list.length === 0) return 'No measurements';
+      const model = getModel();
+      const lines = list.map(m =>
+        `  ${m.name}: ${m.kind} ${formatMeasurement(m.kind, m.value)}  (${m.atoms.map(i => atomLabel(model, i)).join(' \u2014 ')})`
+      );
+      return 'Measurements:\n' + lines.join('\n');
+    },
+
+    label(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      if (!args) {
+        return 'Usage: label <selection>, <expression>\n' +
+          `  Properties: ${LABEL_PROPERTY_NAMES.join(', ')}\n` +
+          '  e.g. label name CA, resn+resi   label resi 10, "%s %.1f" % (name, b)';
+      }
+      const [selStr, expr] = splitComma(args);
+      const indices = sel(selStr || 'all');
+      // PyMOL: empty expression clears labels
+      if (!expr || expr === "''" || expr === '""') {
+        const removed = viewer.removeLabels(indices);
+        return `Removed ${removed} labels`;
+      }
+      const texts = buildLabelTexts(model, indices, expr);
+      viewer.setLabels(texts);
+      return `Placed ${texts.size} labels`;
+    },
+
     spectrum(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
 
       const parts = args.split(',').map(s => s.trim());
       const property = (parts[0] || 'count').toLowerCase();
@@ -654,10 +823,10 @@ export function createCommandInterpreter(viewer) {
       const selStr = parts.slice(2).join(',').trim();
 
       const palette = PALETTES[paletteName];
-      if (!palette) return `Unknown palette: "${paletteName}". Available: ${Object.keys(PALETTES).join(', ')}`;
+      if (!palette) return `Error: Unknown palette: "${paletteName}". Available: ${Object.keys(PALETTES).join(', ')}`;
 
       const indices = selStr ? sel(selStr) : sel('all');
-      if (indices.size === 0) return 'No atoms in selection';
+      if (indices.size === 0) return 'Error: No atoms in selection';
 
       const colorMap = new Map();
 
@@ -697,7 +866,7 @@ export function createCommandInterpreter(viewer) {
           colorMap.set(i, interpolateColor(t, palette));
         }
       } else {
-        return `Unknown property: "${property}". Use: count, b, chain`;
+        return `Error: Unknown property: "${property}". Use: count, b, chain`;
       }
 
       viewer.colorAtomsByMap(colorMap);
@@ -716,15 +885,15 @@ export function createCommandInterpreter(viewer) {
         r = Math.round(r * 255); g = Math.round(g * 255); b = Math.round(b * 255);
       }
       const hex = (r << 16) | (g << 8) | b;
-      COLOR_NAMES[name.toLowerCase()] = hex;
+      defineColor(name.toLowerCase(), hex);
       return `Color "${name}" defined as #${hex.toString(16).padStart(6, '0')}`;
     },
 
     orient(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
       const indices = args ? sel(args) : sel('all');
-      if (indices.size === 0) return 'No atoms in selection';
+      if (indices.size === 0) return 'Error: No atoms in selection';
       viewer.orientToAtoms(indices);
       return `Oriented view on ${indices.size} atoms`;
     },
@@ -742,10 +911,26 @@ export function createCommandInterpreter(viewer) {
     },
 
     set(args) {
-      if (!args) return 'Usage: set <setting>, <value>[, <sel>]\n  Settings: sphere_scale, stick_radius';
+      if (!args) return 'Usage: set <setting>, <value>[, <sel>]\n  Settings: sphere_scale, stick_radius, fetch_url, picking, label_color, label_size, label_offset, surface_type, solvent_radius, transparency, putty_property, putty_radius, putty_transform, valence, script_on_error';
       const [setting, rest] = splitComma(args);
       if (!rest) return 'Usage: set <setting>, <value>[, <sel>]';
       const key = setting.trim().toLowerCase();
+      if (key === 'fetch_url') {
+        // set fetch_url, <format>[, <template with {id} or {id_lower}>]
+        const [fmtStr, template] = splitComma(rest);
+        const format = normalizeFormat(fmtStr);
+        if (!format) return `Error: Unknown format: "${fmtStr}". Available: pdb, cif, bcif`;
+        if (!template) return `fetch_url for ${format}: ${getFetchUrlTemplate(format) || 'none (open files instead)'}`;
+        setFetchUrlTemplate(format, template);
+        return `Set fetch_url for ${format} to ${template}`;
+      }
+      if (key === 'picking') {
+        // set picking, atom|residue|chain|object — what a click adds to "sele"
+        const mode = PICK_MODE_ALIASES[rest.toLowerCase()];
+        if (!mode) return 'Usage: set picking, atom|residue|chain|object';
+        pickMode = mode;
+        return `Clicks now select by ${mode}`;
+      }
       if (key === 'sphere_scale' || key === 'stick_radius') {
         const [valStr, selStr] = splitComma(rest);
         const factor = parseFloat(valStr);
@@ -754,25 +939,107 @@ export function createCommandInterpreter(viewer) {
         viewer.scaleAtoms(indices, factor);
         return `Set ${key} to ${factor} for ${indices.size} atoms`;
       }
-      return `Unknown setting: "${key}". Available: sphere_scale, stick_radius`;
+      if (key === 'label_color') {
+        const [colorStr, selStr] = splitComma(rest);
+        const color = COLOR_NAMES[colorStr.toLowerCase()] ?? parseHexColor(colorStr);
+        if (color === null || color === undefined) return `Error: Unknown color: "${colorStr}"`;
+        const count = viewer.setLabelStyle(selStr ? sel(selStr) : null, { color });
+        return `Set label_color to ${colorStr} for ${count} labels`;
+      }
+      if (key === 'label_size') {
+        const [valStr, selStr] = splitComma(rest);
+        const size = parseFloat(valStr);
+        if (isNaN(size) || size <= 0) return 'Usage: set label_size, <px>[, <sel>]';
+        const count = viewer.setLabelStyle(selStr ? sel(selStr) : null, { size });
+        return `Set label_size to ${size} for ${count} labels`;
+      }
+      if (key === 'label_offset') {
+        // set label_offset, [x, y][, <sel>] — screen pixels, y up
+        const m = /^\[\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\]\s*(?:,\s*(.*))?$/.exec(rest);
+        if (!m) return 'Usage: set label_offset, [x, y][, <sel>]  (pixels, y up)';
+        const offset = [parseFloat(m[1]), parseFloat(m[2])];
+        const count = viewer.setLabelStyle(m[3] ? sel(m[3]) : null, { offset });
+        return `Set label_offset to [${offset.join(', ')}] for ${count} labels`;
+      }
+      if (key === 'surface_type') {
+        // set surface_type, ses|sas — solvent-excluded or solvent-accessible
+        const type = rest.trim().toLowerCase();
+        if (!SURFACE_TYPES.includes(type)) return `Usage: set surface_type, ${SURFACE_TYPES.join('|')}`;
+        viewer.setSurfaceSettings({ type });
+        return `Surfaces are now ${type === 'ses' ? 'solvent-excluded' : 'solvent-accessible'} (${type})`;
+      }
+      if (key === 'solvent_radius' || key === 'probe_radius') {
+        const probeRadius = parseFloat(rest);
+        if (isNaN(probeRadius) || probeRadius < 0) return `Usage: set ${key}, <Å>  (default ${DEFAULT_PROBE_RADIUS})`;
+        viewer.setSurfaceSettings({ probeRadius });
+        return `Set solvent_radius to ${probeRadius} Å`;
+      }
+      if (key === 'transparency') {
+        const transparency = parseFloat(rest);
+        if (isNaN(transparency) || transparency < 0 || transparency > 1) return 'Usage: set transparency, <0-1>  (surface and mesh)';
+        viewer.setSurfaceSettings({ transparency });
+        return `Set surface transparency to ${transparency}`;
+      }
+      if (key === 'putty_property') {
+        // set putty_property, b|q|resi|id — per-atom value driving the tube radius
+        const property = rest.trim().toLowerCase();
+        if (!PUTTY_PROPERTIES[property]) return `Usage: set putty_property, ${Object.keys(PUTTY_PROPERTIES).join('|')}`;
+        viewer.setPuttySettings({ property });
+        return `Putty radius now follows ${property}`;
+      }
+      if (key === 'putty_radius') {
+        // set putty_radius, [min, max] — Å; min > max inverts (e.g. pLDDT)
+        const m = /^\[\s*([\d.]+)\s*,\s*([\d.]+)\s*\]$/.exec(rest.trim());
+        if (!m) return 'Usage: set putty_radius, [min, max]  (Å; min > max inverts)';
+        const minRadius = parseFloat(m[1]), maxRadius = parseFloat(m[2]);
+        if (isNaN(minRadius) || isNaN(maxRadius)) return 'Usage: set putty_radius, [min, max]  (Å; min > max inverts)';
+        viewer.setPuttySettings({ minRadius, maxRadius });
+        return `Set putty_radius to [${minRadius}, ${maxRadius}] Å`;
+      }
+      if (key === 'putty_transform') {
+        const transform = rest.trim().toLowerCase();
+        if (!PUTTY_TRANSFORMS[transform]) return `Usage: set putty_transform, ${Object.keys(PUTTY_TRANSFORMS).join('|')}`;
+        viewer.setPuttySettings({ transform });
+        return `Set putty_transform to ${transform}`;
+      }
+      if (key === 'valence') {
+        // set valence, on|off — draw double / triple / aromatic bonds
+        const value = rest.trim().toLowerCase();
+        if (!['on', 'off', '1', '0'].includes(value)) return 'Usage: set valence, on|off';
+        const enabled = value === 'on' || value === '1';
+        viewer.setValence(enabled);
+        return enabled ? 'Bond orders are now drawn (double, triple, aromatic)' : 'Bond orders are now hidden';
+      }
+      if (key === 'script_on_error') {
+        // set script_on_error, stop|continue — what run / aliases do after a failed command
+        const mode = rest.trim().toLowerCase();
+        if (mode !== 'stop' && mode !== 'continue') return 'Usage: set script_on_error, stop|continue';
+        scriptOnError = mode;
+        return mode === 'stop' ? 'Scripts now stop at the first error' : 'Scripts now continue past errors';
+      }
+      return `Error: Unknown setting: "${key}". Available: sphere_scale, stick_radius, fetch_url, picking, label_color, label_size, label_offset, surface_type, solvent_radius, transparency, putty_property, putty_radius, putty_transform, valence, script_on_error`;
     },
 
     // Multi-structure commands
     load(args) {
-      const pdbId = (args || '').trim().toUpperCase();
+      const [idStr, formatArg] = splitComma(args || '');
+      const pdbId = (idStr || '').trim().toUpperCase();
       if (!pdbId || pdbId.length !== 4) {
-        return 'Usage: load <4-char PDB ID> (e.g. load 4HHB)';
+        return 'Usage: load <4-char PDB ID>[, format=pdb|cif|bcif] (e.g. load 4HHB)';
       }
+      // Explicit format is fetched as-is; otherwise PDB with mmCIF fallback
+      const formatStr = formatArg.replace(/^format\s*=\s*/i, '');
+      const format = formatStr ? normalizeFormat(formatStr) : null;
+      if (formatStr && !format) return `Error: Unknown format: "${formatStr}". Available: pdb, cif, bcif`;
       return (async () => {
-        const url = `https://files.rcsb.org/download/${pdbId}.pdb`;
-        const resp = await fetch(url);
-        if (!resp.ok) throw new Error(`PDB ID "${pdbId}" not found on RCSB`);
-        const pdbText = await resp.text();
-        const actualName = viewer.addStructure(pdbText, pdbId);
-        if (!actualName) throw new Error(`Failed to parse PDB data for ${pdbId}`);
+        const result = await fetchStructure(pdbId, format);
+        if (!result) throw new Error(`PDB ID "${pdbId}" not found (${format || 'pdb/cif'})`);
+        const added = viewer.addStructure(result.data, pdbId, result.format, { pdbId, format });
+        if (!added) throw new Error(`Failed to parse ${result.format} data for ${pdbId}`);
+        fetchedByCommand.add(viewer.structureManager.getStructure(added.name).model);
         const info = viewer.getInfo();
         GameEvents.emit('viewerLoaded', info);
-        return `Loaded ${actualName} (${viewer.structureManager.getStructure(actualName).atomCount} atoms)`;
+        return `Loaded ${added.name} (${viewer.structureManager.getStructure(added.name).atomCount} atoms)`;
       })();
     },
 
@@ -780,6 +1047,49 @@ export function createCommandInterpreter(viewer) {
       return commands.load(args);
     },
 
+    // assembly (list)  |  assembly <id>[, <structure>] — biological unit from REMARK 350
+    assembly(args) {
+      if (!getModel()) return 'Error: No structure loaded';
+      const sm = viewer.structureManager;
+      const [id, structName] = splitComma(args || '');
+      const entries = sm.getStructureNames().map(name => sm.getStructure(name));
+
+      if (!id) {
+        const lines = [];
+        for (const entry of entries) {
+          const assemblies = entry.model.header.assemblies || [];
+          if (assemblies.length === 0) continue;
+          lines.push(`${entry.name}:`, ...assemblies.map(a => `  ${describeAssembly(a)}`));
+        }
+        if (lines.length === 0) return 'Error: No biological assemblies (REMARK 350) in the loaded structures';
+        return ['Assemblies:', ...lines, 'Build one with: assembly <id>[, <structure>]'].join('\n');
+      }
+
+      let candidates = entries;
+      if (structName) {
+        const entry = sm.getStructure(structName);
+        if (!entry) return `Error: Structure "${structName}" not found. Use "list" to see loaded structures.`;
+        candidates = [entry];
+      }
+      const source = candidates.find(e => findAssembly(e.model, id));
+      if (!source) return `Error: No assembly "${id}"${structName ? ` in ${structName}` : ''}. Type "assembly" to list them.`;
+
+      const built = buildAssembly(source.model, findAssembly(source.model, id));
+      if (!built) return `Error: assembly ${id} applies to chains that are not in ${source.name}`;
+      const sourceName = source.name;
+      const added = viewer.addModel(built.model, null, `${sourceName}_assembly${id}`);
+
+      // Show the biological unit in place of the asymmetric unit
+      viewer.hideAtoms(sel(`model ${sourceName}`));
+      viewer.recenterOnVisible();
+      const info = viewer.getInfo();
+      if (info) GameEvents.emit('viewerLoaded', info);
+      const wide = built.chainIds.filter(c => c.length > 1).length;
+      return `Built assembly ${id} of ${sourceName} as ${added.name}: ${built.copies} chain${built.copies !== 1 ? 's' : ''} ` +
+        `(${built.chainIds.join(', ')}), ${built.model.atomCount} atoms. ${sourceName} is hidden.` +
+        (wide > 0 ? `\n${wide} chain${wide !== 1 ? 's have' : ' has'} a two-character ID (no one-character IDs left): save as mmCIF, PDB files can't hold ${wide !== 1 ? 'them' : 'it'}` : '');
+    },
+
     align(args) {
       if (!args) return 'Usage: align <mobile>, <target>';
       const [mobileName, targetName] = splitComma(args);
@@ -789,11 +1099,11 @@ export function createCommandInterpreter(viewer) {
       const mobileEntry = sm.getStructure(mobileName);
       const targetEntry = sm.getStructure(targetName);
 
-      if (!mobileEntry) return `Structure "${mobileName}" not found. Use "list" to see loaded structures.`;
-      if (!targetEntry) return `Structure "${targetName}" not found. Use "list" to see loaded structures.`;
+      if (!mobileEntry) return `Error: Structure "${mobileName}" not found. Use "list" to see loaded structures.`;
+      if (!targetEntry) return `Error: Structure "${targetName}" not found. Use "list" to see loaded structures.`;
 
       const { mobileIndices, targetIndices, count } = pairCAAtoms(mobileEntry.model, targetEntry.model);
-      if (count < 3) return `Only ${count} matching CA atoms found — need at least 3 for alignment`;
+      if (count < 3) return `Error: Only ${count} matching CA atoms found — need at least 3 for alignment`;
 
       const mobileXYZ = new Float64Array(count * 3);
       const targetXYZ = new Float64Array(count * 3);
@@ -817,7 +1127,7 @@ export function createCommandInterpreter(viewer) {
 
     remove(args) {
       const model = getModel();
-      if (!model) return 'No structure loaded';
+      if (!model) return 'Error: No structure loaded';
 
       const name = (args || '').trim();
       if (!name) return 'Usage: remove <selection> or remove <structure_name>';
@@ -842,7 +1152,7 @@ export function createCommandInterpreter(viewer) {
 
       // Fallback: try as structure name (current behavior)
       const removed = viewer.removeStructure(name);
-      if (!removed) return `No atoms matched and no structure "${name}" found.`;
+      if (!removed) return `Error: No atoms matched and no structure "${name}" found.`;
       const info = viewer.getInfo();
       if (info) GameEvents.emit('viewerLoaded', info);
       return `Removed structure "${name}"`;
@@ -850,7 +1160,7 @@ export function createCommandInterpreter(viewer) {
 
     list() {
       const sm = viewer.structureManager;
-      if (sm.count === 0) return 'No structures loaded';
+      if (sm.count === 0) return 'Error: No structures loaded';
       const lines = ['Loaded structures:'];
       for (const entry of sm._orderedEntries()) {
         const colorStr = entry.color ? `#${entry.color.getHexString()}` : 'element colors';
@@ -860,6 +1170,368 @@ export function createCommandInterpreter(viewer) {
       return lines.join('\n');
     },
 
+    // save file.pdb  |  save lig.sdf, resn HEM  |  save out, chain A, cif
+    save(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      const usage = 'Usage: save <filename>[, <selection>][, pdb|cif|sdf|xyz]';
+      const parts = (args || '').split(',').map(p => p.trim());
+      let filename = parts.shift();
+      if (!filename) return usage;
+
+      // Trailing format argument
+      let format = null;
+      if (parts.length > 0 && normalizeExportFormat(parts[parts.length - 1])) {
+        format = normalizeExportFormat(parts.pop());
+      }
+      const fileFormat = exportFormatFromFilename(filename);
+      format = format || fileFormat || normalizeExportFormat('pdb');
+      if (!fileFormat) filename += `.${exportExtension(format)}`;
+
+      // Selection, or a loaded structure name
+      const selStr = parts.join(',').trim();
+      let indices;
+      if (!selStr) {
+        indices = sel('all');
+      } else {
+        try {
+          indices = sel(selStr);
+        } catch (e) {
+          indices = null;
+        }
+        if (!indices || indices.size === 0) {
+          const entry = viewer.structureManager.getStructure(selStr);
+          if (!entry) return indices ? 'Error: No atoms match selection' : `Error: Invalid selection: "${selStr}"`;
+          const range = model._structureRanges && model._structureRanges.get(entry.name.toLowerCase());
+          if (!range) return `Error: Structure "${selStr}" not found`;
+          indices = new Set();
+          for (let i = 0; i < range.atomCount; i++) indices.add(range.atomOffset + i);
+        }
+      }
+      if (indices.size === 0) return 'Error: No atoms match selection';
+
+      const title = filename.replace(/\.[a-z0-9]+$/i, '');
+      const text = writeStructure(model, getBonds(), indices, format, title);
+      downloadFile(text, filename, 'chemical/x-' + format);
+      return `Saved ${indices.size} atoms to ${filename} (${format})`;
+    },
+
+    // png fig.png  |  png fig, 2400, 1800, 300, 1  |  png fig, width=8.5cm, dpi=300, transparent=1
+    png(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      const usage = 'Usage: png <filename>[, width, height, dpi, transparent] (sizes in px, or cm/mm/in with dpi)';
+      const parts = (args || '').split(',').map(p => p.trim());
+      let filename = parts.shift();
+      if (!filename) return usage;
+      if (!/\.png$/i.test(filename)) filename += '.png';
+
+      // Positional width, height, dpi, transparent; or key=value in any order
+      const opts = {};
+      const positional = ['width', 'height', 'dpi', 'transparent'];
+      for (const part of parts) {
+        if (!part) { positional.shift(); continue; }
+        const eq = part.indexOf('=');
+        if (eq !== -1) {
+          opts[part.substring(0, eq).trim().toLowerCase()] = part.substring(eq + 1).trim();
+        } else if (positional.length > 0) {
+          opts[positional.shift()] = part;
+        } else {
+          return usage;
+        }
+      }
+
+      const hasUnits = /[a-z]/i.test((opts.width || '') + (opts.height || ''));
+      const dpi = opts.dpi ? parseFloat(opts.dpi) : (hasUnits ? 300 : 0);
+      if (isNaN(dpi) || dpi < 0) return `Error: Invalid dpi: "${opts.dpi}"`;
+      const transparent = /^(1|true|yes|on)$/i.test(opts.transparent || '');
+      const supersample = opts.supersample ? parseInt(opts.supersample) : 2;
+      if (isNaN(supersample) || supersample < 1 || supersample > 4) return 'Error: supersample must be 1-4';
+
+      // Missing dimensions follow the canvas aspect ratio
+      const canvas = viewer.renderer.domElement;
+      const aspect = canvas.width / canvas.height;
+      let width = opts.width ? parseImageSize(opts.width, dpi) : 0;
+      let height = opts.height ? parseImageSize(opts.height, dpi) : 0;
+      if (isNaN(width) || isNaN(height)) return usage;
+      if (!width && !height) {
+        width = canvas.width;
+        height = canvas.height;
+      } else if (!height) {
+        height = Math.round(width / aspect);
+      } else if (!width) {
+        width = Math.round(height * aspect);
+      }
+      if (width < 1 || height < 1 || width > MAX_IMAGE_SIZE || height > MAX_IMAGE_SIZE) {
+        return `Error: Image size must be between 1 and ${MAX_IMAGE_SIZE} pixels per side`;
+      }
+
+      return (async () => {
+        const image = renderImage(viewer, { width, height, supersample, transparent });
+        const blob = await canvasToPng(image, dpi);
+        downloadFile(blob, filename);
+        return `Saved ${filename} (${width}×${height}${dpi ? `, ${dpi} dpi` : ''}${transparent ? ', transparent' : ''})`;
+      })();
+    },
+
+    // ray [width, height] — render a supersampled image straight to ray.png
+    ray(args) {
+      return commands.png(args ? `ray.png, ${args}` : 'ray.png');
+    },
+
+    // save_session [file]  — everything needed to restore the view exactly
+    save_session(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      let filename = (args || '').trim() || 'session.json';
+      if (!/\.json$/i.test(filename)) filename += '.json';
+      const session = serializeSession(viewer, { namedSelections, customColors: CUSTOM_COLORS });
+      downloadFile(JSON.stringify(session), filename, 'application/json');
+      return `Saved session to ${filename} (${session.structures.length} structure${session.structures.length !== 1 ? 's' : ''})`;
+    },
+
+    // load_session (file picker)  |  load_session <url>
+    load_session(args) {
+      const url = (args || '').trim();
+      return (async () => {
+        const session = url ? await fetchSession(url) : await pickSessionFile();
+        return loadSession(session);
+      })();
+    },
+
+    // load_template [url] — bond templates from a CCD component CIF file (file picker without url)
+    load_template(args) {
+      const url = (args || '').trim();
+      return (async () => {
+        const { text, name } = url ? await fetchComponentFile(url) : await pickComponentFile();
+        const ids = registerComponentTemplates(text);
+        const updated = viewer.reapplyTemplates(new Set(ids));
+        const list = ids.length > 10 ? `${ids.slice(0, 10).join(', ')}, … (${ids.length})` : ids.join(', ');
+        const lines = [`Registered bond template${ids.length !== 1 ? 's' : ''} from ${name}: ${list}`];
+        if (updated > 0) lines.push(`Re-bonded ${updated} loaded residue${updated !== 1 ? 's' : ''}`);
+        return lines.join('\n');
+      })();
+    },
+
+    // share — link that reopens the current view: structure IDs + commands when
+    // they rebuild it, else the session compressed into the URL
+    share() {
+      if (!getModel()) return 'Error: No structure loaded';
+      const replay = replayableShare();
+      const session = replay ? null : serializeSession(viewer, { namedSelections, customColors: CUSTOM_COLORS });
+      return (async () => {
+        const url = replay ? buildShareUrl(replay) : buildShareUrl({ session: await encodeSessionBlob(session) });
+        let copied = false;
+        try {
+          await navigator.clipboard.writeText(url);
+          copied = true;
+        } catch {
+          // Clipboard needs page focus / permission; the link is printed anyway
+        }
+        const n = replay ? replay.commands.length : 0;
+        const form = replay
+          ? `structure IDs + ${n} command${n !== 1 ? 's' : ''}, camera not included`
+          : 'session snapshot';
+        const lines = [`Share link (${form}; ${url.length} characters${copied ? ', copied to clipboard' : ''}):`, url];
+        if (url.length > SHARE_URL_WARN_LENGTH) {
+          lines.push('Some chat and mail clients cut links this long — save_session writes the same view to a file');
+        }
+        return lines.join('\n');
+      })();
+    },
+
+    // Multi-model frames (states are 1-based, as in PyMOL)
+    frame(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      const count = viewer.getFrameCount();
+      if (!args || !args.trim()) return `Frame ${viewer.currentFrame + 1} of ${count}`;
+      const n = parseInt(args.trim());
+      if (isNaN(n)) return 'Usage: frame <n>';
+      if (n < 1 || n > count) return `Error: Frame ${n} out of range (1-${count})`;
+      // Switch before stopping: a surface kept through playback is rebuilt once, for frame n
+      viewer.setFrame(n - 1);
+      viewer.stopFrames();
+      return `Frame ${n} of ${count}`;
+    },
+
+    mplay(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      const fps = args && args.trim() ? parseFloat(args) : 10;
+      if (isNaN(fps) || fps <= 0) return 'Usage: mplay [fps]';
+      if (!viewer.playFrames(fps)) return 'Error: Only one frame loaded — nothing to play';
+      return `Playing ${viewer.getFrameCount()} frames at ${fps} fps (mstop to stop)`;
+    },
+
+    mstop() {
+      if (!viewer.stopFrames()) return 'Playback not running';
+      return `Stopped at frame ${viewer.currentFrame + 1} of ${viewer.getFrameCount()}`;
+    },
+
+    states() {
+      const sm = viewer.structureManager;
+      if (sm.count === 0) return 'Error: No structures loaded';
+      const lines = [`Frame ${viewer.currentFrame + 1} of ${viewer.getFrameCount()}${viewer.isPlayingFrames() ? ' (playing)' : ''}`];
+      for (const entry of sm._orderedEntries()) {
+        const frames = entry.model.frames ? entry.model.frames.length : 1;
+        lines.push(`  ${entry.name}: ${frames} state${frames !== 1 ? 's' : ''}, showing ${(entry.model.currentFrame || 0) + 1}`);
+      }
+      return lines.join('\n');
+    },
+
+    // Missing residues (REMARK 465), chain breaks and missing atoms (REMARK 470): gaps [sel]
+    gaps(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      const indices = args && args.trim() ? sel(args) : null;
+      const inSelection = (res) => {
+        if (!indices) return true;
+        for (let j = res.atomStart; j < res.atomEnd; j++) if (indices.has(j)) return true;
+        return false;
+      };
+      const sm = viewer.structureManager;
+
+      const lines = [];
+      const incomplete = [];
+      let gapCount = 0;
+      for (const chain of model.chains) {
+        const residues = model.residues.slice(chain.residueStart, chain.residueEnd);
+        if (!residues.some(inSelection)) continue;
+        for (const res of residues) if (res.missingAtoms && inSelection(res)) incomplete.push(res);
+        const gaps = chainGaps(model, chain);
+        if (gaps.length === 0 && !chain.seqres) continue;
+
+        let label = chain.id;
+        if (sm.count > 1) {
+          const owner = sm.getStructureForAtom(residues[0].atomStart);
+          if (owner) label = `${owner.name}/${chain.id}`;
+        }
+        const modelled = chainSequence(model, chain).filter(it => it.residue >= 0).length;
+        const deposited = chain.seqres ? ` of ${chain.seqres.length} deposited` : '';
+        lines.push(`Chain ${label}: ${modelled}${deposited} residues modelled, ${gaps.length} gap${gaps.length !== 1 ? 's' : ''}`);
+        for (const gap of gaps) lines.push(`  ${describeGap(model, gap)}`);
+        gapCount += gaps.length;
+      }
+
+      if (incomplete.length > 0) {
+        lines.push(`${incomplete.length} residue${incomplete.length !== 1 ? 's' : ''} missing atoms:`);
+        for (const res of incomplete.slice(0, 20)) {
+          lines.push(`  ${res.name} ${res.chainId}:${res.seq}${res.iCode && res.iCode !== ' ' ? res.iCode : ''}  ${res.missingAtoms.join(' ')}`);
+        }
+        if (incomplete.length > 20) lines.push(`  ... and ${incomplete.length - 20} more`);
+      }
+      if (gapCount === 0 && incomplete.length === 0) {
+        return `No missing residues or chain breaks${indices ? ' in selection' : ''}`;
+      }
+      return lines.join('\n');
+    },
+
+    // Molecule properties (SD tags) from SDF / MOL2 files: props [sel]
+    props(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      const indices = sel(args && args.trim() ? args : 'all');
+      const withProps = model.residues.filter(res => {
+        if (!res.props) return false;
+        for (let j = res.atomStart; j < res.atomEnd; j++) if (indices.has(j)) return true;
+        return false;
+      });
+      if (withProps.length === 0) return `No molecule properties${args && args.trim() ? ' in selection' : ''} (SD tags come from SDF / MOL2 files)`;
+      const lines = [];
+      for (const res of withProps.slice(0, 50)) {
+        const { [TITLE_PROPERTY]: title, ...tags } = res.props;
+        lines.push(`${res.name} ${res.chainId}:${res.seq}${title ? `  ${title}` : ''}`);
+        for (const [key, value] of Object.entries(tags)) lines.push(`  ${key} = ${String(value).replace(/\n/g, ' / ')}`);
+      }
+      if (withProps.length > 50) lines.push(`... and ${withProps.length - 50} more`);
+      lines.push('Select with p.<tag> (e.g. select best, p.score < -8)');
+      return lines.join('\n');
+    },
+
+    // Alternate conformers: altloc B, resi 45  |  altloc (list)
+    altloc(args) {
+      const model = getModel();
+      if (!model) return 'Error: No structure loaded';
+      if (!args || !args.trim()) {
+        const entries = viewer.getAltLocResidues();
+        if (entries.length === 0) return 'No residues with alternate locations';
+        const lines = [`${entries.length} residue${entries.length !== 1 ? 's' : ''} with alternate locations:`];
+        for (const { residue, shown } of entries) {
+          lines.push(`  ${residue.name} ${residue.chainId}:${residue.seq}${residue.iCode && residue.iCode !== ' ' ? residue.iCode : ''}  altLocs ${residue.altLocs.join(',')}  showing ${shown || '-'}`);
+        }
+        return lines.join('\n');
+      }
+      const [code, selStr] = splitComma(args);
+      if (!/^[A-Za-z0-9]$/.test(code)) return 'Usage: altloc <code>[, <selection>]';
+      const indices = selStr ? sel(selStr) : null;
+      const switched = viewer.setAltLoc(code.toUpperCase(), indices);
+      if (switched === 0) return `Error: No residues with altLoc ${code.toUpperCase()}${selStr ? ' in selection' : ''}`;
+      return `Showing altLoc ${code.toUpperCase()} for ${switched} residue${switched !== 1 ? 's' : ''}`;
+    },
+
+    // DSSP secondary structure from backbone H-bonds: dss  |  dss chain A
+    dss(args) {
+      if (!getModel()) return 'Error: No structure loaded';
+      const indices = args && args.trim() ? sel(args) : null;
+      if (indices && indices.size === 0) return 'Error: No atoms match selection';
+      const { helix, sheet } = viewer.assignSecondaryStructure(indices);
+      return `Assigned secondary structure: ${helix} helix, ${sheet} strand residue${helix + sheet !== 1 ? 's' : ''}`;
+    },
+
+    // Undo / redo: undo [n]  |  undo ai (back through the last AI response)  |  redo [n]
+    undo(args) {
+      const arg = (args || '').trim().toLowerCase();
+      let steps = 1;
+      if (arg === 'ai') {
+        steps = history.stepsToKind('ai');
+        if (steps === 0) return 'No AI response to undo';
+      } else if (arg) {
+        steps = parseInt(arg);
+        if (isNaN(steps) || steps < 1) return 'Usage: undo [n | ai]';
+      }
+      return replayHistory(() => history.undo(), steps, 'Undid', 'Nothing to undo');
+    },
+
+    redo(args) {
+      const steps = args && args.trim() ? parseInt(args) : 1;
+      if (isNaN(steps) || steps < 1) return 'Usage: redo [n]';
+      return replayHistory(() => history.redo(), steps, 'Redid', 'Nothing to redo');
+    },
+
+    // Scripts: run [url] — run a .pml command script (file picker without a URL)
+    run(args, ctx) {
+      const url = (args || '').trim();
+      return (async () => {
+        const { text, name } = url ? await fetchScript(url) : await pickScriptFile();
+        return runScript(text, name, ctx);
+      })();
+    },
+
+    // alias <name>, <cmd1>; <cmd2>  |  alias <name>  (show)  |  alias <name>,  (remove)  |  alias (list)
+    alias(args) {
+      if (!args || !args.trim()) {
+        if (aliases.size === 0) return 'No aliases defined. Usage: alias <name>, <cmd1>; <cmd2>; ...';
+        return ['Aliases:', ...[...aliases].map(([name, body]) => `  ${name}: ${body}`)].join('\n');
+      }
+      const hasBody = args.includes(',');
+      const [rawName, body] = splitComma(args);
+      const name = rawName.toLowerCase();
+      if (!/^[a-z_]\w*$/.test(name)) return 'Usage: alias <name>, <cmd1>; <cmd2>; ...';
+      if (commands[name]) return `Error: "${name}" is a built-in command`;
+      if (!hasBody) return aliases.has(name) ? `${name}: ${aliases.get(name)}` : `No alias named "${name}"`;
+      if (!body) {
+        if (!aliases.delete(name)) return `Error: No alias named "${name}"`;
+        saveAliases(aliases);
+        return `Removed alias ${name}`;
+      }
+      const count = splitCommands(body).length;
+      if (count === 0) return 'Usage: alias <name>, <cmd1>; <cmd2>; ...';
+      aliases.set(name, body);
+      saveAliases(aliases);
+      return `Defined alias ${name} (${count} command${count !== 1 ? 's' : ''})`;
+    },
+
     help() {
       return [
         'Commands:',
@@ -867,7 +1539,7 @@ export function createCommandInterpreter(viewer) {
         '  color <color>, <sel>  Color atoms (default: all)',
         '  show [rep,] <sel>     Show atoms; if rep given, assign that representation',
         '  hide <sel>            Hide atoms',
-        '  represent <mode>      cartoon | sticks | spheres | ball_and_stick (alias: rep)',
+        '  represent <mode>      cartoon | sticks | spheres | ball_and_stick | lines | surface | mesh | dots | putty (alias: rep)',
         '  zoom <sel>            Fit camera to selection',
         '  center <sel>          Orbit around selection centroid',
         '  orient <sel>          Orient for best view of selection',
@@ -876,24 +1548,84 @@ export function createCommandInterpreter(viewer) {
         '  bg_color <color>      Set background color',
         '  count_atoms <sel>     Count atoms in selection',
         '  selections / ls       List named selections',
-        '  delete <name>         Delete named selection',
+        '  delete <name>         Delete named selection or measurement',
         '  bond <s1>, <s2>[, cut]  Add bonds between selections (covalent radii or cutoff)',
         '  unbond <s1>, <s2>     Remove bonds between selections',
         '  contacts <type>, <s1>, <s2>[, cut]  Show interaction overlay (hbonds/salt_bridges/covalent/distance)',
+        '  contacts links[, s1, s2]  Show SSBOND / LINK records (disulfides, glycans, metals) as dashed lines;',
+        '                            metal links are not bonds, so this is the only way they are drawn',
         '  contacts list [type]  List individual interaction distances',
         '  contacts clear [type] Clear interaction overlays',
         '  distance <s1>, <s2>   Measure distance between selections (alias: get_distance)',
+        '  distance <name>, <a1>, <a2>  Named distance object between two atoms',
+        '  angle [name,] <a1>, <a2>, <a3>  Angle object (vertex a2)',
+        '  dihedral [name,] <a1>, <a2>, <a3>, <a4>  Dihedral (torsion) object',
+        '  measure <kind>|off    Click 2/3/4 atoms to create distance/angle/dihedral objects',
+        '  measurements [clear]  List (or remove all) measurements; delete <name> removes one',
+        '  label <sel>, <expr>   Text labels (expr: resn+resi, name, b, chain, "%s-%s" % (resn, resi))',
+        '  label <sel>           Remove labels; hide/show labels[, <sel>] toggles them',
+        '  set label_color|label_size|label_offset, <val>[, <sel>]  Label style (size px, offset [x, y] px)',
         '  set <key>, <val>[, <sel>]  Set property (sphere_scale, stick_radius)',
+        '  set fetch_url, <fmt>, <url>  Download URL template for fetch ({id}, {id_lower})',
+        '  set picking, <mode>   Click selects atom | residue | chain | object into "sele"',
+        '  show surface|mesh, <sel>  Molecular surface (solid or wireframe) around the selection',
+        '  show dots, <sel>      Dotted VDW surface (points buried in other dotted atoms are dropped)',
+        '  set surface_type, ses|sas  Solvent-excluded (default) or solvent-accessible surface',
+        '  set solvent_radius, <Å>  Probe radius for surfaces (default 1.4)',
+        '  set transparency, <0-1>  Surface / mesh transparency',
+        '  show putty, <sel>     Tube whose radius follows B-factor (flexibility at a glance)',
+        '  set putty_property|putty_radius|putty_transform, <val>  b|q|resi|id; [min, max] Å; linear|sqrt|square|log',
+        '  set valence, on|off   Double / triple / aromatic bonds in sticks, ball-and-stick, lines',
         '  spectrum <p>, <pal>, <sel>  Gradient color (p: count/b/chain)',
         '  set_color <name>, [r,g,b]  Define custom color',
         '  util.cbc <sel>        Color by chain (distinct colors)',
         '  util.ss <sel>         Color by secondary structure',
+        '  dss [sel]             Assign helix/strand/turn from backbone H-bonds (DSSP)',
         '',
         'Multi-structure:',
-        '  load <PDB_ID>         Fetch & add structure from RCSB',
+        '  load <PDB_ID>[, format=fmt]  Fetch & add structure (fmt: pdb/cif/bcif; alias: fetch)',
+        '  assembly [<id>[, <structure>]]  Build a biological assembly (REMARK 350) as a new structure; no args lists them',
         '  align <mob>, <tgt>    Superpose mobile onto target (Kabsch on CAs)',
         '  remove <sel>          Remove atoms matching selection (e.g., remove solvent). Also removes a structure by name.',
         '  list                  List all loaded structures',
+        '  save <file>[, <sel>][, fmt]  Download atoms as pdb/cif/sdf/xyz (current coordinates)',
+        '  save_session [file]   Download full viewer state as JSON',
+        '  share                 Link that reopens this view (copied to the clipboard)',
+        '  load_session [url]    Restore a session (file picker without url)',
+        '  load_template [url]   Bonds / bond orders for ligands from a CCD component CIF file',
+        '',
+        'Images:',
+        '  png <file>[, w, h, dpi, transparent]  Render & download PNG (sizes in px or cm/mm/in)',
+        '  png <file>, width=8.5cm, dpi=300  Keyword form; supersample=1-4 (default 2)',
+        '  ray [w, h]            Render supersampled ray.png',
+        '',
+        'Multi-model (NMR ensembles, trajectories):',
+        '  frame <n>             Show state n (1-based); no arg reports current',
+        '  mplay [fps]           Animate through states (default 10 fps)',
+        '  mstop                 Stop animation',
+        '  states                List state counts per structure',
+        '',
+        'Alternate conformers:',
+        '  altloc <code>[, <sel>]  Display altLoc code for residues in selection',
+        '  altloc                List residues with alternate locations',
+        '',
+        'Missing residues (SEQRES / REMARK 465 / REMARK 470):',
+        '  gaps [sel]            List missing residues, chain breaks and residues missing atoms',
+        '',
+        'Small molecules (drop .sdf / .mol / .mol2 files; poses of one molecule are frames, other molecules structures):',
+        '  props [sel]           List molecule properties (SD tags)',
+        '  label <sel>, p.<tag>  Label molecules with a property',
+        '',
+        'Undo:',
+        '  undo [n]              Undo the last command(s); an AI response counts as one step',
+        '  undo ai               Undo everything back through the last AI response',
+        '  redo [n]              Redo undone steps (Ctrl+Z / Ctrl+Shift+Z in an empty console input)',
+        '',
+        'Scripts:',
+        '  run [url]             Run a .pml command script (file picker without a URL; or drop the file)',
+        '  alias <name>, <cmd1>; <cmd2>  Define a command that runs the given commands',
+        '  alias [<name>]        List aliases (or show one); alias <name>, removes it',
+        '  set script_on_error, stop|continue  Whether scripts stop at a failed command (default stop)',
         '',
         'Representations:',
         '  as <name>             Switch representation mode',
@@ -909,15 +1641,20 @@ export function createCommandInterpreter(viewer) {
         '  resn ALA+GLY          Residue names',
         '  name CA+CB            Atom names',
         '  elem C+N              Element symbols',
-        '  ss H+S                Secondary structure (H=helix, S=sheet)',
+        '  ss H+S+T              Secondary structure (H=helix, S=sheet, T=DSSP turn)',
         '  model 1CRN            Select atoms from a specific structure',
         '  backbone / sidechain  Backbone or sidechain atoms',
         '  hetatm / polymer      HETATM or standard residue atoms',
+        '  nucleic / dna / rna   Standard nucleotides (all, DNA or RNA)',
         '  organic / inorganic   Non-polymer molecules (with/without carbon)',
         '  solvent / water       Water molecules',
         '  hydrogens / metals    Hydrogen atoms / metal ions',
+        '  disulfides            Cysteines joined by a disulfide (SSBOND or SG-SG bond)',
         '  pepseq ACDE           Match amino acid sequence',
         '  b > 30 / b < 20      B-factor comparisons (>, <, >=, <=, =)',
+        '  q < 1.0               Occupancy comparisons',
+        "  alt A+B / alt ''      Alternate location codes ('' = no altLoc)",
+        '  p.score < -8          Molecule property (SD tag); p.<tag> alone = molecules that have it',
         '  neighbor <sel>        Atoms bonded to selection',
         '  index 1-100 / id 1-100  By atom index or PDB serial',
         '  all / none            All or no atoms',
@@ -942,7 +1679,7 @@ export function createCommandInterpreter(viewer) {
   // util.* commands (dot notation requires bracket access)
   commands['util.cbc'] = function(args) {
     const model = getModel();
-    if (!model) return 'No structure loaded';
+    if (!model) return 'Error: No structure loaded';
     const indices = args ? sel(args) : sel('all');
     const { atoms } = model;
     const chainIds = [...new Set(model.chains.map(c => c.id))];
@@ -959,7 +1696,7 @@ export function createCommandInterpreter(viewer) {
 
   commands['util.ss'] = function(args) {
     const model = getModel();
-    if (!model) return 'No structure loaded';
+    if (!model) return 'Error: No structure loaded';
     const indices = args ? sel(args) : sel('all');
     const { residues } = model;
     const SS_COLORS = { [SS_HELIX]: 0xFF0000, [SS_SHEET]: 0xFFFF00 };
@@ -975,25 +1712,376 @@ export function createCommandInterpreter(viewer) {
     return `Colored ${indices.size} atoms by secondary structure`;
   };
 
-  function execute(line) {
+  /** Apply up to `steps` undo / redo steps and describe them */
+  function replayHistory(stepFn, steps, verb, emptyMessage) {
+    const done = [];
+    let structuresChanged = false;
+    for (let k = 0; k < steps; k++) {
+      const step = stepFn();
+      if (!step) break;
+      done.push(step.label);
+      structuresChanged = structuresChanged || step.structuresChanged;
+    }
+    if (done.length === 0) return emptyMessage;
+    measurePicks = [];
+    if (structuresChanged) {
+      const info = viewer.getInfo();
+      if (info) GameEvents.emit('viewerLoaded', info);
+    }
+    if (done.length === 1) return `${verb}: ${done[0]}`;
+    return [`${verb} ${done.length} steps:`, ...done.map(label => `  ${label}`)].join('\n');
+  }
+
+  // ---- Scripts and aliases ----
+
+  /**
+   * Run command lines in order, waiting for async ones (fetch, load, ...)
+   * before starting the next. All of them undo as one step: the caller's
+   * undo group when run from a script, alias or AI response, else a new one.
+   *
+   * @param {{ line: number|null, text: string }[]} entries - Commands with script line numbers
+   * @param {string} source - Script or alias name for the summary
+   * @param {string} label - Undo step label
+   * @param {{ depth: number, group: Object|null }|null} [ctx] - Context of the calling command
+   * @returns {string|Promise<string>} Echoed commands, their results and a summary
+   */
+  function runCommandLines(entries, source, label, ctx = null) {
+    const depth = ctx ? ctx.depth : 0;
+    if (depth >= MAX_SCRIPT_DEPTH) return `Error: scripts nested more than ${MAX_SCRIPT_DEPTH} deep (${source})`;
+    const ownGroup = ctx && ctx.group ? null : history.beginGroup(label, 'script');
+    // failed: set by a nested script or alias that stopped
+    const inner = { depth: depth + 1, group: ownGroup || ctx.group, failed: false };
+
+    const out = [];
+    let next = 0;
+    let errors = 0;
+    let stoppedAt = null;
+
+    const finish = () => {
+      if (ownGroup) history.endGroup(ownGroup);
+      if (stoppedAt && ctx) ctx.failed = true;
+      if (stoppedAt) {
+        const where = stoppedAt.line ? `line ${stoppedAt.line}` : `"${stoppedAt.text}"`;
+        out.push(`Error: stopped ${source} at ${where} (set script_on_error, continue to keep going)`);
+      } else {
+        const ran = entries.length;
+        out.push(`Ran ${ran} command${ran !== 1 ? 's' : ''} from ${source}` + (errors > 0 ? `, ${errors} failed` : ''));
+      }
+      return out.join('\n');
+    };
+
+    /** @returns {boolean} false to stop the run */
+    const record = (entry, result) => {
+      if (result) out.push(String(result));
+      const failed = isErrorResult(result) || inner.failed;
+      inner.failed = false;
+      if (!failed) return true;
+      errors++;
+      if (scriptOnError === 'continue') return true;
+      stoppedAt = entry;
+      return false;
+    };
+
+    const runFrom = () => {
+      while (next < entries.length) {
+        const entry = entries[next++];
+        out.push(`> ${entry.text}`);
+        const result = execute(entry.text, inner);
+        if (result && typeof result.then === 'function') {
+          return result.then(r => (record(entry, r) ? runFrom() : finish()));
+        }
+        if (!record(entry, result)) return finish();
+      }
+      return finish();
+    };
+    return runFrom();
+  }
+
+  /**
+   * Run a command script's text (contents of a .pml file).
+   * @param {string} text
+   * @param {string} name - File name for messages
+   * @param {Object|null} [ctx] - Context of the calling command (see execute)
+   * @returns {string|Promise<string>}
+   */
+  function runScript(text, name, ctx = null) {
+    const entries = parseScript(text);
+    if (entries.length === 0) return `No commands in ${name}`;
+    return runCommandLines(entries, name, `run ${name}`, ctx);
+  }
+
+  function runAlias(name, ctx) {
+    const entries = splitCommands(aliases.get(name)).map(text => ({ line: null, text }));
+    return runCommandLines(entries, `alias ${name}`, name, ctx);
+  }
+
+  function getAliases() {
+    return aliases;
+  }
+
+  /**
+   * Replace the viewer contents with a parsed session (load_session, shared links).
+   * @param {Object} session - serializeSession() output
+   * @returns {string} Result message
+   */
+  function loadSession(session) {
+    const count = restoreSession(viewer, session, { namedSelections, defineColor });
+    const info = viewer.getInfo();
+    if (info) GameEvents.emit('viewerLoaded', info);
+    return `Restored session with ${count} structure${count !== 1 ? 's' : ''}`;
+  }
+
+  /**
+   * Run one command line.
+   * @param {string} line
+   * @param {{ depth: number, group: Object|null }|null} [ctx] - Set for commands run by a
+   *   script, alias or AI response: script nesting depth and the undo group they join
+   * @returns {string|Promise<string>|null}
+   */
+  function execute(line, ctx = null) {
     const parsed = parseCommand(line);
     if (!parsed) return null;
 
     const handler = commands[parsed.cmd];
-    if (!handler) return `Unknown command: "${parsed.cmd}". Type "help" for available commands.`;
+    if (!handler && aliases.has(parsed.cmd)) return runAlias(parsed.cmd, ctx);
+    if (!handler) return `Error: Unknown command: "${parsed.cmd}". Type "help" for available commands.`;
 
+    const undoToken = history.begin(parsed.cmd, parsed.args, line.trim(), ctx && ctx.group);
     try {
-      const result = handler(parsed.args);
+      const result = handler(parsed.args, ctx);
       // If the handler returns a Promise (e.g. load command), wrap errors
       if (result && typeof result.then === 'function') {
-        return result.catch(e => `Error: ${e.message}`);
+        return result
+          .catch(e => `Error: ${e.message}`)
+          .then(msg => { history.commit(undoToken, msg); logForShare(parsed, line.trim(), msg); return msg; })
+          .finally(syncPickHighlightIfChanged);
       }
+      history.commit(undoToken, result);
+      logForShare(parsed, line.trim(), result);
+      syncPickHighlightIfChanged();
       return result;
     } catch (e) {
       return `Error: ${e.message}`;
     }
   }
 
+  // ---- Measurements ----
+
+  /** First free auto name for a measurement kind: dist01, angle02, ... */
+  function nextMeasurementName(kind) {
+    const prefix = MEASUREMENT_KINDS[kind].prefix;
+    const taken = new Set(viewer.getMeasurements().map(m => m.name));
+    for (let n = 1; ; n++) {
+      const name = prefix + String(n).padStart(2, '0');
+      if (!taken.has(name)) return name;
+    }
+  }
+
+  /** Create a measurement object and describe it */
+  function createMeasurement(name, atoms) {
+    const model = getModel();
+    const m = viewer.addMeasurement(name, atoms);
+    const kindLabel = m.kind[0].toUpperCase() + m.kind.slice(1);
+    return `${kindLabel} "${m.name}": ${formatMeasurement(m.kind, m.value)}  ` +
+      `(${atoms.map(i => atomLabel(model, i)).join(' \u2014 ')})`;
+  }
+
+  /**
+   * distance/angle/dihedral with selection arguments: an optional leading
+   * name, then one single-atom selection per measured atom.
+   */
+  function measureCommand(kind, parts) {
+    if (!getModel()) return 'Error: No structure loaded';
+    const needed = MEASUREMENT_KINDS[kind].atoms;
+    const name = parts.length > needed ? parts[0].toLowerCase() : nextMeasurementName(kind);
+    const atoms = parts.slice(parts.length - needed).map((str, k) => {
+      const indices = sel(str);
+      if (indices.size !== 1) {
+        throw new Error(`Selection ${k + 1} ("${str}") matched ${indices.size} atoms; ${kind} needs exactly one atom per selection`);
+      }
+      return indices.values().next().value;
+    });
+    if (new Set(atoms).size !== atoms.length) throw new Error(`The ${kind} atoms must be distinct`);
+    return createMeasurement(name, atoms);
+  }
+
+  // ---- Share links ----
+
+  /** Keep a successful command for share links, or note that replaying can't rebuild the view */
+  function logForShare({ cmd, args }, line, result) {
+    if (isErrorResult(result)) return;
+    if (SHARE_BREAKING_COMMANDS.has(cmd)) {
+      shareLog.replayable = false;
+      return;
+    }
+    // Frames are view state the replay must restore; the camera is left out
+    if (isUnrecorded(cmd, args) && cmd !== 'frame') return;
+    // A clicked "sele" isn't in the log
+    if (shareLog.seleClicked && /\bsele\b/i.test(args || '')) shareLog.replayable = false;
+    if (!shareLog.base) shareLog.base = structureModels().filter(m => !fetchedByCommand.has(m));
+    shareLog.commands.push(line);
+  }
+
+  function structureModels() {
+    const sm = viewer.structureManager;
+    return sm.getStructureNames().map(name => sm.getStructure(name).model);
+  }
+
+  /**
+   * Share URL options reopening the view from PDB IDs and the command log:
+   * every structure was fetched (before the first logged command, or by a
+   * logged fetch) and no change happened outside the log.
+   * @returns {{ pdbIds: string[], format: string|null, commands: string[] }|null}
+   */
+  function replayableShare() {
+    if (!shareLog.replayable || (viewer.legendOverlay && viewer.legendOverlay.getState())) return null;
+    const models = structureModels();
+    const base = shareLog.base || models;
+    if (base.length === 0 || base.some((m, k) => models[k] !== m)) return null;
+    if (models.slice(base.length).some(m => !fetchedByCommand.has(m))) return null;
+    const sources = base.map(m => m.source);
+    if (sources.some(s => !s || s.format !== sources[0].format)) return null;
+    return { pdbIds: sources.map(s => s.pdbId), format: sources[0].format, commands: shareLog.commands };
+  }
+
+  /** A change made outside commands (toolbar): share falls back to the session */
+  function noteExternalChange() {
+    shareLog.replayable = false;
+  }
+
+  // ---- Mouse picking ----
+
+  /**
+   * Keep the viewer's pick markers on pending measurement picks, else on
+   * "sele", and let the UI (sequence panel) follow "sele".
+   */
+  function syncPickHighlight() {
+    shownSele = namedSelections.version('sele');
+    shownPicks = measurePicks.length;
+    viewer.setPickHighlight(measurePicks.length > 0 ? measurePicks : namedSelections.get('sele') || null);
+    GameEvents.emit('viewerSelectionChanged', { sele: namedSelections.get('sele') || null });
+  }
+
+  /** syncPickHighlight after a command, if it changed "sele" or the measurement picks */
+  function syncPickHighlightIfChanged() {
+    if (namedSelections.version('sele') !== shownSele || measurePicks.length !== shownPicks) syncPickHighlight();
+  }
+
+  /** Collect a click for the current measurement; complete it once enough atoms are picked */
+  function pickMeasurement(atomIndex) {
+    const model = getModel();
+    if (atomIndex < 0) {
+      if (measurePicks.length === 0) return null;
+      measurePicks = [];
+      syncPickHighlight();
+      return 'Measurement picks cleared';
+    }
+    if (measurePicks.includes(atomIndex)) return null;
+
+    measurePicks.push(atomIndex);
+    const owner = viewer.structureManager.getStructureForAtom(atomIndex);
+    const clicked = `You clicked ${atomMacro(model, atomIndex, owner ? owner.name : '')}`;
+    const needed = MEASUREMENT_KINDS[measureMode].atoms;
+    if (measurePicks.length < needed) {
+      syncPickHighlight();
+      const left = needed - measurePicks.length;
+      return `${clicked}\nPick ${left} more atom${left !== 1 ? 's' : ''} for the ${measureMode}`;
+    }
+
+    const atoms = measurePicks;
+    measurePicks = [];
+    shareLog.replayable = false;
+    syncPickHighlight();
+    return `${clicked}\n${createMeasurement(nextMeasurementName(measureMode), atoms)}`;
+  }
+
+  /** Atoms covered by a click on `atomIndex` at the current picking granularity */
+  function expandPick(atomIndex) {
+    const model = getModel();
+    if (pickMode === 'atom') return [atomIndex];
+
+    const owner = viewer.structureManager.getStructureForAtom(atomIndex);
+    const start = owner ? owner.entry.atomOffset : 0;
+    const end = owner ? start + owner.entry.atomCount : model.atomCount;
+    const range = (from, to) => Array.from({ length: to - from }, (_, k) => from + k);
+
+    if (pickMode === 'object') return range(start, end);
+    if (pickMode === 'chain') {
+      const chainId = model.atoms[atomIndex].chainId;
+      return range(start, end).filter(i => model.atoms[i].chainId === chainId);
+    }
+    const ri = findResidueIndex(model, atomIndex);
+    if (ri < 0) return [atomIndex];
+    return range(model.residues[ri].atomStart, model.residues[ri].atomEnd);
+  }
+
+  /**
+   * Apply a click to the live "sele" selection. The atom, residue, chain
+   * or object under the cursor (per `set picking`) is added, or removed if
+   * it is already fully selected; clicking empty space clears "sele".
+   * In measurement mode clicks collect measurement atoms instead.
+   *
+   * @param {number} atomIndex - PDBViewer.pickAtom result (-1 = background)
+   * @returns {string|null} Console message, or null if nothing changed
+   */
+  function pick(atomIndex) {
+    const model = getModel();
+    if (!model) return null;
+    if (measureMode) return pickMeasurement(atomIndex);
+
+    if (atomIndex < 0) {
+      if (!namedSelections.has('sele')) return null;
+      namedSelections.delete('sele');
+      shareLog.seleClicked = true;
+      syncPickHighlight();
+      return 'Selection "sele" cleared';
+    }
+
+    const picked = expandPick(atomIndex);
+    const owner = viewer.structureManager.getStructureForAtom(atomIndex);
+    return `You clicked ${atomMacro(model, atomIndex, owner ? owner.name : '')}\n` + toggleSele(picked);
+  }
+
+  /**
+   * Apply a sequence panel click or drag to "sele": the residues are
+   * added, or removed if they are all selected already (as in pick).
+   *
+   * @param {number[]} residueIndices - Indices into model.residues
+   * @returns {string|null} Console message, or null if nothing changed
+   */
+  function pickResidues(residueIndices) {
+    const model = getModel();
+    if (!model || residueIndices.length === 0) return null;
+
+    const picked = [];
+    for (const ri of residueIndices) {
+      const res = model.residues[ri];
+      for (let j = res.atomStart; j < res.atomEnd; j++) picked.push(j);
+    }
+    const first = model.residues[residueIndices[0]];
+    const last = model.residues[residueIndices[residueIndices.length - 1]];
+    const resLabel = (res) => `${res.seq}${res.iCode && res.iCode !== ' ' ? res.iCode : ''}`;
+    const range = first === last
+      ? `${first.name} ${first.chainId}:${resLabel(first)}`
+      : `${first.chainId}:${resLabel(first)}-${resLabel(last)} (${residueIndices.length} residues)`;
+    return `Sequence: ${range}\n` + toggleSele(picked);
+  }
+
+  /** Add atoms to "sele", or remove them if all are selected already */
+  function toggleSele(picked) {
+    const sele = new Set(namedSelections.get('sele') || []);
+    const deselect = picked.every(i => sele.has(i));
+    for (const i of picked) {
+      if (deselect) sele.delete(i);
+      else sele.add(i);
+    }
+    if (sele.size > 0) namedSelections.set('sele', sele);
+    else namedSelections.delete('sele');
+    shareLog.seleClicked = true;
+    syncPickHighlight();
+    return `Selection "sele" ${deselect ? 'reduced' : 'extended'} by ${picked.length} atoms (${sele.size} total)`;
+  }
+
   function getStructureManager() {
     return viewer.structureManager;
   }
@@ -1102,6 +2190,19 @@ export function createCommandInterpreter(viewer) {
     return 'Contacts: ' + parts.join(', ');
   }
 
+  function summarizeMeasurements() {
+    const list = viewer.getMeasurements();
+    if (list.length === 0) return null;
+    return 'Measurements: ' + list.map(m => `${m.name}(${formatMeasurement(m.kind, m.value)})`).join(', ');
+  }
+
+  function summarizeLabels() {
+    const labels = viewer.getLabels();
+    if (labels.length === 0) return null;
+    const hidden = labels.filter(l => !l.shown).length;
+    return `Labels: ${labels.length}` + (hidden > 0 ? ` (${hidden} hidden)` : '');
+  }
+
   function summarizeSelections() {
     if (namedSelections.size === 0) return null;
     const parts = [];
@@ -1147,6 +2248,8 @@ export function createCommandInterpreter(viewer) {
       summarizeVisibility(),
       summarizeColors(),
       summarizeInteractions(),
+      summarizeMeasurements(),
+      summarizeLabels(),
       summarizeSelections(),
       summarizeScale(),
       summarizeBackground(),
@@ -1155,7 +2258,23 @@ export function createCommandInterpreter(viewer) {
     return parts.length > 0 ? parts.join('\n') : '';
   }
 
-  return { execute, namedSelections, getModel, getBonds, getStructureManager, getVisualState };
+  /**
+   * Open an undo group (e.g. one AI response): commands executed with the
+   * returned context undo as one step once endUndoGroup() closes it.
+   * @param {string} label
+   * @param {string} [kind='ai'] - 'ai' steps are targeted by "undo ai"
+   * @returns {{ depth: number, group: Object }} Context for execute()
+   */
+  function beginUndoGroup(label, kind = 'ai') {
+    return { depth: 0, group: history.beginGroup(label, kind) };
+  }
+
+  /** @param {{ group: Object }} ctx - beginUndoGroup() result */
+  function endUndoGroup(ctx) {
+    if (ctx) history.endGroup(ctx.group);
+  }
+
+  return { execute, pick, pickResidues, beginUndoGroup, endUndoGroup, runScript, getAliases, loadSession, noteExternalChange, namedSelections, getModel, getBonds, getStructureManager, getVisualState };
 }
 
 function parseHexColor(str) {
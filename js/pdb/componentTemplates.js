@@ -0,0 +1,255 @@
+// ============================================================
+// componentTemplates.js — Chemical Component Dictionary bond tables
+// Bundled templates for nucleotides and the most common HET groups
+// (heme, sugars, nucleotide cofactors, buffer and crystallization
+// additives), plus custom templates registered from CCD component
+// CIF files (load_template). Used by bondInference.js for residues
+// that are not standard amino acids.
+//
+// Bundled templates are bond paths over CCD atom names:
+//   A-B single, A=B double, A#B triple, A:B aromatic
+// chained left to right: "O1-C1-C2=O2" is O1-C1, C1-C2 and C2=O2.
+// Hydrogens are left out; bondInference.js bonds them to the nearest
+// heavy atom.
+// ============================================================
+
+import { BOND_ORDERS } from './constants.js';
+import { parseCIF } from './mmcifParser.js';
+
+const { SINGLE, DOUBLE, TRIPLE, AROMATIC } = BOND_ORDERS;
+
+const BOND_SYMBOLS = { '-': SINGLE, '=': DOUBLE, '#': TRIPLE, ':': AROMATIC };
+
+// ---- Bundled templates ----
+
+// Nucleotides: 5' phosphate, sugar and base (attached at C1')
+const PHOSPHATE = "OP3-P-O5' P=OP1 P-OP2";
+const DEOXYRIBOSE = "O5'-C5'-C4'-C3'-C2'-C1' C4'-O4'-C1' C3'-O3'";
+const RIBOSE = `${DEOXYRIBOSE} C2'-O2'`;
+const PURINE = 'N9:C8:N7:C5:C4:N9 C5:C6:N1:C2:N3:C4';
+const ADENINE = `C1'-N9 ${PURINE} C6-N6`;
+const GUANINE = `C1'-N9 ${PURINE} C6=O6 C2-N2`;
+const HYPOXANTHINE = `C1'-N9 ${PURINE} C6=O6`;
+const PYRIMIDINE = 'N1:C2:N3:C4:C5:C6:N1 C2=O2';
+const CYTOSINE = `C1'-N1 ${PYRIMIDINE} C4-N4`;
+const URACIL = `C1'-N1 ${PYRIMIDINE} C4=O4`;
+const THYMINE = `${URACIL} C5-C7`;
+
+// Nucleotide phosphates (ATP / ADP / AMP naming)
+const TRIPHOSPHATE = "PG=O1G PG-O2G PG-O3G PG-O3B-PB PB=O1B PB-O2B PB-O3A-PA PA=O1A PA-O2A PA-O5'";
+const DIPHOSPHATE = "PB=O1B PB-O2B PB-O3B PB-O3A-PA PA=O1A PA-O2A PA-O5'";
+const MONOPHOSPHATE = "P=O1P P-O2P P-O3P P-O5'";
+
+// Adenosine half of NAD / NADP / FAD (A / B suffixed names)
+const ADENOSINE_B = 'PA=O1A PA-O2A PA-O5B-C5B-C4B-C3B-C2B-C1B C4B-O4B-C1B C3B-O3B C2B-O2B ' +
+  'C1B-N9A N9A:C8A:N7A:C5A:C4A:N9A C5A:C6A:N1A:C2A:N3A:C4A C6A-N6A';
+const NICOTINAMIDE_RIBOSE = 'PN=O1N PN-O2N PN-O5D-C5D-C4D-C3D-C2D-C1D C4D-O4D-C1D C3D-O3D C2D-O2D ' +
+  'C1D-N1N N1N:C2N:C3N:C4N:C5N:C6N:N1N C3N-C7N=O7N C7N-N7N';
+
+// Oxidized isoalloxazine with its ribityl chain (FMN / FAD)
+const FLAVIN = "C9A:C5X:C6:C7:C8:C9:C9A C7-C7M C8-C8M C9A-N10-C10=N1-C2-N3-C4-C4X=N5-C5X " +
+  "C10-C4X C2=O2 C4=O4 O5'-C5'-C4'-C3'-C2'-C1'-N10 C2'-O2' C3'-O3' C4'-O4'";
+
+// Pyranose sugars (O1 is missing when the sugar is linked)
+const DEOXYHEXOSE = 'O1-C1-C2-C3-C4-C5-O5-C1 C2-O2 C3-O3 C4-O4 C5-C6';
+const HEXOSE = `${DEOXYHEXOSE}-O6`;
+const N_ACETYL_HEXOSAMINE = 'O1-C1-C2-C3-C4-C5-O5-C1 C3-O3 C4-O4 C5-C6-O6 C2-N2-C7-C8 C7=O7';
+
+const BUNDLED = {
+  // DNA / RNA
+  DA: `${PHOSPHATE} ${DEOXYRIBOSE} ${ADENINE}`,
+  DC: `${PHOSPHATE} ${DEOXYRIBOSE} ${CYTOSINE}`,
+  DG: `${PHOSPHATE} ${DEOXYRIBOSE} ${GUANINE}`,
+  DT: `${PHOSPHATE} ${DEOXYRIBOSE} ${THYMINE}`,
+  DU: `${PHOSPHATE} ${DEOXYRIBOSE} ${URACIL}`,
+  DI: `${PHOSPHATE} ${DEOXYRIBOSE} ${HYPOXANTHINE}`,
+  A: `${PHOSPHATE} ${RIBOSE} ${ADENINE}`,
+  C: `${PHOSPHATE} ${RIBOSE} ${CYTOSINE}`,
+  G: `${PHOSPHATE} ${RIBOSE} ${GUANINE}`,
+  U: `${PHOSPHATE} ${RIBOSE} ${URACIL}`,
+  I: `${PHOSPHATE} ${RIBOSE} ${HYPOXANTHINE}`,
+
+  // Nucleotides and cofactors
+  ATP: `${TRIPHOSPHATE} ${RIBOSE} ${ADENINE}`,
+  ADP: `${DIPHOSPHATE} ${RIBOSE} ${ADENINE}`,
+  AMP: `${MONOPHOSPHATE} ${RIBOSE} ${ADENINE}`,
+  GTP: `${TRIPHOSPHATE} ${RIBOSE} ${GUANINE}`,
+  GDP: `${DIPHOSPHATE} ${RIBOSE} ${GUANINE}`,
+  NAD: `${ADENOSINE_B} PA-O3-PN ${NICOTINAMIDE_RIBOSE}`,
+  NAP: `${ADENOSINE_B} PA-O3-PN ${NICOTINAMIDE_RIBOSE} O2B-P2B=O1X P2B-O2X P2B-O3X`,
+  FAD: `${ADENOSINE_B} PA-O3P-P P=O1P P-O2P P-O5' ${FLAVIN}`,
+  FMN: `P=O1P P-O2P P-O3P P-O5' ${FLAVIN}`,
+  HEM: 'FE-NA FE-NB FE-NC FE-ND ' +
+    'NA:C1A:C2A:C3A:C4A:NA NB:C1B:C2B:C3B:C4B:NB NC:C1C:C2C:C3C:C4C:NC ND:C1D:C2D:C3D:C4D:ND ' +
+    'C4D:CHA:C1A C4A:CHB:C1B C4B:CHC:C1C C4C:CHD:C1D ' +
+    'C3A-CMA C2A-CAA-CBA-CGA=O1A CGA-O2A C2B-CMB C3B-CAB=CBB ' +
+    'C2C-CMC C3C-CAC=CBC C2D-CMD C3D-CAD-CBD-CGD=O1D CGD-O2D',
+
+  // Sugars
+  NAG: N_ACETYL_HEXOSAMINE,
+  NDG: N_ACETYL_HEXOSAMINE,
+  MAN: HEXOSE,
+  BMA: HEXOSE,
+  GLC: HEXOSE,
+  BGC: HEXOSE,
+  GAL: HEXOSE,
+  GLA: HEXOSE,
+  FUC: DEOXYHEXOSE,
+
+  // Modified amino acids
+  MSE: 'N-CA-C=O C-OXT CA-CB-CG-SE-CE',
+
+  // Ions, buffers and crystallization additives
+  HOH: 'O',
+  SO4: 'O1=S=O2 S-O3 S-O4',
+  PO4: 'P=O1 P-O2 P-O3 P-O4',
+  NO3: 'N=O1 N-O2 N-O3',
+  GOL: 'O1-C1-C2-C3-O3 C2-O2',
+  EDO: 'O1-C1-C2-O2',
+  PEG: 'O1-C1-C2-O2-C3-C4-O4',
+  MPD: 'C1-C2-C3-C4-C5 C2-O2 C2-CM C4-O4',
+  ACT: 'CH3-C=O C-OXT',
+  FMT: 'O1=C-O2',
+  CIT: 'O1=C1-C2-C3-C4-C5=O3 C1-O2 C5-O4 C3-O7 C3-C6=O5 C6-O6',
+  DMS: 'O=S-C1 S-C2',
+  BME: 'O1-C1-C2-S2',
+  TRS: 'N-C-C1-O1 C-C2-O2 C-C3-O3',
+  IMD: 'N1:C2:N3:C4:C5:N1',
+  MES: 'O1-C2-C3-N4-C5-C6-O1 N4-C7-C8-S S=O1S S=O2S S-O3S',
+};
+
+/**
+ * Expand bond paths into a template.
+ * @param {string} paths - Whitespace-separated paths, e.g. "O1-C1-C2=O2"
+ * @returns {{ atoms: Set<string>, bonds: string[][], orders: Array<[string, string, number]> }}
+ */
+function parseBondPaths(paths) {
+  const atoms = new Set();
+  const bonds = [];
+  const orders = [];
+  for (const path of paths.split(/\s+/)) {
+    if (!path) continue;
+    const parts = path.split(/([-=#:])/);
+    atoms.add(parts[0]);
+    for (let k = 1; k + 1 < parts.length; k += 2) {
+      const a = parts[k - 1], b = parts[k + 1];
+      const order = BOND_SYMBOLS[parts[k]];
+      atoms.add(b);
+      bonds.push([a, b]);
+      if (order !== SINGLE) orders.push([a, b, order]);
+    }
+  }
+  return { atoms, bonds, orders };
+}
+
+// ---- Registry ----
+
+const parsedBundled = new Map(); // residue name → template (expanded on first use)
+const customTemplates = new Map(); // residue name → template (load_template)
+
+/**
+ * Template for a residue name: custom templates first, then bundled ones.
+ * @param {string} resName
+ * @returns {{ atoms: Set<string>, bonds: string[][], orders: Array<[string, string, number]> }|null}
+ */
+export function getComponentTemplate(resName) {
+  const custom = customTemplates.get(resName);
+  if (custom) return custom;
+  if (!Object.hasOwn(BUNDLED, resName)) return null;
+  let template = parsedBundled.get(resName);
+  if (!template) {
+    template = parseBondPaths(BUNDLED[resName]);
+    parsedBundled.set(resName, template);
+  }
+  return template;
+}
+
+/** @returns {string[]} Names of the registered custom templates */
+export function customComponentNames() {
+  return [...customTemplates.keys()];
+}
+
+// CCD _chem_comp_bond.value_order → BOND_ORDERS
+const CCD_ORDERS = { SING: SINGLE, DOUB: DOUBLE, TRIP: TRIPLE, AROM: AROMATIC };
+
+/**
+ * Register templates from a Chemical Component Dictionary CIF file
+ * (one or more data blocks with _chem_comp_atom / _chem_comp_bond, as
+ * downloaded from the CCD). Bonds flagged aromatic are drawn aromatic.
+ * Replaces bundled and earlier custom templates with the same name.
+ *
+ * @param {string} text - CIF file contents
+ * @returns {string[]} Component IDs registered
+ * @throws {Error} If the file has no _chem_comp_bond rows
+ */
+export function registerComponentTemplates(text) {
+  const found = new Map(); // comp_id → template
+  const templateFor = (id) => {
+    if (!found.has(id)) found.set(id, { atoms: new Set(), bonds: [], orders: [] });
+    return found.get(id);
+  };
+
+  for (const block of parseCIF(text)) {
+    const atomCat = block.categories.get('chem_comp_atom');
+    if (atomCat && atomCat.columns.atom_id) {
+      const { comp_id: compIds, atom_id: atomIds } = atomCat.columns;
+      for (let i = 0; i < atomCat.rowCount; i++) {
+        templateFor(compIds ? compIds[i] : block.name).atoms.add(atomIds[i]);
+      }
+    }
+
+    const bondCat = block.categories.get('chem_comp_bond');
+    if (!bondCat || !bondCat.columns.atom_id_1 || !bondCat.columns.atom_id_2) continue;
+    const { comp_id: compIds, atom_id_1: first, atom_id_2: second,
+      value_order: valueOrders, pdbx_aromatic_flag: aromaticFlags } = bondCat.columns;
+    for (let i = 0; i < bondCat.rowCount; i++) {
+      const template = templateFor(compIds ? compIds[i] : block.name);
+      const a = first[i], b = second[i];
+      template.atoms.add(a);
+      template.atoms.add(b);
+      template.bonds.push([a, b]);
+      const aromatic = aromaticFlags && aromaticFlags[i].toUpperCase() === 'Y';
+      const order = aromatic ? AROMATIC : (CCD_ORDERS[(valueOrders?.[i] || '').toUpperCase()] || SINGLE);
+      if (order !== SINGLE) template.orders.push([a, b, order]);
+    }
+  }
+
+  const ids = [...found].filter(([, t]) => t.bonds.length > 0).map(([id]) => id.toUpperCase());
+  if (ids.length === 0) throw new Error('No _chem_comp_bond records found — expected a CCD component CIF file');
+  for (const [id, template] of found) {
+    if (template.bonds.length > 0) customTemplates.set(id.toUpperCase(), template);
+  }
+  return ids;
+}
+
+// ---- Files ----
+
+/**
+ * Let the user choose a component CIF file.
+ * @returns {Promise<{ text: string, name: string }>}
+ */
+export function pickComponentFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.cif,.txt';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) { reject(new Error('No file selected')); return; }
+      file.text().then(text => resolve({ text, name: file.name })).catch(reject);
+    });
+    input.addEventListener('cancel', () => reject(new Error('No file selected')));
+    input.click();
+  });
+}
+
+/**
+ * Download a component CIF file.
+ * @param {string} url
+ * @returns {Promise<{ text: string, name: string }>}
+ */
+export async function fetchComponentFile(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Failed to fetch component file (${resp.status})`);
+  return { text: await resp.text(), name: url.split('/').pop() || url };
+}
@@ -6,6 +6,7 @@
 // ============================================================
 
 import { translateToCommands } from './aiTranslator.js';
+import { ViewerEvents } from '../events.js';
 
 const { useState, useEffect, useRef, useCallback } = React;
 const h = React.createElement;
@@ -101,15 +102,24 @@ export function PDBConsole({ visible, interpreter, onToggle, onLegendUpdate }) {
     setLines(prev => [...prev, ...newLines]);
   }, []);
 
+  // Report mouse picks ("You clicked ...") like command output
+  useEffect(() => {
+    const onPick = ({ message }) => {
+      addLines(message.split('\n').map(text => ({ type: 'output', text })));
+    };
+    ViewerEvents.on('viewerPick', onPick);
+    return () => ViewerEvents.off('viewerPick', onPick);
+  }, [addLines]);
+
   const handleClear = useCallback(() => {
     setLines([{ type: 'output', text: 'Console cleared.' }]);
     aiHistoryRef.current = [];
   }, []);
 
   // Execute a single command through the interpreter
-  const execCommand = useCallback(async (cmd) => {
+  const execCommand = useCallback(async (cmd, ctx = null) => {
     if (!interpreter) return 'No interpreter available';
-    const result = interpreter.execute(cmd);
+    const result = interpreter.execute(cmd, ctx);
     // Handle async commands (e.g. load)
     if (result && typeof result.then === 'function') {
       const resolved = await result;
@@ -131,6 +141,8 @@ export function PDBConsole({ visible, interpreter, onToggle, onLegendUpdate }) {
     addLine('ai-thinking', 'Thinking...');
     setBusy(true);
 
+    // Everything this response changes (legend included) undoes as one step
+    const undoGroup = interpreter ? interpreter.beginUndoGroup(`AI: ${text}`) : null;
     try {
       const onProgress = ({ type, text: msg }) => {
         if (type === 'tool-call') {
@@ -157,7 +169,7 @@ export function PDBConsole({ visible, interpreter, onToggle, onLegendUpdate }) {
         const outputLines = [];
         for (const cmd of commands) {
           outputLines.push({ type: 'ai-command', text: '  ' + cmd });
-          const result = await execCommand(cmd);
+          const result = await execCommand(cmd, undoGroup);
           commandLogRef.current.push({ cmd, result });
           if (result !== null) {
             for (const rl of result.split('\n')) {
@@ -165,15 +177,53 @@ export function PDBConsole({ visible, interpreter, onToggle, onLegendUpdate }) {
             }
           }
         }
+        outputLines.push({ type: 'ai-undo', text: 'Undo this response' });
         addLines(outputLines);
       }
     } catch (e) {
       addLine('error', 'AI error: ' + e.message);
     } finally {
+      if (interpreter) interpreter.endUndoGroup(undoGroup);
       setBusy(false);
     }
   }, [apiKey, addLine, addLines, execCommand, interpreter, onLegendUpdate]);
 
+  // Run an undo / redo issued from a shortcut or button as if typed
+  const runHistoryCommand = useCallback((cmd) => {
+    if (!interpreter || busy) return;
+    addLine('command', 'PyMOL> ' + cmd);
+    const result = interpreter.execute(cmd);
+    commandLogRef.current.push({ cmd, result });
+    if (result) addLines(String(result).split('\n').map(text => ({ type: 'output', text })));
+  }, [interpreter, busy, addLine, addLines]);
+
+  // Run a script file dropped on the viewer (see ViewerApp)
+  useEffect(() => {
+    if (!interpreter) return;
+    const onRunScript = ({ text, name }) => {
+      if (busy) {
+        addLine('error', `Busy — drop ${name} again when the current command finishes`);
+        return;
+      }
+      const cmd = `run ${name}`;
+      addLine('command', 'PyMOL> ' + cmd);
+      const show = (msg) => {
+        const resultStr = (msg !== null && msg !== undefined) ? String(msg) : null;
+        commandLogRef.current.push({ cmd, result: resultStr });
+        if (resultStr) addLines(resultStr.split('\n').map(text => ({ type: 'output', text })));
+      };
+      const result = interpreter.runScript(text, name);
+      if (result && typeof result.then === 'function') {
+        setBusy(true);
+        result.then(show).catch(e => show(`Error: ${e.message}`)).finally(() => setBusy(false));
+      } else {
+        show(result);
+      }
+    };
+    ViewerEvents.on('runScript', onRunScript);
+    return () => ViewerEvents.off('runScript', onRunScript);
+  }, [interpreter, busy, addLine, addLines]);
+
   const handleSubmit = useCallback(() => {
     const trimmed = input.trim();
     if (!trimmed || busy) return;
@@ -237,6 +287,10 @@ export function PDBConsole({ visible, interpreter, onToggle, onLegendUpdate }) {
 
     if (e.key === 'Enter') {
       handleSubmit();
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !input) {
+      // Empty input: nothing to edit, so undo / redo viewer commands
+      e.preventDefault();
+      runHistoryCommand(e.shiftKey ? 'redo' : 'undo');
     } else if (e.key === 'ArrowUp') {
       e.preventDefault();
       setHistory(prev => {
@@ -266,7 +320,7 @@ export function PDBConsole({ visible, interpreter, onToggle, onLegendUpdate }) {
     } else if (e.key === 'Escape') {
       onToggle();
     }
-  }, [handleSubmit, onToggle]);
+  }, [handleSubmit, onToggle, input, runHistoryCommand]);
 
   const handleApiKeySave = useCallback((key) => {
     const trimmed = key.trim();
@@ -280,6 +334,8 @@ export function PDBConsole({ visible, interpreter, onToggle, onLegendUpdate }) {
 
   const isAI = mode === 'ai';
   const bubbles = groupIntoBubbles(lines);
+  // Only the latest AI response offers an undo button
+  const lastUndoLine = lines.reduce((last, line, i) => (line.type === 'ai-undo' ? i : last), -1);
 
   return h('div', { className: 'pdb-console-panel' + (visible ? ' open' : '') },
     // Header
@@ -325,6 +381,19 @@ export function PDBConsole({ visible, interpreter, onToggle, onLegendUpdate }) {
       ...bubbles.map(bubble =>
         h('div', { key: bubble.key, className: 'console-bubble ' + bubble.category },
           ...bubble.lines.map((line, j) => {
+            if (line.type === 'ai-undo') {
+              if (bubble.key + j !== lastUndoLine) return null;
+              return h('button', {
+                key: j,
+                className: 'console-ai-undo-btn',
+                onClick: () => {
+                  runHistoryCommand('undo ai');
+                  setLines(prev => prev.map((l, i) => (i === lastUndoLine ? { type: 'ai-label', text: 'Response undone' } : l)));
+                },
+                disabled: busy,
+                title: 'Undo all changes made by this AI response',
+              }, '\u21B6 ' + line.text);
+            }
             if (line.type === 'ai-message' && typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined') {
               return h('div', {
                 key: j,
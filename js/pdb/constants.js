@@ -44,6 +44,15 @@ export const SS_COLORS = {
   2: 0xFFDD44, // sheet — yellow
 };
 
+// Nucleic acid base colors (cartoon ladders), by one-letter base
+export const NA_BASE_COLORS = {
+  A: 0xE8575A, // red
+  C: 0xF2D24D, // yellow
+  G: 0x5BC45B, // green
+  T: 0x4D7FE6, // blue
+  U: 0x3FC8C8, // cyan
+};
+
 // Representation types
 export const REP_TYPES = {
   BALL_AND_STICK: 'ball_and_stick',
@@ -51,4 +60,31 @@ export const REP_TYPES = {
   STICK:          'sticks',
   CARTOON:        'cartoon',
   LINES:          'lines',
+  SURFACE:        'surface',
+  MESH:           'mesh',
+  DOTS:           'dots',
+  PUTTY:          'putty',
+};
+
+// Bond orders (model.bondOrders); aromatic bonds are kept as their own kind
+export const BOND_ORDERS = {
+  SINGLE:   1,
+  DOUBLE:   2,
+  TRIPLE:   3,
+  AROMATIC: 4,
 };
+
+// Kinds of inter-residue links from SSBOND / LINK records (mmCIF
+// struct_conn), stored as model.links [[atom, atom, kind], ...].
+// Metal coordination is reported but not drawn as a bond.
+export const LINK_KINDS = {
+  DISULFIDE: 'disulfide',
+  COVALENT:  'covalent',
+  METAL:     'metal',
+};
+
+// Metal elements (common in PDB structures)
+export const METAL_ELEMENTS = new Set([
+  'LI', 'BE', 'NA', 'MG', 'AL', 'K', 'CA', 'SC', 'TI', 'V', 'CR', 'MN',
+  'FE', 'CO', 'NI', 'CU', 'ZN', 'MO', 'AG', 'CD', 'W', 'AU', 'HG', 'PT', 'PB',
+]);
@@ -0,0 +1,222 @@
+// ============================================================
+// dssp.js — DSSP-style secondary structure assignment
+// Kabsch & Sander (1983): backbone hydrogen bonds from the
+// electrostatic N-H···O=C energy, then helices from repeated
+// n-turns and strands from bridge ladders.
+//
+// Codes per residue:
+//   H  α-helix        G  3₁₀-helix      I  π-helix
+//   E  strand (ladder)  B  isolated bridge  T  H-bonded turn
+//   ' ' none (also non-protein residues)
+// Bends (S) are not assigned.
+//
+// Pure math on the model, no three.js dependency.
+// ============================================================
+
+// E = q1·q2·f · (1/rON + 1/rCH − 1/rOH − 1/rCN), kcal/mol
+const HBOND_FACTOR = 0.42 * 0.20 * 332;
+const HBOND_CUTOFF = -0.5;
+const HBOND_MIN_ENERGY = -9.9;
+
+// Residues whose CA atoms are farther apart cannot H-bond (Å)
+const CA_CUTOFF = 9;
+
+// Peptide bond longer than this is a chain break (Å)
+const PEPTIDE_MAX = 2.5;
+
+// ---- Backbone ----
+
+function residueAtom(atoms, res, name, primaryAlt) {
+  for (let j = res.atomStart; j < res.atomEnd; j++) {
+    const a = atoms[j];
+    if (a.name === name && (a.altLoc === ' ' || a.altLoc === primaryAlt)) return j;
+  }
+  return -1;
+}
+
+function point(positions, i) {
+  return [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+}
+
+function dist(p, q) {
+  const dx = p[0] - q[0], dy = p[1] - q[1], dz = p[2] - q[2];
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Backbone N, CA, C, O (and amide H) per amino acid residue, plus a
+ * segment id that changes at chain ends and breaks.
+ */
+function collectBackbone(model) {
+  const { atoms, positions, residues } = model;
+  const bb = new Array(residues.length).fill(null);
+
+  for (let r = 0; r < residues.length; r++) {
+    const res = residues[r];
+    if (!res.isStandard) continue;
+    const alt = res.altLocs && res.altLocs.length > 0 ? res.altLocs[0] : ' ';
+    const idx = ['N', 'CA', 'C', 'O'].map(name => residueAtom(atoms, res, name, alt));
+    if (idx.some(i => i < 0)) continue;
+    const [N, CA, C, O] = idx.map(i => point(positions, i));
+    bb[r] = { N, CA, C, O, H: null, segment: -1, proline: res.name === 'PRO' };
+  }
+
+  let segment = 0;
+  for (let r = 0; r < residues.length; r++) {
+    const cur = bb[r];
+    if (!cur) continue;
+    const prev = r > 0 ? bb[r - 1] : null;
+    const linked = prev && residues[r - 1].chainId === residues[r].chainId &&
+      dist(prev.C, cur.N) < PEPTIDE_MAX;
+    cur.segment = linked ? prev.segment : ++segment;
+
+    // Amide H: 1 Å from N, opposite the previous carbonyl (no H on proline)
+    if (linked && !cur.proline) {
+      const dx = prev.C[0] - prev.O[0], dy = prev.C[1] - prev.O[1], dz = prev.C[2] - prev.O[2];
+      const len = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+      cur.H = [cur.N[0] + dx / len, cur.N[1] + dy / len, cur.N[2] + dz / len];
+    }
+  }
+  return bb;
+}
+
+function hbondEnergy(acceptor, donor) {
+  const rON = dist(acceptor.O, donor.N);
+  const rCH = dist(acceptor.C, donor.H);
+  const rOH = dist(acceptor.O, donor.H);
+  const rCN = dist(acceptor.C, donor.N);
+  if (rON < 0.5 || rCH < 0.5 || rOH < 0.5 || rCN < 0.5) return HBOND_MIN_ENERGY;
+  return HBOND_FACTOR * (1 / rON + 1 / rCH - 1 / rOH - 1 / rCN);
+}
+
+/**
+ * Residue pairs with CA atoms within CA_CUTOFF (spatial hash).
+ * @returns {Array<number[]>} Neighbour residue indices per residue
+ */
+function neighbourLists(bb) {
+  const cells = new Map();
+  const key = (x, y, z) => `${x},${y},${z}`;
+  const cellOf = (p) => p.map(v => Math.floor(v / CA_CUTOFF));
+  bb.forEach((b, r) => {
+    if (!b) return;
+    const k = key(...cellOf(b.CA));
+    if (!cells.has(k)) cells.set(k, []);
+    cells.get(k).push(r);
+  });
+
+  return bb.map((b, r) => {
+    if (!b) return [];
+    const [cx, cy, cz] = cellOf(b.CA);
+    const out = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          for (const s of cells.get(key(cx + dx, cy + dy, cz + dz)) || []) {
+            if (s !== r && dist(b.CA, bb[s].CA) < CA_CUTOFF) out.push(s);
+          }
+        }
+      }
+    }
+    return out;
+  });
+}
+
+// ---- Assignment ----
+
+/**
+ * Compute DSSP codes for every residue of a model from its current
+ * coordinates.
+ *
+ * @param {Object} model - parsePDB-style model
+ * @returns {string[]} One code per residue (see header)
+ */
+export function computeDSSP(model) {
+  const n = model.residues.length;
+  const codes = new Array(n).fill(' ');
+  const bb = collectBackbone(model);
+  const neighbours = neighbourLists(bb);
+
+  // hbond(i, j): C=O of residue i accepts from N-H of residue j
+  const hbonds = new Set();
+  for (let j = 0; j < n; j++) {
+    const donor = bb[j];
+    if (!donor || !donor.H) continue;
+    for (const i of neighbours[j]) {
+      if (i === j - 1) continue;
+      if (hbondEnergy(bb[i], donor) < HBOND_CUTOFF) hbonds.add(i * n + j);
+    }
+  }
+  const hbond = (i, j) => i >= 0 && j >= 0 && i < n && j < n && hbonds.has(i * n + j);
+  const sameSegment = (i, j) =>
+    i >= 0 && j >= 0 && i < n && j < n && bb[i] && bb[j] && bb[i].segment === bb[j].segment;
+
+  // n-turns at i: hbond(i, i + n) within one unbroken segment
+  const turns = { 3: new Uint8Array(n), 4: new Uint8Array(n), 5: new Uint8Array(n) };
+  for (const k of [3, 4, 5]) {
+    for (let i = 0; i + k < n; i++) {
+      if (sameSegment(i, i + k) && hbond(i, i + k)) turns[k][i] = 1;
+    }
+  }
+
+  // Minimal helices: consecutive n-turns at i-1 and i cover i .. i+n-1
+  const helix = { 3: new Uint8Array(n), 4: new Uint8Array(n), 5: new Uint8Array(n) };
+  for (const k of [3, 4, 5]) {
+    for (let i = 1; i + k <= n; i++) {
+      if (!turns[k][i - 1] || !turns[k][i]) continue;
+      for (let r = i; r < i + k; r++) helix[k][r] = 1;
+    }
+  }
+
+  // Bridges between residues i and j (both with intact neighbours)
+  const bridges = new Map(); // i * n + j → 'p' | 'a'
+  for (let i = 1; i < n - 1; i++) {
+    if (!sameSegment(i - 1, i + 1)) continue;
+    for (const j of neighbours[i]) {
+      if (j <= i || !sameSegment(j - 1, j + 1)) continue;
+      if (bb[i].segment === bb[j].segment && j - i < 3) continue;
+      let type = null;
+      if ((hbond(i - 1, j) && hbond(j, i + 1)) || (hbond(j - 1, i) && hbond(i, j + 1))) type = 'p';
+      else if ((hbond(i, j) && hbond(j, i)) || (hbond(i - 1, j + 1) && hbond(j - 1, i + 1))) type = 'a';
+      if (type) {
+        bridges.set(i * n + j, type);
+        bridges.set(j * n + i, type);
+      }
+    }
+  }
+
+  // Ladders: a bridge continued by a neighbouring bridge of the same type
+  const strand = new Uint8Array(n);
+  const bridged = new Uint8Array(n);
+  for (const [pair, type] of bridges) {
+    const i = Math.floor(pair / n), j = pair % n;
+    bridged[i] = 1;
+    const step = type === 'p' ? 1 : -1;
+    if (bridges.get((i + 1) * n + (j + step)) === type || bridges.get((i - 1) * n + (j - step)) === type) {
+      strand[i] = 1;
+    }
+  }
+
+  // Priority: H > E/B > G > I > T
+  for (let r = 0; r < n; r++) {
+    if (helix[4][r]) codes[r] = 'H';
+    else if (strand[r]) codes[r] = 'E';
+    else if (bridged[r]) codes[r] = 'B';
+  }
+  for (const [k, code] of [[3, 'G'], [5, 'I']]) {
+    // A whole minimal helix must be free to be assigned
+    for (let i = 1; i + k <= n; i++) {
+      if (!turns[k][i - 1] || !turns[k][i]) continue;
+      let free = true;
+      for (let r = i; r < i + k && free; r++) free = codes[r] === ' ' || codes[r] === code;
+      if (free) for (let r = i; r < i + k; r++) codes[r] = code;
+    }
+  }
+  for (const k of [3, 4, 5]) {
+    for (let i = 0; i < n; i++) {
+      if (!turns[k][i]) continue;
+      for (let r = i + 1; r < i + k; r++) if (codes[r] === ' ') codes[r] = 'T';
+    }
+  }
+
+  return codes;
+}
@@ -0,0 +1,207 @@
+// ============================================================
+// formats.js — Structure file format detection and dispatch
+// Picks a parser by file extension or content sniffing, and
+// fetches entries through per-format URL templates. Small-molecule
+// formats (SDF / MOL, MOL2) are read from files only
+// ============================================================
+
+import { parsePDB } from './parser.js';
+import { parseMMCIF } from './mmcifParser.js';
+import { parseBinaryCIF } from './bcifParser.js';
+import { parseSDF, parseMOL2 } from './molParser.js';
+
+export const FORMATS = {
+  PDB: 'pdb',
+  MMCIF: 'mmcif',
+  BCIF: 'bcif',
+  SDF: 'sdf',
+  MOL2: 'mol2',
+};
+
+// Extension / user-facing alias → canonical format
+const FORMAT_ALIASES = {
+  pdb: FORMATS.PDB,
+  ent: FORMATS.PDB,
+  cif: FORMATS.MMCIF,
+  mmcif: FORMATS.MMCIF,
+  mcif: FORMATS.MMCIF,
+  pdbx: FORMATS.MMCIF,
+  bcif: FORMATS.BCIF,
+  sdf: FORMATS.SDF,
+  sd: FORMATS.SDF,
+  mol: FORMATS.SDF,
+  mdl: FORMATS.SDF,
+  mol2: FORMATS.MOL2,
+  ml2: FORMATS.MOL2,
+};
+
+const PARSERS = {
+  [FORMATS.PDB]: parsePDB,
+  [FORMATS.MMCIF]: parseMMCIF,
+  [FORMATS.BCIF]: parseBinaryCIF,
+  [FORMATS.SDF]: parseSDF,
+  [FORMATS.MOL2]: parseMOL2,
+};
+
+// Formats read as ArrayBuffer rather than text
+const BINARY_FORMATS = new Set([FORMATS.BCIF]);
+
+// Download URL per format; {id} is the upper-case ID, {id_lower} lower-case.
+// Formats without a template can only be opened from files
+const URL_TEMPLATES = {
+  [FORMATS.PDB]: 'https://files.rcsb.org/download/{id}.pdb',
+  [FORMATS.MMCIF]: 'https://files.rcsb.org/download/{id}.cif',
+  [FORMATS.BCIF]: 'https://models.rcsb.org/{id}.bcif',
+};
+
+/** File input accept list for every supported structure format */
+export const STRUCTURE_FILE_ACCEPT = '.pdb,.ent,.pdb1,.cif,.mmcif,.mcif,.bcif,.sdf,.sd,.mol,.mol2';
+
+/**
+ * Resolve a format name or alias ("cif", "mmCIF", "pdb") to its canonical form.
+ *
+ * @param {string} name
+ * @returns {string|null} Canonical format, or null if unsupported
+ */
+export function normalizeFormat(name) {
+  return FORMAT_ALIASES[(name || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Format implied by a filename's extension (biological-assembly .pdb1,
+ * .pdb2, ... count as PDB).
+ *
+ * @param {string} filename
+ * @returns {string|null}
+ */
+export function formatFromFilename(filename) {
+  const m = /\.([a-z0-9]+)$/i.exec(filename || '');
+  if (!m) return null;
+  const ext = m[1].toLowerCase();
+  if (/^pdb\d+$/.test(ext)) return FORMATS.PDB;
+  return FORMAT_ALIASES[ext] || null;
+}
+
+/**
+ * Strip a recognized structure extension from a filename, for use as a
+ * structure name.
+ *
+ * @param {string} filename
+ * @returns {string}
+ */
+export function stripStructureExtension(filename) {
+  if (!formatFromFilename(filename)) return filename;
+  return filename.replace(/\.[a-z0-9]+$/i, '');
+}
+
+/**
+ * Whether a format must be read as binary (ArrayBuffer) instead of text.
+ *
+ * @param {string} format - Canonical format
+ * @returns {boolean}
+ */
+export function isBinaryFormat(format) {
+  return BINARY_FORMATS.has(format);
+}
+
+/**
+ * Guess a format from file contents. BinaryCIF is a MessagePack map;
+ * mmCIF always starts with a data_ block header; MOL2 has @<TRIPOS>
+ * sections; an MDL molfile has a V2000 / V3000 counts line as its
+ * fourth line; anything else is treated as PDB.
+ *
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @returns {string}
+ */
+export function sniffFormat(data) {
+  if (typeof data !== 'string') {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const b = bytes[0];
+    if ((b >= 0x80 && b <= 0x8f) || b === 0xde || b === 0xdf) return FORMATS.BCIF;
+    data = new TextDecoder('utf-8').decode(bytes.subarray(0, 4096));
+  }
+  const head = data.substring(0, 4096);
+  if (/^\s*data_/i.test(head.replace(/^(\s*#.*\n)+/, ''))) return FORMATS.MMCIF;
+  if (/^(loop_|_atom_site\.)/m.test(head)) return FORMATS.MMCIF;
+  if (/^@<TRIPOS>/m.test(head)) return FORMATS.MOL2;
+  if (/V[23]000\s*$/.test(head.split(/\r?\n/, 4)[3] || '')) return FORMATS.SDF;
+  return FORMATS.PDB;
+}
+
+/**
+ * Parse structure data with the parser for `format`, sniffing the content
+ * when no format is given. Text formats given as binary are decoded first.
+ *
+ * @param {string|ArrayBuffer|Uint8Array} data - Raw file contents
+ * @param {string} [format] - Canonical format or alias
+ * @returns {Object|Object[]|null} Parsed model (an array for SDF / MOL2 files holding
+ *   different molecules), or null if nothing could be parsed
+ */
+export function parseStructure(data, format) {
+  const fmt = normalizeFormat(format) || sniffFormat(data);
+  if (typeof data !== 'string' && !isBinaryFormat(fmt)) {
+    data = new TextDecoder('utf-8').decode(data);
+  }
+  return PARSERS[fmt](data);
+}
+
+/**
+ * Current download URL template for a format.
+ *
+ * @param {string} format - Canonical format or alias
+ * @returns {string|null}
+ */
+export function getFetchUrlTemplate(format) {
+  return URL_TEMPLATES[normalizeFormat(format)] || null;
+}
+
+/**
+ * Point a format's downloads at another server (mirror, local cache).
+ * The template must contain {id} or {id_lower}.
+ *
+ * @param {string} format - Canonical format or alias
+ * @param {string} template - e.g. 'https://www.ebi.ac.uk/pdbe/entry-files/download/{id_lower}.bcif'
+ */
+export function setFetchUrlTemplate(format, template) {
+  const fmt = normalizeFormat(format);
+  if (!fmt) throw new Error(`Unknown format: "${format}"`);
+  if (!/\{id(_lower)?\}/.test(template)) throw new Error('URL template must contain {id} or {id_lower}');
+  URL_TEMPLATES[fmt] = template;
+}
+
+/**
+ * Download URL for an entry in a given format.
+ *
+ * @param {string} id - 4-character PDB ID
+ * @param {string} format - Canonical format
+ * @returns {string|null} null if the format has no download URL
+ */
+export function fetchUrl(id, format) {
+  if (!URL_TEMPLATES[format]) return null;
+  return URL_TEMPLATES[format]
+    .replace(/\{id\}/g, id.toUpperCase())
+    .replace(/\{id_lower\}/g, id.toLowerCase());
+}
+
+/**
+ * Download an entry. Without an explicit format, tries PDB first and falls
+ * back to mmCIF — large assemblies are only distributed as mmCIF.
+ *
+ * @param {string} id - 4-character PDB ID
+ * @param {string} [format] - Canonical format or alias
+ * @returns {Promise<{ data: string|ArrayBuffer, format: string }|null>} null if not found
+ * @throws {Error} If the format has no download URL
+ */
+export async function fetchStructure(id, format) {
+  const fmt = normalizeFormat(format);
+  const candidates = fmt ? [fmt] : [FORMATS.PDB, FORMATS.MMCIF];
+  for (const f of candidates) {
+    const url = fetchUrl(id, f);
+    if (!url) throw new Error(`${f} files can't be fetched by ID — open the file instead`);
+    const resp = await fetch(url);
+    if (!resp.ok) continue;
+    const data = isBinaryFormat(f) ? await resp.arrayBuffer() : await resp.text();
+    return { data, format: f };
+  }
+  return null;
+}
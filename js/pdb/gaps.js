@@ -0,0 +1,140 @@
+// ============================================================
+// gaps.js — Missing residues and chain breaks
+// Places the missing residues of a chain (REMARK 465, unobserved
+// _pdbx_poly_seq_scheme rows) among its modelled residues by residue
+// number, and finds the gaps in the backbone: runs of missing
+// residues, plus breaks between consecutive modelled residues that
+// are too far apart to be bonded (files without REMARK 465).
+// ============================================================
+
+// Trace atom distance (CA–CA, C3'–C3') above which consecutive
+// residues are not connected
+const PROTEIN_BREAK = 4.3;
+const NUCLEIC_BREAK = 8.0;
+
+/** Amino acid or nucleotide of the polymer (modified residues included) */
+function isPolymerResidue(res) {
+  return res.isStandard || !!res.nucleic || (res.caIndex >= 0 && res.nIndex >= 0 && res.cIndex >= 0);
+}
+
+/** Sequence order of two { seq, iCode } records (blank insertion code first) */
+function compareNumber(a, b) {
+  if (a.seq !== b.seq) return a.seq - b.seq;
+  const ia = a.iCode === ' ' ? '' : a.iCode;
+  const ib = b.iCode === ' ' ? '' : b.iCode;
+  return ia < ib ? -1 : ia > ib ? 1 : 0;
+}
+
+/** Trace atom distance of two residues, or -1 if either has none */
+function traceDistance(model, ri, rj) {
+  const a = model.residues[ri].caIndex;
+  const b = model.residues[rj].caIndex;
+  if (a < 0 || b < 0) return -1;
+  const p = model.positions;
+  return Math.hypot(p[a * 3] - p[b * 3], p[a * 3 + 1] - p[b * 3 + 1], p[a * 3 + 2] - p[b * 3 + 2]);
+}
+
+/** Consecutive modelled residues whose trace atoms are too far apart */
+function isBreak(model, ri, rj) {
+  const nucleic = model.residues[ri].nucleic || model.residues[rj].nucleic;
+  return traceDistance(model, ri, rj) > (nucleic ? NUCLEIC_BREAK : PROTEIN_BREAK);
+}
+
+/** "GLY 58A" — name and number of a residue or missing residue record */
+function residueText(res) {
+  return `${res.name} ${res.seq}${res.iCode && res.iCode !== ' ' ? res.iCode : ''}`;
+}
+
+/**
+ * Polymer residues of a chain in sequence order: modelled residues
+ * ({ residue: index }) with the chain's missing residues
+ * ({ residue: -1, name, seq, iCode }) placed by residue number.
+ *
+ * @param {Object} model
+ * @param {Object} chain - Entry of model.chains
+ * @returns {Object[]}
+ */
+export function chainSequence(model, chain) {
+  const missing = [...(chain.missing || [])].sort(compareNumber);
+  const items = [];
+  let m = 0;
+  for (let ri = chain.residueStart; ri < chain.residueEnd; ri++) {
+    const res = model.residues[ri];
+    if (!isPolymerResidue(res)) continue;
+    while (m < missing.length && compareNumber(missing[m], res) < 0) items.push({ residue: -1, ...missing[m++] });
+    if (m < missing.length && compareNumber(missing[m], res) === 0) m++; // listed, yet modelled
+    items.push({ residue: ri });
+  }
+  while (m < missing.length) items.push({ residue: -1, ...missing[m++] });
+  return items;
+}
+
+/**
+ * Gaps in the backbone of a chain.
+ *
+ * @param {Object} model
+ * @param {Object} chain - Entry of model.chains
+ * @returns {{ chainId: string, before: number, after: number, missing: Object[] }[]}
+ *   before / after: flanking modelled residue indices (-1 at a terminus);
+ *   missing: { name, seq, iCode } of the unmodelled residues, empty for a
+ *   break without records
+ */
+export function chainGaps(model, chain) {
+  const gaps = [];
+  let before = -1;
+  let run = [];
+  for (const item of chainSequence(model, chain)) {
+    if (item.residue < 0) {
+      run.push({ name: item.name, seq: item.seq, iCode: item.iCode });
+      continue;
+    }
+    if (run.length > 0 || (before >= 0 && isBreak(model, before, item.residue))) {
+      gaps.push({ chainId: chain.id, before, after: item.residue, missing: run });
+    }
+    run = [];
+    before = item.residue;
+  }
+  if (run.length > 0) gaps.push({ chainId: chain.id, before, after: -1, missing: run });
+  return gaps;
+}
+
+/**
+ * One line describing a gap, e.g. "GLY 58-ASP 64 (7 missing) between
+ * THR 57 and LYS 65, 14.2 Å apart" or "break between LEU 120 and
+ * ALA 130, 15.8 Å apart (no missing-residue records)".
+ *
+ * @param {Object} model
+ * @param {Object} gap - Entry of chainGaps()
+ * @returns {string}
+ */
+export function describeGap(model, gap) {
+  const { missing, before, after } = gap;
+  let where;
+  if (before < 0) where = 'N-terminal';
+  else if (after < 0) where = 'C-terminal';
+  else {
+    const d = traceDistance(model, before, after);
+    where = `between ${residueText(model.residues[before])} and ${residueText(model.residues[after])}` +
+      (d >= 0 ? `, ${d.toFixed(1)} Å apart` : '');
+  }
+  if (missing.length === 0) return `break ${where} (no missing-residue records)`;
+  const first = residueText(missing[0]);
+  const range = missing.length === 1 ? first : `${first}-${residueText(missing[missing.length - 1])}`;
+  return `${range} (${missing.length} missing) ${where}`;
+}
+
+/**
+ * Deposited sequence and missing residues per chain ID, in the shape of
+ * buildModel's options.sequences (for rebuilding a model from its atoms).
+ *
+ * @param {Object} model
+ * @returns {Object<string, {seqres: string[], missing: Object[]}>}
+ */
+export function chainSequences(model) {
+  const sequences = {};
+  for (const chain of model.chains) {
+    if (!chain.seqres && !chain.missing) continue;
+    sequences[chain.id] = { seqres: chain.seqres || [], missing: chain.missing || [] };
+  }
+  return sequences;
+}
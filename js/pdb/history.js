@@ -0,0 +1,307 @@
+// ============================================================
+// history.js — Undo / redo for interpreter commands
+// Each recorded command keeps a snapshot of the viewer state from
+// before it ran. Display state (per-atom colors / visibility / reps /
+// scales, bonds, selections, contacts, measurements, labels, settings,
+// background, legend) is always captured; structures (atoms,
+// coordinates, secondary structure) only for commands that change
+// them. Structure snapshots keep the models themselves (load, remove,
+// assembly ... replace models rather than edit them) plus copies of what
+// align and dss change in place: coordinates and secondary structure.
+// Groups (one AI response, one script) undo as a single step. A group
+// is owned by whoever opened it and passed along with the commands that
+// join it, so commands typed while a script waits on a fetch stay
+// separate steps.
+// ============================================================
+
+import { captureViewState, restoreViewState } from './session.js';
+import { isErrorResult } from './script.js';
+
+// Undo steps kept (oldest dropped first)
+export const HISTORY_LIMIT = 30;
+
+// Approximate bytes the undo / redo steps may hold on to (oldest dropped
+// first; the latest step is always kept)
+export const HISTORY_MEMORY_LIMIT = 256 * 1024 * 1024;
+
+// Rough size of a model per atom (atom record, coordinates, per-atom arrays)
+const MODEL_BYTES_PER_ATOM = 200;
+
+// Commands that change structures, by what their snapshot keeps:
+// 'models' - the loaded models by reference (the command swaps models)
+// 'coordinates' - plus copies of coordinates and frames (moved in place)
+// 'ss' - plus copies of secondary structure (assigned in place)
+const STRUCTURE_COMMANDS = {
+  load: 'models',
+  fetch: 'models',
+  remove: 'models',
+  load_session: 'models',
+  assembly: 'models',
+  load_template: 'models',
+  align: 'coordinates',
+  dss: 'ss',
+};
+
+// Commands that only report, export, move the camera or step frames
+const UNRECORDED_COMMANDS = new Set([
+  'undo', 'redo', 'help', 'ls', 'selections', 'list', 'count_atoms', 'states', 'props', 'gaps',
+  'save', 'png', 'ray', 'save_session', 'share', 'zoom', 'center', 'orient', 'turn',
+  'frame', 'mplay', 'mstop', 'measure', 'alias',
+  'run', // records its commands as one group
+]);
+
+// Listing forms of commands that otherwise change state (args trimmed, lower case)
+const READ_ONLY_FORMS = {
+  altloc: (args) => !args,
+  measurements: (args) => !args,
+  assembly: (args) => !args,
+  contacts: (args) => /^list\b/.test(args),
+};
+
+/** Whether a command line only reports, exports or moves the camera */
+export function isUnrecorded(cmd, args) {
+  if (UNRECORDED_COMMANDS.has(cmd)) return true;
+  const readOnly = READ_ONLY_FORMS[cmd];
+  return !!readOnly && readOnly((args || '').trim().toLowerCase());
+}
+
+/** Bytes of a typed array, or of a plain array of numbers / strings */
+function arrayBytes(a) {
+  return a ? (a.byteLength ?? a.length * 8) : 0;
+}
+
+function modelBytes(model) {
+  let bytes = model.atomCount * MODEL_BYTES_PER_ATOM;
+  for (const frame of model.frames || []) bytes += frame.byteLength;
+  return bytes;
+}
+
+/**
+ * Approximate memory a snapshot holds. Models in `counted` (loaded, or
+ * held by another snapshot) are not counted again.
+ */
+function snapshotBytes(snapshot, counted) {
+  let bytes = arrayBytes(snapshot.bonds);
+  const { atomState, selections } = snapshot.view;
+  if (atomState) {
+    for (const key of ['colors', 'visible', 'scale', 'repType', 'altShown']) bytes += arrayBytes(atomState[key]);
+  }
+  for (const indices of Object.values(selections || {})) bytes += arrayBytes(indices);
+  for (const s of snapshot.structures ? snapshot.structures.entries : []) {
+    if (!counted.has(s.model)) {
+      counted.add(s.model);
+      bytes += modelBytes(s.model);
+    }
+    bytes += arrayBytes(s.positions) + arrayBytes(s.ss) * 2;
+    for (const frame of s.frames || []) bytes += frame.byteLength;
+  }
+  return bytes;
+}
+
+function sameBonds(a, b) {
+  if (a === b) return true;
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+/**
+ * Create the undo / redo stacks for one interpreter.
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @param {Map<string, Set<number>>} namedSelections
+ * @returns {Object} History API (see methods below)
+ */
+export function createHistory(viewer, namedSelections) {
+  const undoStack = [];
+  const redoStack = [];
+
+  /**
+   * The loaded models (with their bonds, bond orders and colors) and,
+   * depending on `kind`, copies of what the command changes in place.
+   * @param {string} kind - STRUCTURE_COMMANDS value, or 'all' for a group
+   */
+  function captureStructures(kind) {
+    const entries = viewer.structureManager._orderedEntries().map(entry => {
+      const { model } = entry;
+      const saved = { name: entry.name, model, bonds: entry.bonds, bondOrders: model.bondOrders, color: entry.color };
+      if (kind === 'coordinates' || kind === 'all') {
+        saved.positions = model.positions.slice();
+        saved.frames = model.frames ? model.frames.map(f => f.slice()) : null;
+      }
+      if (kind === 'ss' || kind === 'all') {
+        saved.ss = model.residues.map(r => r.ss);
+        saved.dssp = model.residues.map(r => r.dssp);
+      }
+      return saved;
+    });
+    return { entries, currentFrame: viewer.currentFrame };
+  }
+
+  /** Reload captured models, putting back copied coordinates / secondary structure */
+  function restoreStructures(saved) {
+    for (const s of saved.entries) {
+      const { model } = s;
+      model.bondOrders = s.bondOrders;
+      if (s.positions) {
+        model.positions.set(s.positions);
+        if (s.frames) s.frames.forEach((frame, f) => model.frames[f].set(frame));
+        for (let i = 0; i < model.atomCount; i++) {
+          model.atoms[i].x = s.positions[i * 3];
+          model.atoms[i].y = s.positions[i * 3 + 1];
+          model.atoms[i].z = s.positions[i * 3 + 2];
+        }
+      }
+      if (s.ss) {
+        model.residues.forEach((res, ri) => {
+          res.ss = s.ss[ri];
+          if (s.dssp[ri] === undefined) delete res.dssp;
+          else res.dssp = s.dssp[ri];
+        });
+      }
+    }
+
+    viewer.stopFrames();
+    viewer.clearStructure();
+    for (const s of saved.entries) {
+      const added = viewer.addModel(s.model, s.bonds, s.name);
+      viewer.structureManager.getStructure(added.name).color = s.color;
+    }
+    if (saved.currentFrame) viewer.setFrame(saved.currentFrame);
+  }
+
+  function capture(structural) {
+    return {
+      structures: structural ? captureStructures(structural) : null,
+      bonds: viewer.bonds ? viewer.bonds.slice() : null,
+      view: captureViewState(viewer, namedSelections),
+    };
+  }
+
+  /** @returns {boolean} true if structures were replaced */
+  function restore(snapshot) {
+    const camera = viewer.getCameraState();
+    if (snapshot.structures) restoreStructures(snapshot.structures);
+    if (snapshot.bonds && !sameBonds(viewer.bonds, snapshot.bonds)) viewer.setBonds(snapshot.bonds.slice());
+    if (viewer.model) restoreViewState(viewer, snapshot.view, namedSelections);
+    if (snapshot.structures) viewer.setCameraState(camera);
+    return !!snapshot.structures;
+  }
+
+  /** Drop the oldest undo steps beyond HISTORY_LIMIT / HISTORY_MEMORY_LIMIT */
+  function trim() {
+    if (undoStack.length > HISTORY_LIMIT) undoStack.splice(0, undoStack.length - HISTORY_LIMIT);
+    const counted = new Set(viewer.structureManager._orderedEntries().map(e => e.model));
+    let bytes = 0;
+    for (let k = undoStack.length - 1; k >= 0; k--) {
+      bytes += snapshotBytes(undoStack[k].snapshot, counted);
+      if (bytes > HISTORY_MEMORY_LIMIT && k < undoStack.length - 1) {
+        undoStack.splice(0, k + 1);
+        break;
+      }
+    }
+  }
+
+  function push(entry) {
+    undoStack.push(entry);
+    redoStack.length = 0;
+    trim();
+  }
+
+  /** Move the top entry of `from` to `to`, swapping in the current state */
+  function step(from, to) {
+    const entry = from.pop();
+    const current = capture(entry.structural);
+    const structuresChanged = restore(entry.snapshot);
+    to.push({ ...entry, snapshot: current });
+    return { label: entry.label, kind: entry.kind, structuresChanged };
+  }
+
+  return {
+    /**
+     * Snapshot before running a command.
+     * @param {string} cmd - Command name
+     * @param {string} args - Command arguments (listing forms are not recorded)
+     * @param {string} line - Full command line (entry label)
+     * @param {Object|null} [group] - beginGroup() result the command belongs to
+     * @returns {Object|null} Token for commit(), or null if not recorded
+     */
+    begin(cmd, args, line, group = null) {
+      if (isUnrecorded(cmd, args)) return null;
+      const structural = STRUCTURE_COMMANDS[cmd] || false;
+      if (group) {
+        // Structures are unchanged since the group began until its first
+        // structural command, so they can be captured now; the group keeps
+        // them once that command succeeds. Later commands of the group may
+        // edit these models in place, so copy everything that can change.
+        const structures = structural && !group.structural ? captureStructures('all') : null;
+        return { group, structures };
+      }
+      return { label: line, kind: 'command', structural, snapshot: capture(structural) };
+    },
+
+    /**
+     * Record a finished command (failures are dropped).
+     * @param {Object|null} token - begin() result
+     * @param {*} result - Command result
+     */
+    commit(token, result) {
+      if (!token || isErrorResult(result)) return;
+      if (!token.group) {
+        push(token);
+        return;
+      }
+      const { group, structures } = token;
+      group.used = true;
+      if (structures && !group.structural) {
+        group.structural = 'all';
+        group.snapshot.structures = structures;
+      }
+    },
+
+    /**
+     * Open a group: commands begun with it undo as one step once
+     * endGroup() closes it.
+     * @param {string} label - Shown when undoing
+     * @param {string} kind - 'ai' | 'script'
+     * @returns {Object} Group to pass to begin() and endGroup()
+     */
+    beginGroup(label, kind) {
+      return { label, kind, structural: false, snapshot: capture(false), used: false, open: true };
+    },
+
+    /** Close a group, recording it if any of its commands changed something */
+    endGroup(group) {
+      if (!group || !group.open) return;
+      group.open = false;
+      if (group.used) push({ label: group.label, kind: group.kind, structural: group.structural, snapshot: group.snapshot });
+    },
+
+    /**
+     * Undo the last step.
+     * @returns {{ label: string, kind: string, structuresChanged: boolean }|null}
+     */
+    undo() {
+      return undoStack.length > 0 ? step(undoStack, redoStack) : null;
+    },
+
+    /**
+     * Redo the last undone step.
+     * @returns {{ label: string, kind: string, structuresChanged: boolean }|null}
+     */
+    redo() {
+      return redoStack.length > 0 ? step(redoStack, undoStack) : null;
+    },
+
+    /** Steps to undo back to (and including) the last group of `kind`, or 0 */
+    stepsToKind(kind) {
+      for (let k = undoStack.length - 1; k >= 0; k--) {
+        if (undoStack[k].kind === kind) return undoStack.length - k;
+      }
+      return 0;
+    },
+
+    get undoCount() { return undoStack.length; },
+    get redoCount() { return redoStack.length; },
+  };
+}
@@ -0,0 +1,283 @@
+// ============================================================
+// imageExport.js — Off-screen PNG export
+// Renders the scene through the post-processing pipeline in
+// supersampled tiles (camera view offsets), downsamples into one
+// canvas, then draws HTML overlays (CSS2D labels, legend) on top.
+// ============================================================
+
+import * as THREE from 'three';
+import { PostProcessingPipeline } from './postProcessing.js';
+
+// Largest tile rendered in one pass (render pixels per side)
+const MAX_TILE = 2048;
+
+// Largest exported image (browser canvas limits)
+export const MAX_IMAGE_SIZE = 16384;
+
+// ---- Rendering ----
+
+/**
+ * Render the viewer's scene at an arbitrary resolution.
+ *
+ * The image is rendered `supersample`× larger in tiles of at most
+ * MAX_TILE pixels using camera.setViewOffset, each tile downsampled into
+ * the output canvas. Camera, background and clear color are restored
+ * afterwards; the on-screen render loop is unaffected.
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @param {Object} opts
+ * @param {number} opts.width - Output width in pixels
+ * @param {number} opts.height - Output height in pixels
+ * @param {number} [opts.supersample=2] - Render scale per side before downsampling
+ * @param {boolean} [opts.transparent=false] - Clear to transparent instead of the background
+ * @returns {HTMLCanvasElement}
+ */
+export function renderImage(viewer, { width, height, supersample = 2, transparent = false }) {
+  const { renderer, scene, camera } = viewer;
+  const ss = Math.max(1, Math.round(supersample));
+
+  // Tile size in output pixels, so tile edges land on whole output pixels
+  const tileOut = Math.max(1, Math.floor(MAX_TILE / ss));
+  const tileW = Math.min(tileOut, width);
+  const tileH = Math.min(tileOut, height);
+  const fullW = width * ss;
+  const fullH = height * ss;
+
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const ctx = output.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  const tileCanvas = document.createElement('canvas');
+  tileCanvas.width = tileW * ss;
+  tileCanvas.height = tileH * ss;
+  const tileCtx = tileCanvas.getContext('2d');
+
+  // Save state touched by the export
+  const savedAspect = camera.aspect;
+  const savedBackground = scene.background;
+  const savedClearColor = renderer.getClearColor(new THREE.Color());
+  const savedClearAlpha = renderer.getClearAlpha();
+
+  const pipeline = new PostProcessingPipeline(renderer, scene, camera);
+  try {
+    camera.aspect = width / height;
+    if (transparent) {
+      scene.background = null;
+      renderer.setClearColor(0x000000, 0);
+    }
+    pipeline.buildOffscreen(viewer.postProcessing.quality, tileW * ss, tileH * ss);
+
+    for (let ty = 0; ty < height; ty += tileH) {
+      for (let tx = 0; tx < width; tx += tileW) {
+        camera.setViewOffset(fullW, fullH, tx * ss, ty * ss, tileW * ss, tileH * ss);
+        const pixels = pipeline.readPixels();
+        tileCtx.putImageData(flipRows(pixels, tileW * ss, tileH * ss), 0, 0);
+
+        // Edge tiles only use the part inside the image
+        const w = Math.min(tileW, width - tx);
+        const h = Math.min(tileH, height - ty);
+        ctx.drawImage(tileCanvas, 0, 0, w * ss, h * ss, tx, ty, w, h);
+      }
+    }
+  } finally {
+    pipeline.dispose();
+    camera.clearViewOffset();
+    camera.aspect = savedAspect;
+    camera.updateProjectionMatrix();
+    scene.background = savedBackground;
+    renderer.setClearColor(savedClearColor, savedClearAlpha);
+  }
+
+  drawOverlays(ctx, viewer, width, height);
+  return output;
+}
+
+/** WebGL rows are bottom-up; canvas ImageData is top-down */
+function flipRows(pixels, w, h) {
+  const out = new Uint8ClampedArray(w * h * 4);
+  const row = w * 4;
+  for (let y = 0; y < h; y++) {
+    out.set(pixels.subarray((h - 1 - y) * row, (h - y) * row), y * row);
+  }
+  return new ImageData(out, w, h);
+}
+
+// ---- HTML overlays ----
+
+/**
+ * Draw CSS2D labels at their projected positions and the legend at its
+ * on-screen position, both scaled by output height / canvas height so
+ * they keep their relative size.
+ */
+function drawOverlays(ctx, viewer, width, height) {
+  const canvasRect = viewer.renderer.domElement.getBoundingClientRect();
+  if (canvasRect.height === 0) return;
+  const scale = height / canvasRect.height;
+
+  // CSS2DObjects: project world position with the export aspect
+  const camera = viewer.camera.clone();
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+  const v = new THREE.Vector3();
+  viewer.scene.traverseVisible(obj => {
+    if (!obj.isCSS2DObject || !obj.element.isConnected) return;
+    v.setFromMatrixPosition(obj.matrixWorld).project(camera);
+    if (v.z < -1 || v.z > 1) return;
+    const rect = obj.element.getBoundingClientRect();
+    const cx = (v.x * 0.5 + 0.5) * width;
+    const cy = (-v.y * 0.5 + 0.5) * height;
+    const center = obj.center || { x: 0.5, y: 0.5 };
+    drawElement(ctx, obj.element, rect, scale,
+      cx - rect.width * center.x * scale, cy - rect.height * center.y * scale);
+  });
+
+  // Legend keeps its offset from the canvas' top-left corner
+  const container = viewer.renderer.domElement.parentElement;
+  if (!container) return;
+  for (const el of container.querySelectorAll('.viewer-legend')) {
+    const rect = el.getBoundingClientRect();
+    drawElement(ctx, el, rect, scale,
+      (rect.left - canvasRect.left) * scale, (rect.top - canvasRect.top) * scale);
+  }
+}
+
+/**
+ * Rasterize an element subtree: background boxes, borders and text runs,
+ * positioned relative to `origin` and placed at (x, y) in the output.
+ */
+function drawElement(ctx, el, origin, scale, x, y) {
+  const style = getComputedStyle(el);
+  if (style.display === 'none' || style.visibility === 'hidden') return;
+
+  const rect = el.getBoundingClientRect();
+  const left = x + (rect.left - origin.left) * scale;
+  const top = y + (rect.top - origin.top) * scale;
+  const w = rect.width * scale;
+  const h = rect.height * scale;
+  const radius = (parseFloat(style.borderTopLeftRadius) || 0) * scale;
+
+  ctx.save();
+  ctx.globalAlpha *= parseFloat(style.opacity);
+
+  if (!isTransparent(style.backgroundColor)) {
+    ctx.fillStyle = style.backgroundColor;
+    ctx.beginPath();
+    ctx.roundRect(left, top, w, h, radius);
+    ctx.fill();
+  }
+  const borderWidth = parseFloat(style.borderTopWidth) || 0;
+  if (borderWidth > 0 && style.borderTopStyle !== 'none' && !isTransparent(style.borderTopColor)) {
+    ctx.strokeStyle = style.borderTopColor;
+    ctx.lineWidth = borderWidth * scale;
+    ctx.beginPath();
+    ctx.roundRect(left, top, w, h, radius);
+    ctx.stroke();
+  }
+
+  for (const node of el.childNodes) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      drawElement(ctx, node, origin, scale, x, y);
+    } else if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      const r = range.getBoundingClientRect();
+      let text = node.textContent.trim();
+      if (style.textTransform === 'uppercase') text = text.toUpperCase();
+      ctx.font = `${style.fontStyle} ${style.fontWeight} ${parseFloat(style.fontSize) * scale}px ${style.fontFamily}`;
+      ctx.fillStyle = style.color;
+      ctx.textBaseline = 'middle';
+      if ('letterSpacing' in ctx) ctx.letterSpacing = `${(parseFloat(style.letterSpacing) || 0) * scale}px`;
+      ctx.fillText(text, x + (r.left - origin.left) * scale, y + (r.top + r.height / 2 - origin.top) * scale);
+    }
+  }
+  ctx.restore();
+}
+
+function isTransparent(color) {
+  return !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+}
+
+// ---- PNG encoding ----
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Insert a pHYs chunk (physical pixel density) after IHDR so image
+ * editors and journals pick up the DPI.
+ *
+ * @param {ArrayBuffer} png - PNG file bytes
+ * @param {number} dpi
+ * @returns {Uint8Array}
+ */
+function setPngDpi(png, dpi) {
+  const src = new Uint8Array(png);
+  const ppm = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // Signature (8) + IHDR chunk (4 length + 4 type + 13 data + 4 CRC)
+  const insertAt = 33;
+  const out = new Uint8Array(src.length + chunk.length);
+  out.set(src.subarray(0, insertAt), 0);
+  out.set(chunk, insertAt);
+  out.set(src.subarray(insertAt), insertAt + chunk.length);
+  return out;
+}
+
+/**
+ * Encode a canvas as a PNG blob, optionally tagged with a DPI.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} [dpi]
+ * @returns {Promise<Blob>}
+ */
+export async function canvasToPng(canvas, dpi) {
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(b => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
+  if (!dpi) return blob;
+  return new Blob([setPngDpi(await blob.arrayBuffer(), dpi)], { type: 'image/png' });
+}
+
+/**
+ * Convert a size argument to pixels: plain numbers are pixels, "cm",
+ * "mm" and "in" suffixes are converted at `dpi`.
+ *
+ * @param {string} str - e.g. "2400", "8.5cm", "3in"
+ * @param {number} dpi
+ * @returns {number} Pixels, or NaN if unparseable
+ */
+export function parseImageSize(str, dpi) {
+  const m = /^(\d+(?:\.\d+)?)\s*(px|cm|mm|in)?$/i.exec((str || '').trim());
+  if (!m) return NaN;
+  const value = parseFloat(m[1]);
+  switch ((m[2] || 'px').toLowerCase()) {
+    case 'cm': return Math.round(value / 2.54 * dpi);
+    case 'mm': return Math.round(value / 25.4 * dpi);
+    case 'in': return Math.round(value * dpi);
+    default:   return Math.round(value);
+  }
+}
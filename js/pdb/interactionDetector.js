@@ -1,7 +1,8 @@
 // ============================================================
 // interactionDetector.js — Detect non-covalent interactions
 // Pure detection logic, no Three.js. Returns { a, b, distance }[]
-// for each interaction type.
+// for each interaction type. Links (SSBOND / LINK records) are read
+// from the model rather than detected.
 // ============================================================
 
 import { findBondsBetween } from './bondInference.js';
@@ -12,6 +13,7 @@ export const INTERACTION_TYPES = {
   SALT_BRIDGES: 'salt_bridges',
   COVALENT:     'covalent',
   DISTANCE:     'distance',
+  LINKS:        'links',
 };
 
 // Default cutoffs in Angstroms
@@ -286,3 +288,26 @@ export function detectDistance(model, sel1, sel2, cutoff) {
   }
   return results;
 }
+
+// ---- Recorded links (SSBOND / LINK) ----
+
+/**
+ * Links from the structure file (model.links) with one atom in each
+ * selection: disulfides, covalent links (glycans, covalent ligands) and
+ * metal coordination.
+ *
+ * @param {Object} model - Parsed PDB model
+ * @param {Set<number>} sel1 - First selection
+ * @param {Set<number>} sel2 - Second selection
+ * @returns {{ a: number, b: number, distance: number, kind: string }[]}
+ */
+export function detectLinks(model, sel1, sel2) {
+  const { positions } = model;
+  const results = [];
+  for (const [a, b, kind] of model.links || []) {
+    if ((sel1.has(a) && sel2.has(b)) || (sel1.has(b) && sel2.has(a))) {
+      results.push({ a, b, distance: Math.sqrt(atomDistSq(positions, a, b)), kind });
+    }
+  }
+  return results;
+}
@@ -158,6 +158,7 @@ export function pairCAAtoms(mobileModel, targetModel) {
 /**
  * Apply rotation + translation transform to a model in place.
  * Transforms: x' = R * (x - mobileCenter) + targetCenter
+ * Every coordinate frame of a multi-model structure is moved too.
  *
  * @param {Object} model - parsePDB output (modified in place)
  * @param {Float64Array} rotation - 3x3 row-major rotation matrix
@@ -188,6 +189,18 @@ export function applyTransform(model, rotation, mobileCenter, targetCenter) {
     model.atoms[i].y = ny;
     model.atoms[i].z = nz;
   }
+
+  if (!model.frames) return;
+  for (const frame of model.frames) {
+    for (let i = 0; i < model.atomCount; i++) {
+      const ox = frame[i * 3]     - mc[0];
+      const oy = frame[i * 3 + 1] - mc[1];
+      const oz = frame[i * 3 + 2] - mc[2];
+      frame[i * 3]     = R[0] * ox + R[1] * oy + R[2] * oz + tc[0];
+      frame[i * 3 + 1] = R[3] * ox + R[4] * oy + R[5] * oz + tc[1];
+      frame[i * 3 + 2] = R[6] * ox + R[7] * oy + R[8] * oz + tc[2];
+    }
+  }
 }
 
 // ============================================================
@@ -0,0 +1,218 @@
+// ============================================================
+// labels.js — PyMOL-style label expressions
+// Compiles expressions such as  resn+resi,  name,  "%s-%s" % (resn, resi)
+// or  chain+":"+resn  into a function producing label text per atom.
+//
+// Grammar:
+//   expr   := term ('+' term)*
+//   term   := STRING ('%' (prop | '(' expr (',' expr)* ')'))?
+//           | prop | NUMBER
+//   prop   := NAME | 'p.' NAME   (p.<tag>: SD-file molecule property)
+// ============================================================
+
+import { SS_HELIX, SS_SHEET } from './parser.js';
+import { findResidueIndex } from './picking.js';
+
+/**
+ * Label properties: atom or residue value plus whether it is the same for
+ * every atom of a residue (residue-level expressions get one label per residue).
+ */
+const LABEL_PROPERTIES = {
+  name:      { residue: false, get: (a) => a.name },
+  resn:      { residue: true,  get: (a) => a.resName },
+  resi:      { residue: true,  get: (a) => `${a.resSeq}${(a.iCode || '').trim()}` },
+  chain:     { residue: true,  get: (a) => a.chainId.trim() },
+  elem:      { residue: false, get: (a) => a.element },
+  b:         { residue: false, get: (a) => a.bFactor, digits: 2 },
+  q:         { residue: false, get: (a) => a.occupancy, digits: 2 },
+  alt:       { residue: false, get: (a) => (a.altLoc || '').trim() },
+  id:        { residue: false, get: (a) => a.serial },
+  index:     { residue: false, get: (a, i) => i + 1 },
+  oneletter: { residue: true,  get: (a, i, res) => (res ? res.oneLetterCode : '?') },
+  ss:        { residue: true,  get: (a, i, res) => (!res ? '' : res.ss === SS_HELIX ? 'H' : res.ss === SS_SHEET ? 'S' : 'L') },
+};
+
+// Alternative PyMOL names
+const PROPERTY_ALIASES = {
+  resname: 'resn', resv: 'resi', chain_id: 'chain', element: 'elem',
+  occupancy: 'q', altloc: 'alt', serial: 'id', rank: 'index',
+};
+
+/** Property names accepted in label expressions (for usage messages) */
+export const LABEL_PROPERTY_NAMES = [...Object.keys(LABEL_PROPERTIES), 'p.<tag>'];
+
+// ---- Tokenizer ----
+
+function tokenize(expr) {
+  const tokens = [];
+  let i = 0;
+  while (i < expr.length) {
+    const ch = expr[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '"' || ch === "'") {
+      const end = expr.indexOf(ch, i + 1);
+      if (end === -1) throw new Error('Unterminated string in label expression');
+      tokens.push({ type: 'STRING', value: expr.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+    if ('+%(),'.includes(ch)) {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+    const m = /^(?:[pP]\.\w+|[A-Za-z_]\w*|\d+(?:\.\d+)?)/.exec(expr.slice(i));
+    if (!m) throw new Error(`Unexpected "${ch}" in label expression`);
+    tokens.push(/^\d/.test(m[0])
+      ? { type: 'NUMBER', value: m[0] }
+      : { type: 'PROP', value: m[0].toLowerCase() });
+    i += m[0].length;
+  }
+  return tokens;
+}
+
+// ---- Formatting ----
+
+/** Default text for a property value (floats get the property's digits) */
+function toText(value, digits) {
+  if (typeof value === 'number' && digits !== undefined) return value.toFixed(digits);
+  return String(value);
+}
+
+/** Python-style "%" formatting: %s, %d, %i, %f with optional width/precision */
+function percentFormat(fmt, args) {
+  let k = 0;
+  const out = fmt.replace(/%(-?)(\d*)(?:\.(\d+))?([sdif%])/g, (spec, left, width, prec, conv) => {
+    if (conv === '%') return '%';
+    if (k >= args.length) throw new Error('Not enough values for label format');
+    const { value, digits } = args[k++];
+    let s;
+    if (conv === 's') s = toText(value, digits);
+    else if (conv === 'f') s = Number(value).toFixed(prec !== undefined ? +prec : 6);
+    else s = String(Math.trunc(Number(value)));
+    if (width) s = left ? s.padEnd(+width) : s.padStart(+width);
+    return s;
+  });
+  if (k < args.length) throw new Error('Too many values for label format');
+  return out;
+}
+
+// ---- Compiler ----
+
+/**
+ * Compile a label expression.
+ *
+ * @param {string} expr
+ * @returns {{ evaluate: function(Object, number, Object=): string, perResidue: boolean }}
+ *   evaluate(atom, atomIndex, residue) returns the label text; perResidue is
+ *   true when the expression only uses residue-level properties
+ */
+export function compileLabelExpression(expr) {
+  const tokens = tokenize(expr);
+  let pos = 0;
+  let perResidue = true;
+
+  const peek = () => tokens[pos];
+  const expect = (type) => {
+    const tok = tokens[pos];
+    if (!tok || tok.type !== type) throw new Error(`Expected "${type}" in label expression`);
+    pos++;
+    return tok;
+  };
+
+  // Each node evaluates to { value, digits } so % formatting sees raw numbers
+  function parseProp(name) {
+    if (name.startsWith('p.')) {
+      // p.<name> — molecule property (SD tag) of the atom's residue
+      const propName = name.substring(2);
+      return (a, i, res) => {
+        const props = (res && res.props) || {};
+        const key = Object.keys(props).find(k => k.toLowerCase() === propName);
+        return { value: key === undefined ? '' : props[key] };
+      };
+    }
+    const key = PROPERTY_ALIASES[name] || name;
+    const prop = LABEL_PROPERTIES[key];
+    if (!prop) {
+      throw new Error(`Unknown label property "${name}". Available: ${LABEL_PROPERTY_NAMES.join(', ')}`);
+    }
+    if (!prop.residue) perResidue = false;
+    return (a, i, res) => ({ value: prop.get(a, i, res), digits: prop.digits });
+  }
+
+  function parseTerm() {
+    const tok = tokens[pos++];
+    if (!tok) throw new Error('Incomplete label expression');
+    if (tok.type === 'PROP') return parseProp(tok.value);
+    if (tok.type === 'NUMBER') return () => ({ value: tok.value });
+    if (tok.type !== 'STRING') throw new Error(`Unexpected "${tok.type}" in label expression`);
+
+    if (!peek() || peek().type !== '%') return () => ({ value: tok.value });
+    pos++;
+    const args = [];
+    if (peek() && peek().type === '(') {
+      pos++;
+      args.push(parseExpr());
+      while (peek() && peek().type === ',') {
+        pos++;
+        args.push(parseExpr());
+      }
+      expect(')');
+    } else {
+      args.push(parseTerm());
+    }
+    return (a, i, res) => ({ value: percentFormat(tok.value, args.map(f => f(a, i, res))) });
+  }
+
+  function parseExpr() {
+    const terms = [parseTerm()];
+    while (peek() && peek().type === '+') {
+      pos++;
+      terms.push(parseTerm());
+    }
+    if (terms.length === 1) return terms[0];
+    return (a, i, res) => ({
+      value: terms.map(f => { const r = f(a, i, res); return toText(r.value, r.digits); }).join(''),
+    });
+  }
+
+  const root = parseExpr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value || tokens[pos].type}" in label expression`);
+
+  return {
+    evaluate(atom, atomIndex, residue) {
+      const r = root(atom, atomIndex, residue);
+      return toText(r.value, r.digits);
+    },
+    perResidue,
+  };
+}
+
+/**
+ * Label text per anchor atom for a selection. Residue-level expressions
+ * get one label per residue, anchored on its CA (or its first selected
+ * atom when the CA is not selected); others label every atom.
+ *
+ * @param {Object} model
+ * @param {Set<number>} indices
+ * @param {string} expr
+ * @returns {Map<number, string>} Atom index → label text
+ */
+export function buildLabelTexts(model, indices, expr) {
+  const { evaluate, perResidue } = compileLabelExpression(expr);
+  const { atoms, residues } = model;
+
+  const anchors = new Map(); // residue index (or -1 - atom for residue-less atoms) → atom
+  for (const i of [...indices].sort((x, y) => x - y)) {
+    const ri = findResidueIndex(model, i);
+    const key = perResidue && ri >= 0 ? ri : -1 - i;
+    if (!anchors.has(key) || (ri >= 0 && residues[ri].caIndex === i)) anchors.set(key, i);
+  }
+
+  const texts = new Map();
+  for (const i of anchors.values()) {
+    const ri = findResidueIndex(model, i);
+    texts.set(i, evaluate(atoms[i], i, ri >= 0 ? residues[ri] : null));
+  }
+  return texts;
+}
@@ -8,9 +8,11 @@ export function createLegendOverlay(container) {
   el.className = 'viewer-legend';
   el.style.display = 'none';
   container.appendChild(el);
+  let current = null;
 
   return {
     update({ title, entries, representation }) {
+      current = { title, entries, representation };
       let html = '';
       if (representation) {
         html += `<div class="legend-rep">${escapeHtml(representation)}</div>`;
@@ -26,8 +28,13 @@ export function createLegendOverlay(container) {
       el.style.display = '';
     },
     hide() {
+      current = null;
       el.style.display = 'none';
     },
+    /** Data last passed to update(), or null while hidden */
+    getState() {
+      return current;
+    },
     dispose() {
       el.remove();
     },
@@ -0,0 +1,110 @@
+// ============================================================
+// measurements.js — Distance / angle / dihedral geometry
+// Pure math on flat position arrays, shared by the measurement
+// overlay and the distance/angle/dihedral console commands.
+// ============================================================
+
+/**
+ * Measurement kinds by number of atoms, with value formatting and the
+ * prefix used for auto-generated names (PyMOL style: dist01, angle01...).
+ */
+export const MEASUREMENT_KINDS = {
+  distance: { atoms: 2, prefix: 'dist',     unit: 'Å', digits: 2 },
+  angle:    { atoms: 3, prefix: 'angle',    unit: '°', digits: 1 },
+  dihedral: { atoms: 4, prefix: 'dihedral', unit: '°', digits: 1 },
+};
+
+/**
+ * Measurement kind for a number of atoms.
+ * @param {number} count
+ * @returns {string|null} 'distance', 'angle', 'dihedral' or null
+ */
+export function measurementKind(count) {
+  for (const [kind, def] of Object.entries(MEASUREMENT_KINDS)) {
+    if (def.atoms === count) return kind;
+  }
+  return null;
+}
+
+/**
+ * Format a measured value with its unit (e.g. "3.42 Å", "109.5°").
+ * @param {string} kind
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatMeasurement(kind, value) {
+  const def = MEASUREMENT_KINDS[kind];
+  const sep = kind === 'distance' ? ' ' : '';
+  return `${value.toFixed(def.digits)}${sep}${def.unit}`;
+}
+
+// ---- Geometry ----
+
+function sub(positions, i, j) {
+  return [
+    positions[i * 3] - positions[j * 3],
+    positions[i * 3 + 1] - positions[j * 3 + 1],
+    positions[i * 3 + 2] - positions[j * 3 + 2],
+  ];
+}
+
+const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+const cross = (u, v) => [
+  u[1] * v[2] - u[2] * v[1],
+  u[2] * v[0] - u[0] * v[2],
+  u[0] * v[1] - u[1] * v[0],
+];
+const norm = (u) => Math.sqrt(dot(u, u));
+
+/**
+ * Distance between atoms a and b (Å).
+ */
+export function measureDistance(positions, a, b) {
+  return norm(sub(positions, a, b));
+}
+
+/**
+ * Angle a-b-c at vertex b, in degrees (0-180).
+ */
+export function measureAngle(positions, a, b, c) {
+  const u = sub(positions, a, b);
+  const v = sub(positions, c, b);
+  const len = norm(u) * norm(v);
+  if (len === 0) return 0;
+  const cos = Math.max(-1, Math.min(1, dot(u, v) / len));
+  return Math.acos(cos) * 180 / Math.PI;
+}
+
+/**
+ * Dihedral (torsion) angle a-b-c-d in degrees (-180 to 180), IUPAC sign
+ * convention: positive when, looking along b→c, a must rotate clockwise
+ * to eclipse d.
+ */
+export function measureDihedral(positions, a, b, c, d) {
+  const b1 = sub(positions, b, a);
+  const b2 = sub(positions, c, b);
+  const b3 = sub(positions, d, c);
+  const n1 = cross(b1, b2);
+  const n2 = cross(b2, b3);
+  const b2len = norm(b2);
+  if (b2len === 0) return 0;
+  const m1 = cross(b2.map(x => x / b2len), n1);
+  return Math.atan2(dot(m1, n2), dot(n1, n2)) * 180 / Math.PI;
+}
+
+/**
+ * Measure the value for 2, 3 or 4 atoms.
+ *
+ * @param {Float32Array} positions
+ * @param {number[]} atoms
+ * @returns {{ kind: string, value: number }}
+ */
+export function measure(positions, atoms) {
+  const kind = measurementKind(atoms.length);
+  if (!kind) throw new Error('A measurement needs 2, 3 or 4 atoms');
+  let value;
+  if (kind === 'distance') value = measureDistance(positions, atoms[0], atoms[1]);
+  else if (kind === 'angle') value = measureAngle(positions, atoms[0], atoms[1], atoms[2]);
+  else value = measureDihedral(positions, atoms[0], atoms[1], atoms[2], atoms[3]);
+  return { kind, value };
+}
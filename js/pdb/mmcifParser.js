@@ -0,0 +1,494 @@
+// ============================================================
+// mmcifParser.js — mmCIF / PDBx file format parser
+// Generic CIF tokenizer (data blocks, loop_, text fields) plus
+// a PDBx mapper: _atom_site, _struct_conf, _struct_sheet_range,
+// _struct_conn (links), _pdbx_poly_seq_scheme (deposited sequence and
+// missing residues), _pdbx_unobs_or_zero_occ_atoms (missing atoms)
+// and header categories → parsePDB-shaped model
+// ============================================================
+
+import { buildModel, guessElement } from './parser.js';
+import { LINK_KINDS } from './constants.js';
+
+// ---- CIF reader ----
+
+/**
+ * Tokenize CIF text. Yields raw token strings; `quoted` is true when the
+ * last token came from a quoted string or a ;-delimited text field, so
+ * reserved words (loop_, data_) and null markers (. ?) can be told apart.
+ */
+class CIFTokenizer {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.quoted = false;
+  }
+
+  next() {
+    const text = this.text;
+    const len = text.length;
+    let pos = this.pos;
+
+    // Skip whitespace and comments
+    while (pos < len) {
+      const ch = text.charCodeAt(pos);
+      if (ch === 32 || ch === 9 || ch === 10 || ch === 13) { pos++; continue; }
+      if (ch === 35) { // '#'
+        while (pos < len && text.charCodeAt(pos) !== 10) pos++;
+        continue;
+      }
+      break;
+    }
+    if (pos >= len) { this.pos = pos; return null; }
+
+    const ch = text[pos];
+    const atLineStart = pos === 0 || text.charCodeAt(pos - 1) === 10;
+
+    // ;-delimited multi-line text field
+    if (ch === ';' && atLineStart) {
+      let end = text.indexOf('\n;', pos + 1);
+      if (end < 0) end = len;
+      const value = text.substring(pos + 1, end).replace(/\r/g, '').trim();
+      this.pos = Math.min(len, end + 2);
+      this.quoted = true;
+      return value;
+    }
+
+    // Quoted string — closes on a matching quote followed by whitespace/EOL
+    if (ch === "'" || ch === '"') {
+      let end = pos + 1;
+      while (end < len) {
+        if (text[end] === ch) {
+          const after = text.charCodeAt(end + 1);
+          if (end + 1 >= len || after === 32 || after === 9 || after === 10 || after === 13) break;
+        }
+        end++;
+      }
+      this.pos = end + 1;
+      this.quoted = true;
+      return text.substring(pos + 1, end);
+    }
+
+    // Bare token
+    let end = pos;
+    while (end < len) {
+      const c = text.charCodeAt(end);
+      if (c === 32 || c === 9 || c === 10 || c === 13) break;
+      end++;
+    }
+    this.pos = end;
+    this.quoted = false;
+    return text.substring(pos, end);
+  }
+}
+
+/**
+ * Parse CIF text into data blocks of column-oriented categories.
+ * Category and field names are stored without the leading underscore,
+ * e.g. block.categories.get('atom_site').columns.Cartn_x.
+ *
+ * @param {string} text - Raw CIF file contents
+ * @returns {Array<{ name: string, categories: Map<string, { name, fields: string[], columns: Object, rowCount: number }> }>}
+ */
+export function parseCIF(text) {
+  const blocks = [];
+  const tok = new CIFTokenizer(text);
+  let block = null;
+
+  const getCategory = (name) => {
+    if (!block) {
+      block = { name: '', categories: new Map() };
+      blocks.push(block);
+    }
+    let cat = block.categories.get(name);
+    if (!cat) {
+      cat = { name, fields: [], columns: {}, rowCount: 0 };
+      block.categories.set(name, cat);
+    }
+    return cat;
+  };
+
+  const splitTag = (tag) => {
+    const dot = tag.indexOf('.');
+    if (dot < 0) return [tag.substring(1), ''];
+    return [tag.substring(1, dot), tag.substring(dot + 1)];
+  };
+
+  let token = tok.next();
+  while (token !== null) {
+    if (tok.quoted) { token = tok.next(); continue; }
+    const lower = token.toLowerCase();
+
+    if (lower.startsWith('data_')) {
+      block = { name: token.substring(5), categories: new Map() };
+      blocks.push(block);
+      token = tok.next();
+      continue;
+    }
+
+    if (lower === 'loop_') {
+      // Header: consecutive _category.field tags
+      const tags = [];
+      token = tok.next();
+      while (token !== null && !tok.quoted && token[0] === '_') {
+        tags.push(splitTag(token));
+        token = tok.next();
+      }
+      if (tags.length === 0) continue;
+      const cat = getCategory(tags[0][0]);
+      const cols = tags.map(([, field]) => {
+        if (!cat.columns[field]) {
+          cat.fields.push(field);
+          cat.columns[field] = [];
+        }
+        return cat.columns[field];
+      });
+      // Values until the next tag or reserved word
+      let k = 0;
+      while (token !== null) {
+        if (!tok.quoted) {
+          const c = token[0];
+          if (c === '_') break;
+          const l = token.toLowerCase();
+          if (l === 'loop_' || l.startsWith('data_') || l.startsWith('save_')) break;
+        }
+        cols[k].push(token);
+        k++;
+        if (k === cols.length) { k = 0; cat.rowCount++; }
+        token = tok.next();
+      }
+      continue;
+    }
+
+    if (token[0] === '_') {
+      const [catName, field] = splitTag(token);
+      const value = tok.next();
+      if (value === null) break;
+      const cat = getCategory(catName);
+      if (!cat.columns[field]) {
+        cat.fields.push(field);
+        cat.columns[field] = [];
+      }
+      cat.columns[field].push(value);
+      cat.rowCount = Math.max(cat.rowCount, cat.columns[field].length);
+      token = tok.next();
+      continue;
+    }
+
+    // save_ frames and stray values are ignored
+    token = tok.next();
+  }
+
+  return blocks;
+}
+
+// ---- PDBx → model mapping ----
+
+/** CIF null markers: '.' (inapplicable) and '?' (unknown) → '' */
+function cifStr(col, i) {
+  if (!col) return '';
+  const v = col[i];
+  if (v === undefined || v === null || v === '.' || v === '?') return '';
+  return String(v);
+}
+
+// Decoded BinaryCIF columns are already numeric — skip the string round-trip
+function cifInt(col, i) {
+  if (col && typeof col[i] === 'number') return col[i];
+  return parseInt(cifStr(col, i)) || 0;
+}
+
+function cifFloat(col, i) {
+  if (col && typeof col[i] === 'number') return col[i];
+  return parseFloat(cifStr(col, i)) || 0;
+}
+
+/** First column present among candidate field names (auth_* before label_*) */
+function column(cat, ...fields) {
+  if (!cat) return null;
+  for (const f of fields) {
+    if (cat.columns[f]) return cat.columns[f];
+  }
+  return null;
+}
+
+/** First non-null value of a single-row or looped item */
+function firstValue(block, catName, field) {
+  const col = column(block.categories.get(catName), field);
+  if (!col) return '';
+  for (let i = 0; i < col.length; i++) {
+    const v = cifStr(col, i);
+    if (v) return v;
+  }
+  return '';
+}
+
+/** Read helix/strand ranges from _struct_conf or _struct_sheet_range */
+function readSSRanges(cat, filter) {
+  const ranges = [];
+  if (!cat) return ranges;
+  const typeCol = column(cat, 'conf_type_id');
+  const begChain = column(cat, 'beg_auth_asym_id', 'beg_label_asym_id');
+  const begSeq = column(cat, 'beg_auth_seq_id', 'beg_label_seq_id');
+  const begIns = column(cat, 'pdbx_beg_PDB_ins_code');
+  const endChain = column(cat, 'end_auth_asym_id', 'end_label_asym_id');
+  const endSeq = column(cat, 'end_auth_seq_id', 'end_label_seq_id');
+  const endIns = column(cat, 'pdbx_end_PDB_ins_code');
+  if (!begChain || !begSeq || !endChain || !endSeq) return ranges;
+
+  for (let i = 0; i < cat.rowCount; i++) {
+    if (filter && !filter(cifStr(typeCol, i))) continue;
+    ranges.push({
+      startChain: cifStr(begChain, i),
+      startSeq: cifInt(begSeq, i),
+      startICode: cifStr(begIns, i) || ' ',
+      endChain: cifStr(endChain, i),
+      endSeq: cifInt(endSeq, i),
+      endICode: cifStr(endIns, i) || ' ',
+    });
+  }
+  return ranges;
+}
+
+/** Header metadata from the entry-level categories */
+function readHeader(block) {
+  const header = { classification: '', pdbId: '', date: '', title: '', compound: '', source: '', method: '', resolution: null };
+  header.pdbId = firstValue(block, 'entry', 'id');
+  header.classification = firstValue(block, 'struct_keywords', 'pdbx_keywords');
+  header.title = firstValue(block, 'struct', 'title');
+  header.date = firstValue(block, 'pdbx_database_status', 'recvd_initial_deposition_date');
+
+  const exptl = column(block.categories.get('exptl'), 'method');
+  if (exptl) header.method = exptl.map((_, i) => cifStr(exptl, i)).filter(Boolean).join(', ');
+
+  const res = firstValue(block, 'refine', 'ls_d_res_high')
+    || firstValue(block, 'reflns', 'd_resolution_high')
+    || firstValue(block, 'em_3d_reconstruction', 'resolution');
+  if (res && !isNaN(parseFloat(res))) header.resolution = parseFloat(res);
+
+  // Polymer entity descriptions stand in for COMPND MOLECULE lines
+  const entity = block.categories.get('entity');
+  const descCol = column(entity, 'pdbx_description');
+  const typeCol = column(entity, 'type');
+  if (descCol) {
+    const names = [];
+    for (let i = 0; i < entity.rowCount; i++) {
+      if (typeCol && cifStr(typeCol, i) !== 'polymer') continue;
+      const d = cifStr(descCol, i);
+      if (d && !names.includes(d)) names.push(d);
+    }
+    header.compound = names.join('; ');
+  }
+
+  const organisms = [];
+  for (const [catName, field] of [
+    ['entity_src_gen', 'pdbx_gene_src_scientific_name'],
+    ['entity_src_nat', 'pdbx_organism_scientific_name'],
+    ['pdbx_entity_src_syn', 'organism_scientific'],
+  ]) {
+    const col = column(block.categories.get(catName), field);
+    if (!col) continue;
+    for (let i = 0; i < col.length; i++) {
+      const o = cifStr(col, i);
+      if (o && !organisms.includes(o)) organisms.push(o);
+    }
+  }
+  header.source = organisms.join('; ');
+
+  return header;
+}
+
+/**
+ * Build a model from one parsed PDBx data block. Columns may hold strings
+ * (text CIF) or numbers (decoded BinaryCIF); both are accepted.
+ *
+ * @param {{ categories: Map }} block - Data block from parseCIF()
+ * @returns {Object|null} parsePDB-shaped model, or null if no atoms
+ */
+export function modelFromCIFBlock(block) {
+  const site = block.categories.get('atom_site');
+  if (!site || site.rowCount === 0) return null;
+
+  const groupCol = column(site, 'group_PDB');
+  const idCol = column(site, 'id');
+  const typeCol = column(site, 'type_symbol');
+  const nameCol = column(site, 'auth_atom_id', 'label_atom_id');
+  const altCol = column(site, 'label_alt_id');
+  const resNameCol = column(site, 'auth_comp_id', 'label_comp_id');
+  const chainCol = column(site, 'auth_asym_id', 'label_asym_id');
+  const seqCol = column(site, 'auth_seq_id', 'label_seq_id');
+  const insCol = column(site, 'pdbx_PDB_ins_code');
+  const xCol = column(site, 'Cartn_x');
+  const yCol = column(site, 'Cartn_y');
+  const zCol = column(site, 'Cartn_z');
+  const bCol = column(site, 'B_iso_or_equiv');
+  const occCol = column(site, 'occupancy');
+  const modelCol = column(site, 'pdbx_PDB_model_num');
+  if (!xCol || !yCol || !zCol) return null;
+
+  // First model defines topology; later models only contribute frames
+  const firstModel = modelCol ? modelCol[0] : null;
+  const frameByModel = new Map();  // model num → xyz number[]
+
+  const atoms = [];
+  for (let i = 0; i < site.rowCount; i++) {
+    if (modelCol && modelCol[i] !== firstModel) {
+      let frame = frameByModel.get(modelCol[i]);
+      if (!frame) { frame = []; frameByModel.set(modelCol[i], frame); }
+      frame.push(cifFloat(xCol, i), cifFloat(yCol, i), cifFloat(zCol, i));
+      continue;
+    }
+
+    const altLoc = cifStr(altCol, i) || ' ';
+    const atomName = cifStr(nameCol, i);
+    const resName = cifStr(resNameCol, i);
+    let element = cifStr(typeCol, i);
+    if (!element) element = guessElement(atomName, resName);
+    element = element.toUpperCase();
+
+    atoms.push({
+      x: cifFloat(xCol, i),
+      y: cifFloat(yCol, i),
+      z: cifFloat(zCol, i),
+      element,
+      name: atomName,
+      serial: cifInt(idCol, i) || i + 1,
+      resName,
+      resSeq: cifInt(seqCol, i),
+      chainId: cifStr(chainCol, i) || 'A',
+      bFactor: cifFloat(bCol, i),
+      occupancy: occCol && cifStr(occCol, i) ? cifFloat(occCol, i) : 1,
+      isHet: cifStr(groupCol, i) === 'HETATM',
+      altLoc,
+      iCode: cifStr(insCol, i) || ' ',
+    });
+  }
+
+  const helices = readSSRanges(block.categories.get('struct_conf'), t => t.startsWith('HELX'));
+  const sheets = readSSRanges(block.categories.get('struct_sheet_range'), null);
+  const links = readStructConn(block.categories.get('struct_conn'));
+  const sequences = readPolySeqScheme(block.categories.get('pdbx_poly_seq_scheme'));
+  const missingAtoms = readUnobservedAtoms(block.categories.get('pdbx_unobs_or_zero_occ_atoms'));
+  const header = readHeader(block);
+
+  return buildModel(atoms, helices, sheets, {}, header, [...frameByModel.values()],
+    { links, sequences, missingAtoms });
+}
+
+/**
+ * Deposited sequence per chain (SEQRES) and its unobserved residues
+ * (REMARK 465): scheme rows without an author residue have no coordinates.
+ * Microheterogeneity rows after the first at a position are skipped.
+ */
+function readPolySeqScheme(scheme) {
+  const sequences = {};
+  if (!scheme) return sequences;
+  const chainCol = column(scheme, 'pdb_strand_id', 'asym_id');
+  const posCol = column(scheme, 'seq_id');
+  const monCol = column(scheme, 'mon_id');
+  const seqCol = column(scheme, 'pdb_seq_num', 'auth_seq_num');
+  const insCol = column(scheme, 'pdb_ins_code');
+  const observedCol = column(scheme, 'auth_mon_id', 'pdb_mon_id');
+  if (!chainCol || !monCol || !seqCol) return sequences;
+
+  let lastKey = null;
+  for (let i = 0; i < scheme.rowCount; i++) {
+    const chainId = cifStr(chainCol, i) || 'A';
+    const key = `${chainId}:${cifStr(posCol, i)}`;
+    if (posCol && key === lastKey) continue;
+    lastKey = key;
+    const seq = sequences[chainId] || (sequences[chainId] = { seqres: [], missing: [] });
+    const name = cifStr(monCol, i);
+    seq.seqres.push(name);
+    if (observedCol && !cifStr(observedCol, i)) {
+      seq.missing.push({ name, seq: cifInt(seqCol, i), iCode: cifStr(insCol, i) || ' ' });
+    }
+  }
+  return sequences;
+}
+
+/** Modelled polymer residues lacking atoms (REMARK 470) */
+function readUnobservedAtoms(cat) {
+  const missingAtoms = [];
+  if (!cat) return missingAtoms;
+  const chainCol = column(cat, 'auth_asym_id', 'label_asym_id');
+  const seqCol = column(cat, 'auth_seq_id', 'label_seq_id');
+  const insCol = column(cat, 'PDB_ins_code');
+  const atomCol = column(cat, 'auth_atom_id', 'label_atom_id');
+  const polymerCol = column(cat, 'polymer_flag');
+  const occCol = column(cat, 'occupancy_flag');
+  if (!chainCol || !seqCol || !atomCol) return missingAtoms;
+
+  const byResidue = new Map();
+  for (let i = 0; i < cat.rowCount; i++) {
+    if (polymerCol && cifStr(polymerCol, i) !== 'Y') continue;
+    if (occCol && cifStr(occCol, i) !== '1') continue; // '0': zero occupancy, still modelled
+    const chainId = cifStr(chainCol, i) || 'A';
+    const resSeq = cifInt(seqCol, i);
+    const iCode = cifStr(insCol, i) || ' ';
+    const key = `${chainId}:${resSeq}:${iCode}`;
+    let entry = byResidue.get(key);
+    if (!entry) {
+      entry = { chainId, resSeq, iCode, atoms: [] };
+      byResidue.set(key, entry);
+      missingAtoms.push(entry);
+    }
+    entry.atoms.push(cifStr(atomCol, i));
+  }
+  return missingAtoms;
+}
+
+// _struct_conn.conn_type_id → LINK_KINDS (hydrogen bonds are left out)
+function linkKind(type) {
+  if (type === 'disulf') return LINK_KINDS.DISULFIDE;
+  if (type === 'metalc') return LINK_KINDS.METAL;
+  if (type.startsWith('covale')) return LINK_KINDS.COVALENT;
+  return null;
+}
+
+/**
+ * Disulfide, covalent and metal links from _struct_conn, in the link
+ * record shape buildModel() resolves (same as PDB SSBOND / LINK).
+ */
+function readStructConn(conn) {
+  const links = [];
+  if (!conn) return links;
+  const typeCol = column(conn, 'conn_type_id');
+  const partnerColumns = (n) => ({
+    chain: column(conn, `ptnr${n}_auth_asym_id`, `ptnr${n}_label_asym_id`),
+    seq: column(conn, `ptnr${n}_auth_seq_id`, `ptnr${n}_label_seq_id`),
+    ins: column(conn, `pdbx_ptnr${n}_PDB_ins_code`),
+    atom: column(conn, `ptnr${n}_label_atom_id`),
+    alt: column(conn, `pdbx_ptnr${n}_label_alt_id`),
+  });
+  const p1 = partnerColumns(1);
+  const p2 = partnerColumns(2);
+  if (!typeCol || !p1.chain || !p1.seq || !p1.atom || !p2.chain || !p2.seq || !p2.atom) return links;
+
+  const partner = (p, i) => ({
+    chainId: cifStr(p.chain, i),
+    resSeq: cifInt(p.seq, i),
+    iCode: cifStr(p.ins, i) || ' ',
+    name: cifStr(p.atom, i),
+    altLoc: cifStr(p.alt, i) || ' ',
+  });
+  for (let i = 0; i < conn.rowCount; i++) {
+    const kind = linkKind(cifStr(typeCol, i).toLowerCase());
+    if (kind) links.push({ kind, partners: [partner(p1, i), partner(p2, i)] });
+  }
+  return links;
+}
+
+/**
+ * Parse an mmCIF / PDBx string into a structured protein model.
+ * Uses the first data block that contains _atom_site.
+ *
+ * @param {string} cifText - Raw mmCIF file contents
+ * @returns {Object|null} Parsed protein model (same shape as parsePDB)
+ */
+export function parseMMCIF(cifText) {
+  const blocks = parseCIF(cifText);
+  const block = blocks.find(b => b.categories.has('atom_site'));
+  if (!block) return null;
+  return modelFromCIFBlock(block);
+}
@@ -0,0 +1,306 @@
+// ============================================================
+// molParser.js — Small-molecule formats: SDF / MOL (MDL V2000 and
+// V3000) and Tripos MOL2
+// Molecules (SDF records, MOL2 @<TRIPOS>MOLECULE) that repeat the first
+// one's atoms (docking poses, conformers) become coordinate frames of one
+// model; otherwise each molecule is its own model (structure). A model
+// is chain A; MOL2 substructures become residues, otherwise the molecule
+// is one residue. Bonds and bond orders come from the file
+// (model.explicitBonds / model.bondOrders) instead of being inferred.
+// SD tags are kept in residue.props (per frame in model.frameProps).
+// ============================================================
+
+import { buildModel, guessElement, STANDARD_AA } from './parser.js';
+import { bondKey } from './bondInference.js';
+import { BOND_ORDERS } from './constants.js';
+
+// Key under which a molecule's title line is kept in residue.props
+export const TITLE_PROPERTY = '_Name';
+
+// MDL bond types 1-3 are orders, 4 is aromatic; query types count as single
+const MDL_BOND_ORDERS = { 1: BOND_ORDERS.SINGLE, 2: BOND_ORDERS.DOUBLE, 3: BOND_ORDERS.TRIPLE, 4: BOND_ORDERS.AROMATIC };
+
+const MOL2_BOND_ORDERS = {
+  1: BOND_ORDERS.SINGLE, 2: BOND_ORDERS.DOUBLE, 3: BOND_ORDERS.TRIPLE,
+  ar: BOND_ORDERS.AROMATIC, am: BOND_ORDERS.SINGLE,
+};
+
+// ---- Shared model building ----
+
+/** Residue name for a molecule title: short alphanumeric titles are kept, others become LIG */
+function residueNameFor(title) {
+  const t = (title || '').trim().toUpperCase();
+  return /^[A-Z0-9]{1,3}$/.test(t) ? t : 'LIG';
+}
+
+/** SD tags of a molecule, with its title under TITLE_PROPERTY */
+function moleculeProps(mol) {
+  const props = { ...mol.props };
+  if (mol.title) props[TITLE_PROPERTY] = mol.title;
+  return props;
+}
+
+/**
+ * Assemble a model (chain A) from a parsed molecule; further poses of
+ * the same atoms become coordinate frames.
+ *
+ * @param {{ title: string, atoms: Object[], bonds: number[][], props: Object }} mol -
+ *   atoms: { element, name?, x, y, z, resName?, resSeq? }; bonds: [a, b, order] (molecule-local)
+ * @param {Object[]} [poses] - Molecules with the same atoms in the same order
+ * @returns {Object|null}
+ */
+function buildMoleculeModel(mol, poses = []) {
+  const atoms = [];
+  const conectMap = {};
+  const pairs = [];
+  const orders = new Map();
+
+  const elementCounts = {};
+  for (const a of mol.atoms) {
+    elementCounts[a.element] = (elementCounts[a.element] || 0) + 1;
+    const resName = a.resName || residueNameFor(mol.title);
+    atoms.push({
+      x: a.x, y: a.y, z: a.z,
+      element: a.element,
+      name: a.name || `${a.element}${elementCounts[a.element]}`,
+      serial: atoms.length + 1,
+      resName,
+      resSeq: a.resSeq ?? 1,
+      chainId: 'A',
+      bFactor: 0,
+      occupancy: 1,
+      isHet: !STANDARD_AA.has(resName),
+      altLoc: ' ',
+      iCode: ' ',
+    });
+  }
+  for (const [a, b, order] of mol.bonds) {
+    if (a < 0 || b < 0 || a >= mol.atoms.length || b >= mol.atoms.length || a === b) continue;
+    (conectMap[a + 1] || (conectMap[a + 1] = [])).push(b + 1);
+    pairs.push(a, b);
+    if (order !== BOND_ORDERS.SINGLE) orders.set(bondKey(a, b), order);
+  }
+
+  const header = {
+    classification: '', pdbId: '', date: '',
+    title: mol.title || '',
+    compound: poses.length > 0 ? `${poses.length + 1} poses` : '',
+    source: '', method: '', resolution: null,
+  };
+  const frames = poses.map(p => p.atoms.flatMap(a => [a.x, a.y, a.z]));
+  const model = buildModel(atoms, [], [], conectMap, header, frames, { computeMissingSS: false });
+  if (!model) return null;
+
+  const props = moleculeProps(mol);
+  for (const res of model.residues) res.props = props;
+  if (poses.length > 0) model.frameProps = [props, ...poses.map(moleculeProps)];
+  model.explicitBonds = new Uint32Array(pairs);
+  model.bondOrders = orders;
+  return model;
+}
+
+/** Whether two molecules list the same atoms (element and name) in the same order */
+function sameAtoms(a, b) {
+  return a.atoms.length === b.atoms.length &&
+    a.atoms.every((atom, i) => atom.element === b.atoms[i].element && atom.name === b.atoms[i].name);
+}
+
+/**
+ * Models for the molecules of a file: one model with a frame per
+ * molecule when they all repeat the first one's atoms, else one model
+ * per molecule.
+ *
+ * @param {Object[]} molecules - See buildMoleculeModel
+ * @returns {Object|Object[]|null} A model, or an array for separate molecules
+ */
+function buildMoleculeModels(molecules) {
+  if (molecules.length === 0) return null;
+  if (molecules.every(m => sameAtoms(m, molecules[0]))) {
+    return buildMoleculeModel(molecules[0], molecules.slice(1));
+  }
+  const models = molecules.map(m => buildMoleculeModel(m)).filter(Boolean);
+  return models.length > 0 ? models : null;
+}
+
+function normalizeElement(symbol, atomName) {
+  const el = (symbol || '').replace(/[^A-Za-z]/g, '');
+  if (!el || /^(du|lp|any|hal|het|hev)$/i.test(el)) return guessElement(atomName || '', '').toUpperCase();
+  return el.toUpperCase();
+}
+
+// ---- SDF / MOL ----
+
+/** "> <name>" data items after M  END */
+function readSDTags(lines, start) {
+  const props = {};
+  for (let i = start; i < lines.length; i++) {
+    const m = /^>.*?<([^>]+)>/.exec(lines[i]);
+    if (!m) continue;
+    const value = [];
+    while (i + 1 < lines.length && lines[i + 1].trim() !== '') value.push(lines[++i]);
+    props[m[1].trim()] = value.join('\n').trim();
+  }
+  return props;
+}
+
+function readV2000(lines) {
+  const counts = lines[3];
+  let natoms = parseInt(counts.substring(0, 3));
+  let nbonds = parseInt(counts.substring(3, 6));
+  if (isNaN(natoms) || isNaN(nbonds)) [natoms, nbonds] = counts.trim().split(/\s+/).map(Number);
+
+  const atoms = [];
+  for (let i = 0; i < natoms; i++) {
+    const line = lines[4 + i] || '';
+    let x = parseFloat(line.substring(0, 10));
+    let y = parseFloat(line.substring(10, 20));
+    let z = parseFloat(line.substring(20, 30));
+    let symbol = line.substring(31, 34).trim();
+    if (isNaN(x) || isNaN(y) || isNaN(z) || !symbol) {
+      // Not column-aligned: whitespace separated
+      const f = line.trim().split(/\s+/);
+      [x, y, z] = f.slice(0, 3).map(Number);
+      symbol = f[3];
+    }
+    atoms.push({ element: normalizeElement(symbol), x: x || 0, y: y || 0, z: z || 0 });
+  }
+
+  const bonds = [];
+  for (let i = 0; i < nbonds; i++) {
+    const line = lines[4 + natoms + i] || '';
+    let a = parseInt(line.substring(0, 3));
+    let b = parseInt(line.substring(3, 6));
+    let type = parseInt(line.substring(6, 9));
+    if (isNaN(a) || isNaN(b) || isNaN(type)) [a, b, type] = line.trim().split(/\s+/).map(Number);
+    bonds.push([a - 1, b - 1, MDL_BOND_ORDERS[type] || BOND_ORDERS.SINGLE]);
+  }
+  return { atoms, bonds };
+}
+
+function readV3000(lines) {
+  // Join "-" continuation lines of the M  V30 block
+  const v30 = [];
+  for (const line of lines) {
+    if (!line.startsWith('M  V30 ')) continue;
+    const text = line.substring(7);
+    if (v30.length > 0 && v30[v30.length - 1].endsWith('-')) {
+      v30[v30.length - 1] = v30[v30.length - 1].slice(0, -1) + text;
+    } else {
+      v30.push(text);
+    }
+  }
+
+  const atoms = [];
+  const indexOf = new Map(); // V3000 atom number → position
+  const bonds = [];
+  let block = null;
+  for (const text of v30) {
+    const f = text.trim().split(/\s+/);
+    if (f[0] === 'BEGIN') { block = f[1]; continue; }
+    if (f[0] === 'END') { block = null; continue; }
+    if (block === 'ATOM' && f.length >= 5) {
+      indexOf.set(parseInt(f[0]), atoms.length);
+      atoms.push({ element: normalizeElement(f[1]), x: parseFloat(f[2]) || 0, y: parseFloat(f[3]) || 0, z: parseFloat(f[4]) || 0 });
+    } else if (block === 'BOND' && f.length >= 4) {
+      const a = indexOf.get(parseInt(f[2]));
+      const b = indexOf.get(parseInt(f[3]));
+      if (a !== undefined && b !== undefined) bonds.push([a, b, MDL_BOND_ORDERS[parseInt(f[1])] || BOND_ORDERS.SINGLE]);
+    }
+  }
+  return { atoms, bonds };
+}
+
+/**
+ * Parse an SDF / MOL file. Records ($$$$-separated) with the same atoms
+ * (e.g. docking poses) are frames of one model; different molecules are
+ * separate models.
+ *
+ * @param {string} text
+ * @returns {Object|Object[]|null} parsePDB-shaped model plus explicitBonds / bondOrders,
+ *   or one per molecule
+ */
+export function parseSDF(text) {
+  const molecules = [];
+  for (const record of text.split(/^\$\$\$\$[^\n]*\n?/m)) {
+    const lines = record.replace(/\r/g, '').split('\n');
+    if (lines.length < 4 || !lines.slice(0, 4).join('').trim()) continue;
+    const isV3000 = /V3000/.test(lines[3]);
+    const { atoms, bonds } = isV3000 ? readV3000(lines) : readV2000(lines);
+    if (atoms.length === 0) continue;
+    const end = lines.findIndex(l => l.startsWith('M  END'));
+    molecules.push({
+      title: lines[0].trim(),
+      atoms,
+      bonds,
+      props: end >= 0 ? readSDTags(lines, end + 1) : {},
+    });
+  }
+  return buildMoleculeModels(molecules);
+}
+
+// ---- MOL2 ----
+
+/** "ALA12" → { resName: 'ALA', resSeq: 12 } */
+function splitSubstructureName(name, id) {
+  const m = /^([A-Za-z0-9]{1,3}?)(-?\d+)$/.exec(name || '');
+  if (m && /[A-Za-z]/.test(m[1])) return { resName: m[1].toUpperCase(), resSeq: parseInt(m[2]) };
+  return { resName: null, resSeq: id };
+}
+
+/**
+ * Parse a Tripos MOL2 file. Each @<TRIPOS>MOLECULE is a frame or a model,
+ * as in parseSDF; atoms are grouped into residues by substructure
+ * (subst_id / subst_name).
+ *
+ * @param {string} text
+ * @returns {Object|Object[]|null} parsePDB-shaped model plus explicitBonds / bondOrders,
+ *   or one per molecule
+ */
+export function parseMOL2(text) {
+  const molecules = [];
+  let mol = null;
+  let section = null;
+  let headerLine = 0;
+  const atomIndex = new Map(); // atom_id → position (per molecule)
+
+  for (const raw of text.replace(/\r/g, '').split('\n')) {
+    const line = raw.trim();
+    if (line.startsWith('@<TRIPOS>')) {
+      section = line.substring(9).toUpperCase();
+      if (section === 'MOLECULE') {
+        mol = { title: '', atoms: [], bonds: [], props: {} };
+        molecules.push(mol);
+        atomIndex.clear();
+        headerLine = 0;
+      }
+      continue;
+    }
+    if (!mol || !line || line.startsWith('#')) continue;
+
+    const f = line.split(/\s+/);
+    if (section === 'MOLECULE') {
+      if (headerLine === 0) mol.title = line;
+      headerLine++;
+    } else if (section === 'ATOM' && f.length >= 6) {
+      atomIndex.set(f[0], mol.atoms.length);
+      const { resName, resSeq } = splitSubstructureName(f[7], parseInt(f[6]) || 1);
+      const atom = {
+        name: f[1],
+        x: parseFloat(f[2]) || 0,
+        y: parseFloat(f[3]) || 0,
+        z: parseFloat(f[4]) || 0,
+        element: normalizeElement(f[5].split('.')[0], f[1]),
+        resSeq,
+      };
+      if (resName) atom.resName = resName;
+      mol.atoms.push(atom);
+    } else if (section === 'BOND' && f.length >= 4) {
+      const a = atomIndex.get(f[1]);
+      const b = atomIndex.get(f[2]);
+      if (a !== undefined && b !== undefined) {
+        mol.bonds.push([a, b, MOL2_BOND_ORDERS[f[3].toLowerCase()] || BOND_ORDERS.SINGLE]);
+      }
+    }
+  }
+  return buildMoleculeModels(molecules.filter(m => m.atoms.length > 0));
+}
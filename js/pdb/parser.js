@@ -1,9 +1,18 @@
 // ============================================================
 // parser.js — PDB file format parser
-// Parses ATOM/HETATM, HELIX/SHEET, CONECT, MODEL/ENDMDL
+// Parses ATOM/HETATM, HELIX/SHEET, CONECT, SSBOND/LINK (model.links),
+// MODEL/ENDMDL (extra models → frames), REMARK 350 biological
+// assembly operators (header.assemblies), and SEQRES with REMARK 465
+// missing residues / REMARK 470 missing atoms (chain.seqres,
+// chain.missing, residue.missingAtoms)
 // Output: GPU-friendly typed arrays + per-residue/chain metadata
+// (buildModel is shared with the other format parsers)
+// Files without HELIX/SHEET records get DSSP-assigned structure.
 // ============================================================
 
+import { computeDSSP } from './dssp.js';
+import { LINK_KINDS, METAL_ELEMENTS } from './constants.js';
+
 // Element → atomic number (for covalent radii lookup in bondInference)
 const ELEMENT_SYMS = [
   '', 'H', 'He', 'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne',
@@ -12,7 +21,7 @@ const ELEMENT_SYMS = [
   'Ga', 'Ge', 'As', 'Se', 'Br',
 ];
 
-function guessElement(atomName, resName) {
+export function guessElement(atomName, resName) {
   // PDB columns 77-78 hold the element symbol, but many files leave it blank.
   // Fallback: derive from atom name (columns 13-16).
   const name = atomName.trim();
@@ -33,20 +42,31 @@ function guessElement(atomName, resName) {
 }
 
 // Standard amino acid 3-letter codes
-const STANDARD_AA = new Set([
+export const STANDARD_AA = new Set([
   'ALA', 'ARG', 'ASN', 'ASP', 'CYS', 'GLN', 'GLU', 'GLY',
   'HIS', 'ILE', 'LEU', 'LYS', 'MET', 'PHE', 'PRO', 'SER',
   'THR', 'TRP', 'TYR', 'VAL',
 ]);
 
 // 3-letter → 1-letter code
-const AA_1LETTER = {
+export const AA_1LETTER = {
   ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C',
   GLN: 'Q', GLU: 'E', GLY: 'G', HIS: 'H', ILE: 'I',
   LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P',
   SER: 'S', THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V',
 };
 
+// Standard nucleotide residue names → polymer type
+export const NUCLEIC_TYPES = {
+  DA: 'dna', DC: 'dna', DG: 'dna', DT: 'dna', DU: 'dna', DI: 'dna',
+  A: 'rna', C: 'rna', G: 'rna', U: 'rna', I: 'rna',
+};
+
+/** One-letter code of an amino acid or nucleotide residue name ('?' if unknown) */
+export function oneLetterCode(resName) {
+  return AA_1LETTER[resName] || (NUCLEIC_TYPES[resName] ? resName.slice(-1) : '?');
+}
+
 // Secondary structure type enum
 export const SS_COIL = 0;
 export const SS_HELIX = 1;
@@ -62,18 +82,26 @@ export function parsePDB(pdbText) {
   const lines = pdbText.split('\n');
 
   // Temporary arrays (will convert to typed arrays at end)
-  const atoms = [];       // { x, y, z, element, name, serial, resName, resSeq, chainId, bFactor, isHet, altLoc, iCode }
+  const atoms = [];       // { x, y, z, element, name, serial, resName, resSeq, chainId, bFactor, occupancy, isHet, altLoc, iCode }
   const helices = [];     // { startChain, startSeq, startICode, endChain, endSeq, endICode }
   const sheets = [];      // { startChain, startSeq, startICode, endChain, endSeq, endICode }
   const conectMap = {};   // serial → [serial, serial, ...]
+  const links = [];       // { kind, partners: [{ chainId, resSeq, iCode, name, altLoc }, ...] }
+  const sequences = {};   // chainId → { seqres: [resName, ...], missing: [{ name, seq, iCode }, ...] }
+  const missingAtoms = []; // { chainId, resSeq, iCode, atoms: [name, ...] }
 
   // Header metadata — multi-line records get concatenated
-  const header = { classification: '', pdbId: '', date: '', title: '', compound: '', source: '', method: '', resolution: null };
+  const header = { classification: '', pdbId: '', date: '', title: '', compound: '', source: '', method: '', resolution: null, assemblies: [] };
   const titleParts = [];
   const compndParts = [];
   const sourceParts = [];
+  const remark350 = [];
+  let inRemark465 = false; // past the "M RES C SSSEQI" column header
+  let inRemark470 = false; // past the "M RES CSSEQI  ATOMS" column header
 
-  let inFirstModel = true;
+  // Models after the first only contribute coordinates (frames share topology)
+  const extraFrames = [];  // number[] per additional MODEL, xyz in atom order
+  let frameCoords = null;  // coordinates of the MODEL currently being read, if not the first
   let seenModel = false;
 
   for (let i = 0; i < lines.length; i++) {
@@ -111,27 +139,73 @@ export function parsePDB(pdbText) {
         const match = line.match(/(\d+\.\d+)\s*ANGSTROM/);
         if (match) header.resolution = parseFloat(match[1]);
       }
+      if (remarkNum === 350) remark350.push(line);
+
+      // REMARK 465 — residues in SEQRES without coordinates
+      if (remarkNum === 465) {
+        if (line.includes('RES C SSSEQI')) {
+          inRemark465 = true;
+        } else if (inRemark465 && line.substring(15, 18).trim()) {
+          const chainId = line[19] || 'A';
+          const seq = sequenceOf(sequences, chainId);
+          seq.missing.push({
+            name: line.substring(15, 18).trim(),
+            seq: parseInt(line.substring(21, 26)) || 0,
+            iCode: line[26] && line[26].trim() ? line[26] : ' ',
+          });
+        }
+      }
+
+      // REMARK 470 — residues with missing (usually side-chain) atoms
+      if (remarkNum === 470) {
+        if (line.includes('RES CSSEQI')) {
+          inRemark470 = true;
+        } else if (inRemark470 && line.substring(15, 18).trim()) {
+          missingAtoms.push({
+            chainId: line[19] || 'A',
+            resSeq: parseInt(line.substring(20, 24)) || 0,
+            iCode: line[24] && line[24].trim() ? line[24] : ' ',
+            atoms: line.substring(25).trim().split(/\s+/).filter(Boolean),
+          });
+        }
+      }
+      continue;
+    }
+
+    // SEQRES — deposited sequence, 13 residue names per line
+    if (record === 'SEQRES') {
+      const seq = sequenceOf(sequences, line[11] || 'A');
+      for (let col = 19; col < line.length; col += 4) {
+        const name = line.substring(col, col + 3).trim();
+        if (name) seq.seqres.push(name);
+      }
       continue;
     }
 
-    // MODEL/ENDMDL — only parse first model (NMR structures)
+    // MODEL/ENDMDL — first model defines topology, later ones become frames
     if (record === 'MODEL ') {
-      if (seenModel) { inFirstModel = false; continue; }
+      if (seenModel) frameCoords = [];
       seenModel = true;
       continue;
     }
     if (record === 'ENDMDL') {
-      if (seenModel) inFirstModel = false;
+      if (frameCoords) extraFrames.push(frameCoords);
+      frameCoords = null;
       continue;
     }
-    if (!inFirstModel) continue;
 
-    // ATOM / HETATM
+    // ATOM / HETATM — every alternate conformer is kept
     if (record === 'ATOM  ' || record === 'HETATM') {
-      // Skip alternate conformations other than 'A' or ' '
-      const altLoc = line[16] || ' ';
-      if (altLoc !== ' ' && altLoc !== 'A') continue;
+      if (frameCoords) {
+        frameCoords.push(
+          parseFloat(line.substring(30, 38)) || 0,
+          parseFloat(line.substring(38, 46)) || 0,
+          parseFloat(line.substring(46, 54)) || 0,
+        );
+        continue;
+      }
 
+      const altLoc = line[16] || ' ';
       const serial = parseInt(line.substring(6, 11)) || 0;
       const atomName = line.substring(12, 16);
       const resName = line.substring(17, 20).trim();
@@ -141,6 +215,8 @@ export function parsePDB(pdbText) {
       const x = parseFloat(line.substring(30, 38)) || 0;
       const y = parseFloat(line.substring(38, 46)) || 0;
       const z = parseFloat(line.substring(46, 54)) || 0;
+      const occStr = line.substring(54, 60).trim();
+      const occupancy = occStr ? parseFloat(occStr) : 1;
       const bFactor = parseFloat(line.substring(60, 66)) || 0;
 
       // Element from columns 77-78, fallback to guess
@@ -157,6 +233,7 @@ export function parsePDB(pdbText) {
         resSeq,
         chainId,
         bFactor,
+        occupancy: isNaN(occupancy) ? 1 : occupancy,
         isHet: record === 'HETATM',
         altLoc,
         iCode,
@@ -190,6 +267,32 @@ export function parsePDB(pdbText) {
       continue;
     }
 
+    // SSBOND — disulfide between two cysteines (always SG-SG)
+    if (record === 'SSBOND') {
+      const partner = (chainCol, seqStart) => ({
+        chainId: line[chainCol] || 'A',
+        resSeq: parseInt(line.substring(seqStart, seqStart + 4)) || 0,
+        iCode: line[seqStart + 4] || ' ',
+        name: 'SG',
+        altLoc: ' ',
+      });
+      links.push({ kind: LINK_KINDS.DISULFIDE, partners: [partner(15, 17), partner(29, 31)] });
+      continue;
+    }
+
+    // LINK — covalent or metal link between any two atoms
+    if (record === 'LINK  ') {
+      const partner = (nameStart) => ({
+        chainId: line[nameStart + 9] || 'A',
+        resSeq: parseInt(line.substring(nameStart + 10, nameStart + 14)) || 0,
+        iCode: line[nameStart + 14] || ' ',
+        name: line.substring(nameStart, nameStart + 4).trim(),
+        altLoc: line[nameStart + 4] || ' ',
+      });
+      links.push({ kind: LINK_KINDS.COVALENT, partners: [partner(12), partner(42)] });
+      continue;
+    }
+
     // CONECT
     if (record === 'CONECT') {
       const src = parseInt(line.substring(6, 11)) || 0;
@@ -202,6 +305,49 @@ export function parsePDB(pdbText) {
     }
   }
 
+  // Finalize header metadata
+  header.title = titleParts.join(' ');
+  header.compound = compndParts.join(' ');
+  header.source = sourceParts.join(' ');
+  header.assemblies = parseRemark350(remark350);
+
+  if (frameCoords) extraFrames.push(frameCoords); // missing final ENDMDL
+
+  return buildModel(atoms, helices, sheets, conectMap, header, extraFrames, { links, sequences, missingAtoms });
+}
+
+/** Sequence record of a chain in a buildModel sequences map, created on first use */
+function sequenceOf(sequences, chainId) {
+  return sequences[chainId] || (sequences[chainId] = { seqres: [], missing: [] });
+}
+
+/**
+ * Assemble the model from format-neutral records. Shared by every
+ * structure parser so PDB and mmCIF input yield the same shape.
+ *
+ * @param {Object[]} atoms - Atom records in file order
+ * @param {Object[]} helices - { startChain, startSeq, startICode, endChain, endSeq, endICode }
+ * @param {Object[]} sheets - Same shape as helices
+ * @param {Object} conectMap - serial → [serial, ...] explicit connectivity
+ * @param {Object} header - Header metadata
+ * @param {ArrayLike<number>[]} [extraFrames] - xyz per additional model, same atom order;
+ *   frames whose atom count differs from the first model are dropped
+ * @param {Object} [options]
+ * @param {boolean} [options.computeMissingSS=true] - Run DSSP when there are
+ *   no helix/sheet records (off when the caller restores ss itself)
+ * @param {Object[]} [options.links] - Inter-residue links (SSBOND / LINK):
+ *   { kind, partners: [{ chainId, resSeq, iCode, name, altLoc }, x2] };
+ *   covalent links to a metal become metal links
+ * @param {Object<string, {seqres?: string[], missing?: Object[]}>} [options.sequences] -
+ *   Per chain ID: deposited sequence (residue names) and missing residues
+ *   ({ name, seq, iCode }, in sequence order); kept on the first chain
+ *   with that ID as chain.seqres / chain.missing
+ * @param {Object[]} [options.missingAtoms] - { chainId, resSeq, iCode, atoms: [name, ...] }
+ *   of modelled residues lacking atoms; kept as residue.missingAtoms
+ * @returns {Object|null} Parsed protein model, or null if there are no atoms
+ */
+export function buildModel(atoms, helices, sheets, conectMap, header, extraFrames = [],
+                           { computeMissingSS = true, links = [], sequences = {}, missingAtoms = [] } = {}) {
   if (atoms.length === 0) {
     return null;
   }
@@ -216,6 +362,7 @@ export function parsePDB(pdbText) {
   const n = atoms.length;
   const positions = new Float32Array(n * 3);
   const bFactors = new Float32Array(n);
+  const occupancies = new Float32Array(n);
   const elements = new Uint8Array(n);     // element index
   const isHetArr = new Uint8Array(n);
 
@@ -229,6 +376,7 @@ export function parsePDB(pdbText) {
     positions[i * 3 + 1] = a.y;
     positions[i * 3 + 2] = a.z;
     bFactors[i] = a.bFactor;
+    occupancies[i] = a.occupancy;
     isHetArr[i] = a.isHet ? 1 : 0;
 
     if (!(a.element in elementIndex)) {
@@ -253,8 +401,10 @@ export function parsePDB(pdbText) {
         atomStart: i,
         atomEnd: i + 1,
         isStandard: STANDARD_AA.has(a.resName),
-        oneLetterCode: AA_1LETTER[a.resName] || '?',
+        nucleic: NUCLEIC_TYPES[a.resName] || null,
+        oneLetterCode: oneLetterCode(a.resName),
         ss: SS_COIL,
+        altLocs: [],
         caIndex: -1,
         cIndex: -1,
         nIndex: -1,
@@ -266,10 +416,19 @@ export function parsePDB(pdbText) {
   }
 
   // Assign CA, C, N indices per residue
-  // For nucleic acids (no CA), use C3' as the backbone trace atom
+  // For nucleic acids (no CA), use C3' as the backbone trace atom.
+  // With alternate conformers, the backbone trace follows the first altLoc.
   for (const res of residues) {
+    for (let j = res.atomStart; j < res.atomEnd; j++) {
+      const alt = atoms[j].altLoc;
+      if (alt !== ' ' && !res.altLocs.includes(alt)) res.altLocs.push(alt);
+    }
+    res.altLocs.sort();
+    const primaryAlt = res.altLocs[0] || ' ';
+
     let c3Idx = -1;
     for (let j = res.atomStart; j < res.atomEnd; j++) {
+      if (atoms[j].altLoc !== ' ' && atoms[j].altLoc !== primaryAlt) continue;
       const name = atoms[j].name;
       if (name === 'CA') res.caIndex = j;
       else if (name === 'C' && atoms[j].element === 'C') res.cIndex = j;
@@ -297,6 +456,21 @@ export function parsePDB(pdbText) {
     chains.push({ id: curId, residueStart: curStart, residueEnd: residues.length });
   }
 
+  // Deposited sequence and missing residues go to the first chain of each ID
+  for (const [chainId, { seqres, missing }] of Object.entries(sequences)) {
+    const chain = chains.find(c => c.id === chainId);
+    if (!chain) continue;
+    if (seqres && seqres.length > 0) chain.seqres = seqres;
+    if (missing && missing.length > 0) chain.missing = missing;
+  }
+  if (missingAtoms.length > 0) {
+    const byKey = new Map(missingAtoms.map(m => [`${m.chainId}:${m.resSeq}:${m.iCode}`, m.atoms]));
+    for (const res of residues) {
+      const names = byKey.get(`${res.chainId}:${res.seq}:${res.iCode}`);
+      if (names && names.length > 0) res.missingAtoms = names;
+    }
+  }
+
   // Assign secondary structure from HELIX/SHEET records
   for (const h of helices) {
     assignSS(residues, h.startChain, h.startSeq, h.startICode,
@@ -307,8 +481,10 @@ export function parsePDB(pdbText) {
              s.endChain, s.endSeq, s.endICode, SS_SHEET);
   }
 
-  // Convert CONECT to index-based bonds
+  // Convert CONECT to index-based bonds. A target listed more than once
+  // for the same atom is a double (2x) or triple (3x) bond.
   const conectBonds = [];
+  const conectOrders = [];
   const conectSeen = new Set();
   for (const [srcStr, targets] of Object.entries(conectMap)) {
     const srcSerial = parseInt(srcStr);
@@ -321,28 +497,163 @@ export function parsePDB(pdbText) {
       if (!conectSeen.has(bondKey)) {
         conectSeen.add(bondKey);
         conectBonds.push([srcIdx, tgtIdx]);
+        const repeats = targets.filter(t => t === tgtSerial).length;
+        if (repeats > 1) conectOrders.push([srcIdx, tgtIdx, Math.min(repeats, 3)]);
       }
     }
   }
 
-  // Finalize header metadata
-  header.title = titleParts.join(' ');
-  header.compound = compndParts.join(' ');
-  header.source = sourceParts.join(' ');
+  const modelLinks = resolveLinks(atoms, links);
 
-  return {
+  // Coordinate frames (multi-model files): frame 0 is the first model
+  let frames = null;
+  const validFrames = extraFrames.filter(f => f.length === n * 3);
+  if (validFrames.length > 0) {
+    frames = [new Float32Array(positions)];
+    for (const f of validFrames) frames.push(Float32Array.from(f));
+  }
+
+  const model = {
     atoms,           // full atom objects (for name/resName lookups)
     positions,       // Float32Array [x0,y0,z0, x1,y1,z1, ...]
     bFactors,        // Float32Array
+    occupancies,     // Float32Array
     elements,        // Uint8Array (indices into elementList)
     elementList,     // string[] — element symbols
     isHet: isHetArr, // Uint8Array
-    residues,        // [{name, seq, chainId, atomStart, atomEnd, ss, caIndex, ...}]
-    chains,          // [{id, residueStart, residueEnd}]
+    residues,        // [{name, seq, chainId, atomStart, atomEnd, ss, altLocs, caIndex, ...}]
+    chains,          // [{id, residueStart, residueEnd, seqres?, missing?}]
     conectBonds,     // [[atomIdx, atomIdx], ...]
+    conectOrders,    // [[atomIdx, atomIdx, order], ...] — duplicated CONECT entries
+    links: modelLinks, // [[atomIdx, atomIdx, kind], ...] — SSBOND / LINK (LINK_KINDS)
     atomCount: n,
-    header,          // { classification, pdbId, date, title, compound, source, method, resolution }
+    header,          // { classification, pdbId, date, title, compound, source, method, resolution, assemblies? }
+    frames,          // Float32Array[] per model (null for single-model files)
+    currentFrame: 0, // index into frames mirrored in positions
+  };
+
+  // No HELIX/SHEET (or struct_conf) records: derive them from the backbone
+  if (computeMissingSS && helices.length === 0 && sheets.length === 0) {
+    assignSecondaryStructure(model);
+  }
+
+  return model;
+}
+
+/**
+ * Atom indices of link records. A partner with an altLoc matches that
+ * conformer; otherwise the first atom of that name is used. Links whose
+ * atoms are missing are dropped.
+ *
+ * @param {Object[]} atoms - Atom records in model order
+ * @param {Object[]} links - See buildModel options.links
+ * @returns {Array<[number, number, string]>}
+ */
+function resolveLinks(atoms, links) {
+  if (links.length === 0) return [];
+  const byKey = new Map(); // chain:seq:iCode:name → atom indices
+  for (let i = 0; i < atoms.length; i++) {
+    const a = atoms[i];
+    const key = `${a.chainId}:${a.resSeq}:${a.iCode}:${a.name}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(i);
+  }
+  const find = (p) => {
+    const candidates = byKey.get(`${p.chainId}:${p.resSeq}:${p.iCode}:${p.name}`);
+    if (!candidates) return -1;
+    if (p.altLoc && p.altLoc !== ' ') {
+      const match = candidates.find(i => atoms[i].altLoc === p.altLoc);
+      if (match !== undefined) return match;
+    }
+    return candidates[0];
   };
+
+  const resolved = [];
+  const seen = new Set();
+  for (const { kind, partners } of links) {
+    const a = find(partners[0]);
+    const b = find(partners[1]);
+    if (a < 0 || b < 0 || a === b) continue;
+    const key = Math.min(a, b) + ':' + Math.max(a, b);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const metal = METAL_ELEMENTS.has(atoms[a].element) || METAL_ELEMENTS.has(atoms[b].element);
+    resolved.push([a, b, kind === LINK_KINDS.COVALENT && metal ? LINK_KINDS.METAL : kind]);
+  }
+  return resolved;
+}
+
+// DSSP code → cartoon secondary structure
+const DSSP_TO_SS = { H: SS_HELIX, G: SS_HELIX, I: SS_HELIX, E: SS_SHEET };
+
+/**
+ * Replace residue secondary structure with a DSSP assignment from the
+ * current coordinates. H/G/I become helix, E becomes sheet, the rest
+ * coil; the raw code is kept as res.dssp.
+ *
+ * @param {Object} model
+ * @param {Set<number>} [residueIndices] - Residues to update (default: all);
+ *   H-bonds are still evaluated against the whole model
+ * @returns {{helix: number, sheet: number}} Updated residues per type
+ */
+export function assignSecondaryStructure(model, residueIndices = null) {
+  const codes = computeDSSP(model);
+  const counts = { helix: 0, sheet: 0 };
+  model.residues.forEach((res, ri) => {
+    if (residueIndices && !residueIndices.has(ri)) return;
+    const code = codes[ri];
+    res.dssp = code;
+    res.ss = DSSP_TO_SS[code] ?? SS_COIL;
+    if (res.ss === SS_HELIX) counts.helix++;
+    else if (res.ss === SS_SHEET) counts.sheet++;
+  });
+  return counts;
+}
+
+function splitChainList(text) {
+  return text.split(',').map(c => c.trim()).filter(Boolean);
+}
+
+/**
+ * Biological assemblies from REMARK 350: BIOMOLECULE blocks, each with
+ * one or more "APPLY THE FOLLOWING TO CHAINS" groups of BIOMT operators.
+ *
+ * @param {string[]} lines - REMARK 350 lines in file order
+ * @returns {{ id: string, details: string, groups: { chains: string[],
+ *   operators: { id: string, matrix: number[] }[] }[] }[]}
+ *   matrix is row-major 3×4 (rotation | translation)
+ */
+function parseRemark350(lines) {
+  const assemblies = [];
+  let assembly = null;
+  let group = null;
+  for (const line of lines) {
+    const text = line.substring(10).trim();
+    let m;
+    if ((m = /^BIOMOLECULE:\s*(\S+)/.exec(text))) {
+      assembly = { id: m[1], details: '', groups: [] };
+      assemblies.push(assembly);
+      group = null;
+    } else if (!assembly) {
+      continue;
+    } else if ((m = /^(?:AUTHOR|SOFTWARE) DETERMINED [A-Z ]+:\s*(.+)$/.exec(text))) {
+      // Author's oligomeric state comes first; keep it over the software's
+      if (!assembly.details) assembly.details = m[1].trim().toLowerCase();
+    } else if ((m = /^APPLY THE FOLLOWING TO CHAINS:(.*)$/.exec(text))) {
+      group = { chains: splitChainList(m[1]), operators: [] };
+      assembly.groups.push(group);
+    } else if ((m = /^AND CHAINS:(.*)$/.exec(text)) && group) {
+      group.chains.push(...splitChainList(m[1]));
+    } else if ((m = /^BIOMT([123])\s+(\d+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)/.exec(text)) && group) {
+      const row = parseInt(m[1]) - 1;
+      if (row === 0) group.operators.push({ id: m[2], matrix: new Array(12).fill(0) });
+      const op = group.operators[group.operators.length - 1];
+      if (!op) continue;
+      for (let k = 0; k < 4; k++) op.matrix[row * 4 + k] = parseFloat(m[3 + k]) || 0;
+    }
+  }
+  for (const a of assemblies) a.groups = a.groups.filter(g => g.chains.length > 0 && g.operators.length > 0);
+  return assemblies.filter(a => a.groups.length > 0);
 }
 
 function assignSS(residues, startChain, startSeq, startICode, endChain, endSeq, endICode, ssType) {
@@ -0,0 +1,168 @@
+// ============================================================
+// picking.js — Mouse picking for the PDB viewer
+// Hover shows a tooltip for the atom under the cursor; a click
+// (pointer released without dragging) reports the picked atom.
+// Atom lookup is PDBViewer.pickAtom (raycast over all reps).
+// ============================================================
+
+// Pointer travel (px) beyond which a press is a camera drag, not a click
+const CLICK_TOLERANCE = 4;
+
+// Tooltip offset from the cursor (px)
+const TOOLTIP_OFFSET = 14;
+
+// ---- Atom descriptions ----
+
+/**
+ * Index of the residue containing an atom (residues are contiguous
+ * atom ranges in atom order).
+ *
+ * @param {Object} model
+ * @param {number} atomIndex
+ * @returns {number} Residue index, or -1
+ */
+export function findResidueIndex(model, atomIndex) {
+  const { residues } = model;
+  let lo = 0, hi = residues.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const res = residues[mid];
+    if (atomIndex < res.atomStart) hi = mid - 1;
+    else if (atomIndex >= res.atomEnd) lo = mid + 1;
+    else return mid;
+  }
+  return -1;
+}
+
+/**
+ * PyMOL-style atom identifier: /object//chain/resn`resi/name[`alt]
+ *
+ * @param {Object} model
+ * @param {number} atomIndex
+ * @param {string} [structureName]
+ * @returns {string}
+ */
+export function atomMacro(model, atomIndex, structureName = '') {
+  const a = model.atoms[atomIndex];
+  const alt = a.altLoc && a.altLoc !== ' ' ? '`' + a.altLoc : '';
+  const resi = `${a.resSeq}${(a.iCode || '').trim()}`;
+  return `/${structureName}//${a.chainId.trim()}/${a.resName}\`${resi}/${a.name}${alt}`;
+}
+
+/**
+ * Tooltip lines for an atom: identity, then B-factor and occupancy.
+ */
+function describeAtom(viewer, atomIndex) {
+  const a = viewer.model.atoms[atomIndex];
+  const owner = viewer.structureManager.count > 1
+    ? viewer.structureManager.getStructureForAtom(atomIndex)
+    : null;
+  const alt = a.altLoc && a.altLoc !== ' ' ? ` (alt ${a.altLoc})` : '';
+  const resi = `${a.resSeq}${(a.iCode || '').trim()}`;
+  const title = `${owner ? owner.name + ' ' : ''}${a.chainId.trim() || '-'}/${a.resName} ${resi}/${a.name}${alt}`;
+  let detail = `B ${a.bFactor.toFixed(2)}`;
+  if (a.occupancy !== undefined && a.occupancy !== 1) detail += `  occ ${a.occupancy.toFixed(2)}`;
+  return [title, detail];
+}
+
+// ---- Pointer handling ----
+
+/**
+ * Attach hover and click picking to the viewer canvas.
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @param {HTMLElement} container - Element the tooltip is appended to
+ * @param {Object} handlers
+ * @param {function(number): void} handlers.onPick - Called with the clicked atom index (-1 for empty space)
+ * @returns {{ dispose: function(): void }}
+ */
+export function createAtomPicker(viewer, container, { onPick }) {
+  const canvas = viewer.renderer.domElement;
+
+  const tooltip = document.createElement('div');
+  tooltip.className = 'viewer-tooltip';
+  tooltip.style.display = 'none';
+  container.appendChild(tooltip);
+
+  let hoverAtom = -1;
+  let pendingMove = null;
+  let hoverFrame = null;
+  let press = null;
+
+  function hideTooltip() {
+    hoverAtom = -1;
+    tooltip.style.display = 'none';
+  }
+
+  function showTooltip(atomIndex, x, y) {
+    if (atomIndex !== hoverAtom) {
+      const [title, detail] = describeAtom(viewer, atomIndex);
+      tooltip.innerHTML = '';
+      const titleEl = document.createElement('div');
+      titleEl.className = 'tooltip-title';
+      titleEl.textContent = title;
+      const detailEl = document.createElement('div');
+      detailEl.className = 'tooltip-detail';
+      detailEl.textContent = detail;
+      tooltip.append(titleEl, detailEl);
+      hoverAtom = atomIndex;
+    }
+    tooltip.style.display = '';
+    tooltip.style.left = `${x + TOOLTIP_OFFSET}px`;
+    tooltip.style.top = `${y + TOOLTIP_OFFSET}px`;
+  }
+
+  // Raycast at most once per animation frame
+  function updateHover() {
+    hoverFrame = null;
+    if (!pendingMove) return;
+    const { x, y } = pendingMove;
+    pendingMove = null;
+    const atomIndex = viewer.pickAtom(x, y);
+    if (atomIndex < 0) hideTooltip();
+    else showTooltip(atomIndex, x, y);
+  }
+
+  function onPointerMove(e) {
+    if (press || e.pointerType === 'touch') {
+      hideTooltip();
+      return;
+    }
+    pendingMove = { x: e.clientX, y: e.clientY };
+    if (hoverFrame === null) hoverFrame = requestAnimationFrame(updateHover);
+  }
+
+  function onPointerDown(e) {
+    if (e.button !== 0) return;
+    press = { x: e.clientX, y: e.clientY, id: e.pointerId };
+  }
+
+  function onPointerUp(e) {
+    if (!press || e.pointerId !== press.id) return;
+    const moved = Math.hypot(e.clientX - press.x, e.clientY - press.y);
+    press = null;
+    if (moved > CLICK_TOLERANCE) return;
+    onPick(viewer.pickAtom(e.clientX, e.clientY));
+  }
+
+  function onPointerLeave() {
+    pendingMove = null;
+    hideTooltip();
+  }
+
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointerleave', onPointerLeave);
+
+  return {
+    dispose() {
+      if (hoverFrame !== null) cancelAnimationFrame(hoverFrame);
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerdown', onPointerDown);
+      canvas.removeEventListener('pointerup', onPointerUp);
+      canvas.removeEventListener('pointerleave', onPointerLeave);
+      tooltip.remove();
+    },
+  };
+}
@@ -2,6 +2,7 @@
 // postProcessing.js — Post-processing pipeline for PDB viewer
 // RenderPass → SSAOPass → UnrealBloomPass → OutputPass.
 // Quality toggle: Off / Low / High.
+// Offscreen mode renders into a readable 8-bit target (image export).
 // ============================================================
 
 import * as THREE from 'three';
@@ -10,6 +11,8 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { CopyShader } from 'three/addons/shaders/CopyShader.js';
 
 // ── Quality Presets ──────────────────────────────────────────
 
@@ -40,6 +43,10 @@ export class PostProcessingPipeline {
     this.ssaoPass = null;
     this.bloomPass = null;
     this.quality = 'off';
+
+    // Offscreen mode: final image copied into an 8-bit target for readback
+    this.outputTarget = null;
+    this._copyQuad = null;
   }
 
   /**
@@ -57,9 +64,40 @@ export class PostProcessingPipeline {
     if (!preset) return;
 
     const size = this.renderer.getSize(new THREE.Vector2());
-    const w = size.x;
-    const h = size.y;
+    this._createComposer(preset, size.x, size.y);
+  }
+
+  /**
+   * Build an offscreen pipeline of a fixed pixel size whose output is read
+   * back with readPixels(). 'off' still tone-maps through an OutputPass so
+   * exported images match the on-screen look.
+   *
+   * @param {'off'|'low'|'high'} quality
+   * @param {number} width - Render width in pixels
+   * @param {number} height - Render height in pixels
+   */
+  buildOffscreen(quality, width, height) {
+    this.dispose();
+    this.quality = quality;
+
+    this._createComposer(QUALITY_PRESETS[quality] || null, width, height);
+    this.composer.setPixelRatio(1);
+    this.composer.setSize(width, height);
+    this.composer.renderToScreen = false;
+
+    this.outputTarget = new THREE.WebGLRenderTarget(width, height);
+    this._copyQuad = new FullScreenQuad(new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(CopyShader.uniforms),
+      vertexShader: CopyShader.vertexShader,
+      fragmentShader: CopyShader.fragmentShader,
+    }));
+  }
 
+  /**
+   * Create the composer and its passes. Without a preset only the render
+   * and output passes are added.
+   */
+  _createComposer(preset, w, h) {
     // HDR render target for bloom / tone mapping
     const rt = new THREE.WebGLRenderTarget(w, h, {
       type: THREE.HalfFloatType,
@@ -71,6 +109,14 @@ export class PostProcessingPipeline {
     // 1. Render pass
     this.composer.addPass(new RenderPass(this.scene, this.camera));
 
+    if (preset) this._addEffectPasses(preset, w, h);
+
+    // 4. Output pass — tone mapping + color space
+    this.composer.addPass(new OutputPass());
+  }
+
+  /** SSAO and bloom passes for a quality preset */
+  _addEffectPasses(preset, w, h) {
     // 2. SSAO — depth / ambient shadow on spheres
     this.ssaoPass = new SSAOPass(this.scene, this.camera, w, h);
     this.ssaoPass.kernelRadius = preset.ssao.kernelRadius;
@@ -87,9 +133,6 @@ export class PostProcessingPipeline {
       preset.bloom.threshold
     );
     this.composer.addPass(this.bloomPass);
-
-    // 4. Output pass — tone mapping + color space
-    this.composer.addPass(new OutputPass());
   }
 
   /**
@@ -103,6 +146,28 @@ export class PostProcessingPipeline {
     }
   }
 
+  /**
+   * Render one offscreen frame and read it back as RGBA bytes
+   * (rows bottom-up, as returned by WebGL).
+   *
+   * @returns {Uint8Array}
+   */
+  readPixels() {
+    const { width, height } = this.outputTarget;
+    this.composer.render();
+
+    // Copy the tone-mapped half-float result into the 8-bit target
+    this._copyQuad.material.uniforms.tDiffuse.value = this.composer.readBuffer.texture;
+    const prevTarget = this.renderer.getRenderTarget();
+    this.renderer.setRenderTarget(this.outputTarget);
+    this._copyQuad.render(this.renderer);
+    this.renderer.setRenderTarget(prevTarget);
+
+    const pixels = new Uint8Array(width * height * 4);
+    this.renderer.readRenderTargetPixels(this.outputTarget, 0, 0, width, height, pixels);
+    return pixels;
+  }
+
   /**
    * Resize all internal render targets.
    */
@@ -130,6 +195,13 @@ export class PostProcessingPipeline {
       this.ssaoPass = null;
       this.bloomPass = null;
     }
+    if (this.outputTarget) {
+      this.outputTarget.dispose();
+      this._copyQuad.material.dispose();
+      this._copyQuad.dispose();
+      this.outputTarget = null;
+      this._copyQuad = null;
+    }
     this.quality = 'off';
   }
 }
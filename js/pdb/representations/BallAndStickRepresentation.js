@@ -23,6 +23,9 @@ export class BallAndStickRepresentation extends BaseRepresentation {
       this.meshes.push(this.bondMesh);
     }
 
+    // Double / triple / aromatic bonds (set valence)
+    this.buildValence(0.06, 0.3);
+
     // Extract base scales for visibility toggling
     this.baseScales = extractBaseScales(this.atomMesh, model.atomCount);
     if (this.bondMesh) {
@@ -38,6 +41,7 @@ export class BallAndStickRepresentation extends BaseRepresentation {
     if (this.bondMesh && this.bonds) {
       updateBondColors(this.bondMesh, this.bonds, atomColors);
     }
+    this.applyValenceColors(atomColors);
   }
 
   applyVisibility(atomVisible, scaleMultipliers = null) {
@@ -45,5 +49,6 @@ export class BallAndStickRepresentation extends BaseRepresentation {
     if (this.bondMesh && this.bonds && this.baseBondScales) {
       applyBondVisibility(this.bondMesh, this.bonds, atomVisible, this.baseBondScales, this.baseBondPositions, this.baseBondQuats, scaleMultipliers);
     }
+    this.applyValenceVisibility(atomVisible, scaleMultipliers);
   }
 }
@@ -1,8 +1,15 @@
 // ============================================================
 // BaseRepresentation.js — Abstract base for molecular representations
-// Each subclass implements build(), applyColors(), applyVisibility().
+// Each subclass implements build(), applyColors(), applyVisibility();
+// pickAtom() maps raycaster hits back to atoms. Bond-drawing reps
+// add the valence strands (double / triple / aromatic) through
+// buildValence() and its color / visibility helpers.
 // ============================================================
 
+import { computeValenceSegments } from '../valence.js';
+import { createValenceInstances, updateValenceColors } from '../atomRenderer.js';
+import { extractBaseBondTransforms, applyValenceVisibility } from './visibilityHelpers.js';
+
 /**
  * Base class for molecular representations.
  * Subclasses must override build(), applyColors(), applyVisibility().
@@ -26,6 +33,10 @@ export class BaseRepresentation {
     this.baseBondScales = null;
     this.baseBondPositions = null;
     this.baseBondQuats = null;
+    this.valence = null;     // valence.js segments (null when none are drawn)
+    this.valenceMesh = null;
+    this._baseValence = null;
+    this.playing = false;    // Frame playback running (set by the viewer): costly rebuilds may wait
   }
 
   /** Build meshes and add to viewerGroup. */
@@ -50,6 +61,61 @@ export class BaseRepresentation {
     throw new Error('applyVisibility() must be implemented by subclass');
   }
 
+  /**
+   * Build the extra strands of bonds that are not single, when the
+   * valence setting is on and the model has bond orders.
+   * @param {number} radius - Strand cylinder radius (Angstroms)
+   * @param {number} offset - Strand distance from the bond axis (Angstroms)
+   */
+  buildValence(radius, offset) {
+    this.valence = computeValenceSegments(this.model, this.bonds, offset);
+    if (!this.valence) return;
+    this.valenceMesh = createValenceInstances(this.model, this.valence, this.materials.bond, radius);
+    this.viewerGroup.add(this.valenceMesh);
+    this.meshes.push(this.valenceMesh);
+    this._baseValence = extractBaseBondTransforms(this.valenceMesh, this.valence.count);
+  }
+
+  /** @param {THREE.Color[]} atomColors */
+  applyValenceColors(atomColors) {
+    if (this.valenceMesh) updateValenceColors(this.valenceMesh, this.valence, atomColors);
+  }
+
+  /**
+   * @param {Uint8Array} atomVisible
+   * @param {Float32Array|null} [scaleMultipliers=null]
+   */
+  applyValenceVisibility(atomVisible, scaleMultipliers = null) {
+    if (!this.valenceMesh) return;
+    const { scales, positions, quaternions } = this._baseValence;
+    applyValenceVisibility(this.valenceMesh, this.valence, atomVisible, scales, positions, quaternions, scaleMultipliers);
+  }
+
+  /**
+   * Map a raycaster intersection with one of this rep's meshes back to
+   * an atom. Default handles the atom and bond InstancedMeshes; bond
+   * instance 2k is the half-bond drawn from bonds[2k], 2k+1 from bonds[2k+1].
+   *
+   * @param {THREE.Intersection} hit
+   * @returns {number} Atom index, or -1 if the hit is not pickable
+   */
+  pickAtom(hit) {
+    if (hit.instanceId === undefined) return -1;
+    if (hit.object === this.atomMesh) return hit.instanceId;
+    if (hit.object === this.bondMesh) return this.bonds[hit.instanceId];
+    if (hit.object === this.valenceMesh) return this.valence.owner[hit.instanceId];
+    return -1;
+  }
+
+  /**
+   * Re-read model.positions after coordinates change (multi-model frames).
+   * Default rebuilds all meshes; callers reapply colors and visibility.
+   */
+  updatePositions() {
+    this.dispose();
+    this.build();
+  }
+
   /** @returns {THREE.InstancedMesh|null} */
   getAtomMesh() { return this.atomMesh; }
 
@@ -82,5 +148,8 @@ export class BaseRepresentation {
     this.baseBondScales = null;
     this.baseBondPositions = null;
     this.baseBondQuats = null;
+    this.valence = null;
+    this.valenceMesh = null;
+    this._baseValence = null;
   }
 }
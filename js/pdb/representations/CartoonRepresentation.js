@@ -15,10 +15,24 @@
 //  3. Displacement-based guide normals for helix/sheet
 //     (originalCA − smoothedCA) which naturally point radially
 //     outward from the helical axis.
+//
+// Nucleic acid chains are a thicker tube through the phosphates
+// plus one ladder stick per nucleotide, from the backbone to the
+// base (N1 of purines, N3 of pyrimidines), colored by base.
+//
+// Chains are split at gaps (missing residues, chain breaks; gaps.js)
+// instead of being joined by the spline, and the flanking trace atoms
+// are linked by dashed connectors colored like those atoms.
+//
+// Putty mode (PuttyRepresentation) draws every residue as a round
+// tube whose radius follows a per-residue property of the CA atom
+// (B-factor by default), mapped through PUTTY_PARAMS.
 // ============================================================
 
 import * as THREE from 'three';
 import { BaseRepresentation } from './BaseRepresentation.js';
+import { NA_BASE_COLORS, DEFAULT_COLOR } from '../constants.js';
+import { chainGaps } from '../gaps.js';
 
 // ---- Tunable parameters (exported so the tuner panel can modify them) ----
 export const CARTOON_PARAMS = {
@@ -37,6 +51,34 @@ export const CARTOON_PARAMS = {
   sheetExponent:  11,
   flatCycles:     4,
   tipRefineIters: 10,
+  nucleicRadius:  0.6,
+  ladderRadius:   0.22,
+  gapDash:        0.5,
+  gapSpace:       0.35,
+};
+
+// ---- Putty settings (changed with "set putty_*") ----
+export const PUTTY_PARAMS = {
+  property:  'b',       // key of PUTTY_PROPERTIES
+  minRadius: 0.2,       // Å at the lowest value (may exceed maxRadius to invert)
+  maxRadius: 1.6,       // Å at the highest value
+  transform: 'linear',  // key of PUTTY_TRANSFORMS
+};
+
+/** Per-atom numeric properties a putty tube can follow */
+export const PUTTY_PROPERTIES = {
+  b:    (a) => a.bFactor,
+  q:    (a) => a.occupancy,
+  resi: (a) => a.resSeq,
+  id:   (a) => a.serial,
+};
+
+/** Scaling laws from the normalized property value (0-1) to the radius range */
+export const PUTTY_TRANSFORMS = {
+  linear: (t) => t,
+  sqrt:   (t) => Math.sqrt(t),
+  square: (t) => t * t,
+  log:    (t) => Math.log10(1 + 9 * t),
 };
 
 // ---- Fixed constants ----
@@ -47,6 +89,37 @@ const SS_COIL  = 0;
 const SS_HELIX = 1;
 const SS_SHEET = 2;
 
+const LADDER_SIDES = 8;
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+// Base atom a ladder stick reaches: N1 for purines, N3 for pyrimidines
+const LADDER_TIP_ATOM = { A: 'N1', G: 'N1', I: 'N1', C: 'N3', T: 'N3', U: 'N3' };
+
+/**
+ * Index of the named atom in a residue (displayed altLoc only), or -1.
+ */
+function residueAtom(model, res, name) {
+  const { atoms } = model;
+  const primaryAlt = res.altLocs && res.altLocs.length > 0 ? res.altLocs[0] : ' ';
+  for (let j = res.atomStart; j < res.atomEnd; j++) {
+    const a = atoms[j];
+    if (a.name === name && (a.altLoc === ' ' || a.altLoc === primaryAlt)) return j;
+  }
+  return -1;
+}
+
+/**
+ * Backbone trace atom: CA for amino acids, P for nucleotides
+ * (C3' — the parser's caIndex — where the phosphate is missing).
+ */
+function traceAtom(model, res) {
+  if (res.nucleic) {
+    const p = residueAtom(model, res, 'P');
+    if (p >= 0) return p;
+  }
+  return res.caIndex;
+}
+
 // ---- Profile generators (return { points, normals } with PROFILE_N entries) ----
 
 function circleProfile(radius) {
@@ -116,66 +189,85 @@ function lerpProfile(profA, profB, t) {
 // ---- Representation ----
 
 export class CartoonRepresentation extends BaseRepresentation {
+  /** Round tubes sized by PUTTY_PARAMS instead of helix/sheet ribbons */
+  get putty() { return false; }
+
   build() {
     const { model, materials, viewerGroup } = this;
-    const { residues, chains, positions } = model;
+    const { chains, positions } = model;
 
     // Snapshot tunable params and pre-build profiles
     const P = this._p = { ...CARTOON_PARAMS };
     this._coilProf  = circleProfile(P.coilRadius);
+    this._nucleicProf = circleProfile(P.nucleicRadius);
     // Helix: wide axis = Y (normal direction = radially outward from helix axis)
     //        thin axis = X (binormal direction = along helix axis)
     this._helixProf = ellipseProfile(P.helixThickness / 2, P.helixWidth / 2);
     this._sheetProf = superEllipseProfile(P.sheetWidth / 2, P.sheetThickness / 2, P.sheetExponent);
 
     this._chainMeshes = [];
+    this._ladders = [];
+    this._gapPairs = [];
+    const puttyRadius = this.putty ? this._puttyRadii() : null;
 
     for (let ci = 0; ci < chains.length; ci++) {
       const chain = chains[ci];
-      const caIndices = [];
-      const caPositions = [];
-      const ssPerCA = [];
-      const cAtomPos = [];
-      const nAtomPos = [];
-
-      for (let ri = chain.residueStart; ri < chain.residueEnd; ri++) {
-        const res = residues[ri];
-        if (res.caIndex < 0) continue;
-
-        const caIdx = res.caIndex;
-        caIndices.push(caIdx);
-        caPositions.push(new THREE.Vector3(
-          positions[caIdx * 3], positions[caIdx * 3 + 1], positions[caIdx * 3 + 2]
-        ));
-        ssPerCA.push(res.ss);
-
-        cAtomPos.push(res.cIndex >= 0 ? new THREE.Vector3(
-          positions[res.cIndex * 3], positions[res.cIndex * 3 + 1], positions[res.cIndex * 3 + 2]
-        ) : null);
-
-        nAtomPos.push(res.nIndex >= 0 ? new THREE.Vector3(
-          positions[res.nIndex * 3], positions[res.nIndex * 3 + 1], positions[res.nIndex * 3 + 2]
-        ) : null);
-      }
-
-      if (caPositions.length < 2) continue;
-
-      // Smooth control points, idealize helices, flatten sheets, refine arrows
-      const smoothedPositions = this._smoothPositions(caPositions, ssPerCA);
-      this._idealizeHelices(smoothedPositions, ssPerCA);
-      this._flattenSheets(smoothedPositions, ssPerCA);
-      this._refineArrowTips(smoothedPositions, ssPerCA);
-
-      const result = this._buildChainGeometry(
-        smoothedPositions, caPositions, ssPerCA, caIndices,
-        cAtomPos, nAtomPos, chain, ci, materials
-      );
-      if (!result) continue;
+      for (const segment of this._traceSegments(chain)) {
+        const caIndices = [];
+        const caPositions = [];
+        const ssPerCA = [];
+        const cAtomPos = [];
+        const nAtomPos = [];
+        const traceResidues = [];
+
+        for (const res of segment) {
+          const caIdx = traceAtom(model, res);
+
+          traceResidues.push(res);
+          caIndices.push(caIdx);
+          caPositions.push(new THREE.Vector3(
+            positions[caIdx * 3], positions[caIdx * 3 + 1], positions[caIdx * 3 + 2]
+          ));
+          // Putty ignores secondary structure: everything is a (variable) coil
+          ssPerCA.push(puttyRadius ? SS_COIL : res.ss);
+
+          cAtomPos.push(res.cIndex >= 0 ? new THREE.Vector3(
+            positions[res.cIndex * 3], positions[res.cIndex * 3 + 1], positions[res.cIndex * 3 + 2]
+          ) : null);
+
+          nAtomPos.push(res.nIndex >= 0 ? new THREE.Vector3(
+            positions[res.nIndex * 3], positions[res.nIndex * 3 + 1], positions[res.nIndex * 3 + 2]
+          ) : null);
+        }
 
-      viewerGroup.add(result.mesh);
-      this.meshes.push(result.mesh);
-      this._chainMeshes.push(result);
+        if (caPositions.length < 2) continue;
+        this._caRadii = puttyRadius ? caIndices.map(i => puttyRadius.get(i)) : null;
+        const nucleicCount = traceResidues.filter(r => r.nucleic).length;
+        this._chainCoilProf = nucleicCount * 2 > traceResidues.length ? this._nucleicProf : this._coilProf;
+
+        // Smooth control points, idealize helices, flatten sheets, refine arrows
+        const smoothedPositions = this._smoothPositions(caPositions, ssPerCA);
+        this._idealizeHelices(smoothedPositions, ssPerCA);
+        this._flattenSheets(smoothedPositions, ssPerCA);
+        this._refineArrowTips(smoothedPositions, ssPerCA);
+
+        const result = this._buildChainGeometry(
+          smoothedPositions, caPositions, ssPerCA, caIndices,
+          cAtomPos, nAtomPos, chain, ci, materials
+        );
+        if (!result) continue;
+
+        viewerGroup.add(result.mesh);
+        this.meshes.push(result.mesh);
+        this._chainMeshes.push(result);
+
+        if (!puttyRadius && nucleicCount > 0) {
+          this._collectLadders(traceResidues, caIndices, smoothedPositions);
+        }
+      }
     }
+    this._buildLadders(materials);
+    this._buildGapConnectors();
 
     this.atomMesh = null;
     this.bondMesh = null;
@@ -183,6 +275,41 @@ export class CartoonRepresentation extends BaseRepresentation {
     this.baseBondScales = null;
   }
 
+  // ----------------------------------------------------------------
+  // Split a chain's traced residues at its gaps so the spline does not
+  // run across them. The trace atoms flanking each gap are queued in
+  // _gapPairs for a dashed connector.
+  // ----------------------------------------------------------------
+  _traceSegments(chain) {
+    const { model } = this;
+    const gapBefore = new Map(); // first residue after a gap → residue before it
+    for (const gap of chainGaps(model, chain)) {
+      if (gap.before >= 0 && gap.after >= 0) gapBefore.set(gap.after, gap.before);
+    }
+
+    const segments = [];
+    let current = [];
+    let split = false;
+    for (let ri = chain.residueStart; ri < chain.residueEnd; ri++) {
+      const res = model.residues[ri];
+      const trace = traceAtom(model, res);
+      if (gapBefore.has(ri)) {
+        split = true;
+        const from = traceAtom(model, model.residues[gapBefore.get(ri)]);
+        if (from >= 0 && trace >= 0) this._gapPairs.push(from, trace);
+      }
+      if (trace < 0) continue;
+      if (split && current.length > 0) {
+        segments.push(current);
+        current = [];
+      }
+      split = false;
+      current.push(res);
+    }
+    if (current.length > 0) segments.push(current);
+    return segments;
+  }
+
   // ----------------------------------------------------------------
   // Iteratively smooth helix/sheet control points to remove the
   // CA-atom zigzag. Coil positions are left untouched.
@@ -782,7 +909,7 @@ export class CartoonRepresentation extends BaseRepresentation {
   _getBaseProfile(ssType) {
     if (ssType === SS_HELIX) return this._helixProf;
     if (ssType === SS_SHEET) return this._sheetProf;
-    return this._coilProf;
+    return this._chainCoilProf;
   }
 
   _sheetProfileAtWidth(width) {
@@ -793,6 +920,14 @@ export class CartoonRepresentation extends BaseRepresentation {
     const caNearest = Math.min(Math.round(caFloat), caCount - 1);
     const P = this._p;
 
+    // 0. Putty: radius interpolated between neighbouring residues
+    if (this._caRadii) {
+      const lo = Math.max(0, Math.floor(caFloat));
+      const hi = Math.min(lo + 1, caCount - 1);
+      const frac = caFloat - lo;
+      return circleProfile(this._caRadii[lo] * (1 - frac) + this._caRadii[hi] * frac);
+    }
+
     // 1. Check arrowhead zones
     if (ssPerCA[caNearest] === SS_SHEET) {
       for (let e = 0; e < strandEnds.length; e++) {
@@ -817,7 +952,7 @@ export class CartoonRepresentation extends BaseRepresentation {
 
       // Coil↔helix or coil↔sheet: no gradual expansion — stay thin (coil) throughout
       if (ssA === SS_COIL || ssB === SS_COIL) {
-        return this._coilProf;
+        return this._chainCoilProf;
       }
 
       // Helix↔sheet: blend between the two
@@ -834,7 +969,131 @@ export class CartoonRepresentation extends BaseRepresentation {
   }
 
   // ----------------------------------------------------------------
-  // Color / visibility / dispose
+  // Nucleotide ladders: one stick per residue from the backbone spline
+  // (which passes through the smoothed trace points) to the base tip atom.
+  // ----------------------------------------------------------------
+  _collectLadders(traceResidues, caIndices, smoothedPositions) {
+    const { positions } = this.model;
+    for (let k = 0; k < traceResidues.length; k++) {
+      const res = traceResidues[k];
+      if (!res.nucleic) continue;
+      const base = res.oneLetterCode;
+      const tip = residueAtom(this.model, res, LADDER_TIP_ATOM[base] || 'N1');
+      if (tip < 0) continue;
+      this._ladders.push({
+        from: smoothedPositions[k].clone(),
+        to: new THREE.Vector3(positions[tip * 3], positions[tip * 3 + 1], positions[tip * 3 + 2]),
+        color: NA_BASE_COLORS[base] ?? DEFAULT_COLOR,
+        traceAtom: caIndices[k],
+        tipAtom: tip,
+      });
+    }
+  }
+
+  _buildLadders(materials) {
+    this._ladderMesh = null;
+    if (this._ladders.length === 0) return;
+
+    const geometry = new THREE.CylinderGeometry(this._p.ladderRadius, this._p.ladderRadius, 1, LADDER_SIDES);
+    this._ladderMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      roughness: 0.4,
+      metalness: 0.05,
+      envMap: materials.atom.envMap || null,
+      envMapIntensity: 0.5,
+    });
+    const mesh = new THREE.InstancedMesh(geometry, this._ladderMaterial, this._ladders.length);
+    mesh.name = 'cartoon-ladders';
+
+    const dir = new THREE.Vector3();
+    const mid = new THREE.Vector3();
+    const quat = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    this._ladders.forEach((l, k) => {
+      dir.subVectors(l.to, l.from);
+      const len = dir.length();
+      quat.setFromUnitVectors(Y_AXIS, len > 1e-6 ? dir.divideScalar(len) : Y_AXIS);
+      mid.addVectors(l.from, l.to).multiplyScalar(0.5);
+      matrix.compose(mid, quat, scale.set(1, len, 1));
+      mesh.setMatrixAt(k, matrix);
+      mesh.setColorAt(k, color.setHex(l.color));
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+
+    this._ladderMatrices = mesh.instanceMatrix.array.slice();
+    this._ladderMesh = mesh;
+    this.viewerGroup.add(mesh);
+    this.meshes.push(mesh);
+  }
+
+  // ----------------------------------------------------------------
+  // Gap connectors: one dashed line segment per gap, between the
+  // flanking trace atoms (vertex colors follow those atoms).
+  // ----------------------------------------------------------------
+  _buildGapConnectors() {
+    this._gapMesh = null;
+    const pairs = this._gapPairs;
+    if (pairs.length === 0) return;
+
+    const { positions } = this.model;
+    const posArr = new Float32Array(pairs.length * 3);
+    pairs.forEach((atom, v) => posArr.set(positions.subarray(atom * 3, atom * 3 + 3), v * 3));
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(posArr, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(posArr.length).fill(1), 3));
+    this._gapMaterial = new THREE.LineDashedMaterial({
+      vertexColors: true,
+      dashSize: this._p.gapDash,
+      gapSize: this._p.gapSpace,
+      transparent: true,
+      opacity: 0.8,
+    });
+    const mesh = new THREE.LineSegments(geometry, this._gapMaterial);
+    mesh.name = 'cartoon-gaps';
+    mesh.frustumCulled = false;
+    mesh.computeLineDistances();
+
+    this._gapBasePositions = posArr.slice();
+    this._gapMesh = mesh;
+    this.viewerGroup.add(mesh);
+    this.meshes.push(mesh);
+  }
+
+  // ----------------------------------------------------------------
+  // Putty radius per CA atom: the property normalized over all CAs of
+  // the model, passed through the transform, scaled to the radius range.
+  // ----------------------------------------------------------------
+  _puttyRadii() {
+    const { atoms, residues } = this.model;
+    const get = PUTTY_PROPERTIES[PUTTY_PARAMS.property] || PUTTY_PROPERTIES.b;
+    const transform = PUTTY_TRANSFORMS[PUTTY_PARAMS.transform] || PUTTY_TRANSFORMS.linear;
+    const { minRadius, maxRadius } = PUTTY_PARAMS;
+
+    const values = new Map();
+    let lo = Infinity, hi = -Infinity;
+    for (const res of residues) {
+      const trace = traceAtom(this.model, res);
+      if (trace < 0) continue;
+      const v = Number(get(atoms[trace])) || 0;
+      values.set(trace, v);
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+    }
+
+    const radii = new Map();
+    for (const [i, v] of values) {
+      const t = hi > lo ? (v - lo) / (hi - lo) : 0.5;
+      radii.set(i, minRadius + (maxRadius - minRadius) * transform(t));
+    }
+    return radii;
+  }
+
+  // ----------------------------------------------------------------
+  // Color / visibility / picking / dispose
   // ----------------------------------------------------------------
 
   applyColors(atomColors) {
@@ -849,6 +1108,15 @@ export class CartoonRepresentation extends BaseRepresentation {
       }
       colorAttr.needsUpdate = true;
     }
+
+    if (this._gapMesh) {
+      const colorAttr = this._gapMesh.geometry.attributes.color;
+      this._gapPairs.forEach((atom, v) => {
+        const c = atomColors[atom];
+        colorAttr.setXYZ(v, c.r, c.g, c.b);
+      });
+      colorAttr.needsUpdate = true;
+    }
   }
 
   applyVisibility(atomVisible, scaleMultipliers = null) {
@@ -916,6 +1184,53 @@ export class CartoonRepresentation extends BaseRepresentation {
       posAttr.needsUpdate = true;
       cm.mesh.visible = anyVisible;
     }
+
+    // Ladders follow their residue's trace atom (hidden = zero matrix)
+    if (this._ladderMesh) {
+      const arr = this._ladderMesh.instanceMatrix.array;
+      let anyVisible = false;
+      this._ladders.forEach((l, k) => {
+        if (atomVisible[l.traceAtom]) {
+          arr.set(this._ladderMatrices.subarray(k * 16, k * 16 + 16), k * 16);
+          anyVisible = true;
+        } else {
+          arr.fill(0, k * 16, k * 16 + 16);
+        }
+      });
+      this._ladderMesh.instanceMatrix.needsUpdate = true;
+      this._ladderMesh.visible = anyVisible;
+    }
+
+    // Gap connectors need both flanking residues shown (hidden = collapsed)
+    if (this._gapMesh) {
+      const pairs = this._gapPairs;
+      const posAttr = this._gapMesh.geometry.attributes.position;
+      let anyVisible = false;
+      for (let v = 0; v < pairs.length; v += 2) {
+        if (atomVisible[pairs[v]] && atomVisible[pairs[v + 1]]) {
+          posAttr.array.set(this._gapBasePositions.subarray(v * 3, v * 3 + 6), v * 3);
+          anyVisible = true;
+        } else {
+          posAttr.array.fill(0, v * 3, v * 3 + 6);
+        }
+      }
+      posAttr.needsUpdate = true;
+      this._gapMesh.visible = anyVisible;
+    }
+  }
+
+  /**
+   * Ribbon hits map to the CA atom of the residue owning the face's first
+   * vertex; ladder hits to the base tip atom, gap connector hits to the
+   * trace atom before the gap.
+   */
+  pickAtom(hit) {
+    if (hit.object === this._ladderMesh) return this._ladders[hit.instanceId].tipAtom;
+    if (hit.object === this._gapMesh) return this._gapPairs[hit.index - (hit.index % 2)];
+    if (!hit.face) return -1;
+    const cm = this._chainMeshes.find(c => c.mesh === hit.object);
+    if (!cm) return -1;
+    return cm.caIndices[cm.vertexToCA[hit.face.a]];
   }
 
   dispose() {
@@ -923,6 +1238,22 @@ export class CartoonRepresentation extends BaseRepresentation {
       if (cm.material) cm.material.dispose();
     }
     this._chainMeshes = [];
+    if (this._ladderMaterial) {
+      this._ladderMaterial.dispose();
+      this._ladderMaterial = null;
+    }
+    this._ladderMesh = null;
+    this._ladders = [];
+    if (this._gapMaterial) {
+      this._gapMaterial.dispose();
+      this._gapMaterial = null;
+    }
+    this._gapMesh = null;
+    this._gapPairs = [];
     super.dispose();
   }
 }
+
+export class PuttyRepresentation extends CartoonRepresentation {
+  get putty() { return true; }
+}
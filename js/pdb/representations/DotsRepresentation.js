@@ -0,0 +1,108 @@
+// ============================================================
+// DotsRepresentation.js — Dotted van der Waals surface
+// Points sampled on each displayed atom's VDW sphere, minus the
+// points buried inside other displayed atoms (../surface.js).
+// Drawn as screen-sized THREE.Points so the dots never hide
+// what lies behind them (e.g. a ligand's pocket).
+// ============================================================
+
+import * as THREE from 'three';
+import { BaseRepresentation } from './BaseRepresentation.js';
+import { computeDots, vdwRadius } from '../surface.js';
+
+const DOT_SIZE = 2.5; // px
+
+export class DotsRepresentation extends BaseRepresentation {
+  build() {
+    const { atoms, atomCount } = this.model;
+    this._radii = new Float32Array(atomCount);
+    for (let i = 0; i < atomCount; i++) this._radii[i] = vdwRadius(atoms[i].element);
+
+    this.material = new THREE.PointsMaterial({
+      size: DOT_SIZE,
+      sizeAttenuation: false,
+      vertexColors: true,
+    });
+
+    this.dotsMesh = null;
+    this._dotAtoms = null;
+    this._atomColors = null;
+    this._builtKey = null;
+  }
+
+  applyColors(atomColors) {
+    this._atomColors = atomColors;
+    this._updateDotColors();
+  }
+
+  /**
+   * Resample dots when the set of displayed atoms changes (burial
+   * depends on which neighbours are shown).
+   */
+  applyVisibility(atomVisible, scaleMultipliers = null) {
+    const shown = [];
+    for (let i = 0; i < atomVisible.length; i++) {
+      if (atomVisible[i]) shown.push(i);
+    }
+    const key = shown.join(',');
+    if (key === this._builtKey) return;
+    this._builtKey = key;
+
+    this._clearDots();
+    if (shown.length === 0) return;
+    const dots = computeDots(this.model.positions, this._radii, shown);
+    if (dots.atoms.length === 0) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(dots.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(dots.positions.length), 3));
+    geometry.computeBoundingSphere();
+
+    this.dotsMesh = new THREE.Points(geometry, this.material);
+    this.dotsMesh.name = 'dots';
+    this._dotAtoms = dots.atoms;
+    this.viewerGroup.add(this.dotsMesh);
+    this.meshes.push(this.dotsMesh);
+    this._updateDotColors();
+  }
+
+  pickAtom(hit) {
+    if (hit.object !== this.dotsMesh || hit.index === undefined) return -1;
+    return this._dotAtoms[hit.index];
+  }
+
+  dispose() {
+    super.dispose();
+    this.dotsMesh = null;
+    this._dotAtoms = null;
+    this._builtKey = null;
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
+  }
+
+  // ---- Private helpers ----
+
+  _clearDots() {
+    if (!this.dotsMesh) return;
+    this.viewerGroup.remove(this.dotsMesh);
+    this.dotsMesh.geometry.dispose();
+    this.meshes = this.meshes.filter(m => m !== this.dotsMesh);
+    this.dotsMesh = null;
+    this._dotAtoms = null;
+  }
+
+  _updateDotColors() {
+    if (!this.dotsMesh || !this._atomColors) return;
+    const attr = this.dotsMesh.geometry.getAttribute('color');
+    const colors = attr.array;
+    for (let v = 0; v < this._dotAtoms.length; v++) {
+      const c = this._atomColors[this._dotAtoms[v]];
+      colors[v * 3] = c.r;
+      colors[v * 3 + 1] = c.g;
+      colors[v * 3 + 2] = c.b;
+    }
+    attr.needsUpdate = true;
+  }
+}
@@ -37,6 +37,12 @@ const LAYER_STYLES = {
     gapSize: 0.15,
     linewidth: 1,
   },
+  [INTERACTION_TYPES.LINKS]: {
+    color: 0xFF66FF,    // magenta
+    dashSize: 0.15,
+    gapSize: 0.1,
+    linewidth: 1,
+  },
 };
 
 /**
@@ -124,6 +130,23 @@ export class InteractionOverlay {
     });
   }
 
+  /**
+   * Rebuild every layer from current model positions (after a frame change),
+   * refreshing the stored pair distances.
+   */
+  updatePositions() {
+    const { positions } = this.model;
+    for (const [type, layer] of [...this.layers]) {
+      const pairs = layer.pairs.map(p => {
+        const dx = positions[p.a * 3] - positions[p.b * 3];
+        const dy = positions[p.a * 3 + 1] - positions[p.b * 3 + 1];
+        const dz = positions[p.a * 3 + 2] - positions[p.b * 3 + 2];
+        return { ...p, distance: Math.sqrt(dx * dx + dy * dy + dz * dz) };
+      });
+      this.addLayer(type, pairs);
+    }
+  }
+
   /**
    * Remove a specific interaction layer.
    * @param {string} type
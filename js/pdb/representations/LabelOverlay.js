@@ -0,0 +1,186 @@
+// ============================================================
+// LabelOverlay.js — Text labels anchored on atoms (CSS2D).
+// NOT a BaseRepresentation subclass — like InteractionOverlay,
+// labels are drawn on top of any representation, rendered by the
+// CSS2DRenderer from renderer.js.
+//
+// One label per atom at most. Each label keeps its own color,
+// font size and screen offset; new labels use the current defaults.
+// ============================================================
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+
+const DEFAULT_LABEL_STYLE = {
+  color: 0xFFFFFF,
+  size: 14,         // px
+  offset: [0, 0],   // px, x right / y up
+};
+
+/**
+ * LabelOverlay — CSS2D labels keyed by atom index.
+ */
+export class LabelOverlay {
+  /**
+   * @param {Object} model - Parsed PDB model (for positions)
+   * @param {THREE.Group} viewerGroup - Parent group to add labels to
+   */
+  constructor(model, viewerGroup) {
+    this.model = model;
+    this.viewerGroup = viewerGroup;
+    this.defaults = { ...DEFAULT_LABEL_STYLE, offset: [...DEFAULT_LABEL_STYLE.offset] };
+
+    /** @type {Map<number, { text: string, color: number, size: number, offset: number[], shown: boolean, object: CSS2DObject }>} */
+    this.labels = new Map();
+  }
+
+  /**
+   * Create or replace labels with the current default style.
+   * @param {Map<number, string>} texts - Atom index → label text
+   */
+  setLabels(texts) {
+    for (const [atom, text] of texts) {
+      this.removeLabels([atom]);
+
+      const el = document.createElement('div');
+      el.className = 'atom-label';
+      const span = document.createElement('span');
+      span.textContent = text;
+      el.appendChild(span);
+
+      const object = new CSS2DObject(el);
+      object.name = `label-${atom}`;
+      this._placeLabel(object, atom);
+      this.viewerGroup.add(object);
+
+      const label = {
+        text,
+        color: this.defaults.color,
+        size: this.defaults.size,
+        offset: [...this.defaults.offset],
+        shown: true,
+        object,
+      };
+      this._applyStyle(label);
+      this.labels.set(atom, label);
+    }
+  }
+
+  /**
+   * Remove labels on the given atoms (all labels if null).
+   * @param {Iterable<number>|null} atoms
+   * @returns {number} Number removed
+   */
+  removeLabels(atoms) {
+    let count = 0;
+    for (const atom of atoms ? [...atoms] : [...this.labels.keys()]) {
+      const label = this.labels.get(atom);
+      if (!label) continue;
+      // CSS2DObject removes its element from the DOM on its 'removed' event
+      this.viewerGroup.remove(label.object);
+      this.labels.delete(atom);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Show or hide existing labels without deleting their text.
+   * @param {Iterable<number>|null} atoms - null for all labels
+   * @param {boolean} shown
+   * @returns {number} Number of labels affected
+   */
+  setShown(atoms, shown) {
+    let count = 0;
+    for (const atom of atoms ? atoms : this.labels.keys()) {
+      const label = this.labels.get(atom);
+      if (!label) continue;
+      label.shown = shown;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Change color / size / offset of labels. With atoms = null the style
+   * also becomes the default for labels created later.
+   *
+   * @param {Iterable<number>|null} atoms
+   * @param {{ color?: number, size?: number, offset?: number[] }} style
+   * @returns {number} Number of labels restyled
+   */
+  setStyle(atoms, style) {
+    if (!atoms) Object.assign(this.defaults, style);
+    let count = 0;
+    for (const atom of atoms ? atoms : this.labels.keys()) {
+      const label = this.labels.get(atom);
+      if (!label) continue;
+      Object.assign(label, style);
+      this._applyStyle(label);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Move labels to current model positions (after a frame change).
+   */
+  updatePositions() {
+    for (const [atom, label] of this.labels) {
+      this._placeLabel(label.object, atom);
+    }
+  }
+
+  /**
+   * Show labels whose atom is displayed and that are not hidden.
+   * @param {Uint8Array} atomVisible - Per-atom visibility flags
+   */
+  applyVisibility(atomVisible) {
+    for (const [atom, label] of this.labels) {
+      label.object.visible = label.shown && !!atomVisible[atom];
+    }
+  }
+
+  /**
+   * Check if any labels exist.
+   * @returns {boolean}
+   */
+  hasLabels() {
+    return this.labels.size > 0;
+  }
+
+  /**
+   * Label data for sessions.
+   * @returns {{ atom: number, text: string, color: number, size: number, offset: number[], shown: boolean }[]}
+   */
+  getInfo() {
+    return [...this.labels].map(([atom, l]) => ({
+      atom, text: l.text, color: l.color, size: l.size, offset: [...l.offset], shown: l.shown,
+    }));
+  }
+
+  /**
+   * Dispose all labels and clean up.
+   */
+  dispose() {
+    this.removeLabels(null);
+    this.model = null;
+    this.viewerGroup = null;
+  }
+
+  // ---- Private helpers ----
+
+  _placeLabel(object, atom) {
+    const p = this.model.positions;
+    object.position.set(p[atom * 3], p[atom * 3 + 1], p[atom * 3 + 2]);
+  }
+
+  _applyStyle(label) {
+    const el = label.object.element;
+    el.style.color = '#' + new THREE.Color(label.color).getHexString();
+    el.style.fontSize = `${label.size}px`;
+    const span = el.firstChild;
+    span.style.left = `${label.offset[0]}px`;
+    span.style.top = `${-label.offset[1]}px`;
+  }
+}
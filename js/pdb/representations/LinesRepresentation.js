@@ -3,11 +3,17 @@
 // Thin colored lines between bonded atoms, no atom spheres.
 // Each bond is split into 2 segments (A->mid, mid->B) for
 // per-atom coloring, rendered with THREE.LineSegments.
+// Valence strands (double / triple / aromatic bonds) follow the
+// bond segments in the same geometry, one segment each.
 // ============================================================
 
 import * as THREE from 'three';
 import { BaseRepresentation } from './BaseRepresentation.js';
 import { ELEMENT_COLORS, DEFAULT_COLOR } from '../constants.js';
+import { computeValenceSegments } from '../valence.js';
+
+// Valence strand distance from the bond line (Angstroms)
+const VALENCE_OFFSET = 0.22;
 
 export class LinesRepresentation extends BaseRepresentation {
   build() {
@@ -21,8 +27,10 @@ export class LinesRepresentation extends BaseRepresentation {
       return;
     }
 
-    // 4 vertices per bond: A, midpoint, midpoint, B (2 line segments)
-    const vertCount = bondCount * 4;
+    // 4 vertices per bond: A, midpoint, midpoint, B (2 line segments),
+    // then 2 per valence strand segment
+    this.valence = computeValenceSegments(model, bonds, VALENCE_OFFSET);
+    const vertCount = bondCount * 4 + (this.valence ? this.valence.count * 2 : 0);
     const posArray = new Float32Array(vertCount * 3);
     const colorArray = new Float32Array(vertCount * 3);
 
@@ -71,6 +79,19 @@ export class LinesRepresentation extends BaseRepresentation {
       colorArray[(v + 3) * 3] = color.r; colorArray[(v + 3) * 3 + 1] = color.g; colorArray[(v + 3) * 3 + 2] = color.b;
     }
 
+    if (this.valence) {
+      const { count, owner, start, end } = this.valence;
+      for (let k = 0; k < count; k++) {
+        const v = bondCount * 4 + k * 2;
+        posArray.set(start.subarray(k * 3, k * 3 + 3), v * 3);
+        posArray.set(end.subarray(k * 3, k * 3 + 3), (v + 1) * 3);
+        this._vertexAtomIndex[v] = owner[k];
+        this._vertexAtomIndex[v + 1] = owner[k];
+        color.setHex(ELEMENT_COLORS[atoms[owner[k]].element] || DEFAULT_COLOR);
+        colorArray.set([color.r, color.g, color.b, color.r, color.g, color.b], v * 3);
+      }
+    }
+
     // Save base positions for visibility toggling
     this._basePositions.set(posArray);
 
@@ -113,30 +134,43 @@ export class LinesRepresentation extends BaseRepresentation {
     for (let bi = 0; bi < bondCount; bi++) {
       const a = this._bondAtoms[bi * 2];
       const b = this._bondAtoms[bi * 2 + 1];
-      const visible = atomVisible[a] && atomVisible[b];
-      const v = bi * 4;
-
-      if (visible) {
-        // Restore from base positions
-        for (let k = 0; k < 4; k++) {
-          const idx = (v + k) * 3;
-          posAttr.array[idx] = this._basePositions[idx];
-          posAttr.array[idx + 1] = this._basePositions[idx + 1];
-          posAttr.array[idx + 2] = this._basePositions[idx + 2];
-        }
-      } else {
-        // Collapse to degenerate zero-length segments
-        for (let k = 0; k < 4; k++) {
-          const idx = (v + k) * 3;
-          posAttr.array[idx] = 0;
-          posAttr.array[idx + 1] = 0;
-          posAttr.array[idx + 2] = 0;
-        }
+      this._setVertices(posAttr.array, bi * 4, 4, atomVisible[a] && atomVisible[b]);
+    }
+    if (this.valence) {
+      const { count, owner, partner } = this.valence;
+      for (let k = 0; k < count; k++) {
+        this._setVertices(posAttr.array, bondCount * 4 + k * 2, 2, atomVisible[owner[k]] && atomVisible[partner[k]]);
       }
     }
     posAttr.needsUpdate = true;
   }
 
+  /**
+   * Restore `n` vertices from base positions, or collapse them to
+   * degenerate zero-length segments at the origin when hidden.
+   */
+  _setVertices(array, v, n, visible) {
+    for (let k = 0; k < n; k++) {
+      const idx = (v + k) * 3;
+      array[idx] = visible ? this._basePositions[idx] : 0;
+      array[idx + 1] = visible ? this._basePositions[idx + 1] : 0;
+      array[idx + 2] = visible ? this._basePositions[idx + 2] : 0;
+    }
+  }
+
+  /**
+   * Segment hits carry the index of their first vertex. Hidden bonds are
+   * collapsed to the origin, so only segments at their base position count.
+   */
+  pickAtom(hit) {
+    if (hit.object !== this._lineSegments || hit.index === undefined) return -1;
+    const pos = this._lineSegments.geometry.attributes.position.array;
+    const i = hit.index * 3;
+    if (pos[i] !== this._basePositions[i] || pos[i + 1] !== this._basePositions[i + 1] ||
+        pos[i + 2] !== this._basePositions[i + 2]) return -1;
+    return this._vertexAtomIndex[hit.index];
+  }
+
   dispose() {
     if (this._material) {
       this._material.dispose();
@@ -0,0 +1,270 @@
+// ============================================================
+// MeasurementOverlay.js — Named distance / angle / dihedral
+// objects. NOT a BaseRepresentation subclass — like
+// InteractionOverlay, measurements are drawn on top of any
+// representation.
+//
+// Each measurement is a THREE.Group holding dashed lines between
+// its atoms, an arc (angles and dihedrals) and a CSS2D value label.
+// ============================================================
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { measure, formatMeasurement } from '../measurements.js';
+
+const MEASURE_COLOR = 0xFFD24A;
+const DASH_SIZE = 0.25;
+const GAP_SIZE = 0.15;
+
+// Arc radius as a fraction of the shorter arm, capped (Å)
+const ARC_FRACTION = 0.4;
+const ARC_MAX_RADIUS = 0.9;
+const ARC_SEGMENTS = 24;
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const _u = new THREE.Vector3();
+const _w = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _cross = new THREE.Vector3();
+const _mid = new THREE.Vector3();
+
+/**
+ * MeasurementOverlay — measurement objects keyed by name.
+ * Added to the viewerGroup, drawn on top with renderOrder = 999.
+ */
+export class MeasurementOverlay {
+  /**
+   * @param {Object} model - Parsed PDB model (for positions)
+   * @param {THREE.Group} viewerGroup - Parent group to add objects to
+   */
+  constructor(model, viewerGroup) {
+    this.model = model;
+    this.viewerGroup = viewerGroup;
+
+    this.lineMaterial = new THREE.LineDashedMaterial({
+      color: MEASURE_COLOR,
+      dashSize: DASH_SIZE,
+      gapSize: GAP_SIZE,
+      depthTest: true,
+      transparent: true,
+      opacity: 0.9,
+    });
+    this.arcMaterial = new THREE.LineBasicMaterial({
+      color: MEASURE_COLOR,
+      transparent: true,
+      opacity: 0.9,
+    });
+
+    /** @type {Map<string, { name: string, kind: string, atoms: number[], value: number, group: THREE.Group, label: CSS2DObject }>} */
+    this.measurements = new Map();
+  }
+
+  /**
+   * Add a measurement between 2 (distance), 3 (angle) or 4 (dihedral)
+   * atoms. Replaces any existing measurement with the same name.
+   *
+   * @param {string} name
+   * @param {number[]} atoms - Global atom indices, in order
+   * @returns {{ name: string, kind: string, atoms: number[], value: number }}
+   */
+  add(name, atoms) {
+    this.remove(name);
+    const { kind, value } = measure(this.model.positions, atoms);
+
+    const group = new THREE.Group();
+    group.name = `measurement-${name}`;
+
+    const el = document.createElement('div');
+    el.className = 'measurement-label';
+    const label = new CSS2DObject(el);
+    group.add(label);
+
+    const m = { name, kind, atoms: [...atoms], value, group, label };
+    this._buildGeometry(m);
+    this.viewerGroup.add(group);
+    this.measurements.set(name, m);
+    return this._info(m);
+  }
+
+  /**
+   * Remove a measurement by name.
+   * @param {string} name
+   * @returns {boolean} true if it existed
+   */
+  remove(name) {
+    const m = this.measurements.get(name);
+    if (!m) return false;
+    this._clearGeometry(m);
+    // CSS2DObject removes its element from the DOM on its own 'removed' event
+    m.group.remove(m.label);
+    this.viewerGroup.remove(m.group);
+    this.measurements.delete(name);
+    return true;
+  }
+
+  /**
+   * Remove all measurements.
+   */
+  removeAll() {
+    for (const name of [...this.measurements.keys()]) {
+      this.remove(name);
+    }
+  }
+
+  /**
+   * Re-measure and rebuild every object from current model positions
+   * (after a frame change or alignment).
+   */
+  updatePositions() {
+    for (const m of this.measurements.values()) {
+      m.value = measure(this.model.positions, m.atoms).value;
+      this._clearGeometry(m);
+      this._buildGeometry(m);
+    }
+  }
+
+  /**
+   * Hide measurements that involve a hidden atom.
+   * @param {Uint8Array} atomVisible - Per-atom visibility flags
+   */
+  applyVisibility(atomVisible) {
+    for (const m of this.measurements.values()) {
+      const visible = m.atoms.every(i => atomVisible[i]);
+      m.group.visible = visible;
+      m.label.visible = visible;
+    }
+  }
+
+  /**
+   * Check if any measurements exist.
+   * @returns {boolean}
+   */
+  hasMeasurements() {
+    return this.measurements.size > 0;
+  }
+
+  /**
+   * Measurements in creation order.
+   * @returns {{ name: string, kind: string, atoms: number[], value: number }[]}
+   */
+  getInfo() {
+    return [...this.measurements.values()].map(m => this._info(m));
+  }
+
+  /**
+   * Dispose all measurements and clean up.
+   */
+  dispose() {
+    this.removeAll();
+    this.lineMaterial.dispose();
+    this.arcMaterial.dispose();
+    this.model = null;
+    this.viewerGroup = null;
+  }
+
+  // ---- Private helpers ----
+
+  _info(m) {
+    return { name: m.name, kind: m.kind, atoms: [...m.atoms], value: m.value };
+  }
+
+  _atomPosition(i, target) {
+    const p = this.model.positions;
+    return target.set(p[i * 3], p[i * 3 + 1], p[i * 3 + 2]);
+  }
+
+  /** Build dashed lines, arc and label position for a measurement */
+  _buildGeometry(m) {
+    const pts = m.atoms.map(i => this._atomPosition(i, new THREE.Vector3()));
+
+    // Dashed lines along consecutive atoms
+    const linePos = [];
+    for (let k = 0; k < pts.length - 1; k++) {
+      linePos.push(pts[k].x, pts[k].y, pts[k].z, pts[k + 1].x, pts[k + 1].y, pts[k + 1].z);
+    }
+    const lineGeom = new THREE.BufferGeometry();
+    lineGeom.setAttribute('position', new THREE.Float32BufferAttribute(linePos, 3));
+    const lines = new THREE.LineSegments(lineGeom, this.lineMaterial);
+    lines.computeLineDistances();
+    lines.frustumCulled = false;
+    lines.renderOrder = 999;
+    m.group.add(lines);
+    m.lines = lines;
+
+    let labelPos;
+    if (m.kind === 'distance') {
+      labelPos = new THREE.Vector3().addVectors(pts[0], pts[1]).multiplyScalar(0.5);
+    } else {
+      const arcPts = m.kind === 'angle'
+        ? angleArc(pts[0], pts[1], pts[2])
+        : dihedralArc(pts[0], pts[1], pts[2], pts[3]);
+      const arcGeom = new THREE.BufferGeometry().setFromPoints(arcPts);
+      const arc = new THREE.Line(arcGeom, this.arcMaterial);
+      arc.frustumCulled = false;
+      arc.renderOrder = 999;
+      m.group.add(arc);
+      m.arc = arc;
+      labelPos = arcPts[arcPts.length >> 1];
+    }
+
+    m.label.position.copy(labelPos);
+    m.label.element.textContent = formatMeasurement(m.kind, m.value);
+  }
+
+  _clearGeometry(m) {
+    for (const key of ['lines', 'arc']) {
+      if (!m[key]) continue;
+      m.group.remove(m[key]);
+      m[key].geometry.dispose();
+      m[key] = null;
+    }
+  }
+}
+
+// ---- Arc geometry ----
+
+/**
+ * Points on a circular arc around `center`: unit vector u rotated about
+ * unit `axis` from 0 to `theta` radians.
+ */
+function arcPoints(center, u, axis, theta, radius) {
+  const points = [];
+  for (let s = 0; s <= ARC_SEGMENTS; s++) {
+    const p = u.clone().applyAxisAngle(axis, theta * s / ARC_SEGMENTS);
+    points.push(p.multiplyScalar(radius).add(center));
+  }
+  return points;
+}
+
+/** Arc at vertex b spanning the a-b-c angle */
+function angleArc(a, b, c) {
+  _u.subVectors(a, b);
+  _w.subVectors(c, b);
+  const radius = Math.min(ARC_MAX_RADIUS, ARC_FRACTION * Math.min(_u.length(), _w.length()));
+  _u.normalize();
+  _w.normalize();
+  _axis.crossVectors(_u, _w);
+  // Collinear arms: any perpendicular works
+  if (_axis.lengthSq() < 1e-12) _axis.crossVectors(_u, Math.abs(_u.x) < 0.9 ? X_AXIS : Y_AXIS);
+  _axis.normalize();
+  return arcPoints(b, _u, _axis, Math.acos(THREE.MathUtils.clamp(_u.dot(_w), -1, 1)), radius);
+}
+
+/**
+ * Arc around the b-c axis at its midpoint, from the a side to the d side
+ * (both projected perpendicular to the axis), through the signed dihedral.
+ */
+function dihedralArc(a, b, c, d) {
+  _axis.subVectors(c, b).normalize();
+  _u.subVectors(a, b);
+  _u.addScaledVector(_axis, -_u.dot(_axis));
+  _w.subVectors(d, c);
+  _w.addScaledVector(_axis, -_w.dot(_axis));
+  const radius = Math.min(ARC_MAX_RADIUS, ARC_FRACTION * Math.min(_u.length(), _w.length()));
+  _u.normalize();
+  _w.normalize();
+  const theta = Math.atan2(_cross.crossVectors(_u, _w).dot(_axis), _u.dot(_w));
+  _mid.addVectors(b, c).multiplyScalar(0.5);
+  return arcPoints(_mid, _u, _axis, theta, radius);
+}
@@ -29,6 +29,9 @@ export class StickRepresentation extends BaseRepresentation {
       this.meshes.push(this.bondMesh);
     }
 
+    // Double / triple / aromatic bonds (set valence)
+    this.buildValence(STICK_RADIUS * 0.45, STICK_RADIUS * 2.2);
+
     // Extract base scales for visibility
     this.baseScales = extractBaseScales(this.atomMesh, model.atomCount);
     if (this.bondMesh) {
@@ -63,6 +66,7 @@ export class StickRepresentation extends BaseRepresentation {
     if (this.bondMesh && this.bonds) {
       updateBondColors(this.bondMesh, this.bonds, atomColors);
     }
+    this.applyValenceColors(atomColors);
   }
 
   applyVisibility(atomVisible, scaleMultipliers = null) {
@@ -70,5 +74,6 @@ export class StickRepresentation extends BaseRepresentation {
     if (this.bondMesh && this.bonds && this.baseBondScales) {
       applyBondVisibility(this.bondMesh, this.bonds, atomVisible, this.baseBondScales, this.baseBondPositions, this.baseBondQuats, scaleMultipliers);
     }
+    this.applyValenceVisibility(atomVisible, scaleMultipliers);
   }
 }
@@ -0,0 +1,159 @@
+// ============================================================
+// SurfaceRepresentation.js — Molecular surface (SES / SAS)
+// One closed surface around the atoms assigned to this rep and
+// displayed, recomputed whenever that atom set, the coordinates or the
+// surface settings change (geometry lives in ../surface.js). During
+// frame playback the last surface is kept until playback stops.
+// Vertices take the color of their nearest atom.
+//
+// MeshRepresentation is the same surface drawn as a wireframe.
+// ============================================================
+
+import * as THREE from 'three';
+import { BaseRepresentation } from './BaseRepresentation.js';
+import { computeSurface, vdwRadius, DEFAULT_PROBE_RADIUS } from '../surface.js';
+
+// ---- Settings (shared by all surfaces, changed with "set") ----
+export const SURFACE_PARAMS = {
+  type:         'ses',                // 'ses' | 'sas'
+  probeRadius:  DEFAULT_PROBE_RADIUS, // Å
+  transparency: 0,                    // 0 opaque … 1 invisible
+};
+
+export class SurfaceRepresentation extends BaseRepresentation {
+  /** Draw triangle edges instead of a solid surface */
+  get wireframe() { return false; }
+
+  build() {
+    const { atoms, atomCount } = this.model;
+    this._radii = new Float32Array(atomCount);
+    for (let i = 0; i < atomCount; i++) this._radii[i] = vdwRadius(atoms[i].element);
+
+    this.material = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      vertexColors: true,
+      roughness: 0.45,
+      metalness: 0.0,
+      envMap: this.materials.atom.envMap,
+      envMapIntensity: 0.4,
+      wireframe: this.wireframe,
+      side: THREE.DoubleSide,
+    });
+
+    this.surfaceMesh = null;
+    this._vertexAtoms = null;
+    this._atomColors = null;
+    this._builtKey = null;
+  }
+
+  applyColors(atomColors) {
+    this._atomColors = atomColors;
+    this._updateVertexColors();
+  }
+
+  /**
+   * New coordinates (frame change): keep the material and atom radii, the
+   * next applyVisibility rebuilds the surface.
+   */
+  updatePositions() {
+    this._builtKey = null;
+  }
+
+  /**
+   * Rebuild the surface around the displayed atoms if they (or the
+   * coordinates, or the surface settings) changed since the last build.
+   * While frames play the current surface stays: one per frame would
+   * stall playback.
+   */
+  applyVisibility(atomVisible, scaleMultipliers = null) {
+    this._applyTransparency();
+
+    // Shown atoms, keyed by count and an FNV-1a hash of their indices
+    const shown = [];
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < atomVisible.length; i++) {
+      if (!atomVisible[i]) continue;
+      shown.push(i);
+      hash = Math.imul(hash ^ i, 0x01000193);
+    }
+    const key = `${SURFACE_PARAMS.type}:${SURFACE_PARAMS.probeRadius}:${shown.length}:${hash >>> 0}`;
+    if (key === this._builtKey || (this.playing && this.surfaceMesh)) return;
+    this._builtKey = key;
+
+    this._clearSurface();
+    const surface = computeSurface(this.model.positions, this._radii, shown, {
+      type: SURFACE_PARAMS.type,
+      probeRadius: SURFACE_PARAMS.probeRadius,
+    });
+    if (!surface || surface.indices.length === 0) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(surface.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(surface.positions.length), 3));
+    geometry.setIndex(new THREE.BufferAttribute(surface.indices, 1));
+    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
+
+    this.surfaceMesh = new THREE.Mesh(geometry, this.material);
+    this.surfaceMesh.name = this.wireframe ? 'mesh' : 'surface';
+    this._vertexAtoms = surface.vertexAtoms;
+    this.viewerGroup.add(this.surfaceMesh);
+    this.meshes.push(this.surfaceMesh);
+    this._updateVertexColors();
+  }
+
+  pickAtom(hit) {
+    if (hit.object !== this.surfaceMesh || !hit.face) return -1;
+    return this._vertexAtoms[hit.face.a];
+  }
+
+  dispose() {
+    super.dispose();
+    this.surfaceMesh = null;
+    this._vertexAtoms = null;
+    this._builtKey = null;
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
+  }
+
+  // ---- Private helpers ----
+
+  _clearSurface() {
+    if (!this.surfaceMesh) return;
+    this.viewerGroup.remove(this.surfaceMesh);
+    this.surfaceMesh.geometry.dispose();
+    this.meshes = this.meshes.filter(m => m !== this.surfaceMesh);
+    this.surfaceMesh = null;
+    this._vertexAtoms = null;
+  }
+
+  _updateVertexColors() {
+    if (!this.surfaceMesh || !this._atomColors) return;
+    const attr = this.surfaceMesh.geometry.getAttribute('color');
+    const colors = attr.array;
+    for (let v = 0; v < this._vertexAtoms.length; v++) {
+      const c = this._atomColors[this._vertexAtoms[v]];
+      colors[v * 3] = c.r;
+      colors[v * 3 + 1] = c.g;
+      colors[v * 3 + 2] = c.b;
+    }
+    attr.needsUpdate = true;
+  }
+
+  _applyTransparency() {
+    const t = THREE.MathUtils.clamp(SURFACE_PARAMS.transparency, 0, 1);
+    const transparent = t > 0;
+    if (this.material.transparent !== transparent) {
+      this.material.transparent = transparent;
+      this.material.depthWrite = !transparent;
+      this.material.needsUpdate = true;
+    }
+    this.material.opacity = 1 - t;
+  }
+}
+
+export class MeshRepresentation extends SurfaceRepresentation {
+  get wireframe() { return true; }
+}
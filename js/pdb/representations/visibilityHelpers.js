@@ -140,3 +140,30 @@ export function applyBondVisibility(bondMesh, bonds, atomVisible, baseBondScales
   }
   bondMesh.instanceMatrix.needsUpdate = true;
 }
+
+/**
+ * Apply valence strand visibility (scale-to-zero), like applyBondVisibility:
+ * a strand is hidden when its owner or partner atom is hidden.
+ * @param {THREE.InstancedMesh} mesh
+ * @param {{ count: number, owner: Uint32Array, partner: Uint32Array }} segments
+ * @param {Uint8Array} atomVisible
+ * @param {THREE.Vector3[]} baseScales
+ * @param {THREE.Vector3[]} basePositions
+ * @param {THREE.Quaternion[]} baseQuats
+ * @param {Float32Array|null} [scaleMultipliers=null] - Per-atom scale multipliers (default 1.0)
+ */
+export function applyValenceVisibility(mesh, segments, atomVisible, baseScales, basePositions, baseQuats, scaleMultipliers = null) {
+  const { count, owner, partner } = segments;
+  for (let k = 0; k < count; k++) {
+    const a = owner[k], b = partner[k];
+    if (atomVisible[a] && atomVisible[b]) {
+      const radMul = scaleMultipliers ? (scaleMultipliers[a] + scaleMultipliers[b]) * 0.5 : 1;
+      _scl.set(baseScales[k].x * radMul, baseScales[k].y, baseScales[k].z * radMul);
+    } else {
+      _scl.set(0, 0, 0);
+    }
+    _mat.compose(basePositions[k], baseQuats[k], _scl);
+    mesh.setMatrixAt(k, _mat);
+  }
+  mesh.instanceMatrix.needsUpdate = true;
+}
@@ -1,12 +1,20 @@
 // ============================================================
 // residueTemplates.js — Standard amino acid intra-residue bond tables
 // Used by bondInference.js to determine bonds within known residues
-// without expensive distance calculations.
+// without expensive distance calculations. Other residues (nucleotides,
+// ligands) fall back to the component templates in componentTemplates.js.
 //
 // Each entry maps atom name pairs that should be bonded.
 // Derived from PDB Chemical Component Dictionary ideal geometries.
+// Bonds that are not single (C=O, aromatic rings) are listed
+// separately with their order, for valence rendering.
 // ============================================================
 
+import { BOND_ORDERS } from './constants.js';
+import { getComponentTemplate } from './componentTemplates.js';
+
+const { DOUBLE, AROMATIC } = BOND_ORDERS;
+
 // Backbone bonds (shared by all standard amino acids)
 const BB_BONDS = [
   ['N', 'CA'],
@@ -45,6 +53,30 @@ const SC_BONDS = {
         ['ND1', 'CE1'], ['CD2', 'NE2'], ['CE1', 'NE2']],
 };
 
+// Backbone carbonyl
+const BB_ORDERS = [['C', 'O', DOUBLE]];
+
+// Sidechain bonds that are not single: [atom, atom, order]
+const BENZENE_RING = [
+  ['CG', 'CD1', AROMATIC], ['CG', 'CD2', AROMATIC], ['CD1', 'CE1', AROMATIC],
+  ['CD2', 'CE2', AROMATIC], ['CE1', 'CZ', AROMATIC], ['CE2', 'CZ', AROMATIC],
+];
+const SC_ORDERS = {
+  PHE: BENZENE_RING,
+  TYR: BENZENE_RING,
+  TRP: [['CG', 'CD1', AROMATIC], ['CG', 'CD2', AROMATIC], ['CD1', 'NE1', AROMATIC],
+        ['NE1', 'CE2', AROMATIC], ['CD2', 'CE2', AROMATIC], ['CD2', 'CE3', AROMATIC],
+        ['CE2', 'CZ2', AROMATIC], ['CE3', 'CZ3', AROMATIC], ['CZ2', 'CH2', AROMATIC],
+        ['CZ3', 'CH2', AROMATIC]],
+  HIS: [['CG', 'ND1', AROMATIC], ['CG', 'CD2', AROMATIC], ['ND1', 'CE1', AROMATIC],
+        ['CD2', 'NE2', AROMATIC], ['CE1', 'NE2', AROMATIC]],
+  ASP: [['CG', 'OD1', DOUBLE]],
+  GLU: [['CD', 'OE1', DOUBLE]],
+  ASN: [['CG', 'OD1', DOUBLE]],
+  GLN: [['CD', 'OE1', DOUBLE]],
+  ARG: [['CZ', 'NH2', DOUBLE]],
+};
+
 // Common nucleotide names to skip (not amino acids)
 const NUCLEOTIDES = new Set([
   'A', 'C', 'G', 'T', 'U', 'DA', 'DC', 'DG', 'DT', 'DU',
@@ -52,15 +84,44 @@ const NUCLEOTIDES = new Set([
 ]);
 
 /**
- * Get all expected bonds for a standard amino acid residue.
- * Returns an array of [atomName1, atomName2] pairs, or null if not a standard AA.
+ * Get all expected bonds for a standard amino acid or a known component.
+ * Returns an array of [atomName1, atomName2] pairs, or null if there is no template.
  */
 export function getTemplateBonds(resName) {
   const sc = SC_BONDS[resName];
-  if (!sc) return null;
+  if (!sc) return getComponentTemplate(resName)?.bonds || null;
   return [...BB_BONDS, ...sc];
 }
 
+/**
+ * Bonds of a standard amino acid or known component that are not single.
+ * Returns an array of [atomName1, atomName2, order] (BOND_ORDERS), or null
+ * if there is no template.
+ */
+export function getTemplateBondOrders(resName) {
+  if (!SC_BONDS[resName]) return getComponentTemplate(resName)?.orders || null;
+  return [...BB_ORDERS, ...(SC_ORDERS[resName] || [])];
+}
+
+/**
+ * Whether a residue's atoms all have a place in its template, so the
+ * template can replace distance-based bonding. Standard amino acids
+ * always match; components only when every heavy atom name is known
+ * (other naming schemes fall back to distances).
+ *
+ * @param {Object} res - Residue (name, atomStart, atomEnd)
+ * @param {Object[]} atoms - Model atoms
+ */
+export function matchesTemplate(res, atoms) {
+  if (SC_BONDS[res.name]) return true;
+  const component = getComponentTemplate(res.name);
+  if (!component) return false;
+  for (let j = res.atomStart; j < res.atomEnd; j++) {
+    if (atoms[j].element !== 'H' && !component.atoms.has(atoms[j].name)) return false;
+  }
+  return true;
+}
+
 export function isStandardAA(resName) {
   return resName in SC_BONDS;
 }
@@ -0,0 +1,189 @@
+// ============================================================
+// script.js — PyMOL command scripts (.pml) and aliases
+// Turns script text into command lines for the interpreter:
+// comments (# ...), "\" line continuations, ";" separated
+// commands (alias bodies) and cmd.* prefixes, including the
+// Python call form cmd.color("red", "chain A").
+// Also loads script files and keeps aliases in localStorage.
+// ============================================================
+
+const ALIAS_STORAGE = 'aimol_aliases';
+
+// Keyword arguments of cmd.*() calls that are plain positional values
+// in command syntax (others, e.g. width=, stay as key=value)
+const POSITIONAL_KEYWORDS = new Set([
+  'selection', 'sele', 'representation', 'rep', 'color', 'name', 'value',
+  'setting', 'target', 'mobile', 'filename', 'code', 'expression',
+]);
+
+// ---- Parsing ----
+
+/**
+ * Split on a separator character outside quotes, brackets and parens.
+ * @param {string} text
+ * @param {string} sep - Single character
+ * @returns {string[]} Trimmed parts (empty parts kept)
+ */
+function splitTopLevel(text, sep) {
+  const parts = [];
+  let depth = 0, quote = null, start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === sep && depth === 0) {
+      parts.push(text.substring(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.substring(start).trim());
+  return parts;
+}
+
+/** Drop a trailing "# comment" ("#" outside quotes, then space or end) */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1])) && (i + 1 === line.length || /\s/.test(line[i + 1]))) {
+      return line.substring(0, i);
+    }
+  }
+  return line;
+}
+
+function unquote(str) {
+  const m = /^(['"])(.*)\1$/.exec(str);
+  return m ? m[2] : str;
+}
+
+/**
+ * Convert cmd.* forms to command syntax:
+ *   cmd.bg_color black              → bg_color black
+ *   cmd.show("sticks", "resn HEM")  → show sticks, resn HEM
+ *   cmd.color("red", selection="chain A") → color red, chain A
+ *
+ * @param {string} text - One command
+ * @returns {string}
+ */
+export function normalizeCommand(text) {
+  let cmd = text.trim().replace(/;$/, '').trim();
+  if (!/^cmd\./.test(cmd)) return cmd;
+  cmd = cmd.substring(4);
+
+  const call = /^([\w.]+)\s*\((.*)\)$/.exec(cmd);
+  if (!call) return cmd;
+  const args = call[2].trim() ? splitTopLevel(call[2], ',') : [];
+  const values = args.map(arg => {
+    const kw = /^(\w+)\s*=(?!=)\s*(.*)$/.exec(arg);
+    if (kw && POSITIONAL_KEYWORDS.has(kw[1])) return unquote(kw[2]);
+    if (kw) return `${kw[1]}=${unquote(kw[2])}`;
+    return unquote(arg);
+  });
+  return values.length > 0 ? `${call[1]} ${values.join(', ')}` : call[1];
+}
+
+/**
+ * Command lines of a script, with their 1-based source line numbers.
+ *
+ * @param {string} text - Script file contents
+ * @returns {{ line: number, text: string }[]}
+ */
+export function parseScript(text) {
+  const out = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const first = i + 1;
+    let line = lines[i];
+    // "\" at the end of a line continues the command on the next one
+    while (/\\\s*$/.test(line) && i + 1 < lines.length) {
+      line = line.replace(/\s*\\\s*$/, ' ') + lines[++i].trim();
+    }
+    const trimmed = stripComment(line).trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    out.push({ line: first, text: normalizeCommand(trimmed) });
+  }
+  return out;
+}
+
+/**
+ * Commands of an alias body ("cmd1; cmd2; ...").
+ * @param {string} body
+ * @returns {string[]}
+ */
+export function splitCommands(body) {
+  return splitTopLevel(body, ';').filter(Boolean).map(normalizeCommand);
+}
+
+/**
+ * Whether a command result reports failure: it stops a script when
+ * script_on_error is "stop" and is left out of the undo history.
+ * Failures start with "Error:" (or "Usage:" for malformed arguments);
+ * the rest of the message may span several lines.
+ * @param {*} result
+ */
+export function isErrorResult(result) {
+  return typeof result === 'string' && /^(Error|Usage):/.test(result);
+}
+
+// ---- Aliases ----
+
+/** @returns {Map<string, string>} Saved aliases (name → body) */
+export function loadAliases() {
+  try {
+    return new Map(Object.entries(JSON.parse(localStorage.getItem(ALIAS_STORAGE) || '{}')));
+  } catch {
+    return new Map();
+  }
+}
+
+/** @param {Map<string, string>} aliases */
+export function saveAliases(aliases) {
+  try {
+    localStorage.setItem(ALIAS_STORAGE, JSON.stringify(Object.fromEntries(aliases)));
+  } catch {
+    // Storage unavailable (private mode): aliases last for this page only
+  }
+}
+
+// ---- Files ----
+
+/**
+ * Let the user choose a script file.
+ * @returns {Promise<{ text: string, name: string }>}
+ */
+export function pickScriptFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.pml,.txt';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) { reject(new Error('No file selected')); return; }
+      file.text().then(text => resolve({ text, name: file.name })).catch(reject);
+    });
+    input.addEventListener('cancel', () => reject(new Error('No file selected')));
+    input.click();
+  });
+}
+
+/**
+ * Download a script file.
+ * @param {string} url
+ * @returns {Promise<{ text: string, name: string }>}
+ */
+export async function fetchScript(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Failed to fetch script (${resp.status})`);
+  return { text: await resp.text(), name: url.split('/').pop() || url };
+}
@@ -12,16 +12,19 @@
 //             | "neighbor" primary | "bound_to" primary | selector | named_sel
 //   selector  = "chain" ids | "resi" ranges | "resn" ids | "name" ids
 //             | "elem" ids | "ss" types | "hetatm" | "polymer"
+//             | "nucleic" | "dna" | "rna"
 //             | "backbone" | "sidechain" | "organic" | "inorganic"
-//             | "solvent" | "water" | "hydrogens" | "h" | "metals"
-//             | "pepseq" WORD | "b" COMP NUM | "index" ranges | "id" ranges
-//             | "all" | "none"
+//             | "solvent" | "water" | "hydrogens" | "h" | "metals" | "disulfides"
+//             | "pepseq" WORD | "b" COMP NUM | "q" COMP NUM | "alt" ids
+//             | "p." WORD (COMP (NUM | WORD))?
+//             | "index" ranges | "id" ranges | "all" | "none"
 //   ids       = ID ("+" ID)*
 //   ranges    = INT ("-" INT)? ("+" INT ("-" INT)?)*
 //   COMP      = ">" | "<" | ">=" | "<=" | "="
 // ============================================================
 
 import { SS_HELIX, SS_SHEET } from './parser.js';
+import { LINK_KINDS, METAL_ELEMENTS } from './constants.js';
 
 // ---- Token types ----
 const T_WORD   = 'WORD';
@@ -39,12 +42,18 @@ const BACKBONE_NAMES = new Set(['N', 'CA', 'C', 'O', 'OXT', 'H', 'HA']);
 // Water residue names
 const WATER_NAMES = new Set(['HOH', 'WAT', 'H2O', 'DOD', 'TIP', 'TIP3', 'TIP4', 'SPC']);
 
-// Metal elements (common in PDB structures)
-const METAL_ELEMENTS = new Set([
-  'LI', 'BE', 'NA', 'MG', 'AL', 'K', 'CA', 'SC', 'TI', 'V', 'CR', 'MN',
-  'FE', 'CO', 'NI', 'CU', 'ZN', 'MO', 'AG', 'CD', 'W', 'AU', 'HG', 'PT', 'PB',
+// Keywords that can begin a primary expression (implicit "and" detection)
+const PRIMARY_KEYWORDS = new Set([
+  'not', 'byres', 'within', 'around', 'neighbor', 'bound_to',
+  'chain', 'resi', 'resn', 'name', 'elem', 'ss',
+  'hetatm', 'polymer', 'nucleic', 'dna', 'rna', 'backbone', 'bb', 'sidechain', 'sc',
+  'organic', 'inorganic', 'solvent', 'water', 'hydrogens', 'h', 'metals', 'disulfides',
+  'pepseq', 'b', 'q', 'alt', 'p', 'index', 'id', 'all', 'none',
 ]);
 
+// Words a named selection cannot take: they always parse as keywords
+const RESERVED_WORDS = new Set([...PRIMARY_KEYWORDS, 'and', 'or', 'of', 'model']);
+
 // ---- Tokenizer ----
 function tokenize(input) {
   const tokens = [];
@@ -97,6 +106,14 @@ function tokenize(input) {
       continue;
     }
     if (ch === '=') { tokens.push({ type: T_COMP, value: '=' }); i++; continue; }
+    // Quoted word (e.g. alt '' for atoms without an altLoc)
+    if (ch === '"' || ch === "'") {
+      const end = input.indexOf(ch, i + 1);
+      const stop = end === -1 ? input.length : end;
+      tokens.push({ type: T_WORD, value: input.substring(i + 1, stop) });
+      i = stop + 1;
+      continue;
+    }
     // Skip unknown characters
     i++;
   }
@@ -181,13 +198,7 @@ class Parser {
 
   // Check if a keyword can begin a primary expression (for implicit "and" detection)
   _canStartPrimary(kw) {
-    return [
-      'not', 'byres', 'within', 'around', 'neighbor', 'bound_to',
-      'chain', 'resi', 'resn', 'name', 'elem', 'ss',
-      'hetatm', 'polymer', 'backbone', 'bb', 'sidechain', 'sc',
-      'organic', 'inorganic', 'solvent', 'water', 'hydrogens', 'h', 'metals',
-      'pepseq', 'b', 'index', 'id', 'all', 'none',
-    ].includes(kw);
+    return PRIMARY_KEYWORDS.has(kw);
   }
 
   // not_expr = "not" not_expr | primary
@@ -250,6 +261,9 @@ class Parser {
         case 'ss':      this.advance(); return this.selectSS();
         case 'hetatm':  this.advance(); return this.selectHetatm();
         case 'polymer': this.advance(); return this.selectPolymer();
+        case 'nucleic': this.advance(); return this.selectNucleic(null);
+        case 'dna':     this.advance(); return this.selectNucleic('dna');
+        case 'rna':     this.advance(); return this.selectNucleic('rna');
         case 'backbone':
         case 'bb':      this.advance(); return this.selectBackbone();
         case 'sidechain':
@@ -261,8 +275,12 @@ class Parser {
         case 'hydrogens':
         case 'h':         this.advance(); return this.selectHydrogens();
         case 'metals':    this.advance(); return this.selectMetals();
+        case 'disulfides': this.advance(); return this.selectDisulfides();
         case 'pepseq':    this.advance(); return this.selectPepseq();
         case 'b':         this.advance(); return this.selectBFactor();
+        case 'q':         this.advance(); return this.selectOccupancy();
+        case 'alt':       this.advance(); return this.selectAlt();
+        case 'p':         this.advance(); return this.selectProperty();
         case 'neighbor':
         case 'bound_to':  this.advance(); return this.selectNeighbor(this.parsePrimary());
         case 'model':     this.advance(); return this.selectModel();
@@ -392,10 +410,12 @@ class Parser {
       if (id === 'H') ssTypes.add(SS_HELIX);
       else if (id === 'S') ssTypes.add(SS_SHEET);
     }
+    // Turns are coil for the cartoon; only DSSP records them
+    const turns = ids.includes('T');
     const set = new Set();
     const { residues } = this.model;
     for (const res of residues) {
-      if (ssTypes.has(res.ss)) {
+      if (ssTypes.has(res.ss) || (turns && res.dssp === 'T')) {
         for (let j = res.atomStart; j < res.atomEnd; j++) set.add(j);
       }
     }
@@ -422,6 +442,18 @@ class Parser {
     return set;
   }
 
+  // Standard nucleotides, optionally only DNA or only RNA
+  selectNucleic(type) {
+    const set = new Set();
+    const { residues } = this.model;
+    for (const res of residues) {
+      if (res.nucleic && (!type || res.nucleic === type)) {
+        for (let j = res.atomStart; j < res.atomEnd; j++) set.add(j);
+      }
+    }
+    return set;
+  }
+
   selectBackbone() {
     const set = new Set();
     const { atoms, residues } = this.model;
@@ -452,7 +484,7 @@ class Parser {
     const set = new Set();
     const { residues, atoms } = this.model;
     for (const res of residues) {
-      if (res.isStandard || WATER_NAMES.has(res.name)) continue;
+      if (res.isStandard || res.nucleic || WATER_NAMES.has(res.name)) continue;
       let hasCarbon = false;
       for (let j = res.atomStart; j < res.atomEnd; j++) {
         if (atoms[j].element === 'C') { hasCarbon = true; break; }
@@ -468,7 +500,7 @@ class Parser {
     const set = new Set();
     const { residues, atoms } = this.model;
     for (const res of residues) {
-      if (res.isStandard || WATER_NAMES.has(res.name)) continue;
+      if (res.isStandard || res.nucleic || WATER_NAMES.has(res.name)) continue;
       let hasCarbon = false;
       for (let j = res.atomStart; j < res.atomEnd; j++) {
         if (atoms[j].element === 'C') { hasCarbon = true; break; }
@@ -509,6 +541,23 @@ class Parser {
     return set;
   }
 
+  // Cysteines joined by a disulfide: SSBOND records and SG-SG bonds
+  selectDisulfides() {
+    const { atoms } = this.model;
+    const sulfurs = new Set();
+    for (const [a, b, kind] of this.model.links || []) {
+      if (kind === LINK_KINDS.DISULFIDE) { sulfurs.add(a); sulfurs.add(b); }
+    }
+    const isSG = (i) => atoms[i].name === 'SG' && atoms[i].resName === 'CYS';
+    if (this.bonds) {
+      for (let i = 0; i < this.bonds.length; i += 2) {
+        const a = this.bonds[i], b = this.bonds[i + 1];
+        if (isSG(a) && isSG(b)) { sulfurs.add(a); sulfurs.add(b); }
+      }
+    }
+    return this.expandByResidue(sulfurs);
+  }
+
   selectPepseq() {
     const t = this.peek();
     if (t.type !== T_WORD) throw new Error('Expected sequence after "pepseq"');
@@ -534,8 +583,17 @@ class Parser {
   }
 
   selectBFactor() {
+    return this._selectByValue('b', this.model.bFactors);
+  }
+
+  selectOccupancy() {
+    return this._selectByValue('q', this.model.occupancies);
+  }
+
+  // Shared "<kw> COMP NUM" comparison over a per-atom numeric array
+  _selectByValue(kw, values) {
     const t = this.peek();
-    if (t.type !== T_COMP) throw new Error('Expected comparison (>, <, >=, <=, =) after "b"');
+    if (t.type !== T_COMP) throw new Error(`Expected comparison (>, <, >=, <=, =) after "${kw}"`);
     const op = this.advance().value;
     let value;
     if (this.peek().type === T_DASH) {
@@ -544,10 +602,10 @@ class Parser {
     } else {
       value = this.expect(T_NUMBER).value;
     }
-    const { bFactors, atomCount } = this.model;
+    const { atomCount } = this.model;
     const set = new Set();
     for (let i = 0; i < atomCount; i++) {
-      const v = bFactors[i];
+      const v = values[i];
       if ((op === '>' && v > value) || (op === '<' && v < value) ||
           (op === '>=' && v >= value) || (op === '<=' && v <= value) ||
           (op === '=' && v === value)) {
@@ -557,6 +615,62 @@ class Parser {
     return set;
   }
 
+  // p.<name> [COMP value] — SD-file / MOL2 molecule properties (residue.props).
+  // The "." is dropped by the tokenizer, so "p.score" arrives as p, score.
+  // Names match case-insensitively; numeric values compare as numbers,
+  // anything else only with "=". Without a comparison: has the property.
+  selectProperty() {
+    const t = this.peek();
+    if (t.type !== T_WORD) throw new Error('Expected property name after "p." (e.g. p.score < -7)');
+    const name = this.advance().value.toLowerCase();
+    let op = null, value = null;
+    if (this.peek().type === T_COMP) {
+      op = this.advance().value;
+      if (this.peek().type === T_DASH) {
+        this.advance();
+        value = -this.expect(T_NUMBER).value;
+      } else {
+        const v = this.advance();
+        if (v.type !== T_NUMBER && v.type !== T_WORD) throw new Error(`Expected value after "p.${name} ${op}"`);
+        value = v.value;
+      }
+    }
+    const set = new Set();
+    for (const res of this.model.residues) {
+      if (!res.props) continue;
+      const key = Object.keys(res.props).find(k => k.toLowerCase() === name);
+      if (key === undefined) continue;
+      if (op !== null) {
+        const raw = res.props[key];
+        const num = parseFloat(raw);
+        let hit;
+        if (typeof value === 'number' && !isNaN(num)) {
+          hit = (op === '>' && num > value) || (op === '<' && num < value) ||
+                (op === '>=' && num >= value) || (op === '<=' && num <= value) ||
+                (op === '=' && num === value);
+        } else {
+          hit = op === '=' && String(raw).toLowerCase() === String(value).toLowerCase();
+        }
+        if (!hit) continue;
+      }
+      for (let j = res.atomStart; j < res.atomEnd; j++) set.add(j);
+    }
+    return set;
+  }
+
+  // alt A+B — alternate location codes; alt '' matches atoms without one
+  selectAlt() {
+    const t = this.peek();
+    if (t.type !== T_WORD && t.type !== T_NUMBER) throw new Error('Expected altLoc code after "alt"');
+    const ids = this.parseIds().map(id => id.trim() || ' ');
+    const set = new Set();
+    const { atoms } = this.model;
+    for (let i = 0; i < atoms.length; i++) {
+      if (ids.includes((atoms[i].altLoc || ' ').toUpperCase())) set.add(i);
+    }
+    return set;
+  }
+
   _getAdjacency() {
     if (this._adjacency) return this._adjacency;
     if (!this.bonds) return null;
@@ -738,10 +852,55 @@ export function parseSelection(str, model, namedSelections, bonds) {
   return result;
 }
 
+/**
+ * Whether a name is a selection keyword (a named selection called "p" or
+ * "alt" could never be referenced).
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isReservedSelectionName(name) {
+  return RESERVED_WORDS.has(name.toLowerCase());
+}
+
+/**
+ * Named selections (name → atom indices) that count changes per name, so
+ * observers of one selection ("sele") can skip commands that left it alone.
+ */
+class SelectionStore extends Map {
+  constructor() {
+    super();
+    this._versions = new Map();
+  }
+
+  /** Change count of a selection: set, delete and clear each bump it */
+  version(name) {
+    return this._versions.get(name) || 0;
+  }
+
+  set(name, atoms) {
+    this._bump(name);
+    return super.set(name, atoms);
+  }
+
+  delete(name) {
+    if (this.has(name)) this._bump(name);
+    return super.delete(name);
+  }
+
+  clear() {
+    for (const name of this.keys()) this._bump(name);
+    super.clear();
+  }
+
+  _bump(name) {
+    this._versions.set(name, this.version(name) + 1);
+  }
+}
+
 /**
  * Create a new named selection store.
- * @returns {Map<string, Set<number>>}
+ * @returns {SelectionStore} Map<string, Set<number>> with version(name)
  */
 export function createSelectionStore() {
-  return new Map();
+  return new SelectionStore();
 }
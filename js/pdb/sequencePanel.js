@@ -0,0 +1,249 @@
+// ============================================================
+// sequencePanel.js — Sequence viewer React component
+// One row per polymer chain: one-letter codes, residue numbers
+// (with insertion codes) and a secondary structure track. Missing
+// residues (REMARK 465) are shown greyed out in place, residues
+// missing atoms (REMARK 470) are underlined.
+// Click or drag over residues to extend (or reduce) "sele" just
+// like clicking in 3D; residues in "sele" are highlighted, and 3D
+// picks scroll the picked residue into view.
+// ============================================================
+
+import { ViewerEvents } from '../events.js';
+import { SS_HELIX, SS_SHEET, oneLetterCode } from './parser.js';
+import { findResidueIndex } from './picking.js';
+import { chainSequence } from './gaps.js';
+
+const { useState, useEffect, useRef, useCallback, memo } = React;
+const h = React.createElement;
+
+// Residue numbers are printed above residues divisible by this
+const NUMBER_EVERY = 10;
+
+const SS_CLASS = { [SS_HELIX]: ' ss-helix', [SS_SHEET]: ' ss-sheet' };
+
+function hasICode(res) {
+  return !!res.iCode && res.iCode !== ' ';
+}
+
+function residueNumber(res) {
+  return `${res.seq}${hasICode(res) ? res.iCode : ''}`;
+}
+
+/**
+ * Polymer chains of the model as sequence rows. `items` are the
+ * chainSequence() entries (modelled and missing residues in order);
+ * `residues` the modelled residue indices, addressed by position.
+ *
+ * @param {Object} model
+ * @param {Object} structureManager
+ * @returns {{ key: string, label: string, items: Object[], residues: number[], signature: string }[]}
+ */
+function buildRows(model, structureManager) {
+  const multi = structureManager && structureManager.count > 1;
+  const rows = [];
+  for (const chain of model.chains) {
+    const items = chainSequence(model, chain);
+    const residues = items.filter(it => it.residue >= 0).map(it => it.residue);
+    if (residues.length === 0) continue;
+
+    let label = chain.id;
+    if (multi) {
+      const owner = structureManager.getStructureForAtom(model.residues[residues[0]].atomStart);
+      if (owner) label = `${owner.name}/${chain.id}`;
+    }
+    // Changes when residues or their secondary structure change (e.g. dss)
+    const signature = residues.map(ri => model.residues[ri].oneLetterCode + model.residues[ri].ss).join('');
+    rows.push({ key: `${label}:${chain.residueStart}`, label, items, residues, signature });
+  }
+  return rows;
+}
+
+/** Residue indices with at least one atom in the selection */
+function selectedResidues(model, sele) {
+  const set = new Set();
+  if (!sele || sele.size === 0) return set;
+  model.residues.forEach((res, ri) => {
+    for (let j = res.atomStart; j < res.atomEnd; j++) {
+      if (sele.has(j)) { set.add(ri); break; }
+    }
+  });
+  return set;
+}
+
+const SequenceRow = memo(function SequenceRow({ row, model, selectedMask, dragFrom, dragTo }) {
+  const chainId = model.residues[row.residues[0]].chainId;
+  let k = 0; // position among modelled residues
+  return h('div', { className: 'seq-row' },
+    h('div', { className: 'seq-chain-label', title: `Chain ${row.label}` }, row.label),
+    h('div', { className: 'seq-residues' },
+      ...row.items.map((item, n) => {
+        // Missing residues are not selectable (no data-ri)
+        if (item.residue < 0) {
+          const numbered = n === 0 || (!hasICode(item) && item.seq % NUMBER_EVERY === 0);
+          return h('span', {
+            key: `m${n}`,
+            className: 'seq-res missing',
+            title: `${item.name} ${chainId}:${residueNumber(item)} (not modelled)`,
+          },
+            numbered && h('span', { className: 'seq-num' }, residueNumber(item)),
+            oneLetterCode(item.name),
+          );
+        }
+
+        const ri = item.residue;
+        const res = model.residues[ri];
+        const pos = k++;
+        const numbered = n === 0 || (!hasICode(res) && res.seq % NUMBER_EVERY === 0);
+        const className = 'seq-res' + (SS_CLASS[res.ss] || '') +
+          (res.missingAtoms ? ' incomplete' : '') +
+          (selectedMask[pos] === '1' ? ' selected' : '') +
+          (pos >= dragFrom && pos <= dragTo ? ' dragging' : '');
+        return h('span', {
+          key: ri,
+          className,
+          'data-ri': ri,
+          'data-row': row.key,
+          'data-pos': pos,
+          title: `${res.name} ${res.chainId}:${residueNumber(res)}` +
+            (res.missingAtoms ? ` (missing ${res.missingAtoms.join(' ')})` : ''),
+        },
+          numbered && h('span', { className: 'seq-num' }, residueNumber(res)),
+          res.oneLetterCode,
+        );
+      }),
+    ),
+  );
+}, (prev, next) =>
+  prev.model === next.model &&
+  prev.row.key === next.row.key &&
+  prev.row.signature === next.row.signature &&
+  prev.selectedMask === next.selectedMask &&
+  prev.dragFrom === next.dragFrom &&
+  prev.dragTo === next.dragTo
+);
+
+/**
+ * SequencePanel — per-chain sequence strip synchronized with "sele".
+ *
+ * @param {{ visible: boolean, interpreter: Object, onClose: () => void }} props
+ */
+export function SequencePanel({ visible, interpreter, onClose }) {
+  const [model, setModel] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [selected, setSelected] = useState(() => new Set());
+  const [drag, setDrag] = useState(null); // { rowKey, from, to } positions within a row
+  const panelRef = useRef(null);
+  const rowsRef = useRef([]);
+  const dragRef = useRef(null);
+
+  rowsRef.current = rows;
+
+  const refreshSelected = useCallback(() => {
+    const m = interpreter ? interpreter.getModel() : null;
+    setSelected(m ? selectedResidues(m, interpreter.namedSelections.get('sele')) : new Set());
+  }, [interpreter]);
+
+  const refresh = useCallback(() => {
+    const m = interpreter ? interpreter.getModel() : null;
+    setModel(m);
+    setRows(m ? buildRows(m, interpreter.getStructureManager()) : []);
+    refreshSelected();
+  }, [interpreter, refreshSelected]);
+
+  // Follow model and "sele" changes while shown (rows only change with the model)
+  useEffect(() => {
+    if (!visible) return;
+    refresh();
+    ViewerEvents.on('viewerSelectionChanged', refreshSelected);
+    ViewerEvents.on('viewerLoaded', refresh);
+    return () => {
+      ViewerEvents.off('viewerSelectionChanged', refreshSelected);
+      ViewerEvents.off('viewerLoaded', refresh);
+    };
+  }, [visible, refresh, refreshSelected]);
+
+  // Scroll residues picked in 3D into view
+  useEffect(() => {
+    if (!visible || !interpreter) return;
+    const onPick = ({ atomIndex, source }) => {
+      if (source === 'sequence' || atomIndex < 0) return;
+      const m = interpreter.getModel();
+      const ri = m ? findResidueIndex(m, atomIndex) : -1;
+      if (ri < 0) return;
+      requestAnimationFrame(() => {
+        const cell = panelRef.current && panelRef.current.querySelector(`[data-ri="${ri}"]`);
+        if (cell) cell.scrollIntoView({ block: 'nearest', inline: 'center' });
+      });
+    };
+    ViewerEvents.on('viewerPick', onPick);
+    return () => ViewerEvents.off('viewerPick', onPick);
+  }, [visible, interpreter]);
+
+  // Drag across a row; the range is applied to "sele" on release
+  useEffect(() => {
+    if (!visible || !interpreter) return;
+    const onMove = (e) => {
+      const d = dragRef.current;
+      if (!d) return;
+      const target = document.elementFromPoint(e.clientX, e.clientY);
+      const cell = target && target.closest('[data-ri]');
+      if (!cell || cell.dataset.row !== d.rowKey) return;
+      const to = Number(cell.dataset.pos);
+      if (to === d.to) return;
+      dragRef.current = { ...d, to };
+      setDrag(dragRef.current);
+    };
+    const onUp = () => {
+      const d = dragRef.current;
+      if (!d) return;
+      dragRef.current = null;
+      setDrag(null);
+      const row = rowsRef.current.find(r => r.key === d.rowKey);
+      if (!row) return;
+      const indices = row.residues.slice(Math.min(d.from, d.to), Math.max(d.from, d.to) + 1);
+      const message = interpreter.pickResidues(indices);
+      if (message) {
+        const m = interpreter.getModel();
+        ViewerEvents.emit('viewerPick', { atomIndex: m.residues[indices[0]].atomStart, message, source: 'sequence' });
+      }
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+    return () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+  }, [visible, interpreter]);
+
+  const handlePointerDown = useCallback((e) => {
+    const cell = e.target.closest('[data-ri]');
+    if (!cell || e.button !== 0) return;
+    e.preventDefault();
+    const pos = Number(cell.dataset.pos);
+    dragRef.current = { rowKey: cell.dataset.row, from: pos, to: pos };
+    setDrag(dragRef.current);
+  }, []);
+
+  if (!visible) return null;
+
+  return h('div', { className: 'sequence-panel', ref: panelRef },
+    h('div', { className: 'sequence-header' },
+      h('span', { className: 'sequence-title' }, 'Sequence'),
+      h('span', { className: 'sequence-hint' }, 'click or drag to select'),
+      h('button', { className: 'sequence-close-btn', onClick: onClose, title: 'Hide sequence' }, '×'),
+    ),
+    h('div', { className: 'sequence-body', onPointerDown: handlePointerDown },
+      rows.length === 0
+        ? h('div', { className: 'sequence-empty' }, 'No polymer chains')
+        : rows.map(row => h(SequenceRow, {
+          key: row.key,
+          row,
+          model,
+          selectedMask: row.residues.map(ri => (selected.has(ri) ? '1' : '0')).join(''),
+          dragFrom: drag && drag.rowKey === row.key ? Math.min(drag.from, drag.to) : -1,
+          dragTo: drag && drag.rowKey === row.key ? Math.max(drag.from, drag.to) : -1,
+        })),
+    ),
+  );
+}
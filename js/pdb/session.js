@@ -0,0 +1,348 @@
+// ============================================================
+// session.js — Save / restore the complete viewer state as JSON
+// Structures (atom table, coordinate frames, bonds, SDF / MOL2 bonds,
+// bond orders, links, deposited sequences with missing residues and atoms),
+// per-atom display state, named selections, contacts, measurements,
+// labels, surface / putty / valence settings, custom colors, camera,
+// background and legend.
+// ============================================================
+
+import * as THREE from 'three';
+import { buildModel } from './parser.js';
+import { bondKey, bondKeyAtoms } from './bondInference.js';
+import { chainSequences } from './gaps.js';
+
+export const SESSION_VERSION = 1;
+
+// Per-atom record fields stored column-wise
+const ATOM_FIELDS = [
+  'name', 'element', 'resName', 'resSeq', 'chainId', 'iCode',
+  'altLoc', 'serial', 'bFactor', 'occupancy', 'isHet',
+];
+
+const round3 = (v) => Math.round(v * 1000) / 1000;
+
+// ---- Serialize ----
+
+/** Atom records of one model as columns */
+function serializeAtoms(atoms) {
+  const columns = {};
+  for (const field of ATOM_FIELDS) {
+    columns[field] = atoms.map(a => (field === 'isHet' ? (a.isHet ? 1 : 0) : a[field]));
+  }
+  return columns;
+}
+
+/** Bond orders other than single as flat [a, b, order, ...] */
+function serializeBondOrders(model) {
+  const out = [];
+  for (const [key, order] of model.bondOrders || []) out.push(...bondKeyAtoms(key), order);
+  return out;
+}
+
+/** Coordinates of every frame (frame 0 first), rounded to 0.001 Å */
+function serializeFrames(model) {
+  const frames = model.frames || [model.positions];
+  return frames.map(f => Array.from(f, round3));
+}
+
+/**
+ * Split the merged bond list into per-structure local bonds plus bonds that
+ * cross structures (global indices).
+ */
+function splitBonds(bonds, entries) {
+  const local = entries.map(() => []);
+  const cross = [];
+  const owner = (gi) => entries.findIndex(e => gi >= e.atomOffset && gi < e.atomOffset + e.atomCount);
+  for (let i = 0; bonds && i < bonds.length; i += 2) {
+    const a = bonds[i], b = bonds[i + 1];
+    const ea = owner(a);
+    const eb = owner(b);
+    if (ea === eb && ea !== -1) {
+      const off = entries[ea].atomOffset;
+      local[ea].push(a - off, b - off);
+    } else {
+      cross.push(a, b);
+    }
+  }
+  return { local, cross };
+}
+
+/**
+ * Structures as JSON-serializable records: atom tables, coordinate frames,
+ * secondary structure and bonds (per structure, plus cross-structure bonds).
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @returns {{ structures: Object[], crossBonds: number[], currentFrame: number }}
+ */
+export function serializeStructures(viewer) {
+  const entries = viewer.structureManager._orderedEntries();
+  const { local, cross } = splitBonds(viewer.bonds, entries);
+
+  const structures = entries.map((entry, k) => {
+    const m = entry.model;
+    return {
+      name: entry.name,
+      color: entry.color ? entry.color.getHex() : null,
+      header: m.header,
+      atoms: serializeAtoms(m.atoms),
+      frames: serializeFrames(m),
+      ss: m.residues.map(r => r.ss),
+      dssp: m.residues.map(r => r.dssp ?? null),
+      // SD tags of small molecules (molParser.js)
+      props: m.residues.some(r => r.props) ? m.residues.map(r => r.props || null) : undefined,
+      frameProps: m.frameProps,
+      // SEQRES / REMARK 465 per chain ID, REMARK 470 per residue
+      sequences: chainSequences(m),
+      missingAtoms: m.residues.some(r => r.missingAtoms) ? m.residues.map(r => r.missingAtoms || null) : undefined,
+      bonds: local[k],
+      bondOrders: serializeBondOrders(m),
+      // Bonds read from SDF / MOL2 (never re-inferred)
+      explicitBonds: m.explicitBonds ? Array.from(m.explicitBonds) : undefined,
+      links: m.links || [],
+    };
+  });
+
+  return { structures, crossBonds: cross, currentFrame: viewer.currentFrame };
+}
+
+/**
+ * Display state layered on the structures: per-atom state (typed arrays
+ * as captured), named selections, contacts, measurements, labels,
+ * surface / putty / valence settings, background and legend.
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @param {Map<string, Set<number>>} namedSelections
+ * @returns {Object}
+ */
+export function captureViewState(viewer, namedSelections) {
+  const bg = viewer.scene.background;
+  return {
+    atomState: viewer.captureAtomState(),
+    selections: Object.fromEntries([...namedSelections].map(([name, set]) => [name, [...set]])),
+    interactions: (viewer.interactionOverlay ? viewer.interactionOverlay.getLayerInfo() : [])
+      .map(({ type }) => ({ type, pairs: viewer.getInteractionPairs(type) })),
+    measurements: viewer.getMeasurements().map(({ name, atoms }) => ({ name, atoms })),
+    labels: viewer.getLabels(),
+    surface: viewer.getSurfaceSettings(),
+    putty: viewer.getPuttySettings(),
+    valence: viewer.getValence(),
+    background: bg && bg.isColor ? bg.getHex() : null,
+    legend: viewer.legendOverlay ? viewer.legendOverlay.getState() : null,
+  };
+}
+
+/**
+ * Capture the full viewer state as a JSON-serializable object.
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @param {Object} ctx
+ * @param {Map<string, Set<number>>} ctx.namedSelections
+ * @param {Object<string, number>} ctx.customColors - set_color definitions
+ * @returns {Object}
+ */
+export function serializeSession(viewer, { namedSelections, customColors }) {
+  const view = captureViewState(viewer, namedSelections);
+  const { atomState } = view;
+
+  return {
+    version: SESSION_VERSION,
+    app: 'AiMOL',
+    ...serializeStructures(viewer),
+    ...view,
+    atomState: atomState && {
+      colors: Array.from(atomState.colors),
+      visible: Array.from(atomState.visible),
+      scale: Array.from(atomState.scale),
+      repType: atomState.repType,
+      altShown: Array.from(atomState.altShown),
+    },
+    customColors: { ...customColors },
+    camera: viewer.getCameraState(),
+  };
+}
+
+// ---- Restore ----
+
+/** Rebuild a structure model from its serialized form */
+function deserializeModel(s) {
+  const { atoms: cols, frames } = s;
+  const n = cols.name.length;
+  const first = frames[0];
+  const atoms = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const a = { x: first[i * 3], y: first[i * 3 + 1], z: first[i * 3 + 2] };
+    for (const field of ATOM_FIELDS) a[field] = cols[field][i];
+    a.isHet = !!a.isHet;
+    atoms[i] = a;
+  }
+  const model = buildModel(atoms, [], [], {}, s.header, frames.slice(1),
+    { computeMissingSS: false, sequences: s.sequences || {} });
+  if (!model) throw new Error(`Structure "${s.name}" has no atoms`);
+  model.residues.forEach((res, ri) => {
+    res.ss = s.ss[ri] ?? res.ss;
+    if (s.dssp && s.dssp[ri] != null) res.dssp = s.dssp[ri];
+    if (s.props && s.props[ri]) res.props = s.props[ri];
+    if (s.missingAtoms && s.missingAtoms[ri]) res.missingAtoms = s.missingAtoms[ri];
+  });
+  if (s.links) model.links = s.links;
+  // Restored at frame 0: its tags, whichever frame was showing
+  if (s.frameProps) {
+    model.frameProps = s.frameProps;
+    for (const res of model.residues) res.props = s.frameProps[0];
+  }
+  if (s.explicitBonds) model.explicitBonds = new Uint32Array(s.explicitBonds);
+  // Older sessions have no bond orders: addModel() infers them
+  if (s.bondOrders) {
+    model.bondOrders = new Map();
+    for (let i = 0; i < s.bondOrders.length; i += 3) {
+      model.bondOrders.set(bondKey(s.bondOrders[i], s.bondOrders[i + 1]), s.bondOrders[i + 2]);
+    }
+  }
+  return model;
+}
+
+/**
+ * Replace the loaded structures with serialized ones (serializeStructures
+ * output or a session). Display state is reset to defaults.
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @param {{ structures: Object[], crossBonds?: number[], currentFrame?: number }} saved
+ * @returns {number} Number of structures restored
+ */
+export function restoreStructures(viewer, saved) {
+  // Parse everything before touching the current scene
+  const models = saved.structures.map(deserializeModel);
+
+  viewer.stopFrames();
+  viewer.clearStructure();
+  saved.structures.forEach((s, k) => {
+    const added = viewer.addModel(models[k], Uint32Array.from(s.bonds), s.name);
+    const entry = viewer.structureManager.getStructure(added.name);
+    entry.color = s.color === null ? null : new THREE.Color(s.color);
+  });
+  if (saved.crossBonds && saved.crossBonds.length > 0) {
+    viewer.addBonds(Uint32Array.from(saved.crossBonds));
+  }
+  if (saved.currentFrame) viewer.setFrame(saved.currentFrame);
+  return models.length;
+}
+
+/**
+ * Apply captureViewState() output (or the same fields of a session) to the
+ * current structures, replacing contacts, measurements, labels and named
+ * selections.
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @param {Object} view
+ * @param {Map<string, Set<number>>} namedSelections - Cleared and refilled
+ */
+export function restoreViewState(viewer, view, namedSelections) {
+  // Before atom state so restored surfaces / putty are built once, with these settings
+  if (view.surface) viewer.setSurfaceSettings(view.surface);
+  if (view.putty) viewer.setPuttySettings(view.putty);
+  if (view.valence !== undefined) viewer.setValence(view.valence);
+
+  if (view.atomState) {
+    const st = view.atomState;
+    viewer.restoreAtomState({
+      colors: Uint32Array.from(st.colors),
+      visible: Uint8Array.from(st.visible),
+      scale: Float32Array.from(st.scale),
+      repType: st.repType,
+      altShown: Uint8Array.from(st.altShown),
+    });
+  }
+
+  viewer.clearAllInteractions();
+  for (const { type, pairs } of view.interactions || []) {
+    if (pairs && pairs.length > 0) viewer.addInteractions(type, pairs);
+  }
+  viewer.clearMeasurements();
+  for (const { name, atoms } of view.measurements || []) {
+    viewer.addMeasurement(name, atoms);
+  }
+  viewer.removeLabels(null);
+  for (const { atom, text, color, size, offset, shown } of view.labels || []) {
+    viewer.setLabels(new Map([[atom, text]]));
+    viewer.setLabelStyle([atom], { color, size, offset });
+    if (!shown) viewer.setLabelsShown([atom], false);
+  }
+
+  namedSelections.clear();
+  for (const [name, indices] of Object.entries(view.selections || {})) {
+    namedSelections.set(name, new Set(indices));
+  }
+
+  if (view.background === null || view.background === undefined) {
+    viewer.scene.background = viewer.backgroundTexture;
+  } else {
+    viewer.setBackground(view.background);
+  }
+
+  if (viewer.legendOverlay) {
+    if (view.legend) viewer.legendOverlay.update(view.legend);
+    else viewer.legendOverlay.hide();
+  }
+}
+
+/**
+ * Replace the viewer contents with a saved session.
+ *
+ * @param {import('./viewer.js').PDBViewer} viewer
+ * @param {Object} session - serializeSession() output
+ * @param {Object} ctx
+ * @param {Map<string, Set<number>>} ctx.namedSelections - Cleared and refilled
+ * @param {function(string, number): void} ctx.defineColor - Re-registers a set_color name
+ * @returns {number} Number of structures restored
+ */
+export function restoreSession(viewer, session, { namedSelections, defineColor }) {
+  if (!session || !Array.isArray(session.structures)) throw new Error('Not an AiMOL session file');
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session version ${session.version} is newer than supported (${SESSION_VERSION})`);
+  }
+
+  const count = restoreStructures(viewer, session);
+  restoreViewState(viewer, session, namedSelections);
+
+  for (const [name, hex] of Object.entries(session.customColors || {})) {
+    defineColor(name, hex);
+  }
+  if (session.camera) viewer.setCameraState(session.camera);
+
+  return count;
+}
+
+// ---- Files ----
+
+/**
+ * Let the user choose a session file and parse it.
+ *
+ * @returns {Promise<Object>} Parsed session JSON
+ */
+export function pickSessionFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) { reject(new Error('No file selected')); return; }
+      file.text().then(text => resolve(JSON.parse(text))).catch(reject);
+    });
+    input.addEventListener('cancel', () => reject(new Error('No file selected')));
+    input.click();
+  });
+}
+
+/**
+ * Download and parse a session file.
+ *
+ * @param {string} url
+ * @returns {Promise<Object>}
+ */
+export async function fetchSession(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Failed to fetch session (${resp.status})`);
+  return resp.json();
+}
@@ -0,0 +1,110 @@
+// ============================================================
+// shareLink.js — Views addressed by URL
+//   ?pdb=4HHB[,1CRN]&format=cif&cmd=color red, chain A;show sticks, resn HEM
+//   #session=<deflated, base64url-encoded session JSON>
+// The app opens straight into the viewer with these structures (or
+// the session), then runs the commands. "share" builds such a URL.
+// ============================================================
+
+import { splitCommands } from './script.js';
+
+const SESSION_HASH_KEY = 'session';
+
+// Longer links are still produced, but some chat / mail clients cut them
+export const SHARE_URL_WARN_LENGTH = 8000;
+
+// ---- Reading ----
+
+/**
+ * Structures, commands and session named by a URL.
+ *
+ * @param {Location|URL} [loc=window.location]
+ * @returns {{ pdbIds: string[], format: string|null, commands: string[], session: string|null }|null}
+ *   null if the URL names nothing to open
+ */
+export function readShareParams(loc = window.location) {
+  const params = new URLSearchParams(loc.search);
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+
+  const pdbIds = (params.get('pdb') || '')
+    .split(/[,+\s]+/)
+    .map(id => id.trim().toUpperCase())
+    .filter(Boolean);
+  const commands = params.getAll('cmd').flatMap(splitCommands);
+  const session = hash.get(SESSION_HASH_KEY);
+
+  if (pdbIds.length === 0 && !session) return null;
+  return { pdbIds, format: params.get('format'), commands, session };
+}
+
+// ---- Session blobs ----
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeThrough(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Compress a session for the URL hash.
+ * @param {Object} session - serializeSession() output
+ * @returns {Promise<string>} base64url text
+ */
+export async function encodeSessionBlob(session) {
+  const json = new TextEncoder().encode(JSON.stringify(session));
+  return bytesToBase64Url(await pipeThrough(json, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * Inverse of encodeSessionBlob().
+ * @param {string} blob
+ * @returns {Promise<Object>} Session JSON
+ */
+export async function decodeSessionBlob(blob) {
+  let bytes;
+  try {
+    bytes = await pipeThrough(base64UrlToBytes(blob), new DecompressionStream('deflate-raw'));
+  } catch {
+    throw new Error('Shared session link is damaged (it may have been cut off)');
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// ---- Writing ----
+
+/**
+ * URL of this app opening the given structures / session and running commands.
+ *
+ * @param {Object} opts
+ * @param {string[]} [opts.pdbIds]
+ * @param {string} [opts.format] - Fetch format for the IDs (default PDB, mmCIF fallback)
+ * @param {string[]} [opts.commands]
+ * @param {string} [opts.session] - encodeSessionBlob() output
+ * @returns {string}
+ */
+export function buildShareUrl({ pdbIds = [], format = null, commands = [], session = null }) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  if (pdbIds.length > 0) url.searchParams.set('pdb', pdbIds.join(','));
+  if (format) url.searchParams.set('format', format);
+  if (commands.length > 0) url.searchParams.set('cmd', commands.join(';'));
+  if (session) url.hash = `${SESSION_HASH_KEY}=${session}`;
+  return url.toString();
+}
@@ -5,6 +5,7 @@
 // ============================================================
 
 import * as THREE from 'three';
+import { bondKey, bondKeyAtoms } from './bondInference.js';
 
 // Auto-color palette for additional structures (first keeps element colors)
 const STRUCTURE_PALETTE = [
@@ -121,12 +122,15 @@ export class StructureManager {
     const mergedAtoms = [];
     const mergedPositions = new Float32Array(totalAtoms * 3);
     const mergedBFactors = new Float32Array(totalAtoms);
+    const mergedOccupancies = new Float32Array(totalAtoms);
     const mergedElements = new Uint8Array(totalAtoms);
     const mergedIsHet = new Uint8Array(totalAtoms);
     const mergedResidues = [];
     const mergedChains = [];
     const elementListSet = new Set();
     const mergedConectBonds = [];
+    const mergedLinks = [];
+    const mergedBondOrders = new Map();
     const structureRanges = new Map();
 
     let atomOff = 0;
@@ -156,6 +160,9 @@ export class StructureManager {
       // B-factors
       mergedBFactors.set(m.bFactors, aOff);
 
+      // Occupancies
+      mergedOccupancies.set(m.occupancies, aOff);
+
       // Elements
       mergedElements.set(m.elements, aOff);
 
@@ -192,6 +199,17 @@ export class StructureManager {
         mergedConectBonds.push([i + aOff, j + aOff]);
       }
 
+      // Links (SSBOND / LINK)
+      for (const [i, j, kind] of m.links || []) {
+        mergedLinks.push([i + aOff, j + aOff, kind]);
+      }
+
+      // Bond orders
+      for (const [key, order] of m.bondOrders || []) {
+        const [i, j] = bondKeyAtoms(key);
+        mergedBondOrders.set(bondKey(i + aOff, j + aOff), order);
+      }
+
       atomOff += m.atomCount;
       residueOff += m.residues.length;
     }
@@ -204,12 +222,15 @@ export class StructureManager {
       atomCount: totalAtoms,
       positions: mergedPositions,
       bFactors: mergedBFactors,
+      occupancies: mergedOccupancies,
       elements: mergedElements,
       elementList: [...elementListSet],
       isHet: mergedIsHet,
       residues: mergedResidues,
       chains: mergedChains,
       conectBonds: mergedConectBonds,
+      links: mergedLinks,
+      bondOrders: mergedBondOrders,
       header: firstEntry.model.header,
       _structureRanges: structureRanges,
     };
@@ -217,6 +238,48 @@ export class StructureManager {
     return merged;
   }
 
+  /**
+   * Largest frame count across loaded structures (1 if none are multi-model).
+   *
+   * @returns {number}
+   */
+  getFrameCount() {
+    let count = 1;
+    for (const entry of this.structures.values()) {
+      if (entry.model.frames) count = Math.max(count, entry.model.frames.length);
+    }
+    return count;
+  }
+
+  /**
+   * Switch every multi-model structure to a frame, clamped to its own
+   * frame count. Copies the frame into model.positions and atom objects,
+   * and the frame's SD tags (model.frameProps) into residue.props.
+   *
+   * @param {number} frame - 0-based frame index
+   * @returns {boolean} true if any structure's coordinates changed
+   */
+  setFrame(frame) {
+    let changed = false;
+    for (const entry of this.structures.values()) {
+      const m = entry.model;
+      if (!m.frames) continue;
+      const f = Math.min(frame, m.frames.length - 1);
+      if (f === m.currentFrame) continue;
+      const src = m.frames[f];
+      m.positions.set(src);
+      for (let i = 0; i < m.atomCount; i++) {
+        m.atoms[i].x = src[i * 3];
+        m.atoms[i].y = src[i * 3 + 1];
+        m.atoms[i].z = src[i * 3 + 2];
+      }
+      if (m.frameProps) for (const res of m.residues) res.props = m.frameProps[f];
+      m.currentFrame = f;
+      changed = true;
+    }
+    return changed;
+  }
+
   /**
    * Build merged bond array by concatenating all structures' bonds
    * with atom offset adjustments.
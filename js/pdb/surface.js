@@ -0,0 +1,378 @@
+// ============================================================
+// surface.js — Molecular surface geometry
+// Solvent-accessible (SAS) and solvent-excluded (SES) surfaces
+// for a subset of atoms, extracted on a voxel grid with surface
+// nets, and dot sampling of the van der Waals surface.
+//
+//   SAS: atom spheres inflated by the probe radius.
+//   SES: the SAS volume eroded by the probe radius — probe spheres
+//        placed on the SAS boundary carve the re-entrant surface.
+//   Dots: points on each atom's VDW sphere not buried in a neighbour.
+//
+// Pure math on flat arrays, no three.js dependency.
+// ============================================================
+
+import { VDW_RADII, DEFAULT_VDW } from './constants.js';
+
+export const SURFACE_TYPES = ['ses', 'sas'];
+
+export const DEFAULT_PROBE_RADIUS = 1.4;
+
+// Grid spacing (Å); coarsened for large selections to cap the voxel count
+const GRID_SPACING = 0.5;
+const MAX_VOXELS = 3000000;
+
+// Field value for voxels no atom or probe reaches
+const FAR = 1e6;
+
+// Dots per Å² of VDW sphere
+const DOT_DENSITY = 2;
+
+/**
+ * Van der Waals radius for an element symbol.
+ * @param {string} element
+ * @returns {number}
+ */
+export function vdwRadius(element) {
+  return VDW_RADII[element] || DEFAULT_VDW;
+}
+
+/**
+ * Compute a molecular surface around the given atoms.
+ *
+ * @param {Float32Array} positions - Flat xyz for all atoms
+ * @param {Float32Array|number[]} radii - VDW radius per atom
+ * @param {number[]} atomIndices - Atoms enclosed by the surface
+ * @param {Object} [options]
+ * @param {'ses'|'sas'} [options.type='ses']
+ * @param {number} [options.probeRadius=1.4] - Solvent probe radius (Å)
+ * @param {number} [options.spacing] - Grid spacing override (Å)
+ * @returns {{ positions: Float32Array, indices: Uint32Array, vertexAtoms: Int32Array }|null}
+ *   Triangle mesh with outward winding and the nearest atom of each
+ *   vertex (for coloring and picking); null for an empty selection
+ */
+export function computeSurface(positions, radii, atomIndices, options = {}) {
+  if (atomIndices.length === 0) return null;
+  const type = options.type || 'ses';
+  const probe = Math.max(0, options.probeRadius ?? DEFAULT_PROBE_RADIUS);
+
+  const grid = createGrid(positions, radii, atomIndices, probe, options.spacing);
+  const { sas, nearest } = splatAtoms(grid, positions, radii, atomIndices, probe);
+  const field = type === 'sas' || probe === 0
+    ? sas
+    : carveProbes(grid, positions, radii, sas, nearest, probe);
+
+  return extractSurface(grid, field, nearest);
+}
+
+// ---- Grid ----
+
+function createGrid(positions, radii, atomIndices, probe, spacing) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  let maxR = 0;
+  for (const i of atomIndices) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+    if (radii[i] > maxR) maxR = radii[i];
+  }
+
+  let h = spacing || GRID_SPACING;
+  const pad = maxR + probe + 2 * h;
+  const sx = maxX - minX + 2 * pad, sy = maxY - minY + 2 * pad, sz = maxZ - minZ + 2 * pad;
+  if (!spacing && (sx / h) * (sy / h) * (sz / h) > MAX_VOXELS) {
+    h = Math.cbrt((sx * sy * sz) / MAX_VOXELS);
+  }
+
+  const nx = Math.ceil(sx / h) + 1, ny = Math.ceil(sy / h) + 1, nz = Math.ceil(sz / h) + 1;
+  return { h, nx, ny, nz, ox: minX - pad, oy: minY - pad, oz: minZ - pad };
+}
+
+/**
+ * Call fn(voxel, distance) for grid voxels within `radius` of a point.
+ */
+function forVoxelsNear(grid, x, y, z, radius, fn) {
+  const { h, nx, ny, nz, ox, oy, oz } = grid;
+  const x0 = Math.max(0, Math.floor((x - radius - ox) / h));
+  const x1 = Math.min(nx - 1, Math.ceil((x + radius - ox) / h));
+  const y0 = Math.max(0, Math.floor((y - radius - oy) / h));
+  const y1 = Math.min(ny - 1, Math.ceil((y + radius - oy) / h));
+  const z0 = Math.max(0, Math.floor((z - radius - oz) / h));
+  const z1 = Math.min(nz - 1, Math.ceil((z + radius - oz) / h));
+  const r2 = radius * radius;
+
+  for (let k = z0; k <= z1; k++) {
+    const dz = oz + k * h - z;
+    for (let j = y0; j <= y1; j++) {
+      const dy = oy + j * h - y;
+      const dyz = dy * dy + dz * dz;
+      if (dyz > r2) continue;
+      const row = (k * ny + j) * nx;
+      for (let i = x0; i <= x1; i++) {
+        const dx = ox + i * h - x;
+        const d2 = dx * dx + dyz;
+        if (d2 <= r2) fn(row + i, Math.sqrt(d2));
+      }
+    }
+  }
+}
+
+// ---- Distance fields (negative inside) ----
+
+/**
+ * Signed distance to the SAS (atom spheres inflated by the probe) and the
+ * atom owning each voxel.
+ */
+function splatAtoms(grid, positions, radii, atomIndices, probe) {
+  const size = grid.nx * grid.ny * grid.nz;
+  const sas = new Float32Array(size).fill(FAR);
+  const nearest = new Int32Array(size).fill(-1);
+
+  for (const a of atomIndices) {
+    const r = radii[a] + probe;
+    forVoxelsNear(grid, positions[a * 3], positions[a * 3 + 1], positions[a * 3 + 2], r + 2 * grid.h, (v, d) => {
+      const f = d - r;
+      if (f < sas[v]) {
+        sas[v] = f;
+        nearest[v] = a;
+      }
+    });
+  }
+  return { sas, nearest };
+}
+
+/**
+ * SES field: inside the SAS, a voxel is solvent-excluded when no probe
+ * centre on the SAS boundary is within the probe radius of it.
+ * Probe centres are boundary voxels projected onto their owning atom's
+ * SAS sphere.
+ */
+function carveProbes(grid, positions, radii, sas, nearest, probe) {
+  const { h, nx, ny, nz, ox, oy, oz } = grid;
+  const size = nx * ny * nz;
+  const field = new Float32Array(size);
+  for (let v = 0; v < size; v++) {
+    field[v] = sas[v] >= 0 ? sas[v] + probe : -FAR;
+  }
+
+  const strideY = nx, strideZ = nx * ny;
+  const reach = probe + 2 * h;
+  for (let k = 1; k < nz - 1; k++) {
+    for (let j = 1; j < ny - 1; j++) {
+      for (let i = 1; i < nx - 1; i++) {
+        const v = (k * ny + j) * nx + i;
+        // Outside voxels next to the SAS volume
+        if (sas[v] < 0 || nearest[v] < 0) continue;
+        if (sas[v - 1] >= 0 && sas[v + 1] >= 0 &&
+            sas[v - strideY] >= 0 && sas[v + strideY] >= 0 &&
+            sas[v - strideZ] >= 0 && sas[v + strideZ] >= 0) continue;
+
+        const a = nearest[v];
+        const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+        const dx = ox + i * h - ax, dy = oy + j * h - ay, dz = oz + k * h - az;
+        const len = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+        const s = (radii[a] + probe) / len;
+        const px = ax + dx * s, py = ay + dy * s, pz = az + dz * s;
+
+        forVoxelsNear(grid, px, py, pz, reach, (w, d) => {
+          const f = probe - d;
+          if (f > field[w]) field[w] = f;
+        });
+      }
+    }
+  }
+  return field;
+}
+
+// ---- Surface nets ----
+
+// Cube corner offsets (i, j, k) and the 12 edges between them
+const CORNERS = [
+  [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+  [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1],
+];
+const EDGES = [
+  [0, 1], [2, 3], [4, 5], [6, 7],
+  [0, 2], [1, 3], [4, 6], [5, 7],
+  [0, 4], [1, 5], [2, 6], [3, 7],
+];
+
+/**
+ * Extract the zero level set of a field: one vertex per cell straddling
+ * the surface (the mean of its edge crossings), one quad per grid edge
+ * crossing it.
+ */
+function extractSurface(grid, field, nearest) {
+  const { h, nx, ny, nz, ox, oy, oz } = grid;
+  const cellIndex = new Int32Array(nx * ny * nz).fill(-1);
+  const verts = [];
+  const vertexAtoms = [];
+  const values = new Float32Array(8);
+  const corners = new Int32Array(8);
+  // Clamp so unreached voxels (±FAR) interpolate sensibly
+  const clamp = 2 * h;
+
+  for (let k = 0; k < nz - 1; k++) {
+    for (let j = 0; j < ny - 1; j++) {
+      for (let i = 0; i < nx - 1; i++) {
+        const c0 = (k * ny + j) * nx + i;
+        let inside = 0;
+        for (let c = 0; c < 8; c++) {
+          const [di, dj, dk] = CORNERS[c];
+          corners[c] = c0 + (dk * ny + dj) * nx + di;
+          values[c] = Math.max(-clamp, Math.min(clamp, field[corners[c]]));
+          if (values[c] < 0) inside++;
+        }
+        if (inside === 0 || inside === 8) continue;
+
+        let sx = 0, sy = 0, sz = 0, n = 0;
+        for (const [e0, e1] of EDGES) {
+          const f0 = values[e0], f1 = values[e1];
+          if ((f0 < 0) === (f1 < 0)) continue;
+          const t = f0 / (f0 - f1);
+          sx += CORNERS[e0][0] + t * (CORNERS[e1][0] - CORNERS[e0][0]);
+          sy += CORNERS[e0][1] + t * (CORNERS[e1][1] - CORNERS[e0][1]);
+          sz += CORNERS[e0][2] + t * (CORNERS[e1][2] - CORNERS[e0][2]);
+          n++;
+        }
+        cellIndex[c0] = verts.length / 3;
+        verts.push(ox + (i + sx / n) * h, oy + (j + sy / n) * h, oz + (k + sz / n) * h);
+
+        // Owner: atom of the innermost corner
+        let best = 0;
+        for (let c = 1; c < 8; c++) if (values[c] < values[best]) best = c;
+        vertexAtoms.push(nearest[corners[best]]);
+      }
+    }
+  }
+
+  // Quads: each grid edge with a sign change is shared by 4 cells
+  const tris = [];
+  const strideY = nx, strideZ = nx * ny;
+  const axes = [
+    { step: 1,       u: strideY, w: strideZ },
+    { step: strideY, u: strideZ, w: 1 },
+    { step: strideZ, u: 1,       w: strideY },
+  ];
+  for (let k = 1; k < nz - 1; k++) {
+    for (let j = 1; j < ny - 1; j++) {
+      for (let i = 1; i < nx - 1; i++) {
+        const v = (k * ny + j) * nx + i;
+        const inside = field[v] < 0;
+        for (const { step, u, w } of axes) {
+          if ((field[v + step] < 0) === inside) continue;
+          const a = cellIndex[v], b = cellIndex[v - u], c = cellIndex[v - u - w], d = cellIndex[v - w];
+          if (a < 0 || b < 0 || c < 0 || d < 0) continue;
+          // Wind counter-clockwise seen from outside
+          if (inside) tris.push(a, b, c, a, c, d);
+          else tris.push(a, c, b, a, d, c);
+        }
+      }
+    }
+  }
+
+  return {
+    positions: new Float32Array(verts),
+    indices: new Uint32Array(tris),
+    vertexAtoms: Int32Array.from(vertexAtoms),
+  };
+}
+
+// ---- Dots ----
+
+// Unit-sphere point sets by point count
+const _spherePoints = new Map();
+
+/**
+ * Evenly spread points on the unit sphere (Fibonacci spiral).
+ * @param {number} count
+ * @returns {Float32Array} Flat xyz
+ */
+function unitSpherePoints(count) {
+  let pts = _spherePoints.get(count);
+  if (pts) return pts;
+  pts = new Float32Array(count * 3);
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  for (let k = 0; k < count; k++) {
+    const y = 1 - (2 * k + 1) / count;
+    const r = Math.sqrt(1 - y * y);
+    const phi = k * golden;
+    pts[k * 3] = Math.cos(phi) * r;
+    pts[k * 3 + 1] = y;
+    pts[k * 3 + 2] = Math.sin(phi) * r;
+  }
+  _spherePoints.set(count, pts);
+  return pts;
+}
+
+/**
+ * Sample the VDW sphere of each atom, dropping points that fall inside
+ * the sphere of another atom in the set.
+ *
+ * @param {Float32Array} positions - Flat xyz for all atoms
+ * @param {Float32Array|number[]} radii - VDW radius per atom
+ * @param {number[]} atomIndices - Atoms to sample (also the possible neighbours)
+ * @param {number} [density=2] - Dots per Å²
+ * @returns {{ positions: Float32Array, atoms: Int32Array }} Dot coordinates and owning atoms
+ */
+export function computeDots(positions, radii, atomIndices, density = DOT_DENSITY) {
+  let maxR = 0;
+  for (const i of atomIndices) if (radii[i] > maxR) maxR = radii[i];
+
+  // Spatial hash: any overlapping neighbour is within 2 * maxR
+  const cell = 2 * maxR || 1;
+  const buckets = new Map();
+  const keyOf = (cx, cy, cz) => `${cx},${cy},${cz}`;
+  for (const i of atomIndices) {
+    const key = keyOf(
+      Math.floor(positions[i * 3] / cell),
+      Math.floor(positions[i * 3 + 1] / cell),
+      Math.floor(positions[i * 3 + 2] / cell)
+    );
+    let bucket = buckets.get(key);
+    if (!bucket) buckets.set(key, bucket = []);
+    bucket.push(i);
+  }
+
+  const out = [];
+  const owners = [];
+  const neighbours = [];
+  for (const i of atomIndices) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    const r = radii[i];
+
+    neighbours.length = 0;
+    const cx = Math.floor(x / cell), cy = Math.floor(y / cell), cz = Math.floor(z / cell);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const bucket = buckets.get(keyOf(cx + dx, cy + dy, cz + dz));
+          if (!bucket) continue;
+          for (const j of bucket) {
+            if (j === i) continue;
+            const ddx = positions[j * 3] - x, ddy = positions[j * 3 + 1] - y, ddz = positions[j * 3 + 2] - z;
+            const reach = r + radii[j];
+            if (ddx * ddx + ddy * ddy + ddz * ddz < reach * reach) neighbours.push(j);
+          }
+        }
+      }
+    }
+
+    const sphere = unitSpherePoints(Math.max(12, Math.round(4 * Math.PI * r * r * density)));
+    for (let k = 0; k < sphere.length; k += 3) {
+      const px = x + sphere[k] * r, py = y + sphere[k + 1] * r, pz = z + sphere[k + 2] * r;
+      let buried = false;
+      for (const j of neighbours) {
+        const ddx = px - positions[j * 3], ddy = py - positions[j * 3 + 1], ddz = pz - positions[j * 3 + 2];
+        if (ddx * ddx + ddy * ddy + ddz * ddz < radii[j] * radii[j]) { buried = true; break; }
+      }
+      if (buried) continue;
+      out.push(px, py, pz);
+      owners.push(i);
+    }
+  }
+
+  return { positions: new Float32Array(out), atoms: Int32Array.from(owners) };
+}
@@ -0,0 +1,141 @@
+// ============================================================
+// valence.js — Geometry for bond orders ("set valence")
+// Double bonds get a second, shorter strand beside the bond, triple
+// bonds one on each side, aromatic bonds a dashed inner strand. The
+// strand goes to the side of a neighbouring atom, so ring bonds are
+// drawn towards the ring centre. Representations turn the segments
+// into cylinders (sticks, ball-and-stick) or line segments (lines).
+// ============================================================
+
+import { BOND_ORDERS } from './constants.js';
+import { bondKey } from './bondInference.js';
+
+/** Shared valence setting, read when representations are built */
+export const VALENCE_PARAMS = {
+  enabled: true,
+};
+
+// Fraction of the bond length cut from each end of an extra strand
+const STRAND_INSET = 0.18;
+
+// Dashes per aromatic strand
+const AROMATIC_DASHES = 3;
+
+/**
+ * Side vector for the strands of bond a-b: perpendicular to the bond,
+ * towards a neighbour of a (or b). Neighbours joined by a bond that is
+ * not single (ring partners) and heavy atoms are preferred.
+ */
+function strandSide(a, b, ux, uy, uz, positions, neighbors, orders, atoms) {
+  let best = -1, bestScore = -1, from = a;
+  for (const [center, other] of [[a, b], [b, a]]) {
+    for (const n of neighbors.get(center) || []) {
+      if (n === other) continue;
+      const score = (orders.has(bondKey(center, n)) ? 2 : 0) + (atoms[n].element !== 'H' ? 1 : 0);
+      if (score > bestScore) { best = n; bestScore = score; from = center; }
+    }
+  }
+
+  let sx = 0, sy = 0, sz = 0;
+  if (best >= 0) {
+    sx = positions[best * 3] - positions[from * 3];
+    sy = positions[best * 3 + 1] - positions[from * 3 + 1];
+    sz = positions[best * 3 + 2] - positions[from * 3 + 2];
+    const along = sx * ux + sy * uy + sz * uz;
+    sx -= along * ux; sy -= along * uy; sz -= along * uz;
+  }
+  let len = Math.sqrt(sx * sx + sy * sy + sz * sz);
+  if (len < 1e-3) {
+    // No usable neighbour (diatomic, linear chain): any perpendicular
+    if (Math.abs(ux) < 0.9) { sx = 0; sy = -uz; sz = uy; } else { sx = uz; sy = 0; sz = -ux; }
+    len = Math.sqrt(sx * sx + sy * sy + sz * sz);
+  }
+  return [sx / len, sy / len, sz / len];
+}
+
+/**
+ * Strand segments for the bonds in `bonds` that are not single.
+ *
+ * Each segment is colored like its owner atom and hidden when the owner
+ * or its partner (the other bond atom) is hidden.
+ *
+ * @param {Object} model - Model with bondOrders (bondKey() → BOND_ORDERS)
+ * @param {Uint32Array} bonds - Flat pairs [a0,b0, a1,b1, ...]
+ * @param {number} offset - Strand distance from the bond axis (Angstroms)
+ * @returns {{ count: number, owner: Uint32Array, partner: Uint32Array,
+ *             start: Float32Array, end: Float32Array }|null}
+ *   null when valence is off or no bond has a higher order
+ */
+export function computeValenceSegments(model, bonds, offset) {
+  const orders = model.bondOrders;
+  if (!VALENCE_PARAMS.enabled || !orders || orders.size === 0) return null;
+
+  const ordered = [];
+  for (let i = 0; i < bonds.length; i += 2) {
+    const order = orders.get(bondKey(bonds[i], bonds[i + 1]));
+    if (order && order !== BOND_ORDERS.SINGLE) ordered.push(bonds[i], bonds[i + 1], order);
+  }
+  if (ordered.length === 0) return null;
+
+  // Neighbours of the atoms in ordered bonds only
+  const neighbors = new Map();
+  for (let k = 0; k < ordered.length; k += 3) {
+    neighbors.set(ordered[k], []);
+    neighbors.set(ordered[k + 1], []);
+  }
+  for (let i = 0; i < bonds.length; i += 2) {
+    const a = bonds[i], b = bonds[i + 1];
+    if (neighbors.has(a)) neighbors.get(a).push(b);
+    if (neighbors.has(b)) neighbors.get(b).push(a);
+  }
+
+  const { positions, atoms } = model;
+  const owner = [], partner = [], start = [], end = [];
+  const push = (o, p, x0, y0, z0, x1, y1, z1) => {
+    owner.push(o);
+    partner.push(p);
+    start.push(x0, y0, z0);
+    end.push(x1, y1, z1);
+  };
+
+  for (let k = 0; k < ordered.length; k += 3) {
+    const a = ordered[k], b = ordered[k + 1], order = ordered[k + 2];
+    const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+    const dx = positions[b * 3] - ax, dy = positions[b * 3 + 1] - ay, dz = positions[b * 3 + 2] - az;
+    const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (len < 1e-3) continue;
+    const ux = dx / len, uy = dy / len, uz = dz / len;
+    const [sx, sy, sz] = strandSide(a, b, ux, uy, uz, positions, neighbors, orders, atoms);
+
+    // Strand ends, inset from both atoms
+    const t0 = len * STRAND_INSET, t1 = len * (1 - STRAND_INSET);
+    const sides = order === BOND_ORDERS.TRIPLE ? [1, -1] : [1];
+    for (const side of sides) {
+      const ox = ax + sx * offset * side, oy = ay + sy * offset * side, oz = az + sz * offset * side;
+      const at = (t) => [ox + ux * t, oy + uy * t, oz + uz * t];
+
+      if (order === BOND_ORDERS.AROMATIC) {
+        // Dashes with equal gaps; each is colored by the nearer atom
+        const unit = (t1 - t0) / (2 * AROMATIC_DASHES - 1);
+        for (let d = 0; d < AROMATIC_DASHES; d++) {
+          const d0 = t0 + unit * 2 * d, d1 = d0 + unit;
+          const near = (d0 + d1) * 0.5 < len * 0.5;
+          push(near ? a : b, near ? b : a, ...at(d0), ...at(d1));
+        }
+      } else {
+        // Two halves, split colored like the bond itself
+        const mid = len * 0.5;
+        push(a, b, ...at(t0), ...at(mid));
+        push(b, a, ...at(mid), ...at(t1));
+      }
+    }
+  }
+
+  return {
+    count: owner.length,
+    owner: Uint32Array.from(owner),
+    partner: Uint32Array.from(partner),
+    start: Float32Array.from(start),
+    end: Float32Array.from(end),
+  };
+}
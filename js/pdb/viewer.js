@@ -7,8 +7,9 @@
 // ============================================================
 
 import * as THREE from 'three';
-import { parsePDB } from './parser.js';
-import { inferBonds } from './bondInference.js';
+import { parseStructure } from './formats.js';
+import { assignSecondaryStructure } from './parser.js';
+import { inferBonds, inferBondOrders, bondKey, bondKeyAtoms } from './bondInference.js';
 import { ELEMENT_COLORS, DEFAULT_COLOR, REP_TYPES } from './constants.js';
 import { StructureManager } from './structureManager.js';
 import { createAtomMaterial, createBondMaterial } from './materials.js';
@@ -18,9 +19,19 @@ import { PostProcessingPipeline } from './postProcessing.js';
 import { BallAndStickRepresentation } from './representations/BallAndStickRepresentation.js';
 import { SpacefillRepresentation } from './representations/SpacefillRepresentation.js';
 import { StickRepresentation } from './representations/StickRepresentation.js';
-import { CartoonRepresentation } from './representations/CartoonRepresentation.js';
+import { CartoonRepresentation, PuttyRepresentation, PUTTY_PARAMS } from './representations/CartoonRepresentation.js';
+import { VALENCE_PARAMS } from './valence.js';
 import { LinesRepresentation } from './representations/LinesRepresentation.js';
+import { SurfaceRepresentation, MeshRepresentation, SURFACE_PARAMS } from './representations/SurfaceRepresentation.js';
+import { DotsRepresentation } from './representations/DotsRepresentation.js';
 import { InteractionOverlay } from './representations/InteractionOverlay.js';
+import { MeasurementOverlay } from './representations/MeasurementOverlay.js';
+import { LabelOverlay } from './representations/LabelOverlay.js';
+
+// Picking: line / point hit tolerance (Å) and the dot marker drawn on picked atoms
+const PICK_LINE_THRESHOLD = 0.25;
+const PICK_HIGHLIGHT_COLOR = 0xFF4FD8;
+const PICK_HIGHLIGHT_SIZE = 7; // px
 
 const REP_CLASSES = {
   [REP_TYPES.BALL_AND_STICK]: BallAndStickRepresentation,
@@ -28,6 +39,10 @@ const REP_CLASSES = {
   [REP_TYPES.STICK]:          StickRepresentation,
   [REP_TYPES.CARTOON]:        CartoonRepresentation,
   [REP_TYPES.LINES]:          LinesRepresentation,
+  [REP_TYPES.SURFACE]:        SurfaceRepresentation,
+  [REP_TYPES.MESH]:           MeshRepresentation,
+  [REP_TYPES.DOTS]:           DotsRepresentation,
+  [REP_TYPES.PUTTY]:          PuttyRepresentation,
 };
 
 // ============================================================
@@ -73,6 +88,12 @@ function rebuildModelWithoutAtoms(model, indicesToRemove) {
     newBFactors[newI] = model.bFactors[oldI];
   }
 
+  // Filter occupancies
+  const newOccupancies = new Float32Array(newCount);
+  for (const [oldI, newI] of indexMap) {
+    newOccupancies[newI] = model.occupancies[oldI];
+  }
+
   // Filter elements
   const newElements = new Uint8Array(newCount);
   for (const [oldI, newI] of indexMap) {
@@ -161,19 +182,68 @@ function rebuildModelWithoutAtoms(model, indicesToRemove) {
     }
   }
 
+  // Filter links (SSBOND / LINK)
+  const newLinks = [];
+  for (const [i, j, kind] of model.links || []) {
+    const ni = indexMap.get(i);
+    const nj = indexMap.get(j);
+    if (ni !== undefined && nj !== undefined) newLinks.push([ni, nj, kind]);
+  }
+
+  // Filter coordinate frames
+  let newFrames = null;
+  if (model.frames) {
+    newFrames = model.frames.map(frame => {
+      const out = new Float32Array(newCount * 3);
+      for (const [oldI, newI] of indexMap) {
+        out[newI * 3]     = frame[oldI * 3];
+        out[newI * 3 + 1] = frame[oldI * 3 + 1];
+        out[newI * 3 + 2] = frame[oldI * 3 + 2];
+      }
+      return out;
+    });
+  }
+
+  // Remap bond orders
+  const newBondOrders = new Map();
+  for (const [key, order] of model.bondOrders || []) {
+    const [a, b] = bondKeyAtoms(key);
+    const na = indexMap.get(a);
+    const nb = indexMap.get(b);
+    if (na !== undefined && nb !== undefined) newBondOrders.set(bondKey(na, nb), order);
+  }
+
+  // Remap explicit bonds (SDF / MOL2), so the model is not re-inferred
+  let newExplicitBonds;
+  if (model.explicitBonds) {
+    const pairs = [];
+    for (let k = 0; k < model.explicitBonds.length; k += 2) {
+      const na = indexMap.get(model.explicitBonds[k]);
+      const nb = indexMap.get(model.explicitBonds[k + 1]);
+      if (na !== undefined && nb !== undefined) pairs.push(na, nb);
+    }
+    newExplicitBonds = new Uint32Array(pairs);
+  }
+
   const newModel = {
     atoms: newAtoms,
     atomCount: newCount,
     positions: newPositions,
     bFactors: newBFactors,
+    occupancies: newOccupancies,
     elements: newElements,
     elementList: model.elementList,
     isHet: newIsHet,
     residues: newResidues,
     chains: newChains,
     conectBonds: newConectBonds,
+    links: newLinks,
+    bondOrders: newBondOrders,
     header: model.header,
+    frames: newFrames,
+    currentFrame: model.currentFrame || 0,
   };
+  if (newExplicitBonds) newModel.explicitBonds = newExplicitBonds;
 
   return { model: newModel, indexMap };
 }
@@ -220,6 +290,21 @@ export class PDBViewer {
     // Multi-structure support
     this.structureManager = new StructureManager();
 
+    // Multi-model frames (0-based) and mplay state
+    this.currentFrame = 0;
+    this._framePlayback = null;
+
+    // HTML legend (legendOverlay.js), attached by main.js; read by sessions and image export
+    this.legendOverlay = null;
+
+    // Picking (raycast against rep meshes) and picked-atom markers
+    this._raycaster = new THREE.Raycaster();
+    this._raycaster.params.Line.threshold = PICK_LINE_THRESHOLD;
+    this._raycaster.params.Points.threshold = PICK_LINE_THRESHOLD;
+    this._pointer = new THREE.Vector2();
+    this._pickHighlight = null;
+    this._pickHighlightIndices = [];
+
     // Legacy refs for compatibility (some code may still check these)
     this.atomMesh = null;
     this.bondMesh = null;
@@ -257,33 +342,63 @@ export class PDBViewer {
   }
 
   /**
-   * Load and render a PDB structure from text.
+   * Load and render a structure from text.
    * Clears any existing structures, then adds this one.
    *
-   * @param {string} pdbText - Raw PDB file content
+   * @param {string|ArrayBuffer} pdbText - Raw file content (ArrayBuffer for BinaryCIF)
    * @param {string} [name] - Optional structure name
+   * @param {string} [format] - 'pdb', 'mmcif' or 'bcif'; sniffed from content if omitted
+   * @param {{ pdbId: string, format: string|null }} [source] - Set when fetched by PDB ID
    * @returns {{ model, bonds }} or null if parse failed
    */
-  loadFromText(pdbText, name) {
+  loadFromText(pdbText, name, format, source) {
     this.clearStructure();
-    return this.addStructure(pdbText, name);
+    return this.addStructure(pdbText, name, format, source);
   }
 
   /**
-   * Add an additional PDB structure (multi-structure support).
-   * Parses the PDB, registers it, and rebuilds the merged state.
+   * Add an additional structure (multi-structure support).
+   * Parses the file, registers it, and rebuilds the merged state.
+   * SDF / MOL2 files of different molecules add one structure per molecule.
    *
-   * @param {string} pdbText - Raw PDB file content
+   * @param {string|ArrayBuffer} pdbText - Raw file content (ArrayBuffer for BinaryCIF)
    * @param {string} [name] - Optional structure name
-   * @returns {{ model, bonds, name: string }} or null if parse failed
+   * @param {string} [format] - 'pdb', 'mmcif' or 'bcif'; sniffed from content if omitted
+   * @param {{ pdbId: string, format: string|null }} [source] - Set when fetched by PDB ID
+   *   (the requested format, null for the PDB/mmCIF fallback); share links refetch it
+   * @returns {{ model, bonds, name: string, names: string[] }} or null if parse failed
+   *   (name is the first structure's)
    */
-  addStructure(pdbText, name) {
-    const model = parsePDB(pdbText);
-    if (!model) return null;
+  addStructure(pdbText, name, format, source) {
+    const parsed = parseStructure(pdbText, format);
+    if (!parsed) return null;
+    const names = [];
+    let added = null;
+    for (const model of Array.isArray(parsed) ? parsed : [parsed]) {
+      if (source) model.source = source;
+      added = this.addModel(model, null, name);
+      names.push(added.name);
+    }
+    return { ...added, name: names[0], names };
+  }
 
-    const bonds = inferBonds(model);
+  /**
+   * Add an already-built model as a new structure (sessions, generated
+   * structures). Without bonds, the model's explicit bonds (SDF / MOL2)
+   * are used, or bonds are inferred. Bond orders are inferred (templates,
+   * CONECT) unless the model brings its own.
+   *
+   * @param {Object} model - parsePDB-shaped model
+   * @param {Uint32Array|null} [bonds] - Local bond pairs
+   * @param {string} [name] - Optional structure name
+   * @returns {{ model, bonds, name: string }}
+   */
+  addModel(model, bonds, name) {
+    if (!bonds) bonds = model.explicitBonds || inferBonds(model);
+    if (!model.bondOrders) model.bondOrders = inferBondOrders(model);
     const structName = name || model.header?.pdbId || 'structure';
     const actualName = this.structureManager.addStructure(structName, model, bonds);
+    this.structureManager.setFrame(this.currentFrame);
 
     this._rebuildMergedState();
     this._applyStructureColor(actualName);
@@ -428,6 +543,7 @@ export class PDBViewer {
         visible: this.atomVisible.slice(atomOffset, atomOffset + atomCount),
         scale: this.atomScale.slice(atomOffset, atomOffset + atomCount),
         repType: this.atomRepType.slice(atomOffset, atomOffset + atomCount),
+        altShown: this.atomAltShown.slice(atomOffset, atomOffset + atomCount),
       });
     }
     return state;
@@ -457,6 +573,7 @@ export class PDBViewer {
       }
       this.atomVisible.set(saved.visible.subarray(0, count), atomOffset);
       this.atomScale.set(saved.scale.subarray(0, count), atomOffset);
+      this.atomAltShown.set(saved.altShown.subarray(0, count), atomOffset);
       restored = true;
     }
     return restored;
@@ -486,16 +603,34 @@ export class PDBViewer {
     // Per-atom representation type (fallback to ball-and-stick when in mixed mode)
     this.atomRepType = new Array(n).fill(this.currentRepType || REP_TYPES.BALL_AND_STICK);
 
+    // Alternate conformers: show atoms without an altLoc plus each residue's first altLoc
+    this.atomAltShown = new Uint8Array(n);
+    for (const res of this.model.residues) {
+      const primary = res.altLocs && res.altLocs.length > 0 ? res.altLocs[0] : ' ';
+      for (let i = res.atomStart; i < res.atomEnd; i++) {
+        const alt = atoms[i].altLoc;
+        this.atomAltShown[i] = (alt === ' ' || alt === primary) ? 1 : 0;
+      }
+    }
+
     // Base scales from active rep
     const firstRep = this.activeReps.values().next().value || null;
     this.baseScales = firstRep ? firstRep.getBaseScales() : null;
     this.baseBondScales = firstRep ? firstRep.getBaseBondScales() : null;
 
-    // Rebuild interaction overlay for new model
+    // Rebuild interaction, measurement and label overlays for new model
     if (this.interactionOverlay) {
       this.interactionOverlay.removeAll();
     }
     this.interactionOverlay = new InteractionOverlay(this.model, this.viewerGroup);
+    if (this.measurementOverlay) {
+      this.measurementOverlay.dispose();
+    }
+    this.measurementOverlay = new MeasurementOverlay(this.model, this.viewerGroup);
+    if (this.labelOverlay) {
+      this.labelOverlay.dispose();
+    }
+    this.labelOverlay = new LabelOverlay(this.model, this.viewerGroup);
 
     // Save initial camera state for reset
     this._initialCameraPos = this.camera.position.clone();
@@ -582,7 +717,7 @@ export class PDBViewer {
       rep.applyColors(this.atomColors);
     }
     if (this.atomVisible) {
-      rep.applyVisibility(this.atomVisible, this.atomScale);
+      rep.applyVisibility(this._displayMask(), this.atomScale);
     }
 
     // Update base transforms from the new representation
@@ -686,6 +821,7 @@ export class PDBViewer {
    */
   render() {
     this.updateCameraAnimation();
+    this.updateFramePlayback();
     this.postProcessing.render();
   }
 
@@ -730,12 +866,51 @@ export class PDBViewer {
 
     // Interaction overlay (contacts command)
     this.interactionOverlay = new InteractionOverlay(this.model, this.viewerGroup);
+
+    // Measurement objects (distance/angle/dihedral commands, measure mode)
+    this.measurementOverlay = new MeasurementOverlay(this.model, this.viewerGroup);
+
+    // Text labels (label command)
+    this.labelOverlay = new LabelOverlay(this.model, this.viewerGroup);
   }
 
   // ============================================================
   // Camera animation
   // ============================================================
 
+  /**
+   * Current camera pose.
+   * @returns {{ position: number[], target: number[], up: number[] }}
+   */
+  getCameraState() {
+    return {
+      position: this.camera.position.toArray(),
+      target: this.controls.target.toArray(),
+      up: this.camera.up.toArray(),
+    };
+  }
+
+  /**
+   * Restore a camera pose from getCameraState().
+   * @param {{ position: number[], target: number[], up: number[] }} state
+   * @param {number} [duration=0] - Animation time in ms (0 = jump)
+   */
+  setCameraState(state, duration = 0) {
+    const target = new THREE.Vector3().fromArray(state.target);
+    const position = new THREE.Vector3().fromArray(state.position);
+    const up = new THREE.Vector3().fromArray(state.up);
+    if (duration > 0) {
+      this._animateCameraTo(target, position, duration, up);
+      return;
+    }
+    this._cameraAnim = null;
+    this.controls.target.copy(target);
+    this.camera.position.copy(position);
+    this.camera.up.copy(up);
+    this.camera.lookAt(target);
+    this.controls.update();
+  }
+
   /**
    * Smoothly animate camera target (and optionally position) over time.
    * @param {THREE.Vector3} newTarget
@@ -782,6 +957,115 @@ export class PDBViewer {
     if (t >= 1) this._cameraAnim = null;
   }
 
+  // ============================================================
+  // Multi-model frames
+  // ============================================================
+
+  /**
+   * Number of coordinate frames (largest across loaded structures).
+   * @returns {number}
+   */
+  getFrameCount() {
+    return this.structureManager.getFrameCount();
+  }
+
+  /**
+   * Show a coordinate frame. Structures with fewer frames stay on their last.
+   *
+   * @param {number} frame - 0-based frame index (clamped)
+   * @returns {number} The frame actually shown
+   */
+  setFrame(frame) {
+    if (!this.model) return 0;
+    const f = Math.max(0, Math.min(this.getFrameCount() - 1, frame));
+    this.currentFrame = f;
+    if (!this.structureManager.setFrame(f)) return f;
+
+    // With several structures the merged model holds its own coordinate
+    // (and per-pose SD tag) copy
+    if (this.structureManager.count > 1) {
+      let residueOffset = 0;
+      for (const entry of this.structureManager._orderedEntries()) {
+        const m = entry.model;
+        if (m.frames) {
+          this.model.positions.set(m.positions, entry.atomOffset * 3);
+          for (let i = 0; i < entry.atomCount; i++) {
+            const src = m.atoms[i];
+            const dst = this.model.atoms[entry.atomOffset + i];
+            dst.x = src.x; dst.y = src.y; dst.z = src.z;
+          }
+          if (m.frameProps) m.residues.forEach((res, k) => { this.model.residues[residueOffset + k].props = res.props; });
+        }
+        residueOffset += m.residues.length;
+      }
+    }
+
+    this._refreshPositions();
+    return f;
+  }
+
+  /**
+   * Start cycling through frames.
+   *
+   * @param {number} [fps=10] - Frames per second
+   * @returns {boolean} false if there is only one frame
+   */
+  playFrames(fps = 10) {
+    if (this.getFrameCount() < 2) return false;
+    this._framePlayback = { fps, lastTime: performance.now() };
+    return true;
+  }
+
+  /**
+   * Stop frame playback.
+   * @returns {boolean} true if playback was running
+   */
+  stopFrames() {
+    const wasPlaying = !!this._framePlayback;
+    this._framePlayback = null;
+    // Surfaces kept through playback are rebuilt for the frame it stopped on
+    if (wasPlaying && this.model) {
+      for (const rep of this.activeReps.values()) rep.playing = false;
+      this._syncRepVisibility();
+    }
+    return wasPlaying;
+  }
+
+  /** @returns {boolean} */
+  isPlayingFrames() {
+    return !!this._framePlayback;
+  }
+
+  /**
+   * Tick frame playback. Called each frame from render().
+   */
+  updateFramePlayback() {
+    const pb = this._framePlayback;
+    if (!pb || !this.model) return;
+    const now = performance.now();
+    if (now - pb.lastTime < 1000 / pb.fps) return;
+    pb.lastTime = now;
+    this.setFrame((this.currentFrame + 1) % this.getFrameCount());
+  }
+
+  /**
+   * Push current model positions to every representation and overlay,
+   * keeping colors and visibility.
+   */
+  _refreshPositions() {
+    for (const rep of this.activeReps.values()) {
+      rep.playing = !!this._framePlayback;
+      rep.updatePositions();
+      if (this.atomColors) rep.applyColors(this.atomColors);
+    }
+    if (this.interactionOverlay) this.interactionOverlay.updatePositions();
+    if (this.measurementOverlay) this.measurementOverlay.updatePositions();
+    if (this.labelOverlay) this.labelOverlay.updatePositions();
+    this._syncRepVisibility();
+    this._updateCurrentRepType();
+    this._updatePickHighlight();
+  }
+
   /**
    * PyMOL-style orient: PCA-based camera alignment.
    * Positions camera along the least-spread principal axis,
@@ -1006,6 +1290,106 @@ export class PDBViewer {
     this._syncRepVisibility();
   }
 
+  // ============================================================
+  // Per-atom state snapshots
+  // ============================================================
+
+  /**
+   * Copy of the per-atom display state (colors as hex, visibility, scale,
+   * representation, displayed altLoc).
+   * @returns {Object|null}
+   */
+  captureAtomState() {
+    if (!this.model || !this.atomColors) return null;
+    return {
+      colors: Uint32Array.from(this.atomColors, c => c.getHex()),
+      visible: this.atomVisible.slice(),
+      scale: this.atomScale.slice(),
+      repType: this.atomRepType.slice(),
+      altShown: this.atomAltShown.slice(),
+    };
+  }
+
+  /**
+   * Apply a snapshot from captureAtomState(). The atom count must match
+   * the current model.
+   * @param {Object} state
+   * @returns {boolean} true if applied
+   */
+  restoreAtomState(state) {
+    if (!this.model || !state || state.colors.length !== this.model.atomCount) return false;
+    for (let i = 0; i < this.model.atomCount; i++) {
+      this.atomColors[i].setHex(state.colors[i]);
+    }
+    this.atomVisible.set(state.visible);
+    this.atomScale.set(state.scale);
+    this.atomAltShown.set(state.altShown);
+    this.atomRepType = Array.from(state.repType);
+
+    for (const rt of new Set(this.atomRepType)) this._ensureRep(rt);
+    this._cleanupUnusedReps();
+    this._syncRepVisibility();
+    this._updateCurrentRepType();
+    this._applyAtomColors();
+    this._updateBondColors();
+    return true;
+  }
+
+  // ============================================================
+  // Alternate locations
+  // ============================================================
+
+  /**
+   * Display one alternate conformer for the residues covered by `indices`.
+   * Atoms without an altLoc stay shown; other altLocs of those residues are
+   * hidden. Residues that have no conformer `code` are left unchanged.
+   *
+   * @param {string} code - altLoc identifier (e.g. 'B')
+   * @param {Set<number>|number[]} [indices] - Atoms whose residues to switch (default: all)
+   * @returns {number} Number of residues switched
+   */
+  setAltLoc(code, indices) {
+    if (!this.model || !this.atomAltShown) return 0;
+    const { atoms, residues } = this.model;
+    const sel = indices ? new Set(indices) : null;
+
+    let switched = 0;
+    for (const res of residues) {
+      if (!res.altLocs || !res.altLocs.includes(code)) continue;
+      if (sel) {
+        let hit = false;
+        for (let i = res.atomStart; i < res.atomEnd && !hit; i++) hit = sel.has(i);
+        if (!hit) continue;
+      }
+      for (let i = res.atomStart; i < res.atomEnd; i++) {
+        const alt = atoms[i].altLoc;
+        this.atomAltShown[i] = (alt === ' ' || alt === code) ? 1 : 0;
+      }
+      switched++;
+    }
+    if (switched > 0) this._syncRepVisibility();
+    return switched;
+  }
+
+  /**
+   * Residues with alternate conformers and the altLoc currently displayed.
+   * @returns {{ residue: Object, shown: string }[]}
+   */
+  getAltLocResidues() {
+    if (!this.model || !this.atomAltShown) return [];
+    const { atoms, residues } = this.model;
+    const out = [];
+    for (const res of residues) {
+      if (!res.altLocs || res.altLocs.length === 0) continue;
+      let shown = '';
+      for (let i = res.atomStart; i < res.atomEnd; i++) {
+        if (atoms[i].altLoc !== ' ' && this.atomAltShown[i]) { shown = atoms[i].altLoc; break; }
+      }
+      out.push({ residue: res, shown });
+    }
+    return out;
+  }
+
   /**
    * Fit camera to show selected atoms.
    * @param {Set<number>|number[]} indices
@@ -1184,6 +1568,74 @@ export class PDBViewer {
     return toAdd.length / 2;
   }
 
+  /**
+   * Infer bonds and bond orders again for residues whose template just
+   * changed (load_template). Only bonds within those residues are
+   * replaced; bonds between residues and ones added with bond are kept.
+   * Structures with explicit bonds (SDF / MOL2) are left alone.
+   * @param {Set<string>} resNames - Residue names
+   * @returns {number} Number of residues updated
+   */
+  reapplyTemplates(resNames) {
+    if (!this.model || !this.bonds) return 0;
+
+    // Global atom → affected residue id (-1: not affected)
+    const owner = new Int32Array(this.model.atomCount).fill(-1);
+    const inferred = [];
+    let count = 0;
+    for (const entry of this.structureManager.structures.values()) {
+      const { model, atomOffset } = entry;
+      if (model.explicitBonds) continue;
+      const first = count;
+      for (const res of model.residues) {
+        if (!resNames.has(res.name)) continue;
+        for (let j = res.atomStart; j < res.atomEnd; j++) owner[atomOffset + j] = count;
+        count++;
+      }
+      if (count === first) continue;
+
+      const inside = (a, b) => owner[atomOffset + a] >= 0 && owner[atomOffset + a] === owner[atomOffset + b];
+      const bonds = inferBonds(model);
+      const kept = [];
+      for (let i = 0; i < entry.bonds.length; i += 2) {
+        if (!inside(entry.bonds[i], entry.bonds[i + 1])) kept.push(entry.bonds[i], entry.bonds[i + 1]);
+      }
+      for (let i = 0; i < bonds.length; i += 2) {
+        if (!inside(bonds[i], bonds[i + 1])) continue;
+        kept.push(bonds[i], bonds[i + 1]);
+        inferred.push(bonds[i] + atomOffset, bonds[i + 1] + atomOffset);
+      }
+      entry.bonds = new Uint32Array(kept);
+      model.bondOrders = inferBondOrders(model);
+    }
+    if (count === 0) return 0;
+
+    const merged = [];
+    for (let i = 0; i < this.bonds.length; i += 2) {
+      const a = this.bonds[i], b = this.bonds[i + 1];
+      if (owner[a] < 0 || owner[a] !== owner[b]) merged.push(a, b);
+    }
+    const bonds = new Uint32Array(merged.length + inferred.length);
+    bonds.set(merged);
+    bonds.set(inferred, merged.length);
+    this.bonds = bonds;
+
+    // The merged model is the entry model for a single structure
+    if (this.structureManager.count > 1) {
+      const bondOrders = new Map();
+      for (const entry of this.structureManager.structures.values()) {
+        for (const [key, order] of entry.model.bondOrders || []) {
+          const [i, j] = bondKeyAtoms(key);
+          bondOrders.set(bondKey(i + entry.atomOffset, j + entry.atomOffset), order);
+        }
+      }
+      this.model.bondOrders = bondOrders;
+    }
+
+    this._rebuildReps();
+    return count;
+  }
+
   /**
    * Remove bonds between two selections and rebuild representations.
    * Removes any bond where one endpoint is in sel1 and the other in sel2.
@@ -1213,6 +1665,17 @@ export class PDBViewer {
     return removed;
   }
 
+  /**
+   * Replace the whole bond list (undo of bond / unbond) and rebuild
+   * representations.
+   * @param {Uint32Array} bonds - Flat atom index pairs [a0, b0, a1, b1, ...]
+   */
+  setBonds(bonds) {
+    if (!this.model) return;
+    this.bonds = bonds;
+    this._rebuildReps();
+  }
+
   /**
    * Rebuild all active representations (after bond array changes).
    * Preserves colors and visibility.
@@ -1265,6 +1728,8 @@ export class PDBViewer {
     this.resetVisibility();
     this.resetScale();
     this.clearAllInteractions();
+    this.clearMeasurements();
+    this.removeLabels(null);
     this.setRepresentation(REP_TYPES.CARTOON);
     if (this._initialCameraPos) {
       this._animateCameraTo(this._initialTarget, this._initialCameraPos, 400);
@@ -1274,6 +1739,93 @@ export class PDBViewer {
     }
   }
 
+  // ============================================================
+  // Picking
+  // ============================================================
+
+  /**
+   * Atom under a screen point, across all active representations.
+   * A hit only counts if the atom is displayed in the rep that was hit;
+   * otherwise the next intersection along the ray is tried.
+   *
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {number} Global atom index, or -1 if nothing pickable is there
+   */
+  pickAtom(clientX, clientY) {
+    if (!this.model || !this.atomRepType || this.activeReps.size === 0) return -1;
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return -1;
+    this._pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this._raycaster.setFromCamera(this._pointer, this.camera);
+
+    // Raycaster ignores .visible, so only offer meshes that are shown
+    const owners = new Map();
+    for (const [repType, rep] of this.activeReps) {
+      for (const mesh of rep.meshes) {
+        if (mesh.visible) owners.set(mesh, { repType, rep });
+      }
+    }
+
+    const hits = this._raycaster.intersectObjects([...owners.keys()], false);
+    for (const hit of hits) {
+      const { repType, rep } = owners.get(hit.object);
+      const i = rep.pickAtom(hit);
+      if (i < 0 || i >= this.model.atomCount) continue;
+      if (this.atomRepType[i] === repType && this.atomVisible[i] && this.atomAltShown[i]) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Mark atoms (the live "sele" selection) with screen-space dots drawn
+   * on top of the scene. Hidden atoms are not marked.
+   *
+   * @param {Set<number>|number[]|null} indices - null or empty clears the markers
+   */
+  setPickHighlight(indices) {
+    this._pickHighlightIndices = indices ? [...indices] : [];
+    this._updatePickHighlight();
+  }
+
+  /** Rebuild the pick markers from current positions and visibility */
+  _updatePickHighlight() {
+    if (this._pickHighlight) {
+      this.viewerGroup.remove(this._pickHighlight);
+      this._pickHighlight.geometry.dispose();
+      this._pickHighlight.material.dispose();
+      this._pickHighlight = null;
+    }
+    if (!this.model || !this.atomVisible || this._pickHighlightIndices.length === 0) return;
+
+    const { positions, atomCount } = this.model;
+    const mask = this._displayMask();
+    const coords = [];
+    for (const i of this._pickHighlightIndices) {
+      if (i >= atomCount || !mask[i]) continue;
+      coords.push(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    }
+    if (coords.length === 0) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(coords, 3));
+    const material = new THREE.PointsMaterial({
+      color: PICK_HIGHLIGHT_COLOR,
+      size: PICK_HIGHLIGHT_SIZE,
+      sizeAttenuation: false,
+      depthTest: false,
+      transparent: true,
+    });
+    this._pickHighlight = new THREE.Points(geometry, material);
+    this._pickHighlight.name = 'pdb-pick-highlight';
+    this._pickHighlight.renderOrder = 10;
+    this._pickHighlight.frustumCulled = false;
+    this.viewerGroup.add(this._pickHighlight);
+  }
+
   // ============================================================
   // Interaction overlay (contacts)
   // ============================================================
@@ -1288,7 +1840,7 @@ export class PDBViewer {
     this.interactionOverlay.addLayer(type, pairs);
     // Apply current visibility so hidden atoms are respected
     if (this.atomVisible) {
-      this.interactionOverlay.applyVisibility(this.atomVisible);
+      this.interactionOverlay.applyVisibility(this._displayMask());
     }
   }
 
@@ -1319,6 +1871,225 @@ export class PDBViewer {
     return this.interactionOverlay.getLayerPairs(type);
   }
 
+  // ============================================================
+  // Measurements (distance / angle / dihedral objects)
+  // ============================================================
+
+  /**
+   * Create or replace a named measurement between 2, 3 or 4 atoms.
+   * @param {string} name
+   * @param {number[]} atoms - Global atom indices, in order
+   * @returns {{ name: string, kind: string, atoms: number[], value: number }|null}
+   */
+  addMeasurement(name, atoms) {
+    if (!this.measurementOverlay) return null;
+    const info = this.measurementOverlay.add(name, atoms);
+    if (this.atomVisible) {
+      this.measurementOverlay.applyVisibility(this._displayMask());
+    }
+    return info;
+  }
+
+  /**
+   * Remove a measurement by name.
+   * @param {string} name
+   * @returns {boolean} true if it existed
+   */
+  removeMeasurement(name) {
+    if (!this.measurementOverlay) return false;
+    return this.measurementOverlay.remove(name);
+  }
+
+  /**
+   * Remove all measurements.
+   */
+  clearMeasurements() {
+    if (!this.measurementOverlay) return;
+    this.measurementOverlay.removeAll();
+  }
+
+  /**
+   * List measurements in creation order.
+   * @returns {{ name: string, kind: string, atoms: number[], value: number }[]}
+   */
+  getMeasurements() {
+    return this.measurementOverlay ? this.measurementOverlay.getInfo() : [];
+  }
+
+  // ============================================================
+  // Labels
+  // ============================================================
+
+  /**
+   * Create or replace text labels on atoms (current default style).
+   * @param {Map<number, string>} texts - Atom index → label text
+   */
+  setLabels(texts) {
+    if (!this.labelOverlay) return;
+    this.labelOverlay.setLabels(texts);
+    if (this.atomVisible) {
+      this.labelOverlay.applyVisibility(this._displayMask());
+    }
+  }
+
+  /**
+   * Delete labels on atoms.
+   * @param {Iterable<number>|null} indices - null for all labels
+   * @returns {number} Number removed
+   */
+  removeLabels(indices) {
+    if (!this.labelOverlay) return 0;
+    return this.labelOverlay.removeLabels(indices);
+  }
+
+  /**
+   * Show or hide existing labels (text is kept for "show labels").
+   * @param {Iterable<number>|null} indices - null for all labels
+   * @param {boolean} shown
+   * @returns {number} Number of labels affected
+   */
+  setLabelsShown(indices, shown) {
+    if (!this.labelOverlay) return 0;
+    const count = this.labelOverlay.setShown(indices, shown);
+    if (this.atomVisible) this.labelOverlay.applyVisibility(this._displayMask());
+    return count;
+  }
+
+  /**
+   * Restyle labels; with indices = null also sets the default for new labels.
+   * @param {Iterable<number>|null} indices
+   * @param {{ color?: number, size?: number, offset?: number[] }} style
+   * @returns {number} Number of labels restyled
+   */
+  setLabelStyle(indices, style) {
+    if (!this.labelOverlay) return 0;
+    return this.labelOverlay.setStyle(indices, style);
+  }
+
+  /**
+   * List labels (atom, text and style).
+   * @returns {Object[]}
+   */
+  getLabels() {
+    return this.labelOverlay ? this.labelOverlay.getInfo() : [];
+  }
+
+  // ============================================================
+  // Surface and putty settings
+  // ============================================================
+
+  /**
+   * Change surface settings and update surface / mesh reps. Changing the
+   * type or probe radius recomputes the surfaces; transparency does not.
+   *
+   * @param {{ type?: 'ses'|'sas', probeRadius?: number, transparency?: number }} settings
+   */
+  setSurfaceSettings(settings) {
+    Object.assign(SURFACE_PARAMS, settings);
+    if (this.activeReps.has(REP_TYPES.SURFACE) || this.activeReps.has(REP_TYPES.MESH)) {
+      this._syncRepVisibility();
+    }
+  }
+
+  /**
+   * Current surface settings.
+   * @returns {{ type: string, probeRadius: number, transparency: number }}
+   */
+  getSurfaceSettings() {
+    return { ...SURFACE_PARAMS };
+  }
+
+  /**
+   * Change putty settings and rebuild the putty rep.
+   * @param {{ property?: string, minRadius?: number, maxRadius?: number, transform?: string }} settings
+   */
+  setPuttySettings(settings) {
+    Object.assign(PUTTY_PARAMS, settings);
+    const rep = this.activeReps.get(REP_TYPES.PUTTY);
+    if (!rep) return;
+    rep.updatePositions();
+    if (this.atomColors) rep.applyColors(this.atomColors);
+    this._syncRepVisibility();
+  }
+
+  /**
+   * Current putty settings.
+   * @returns {{ property: string, minRadius: number, maxRadius: number, transform: string }}
+   */
+  getPuttySettings() {
+    return { ...PUTTY_PARAMS };
+  }
+
+  /**
+   * Draw bond orders (double / triple / aromatic) in the stick,
+   * ball-and-stick and lines reps, and rebuild those that are shown.
+   * @param {boolean} enabled
+   */
+  setValence(enabled) {
+    if (VALENCE_PARAMS.enabled === enabled) return;
+    VALENCE_PARAMS.enabled = enabled;
+    for (const type of [REP_TYPES.STICK, REP_TYPES.BALL_AND_STICK, REP_TYPES.LINES]) {
+      const rep = this.activeReps.get(type);
+      if (!rep) continue;
+      rep.updatePositions();
+      if (this.atomColors) rep.applyColors(this.atomColors);
+    }
+    if (this.model) this._syncRepVisibility();
+  }
+
+  /** @returns {boolean} Whether bond orders are drawn */
+  getValence() {
+    return VALENCE_PARAMS.enabled;
+  }
+
+  // ============================================================
+  // Secondary structure
+  // ============================================================
+
+  /**
+   * Reassign secondary structure with DSSP from the current coordinates
+   * and rebuild the cartoon / putty.
+   *
+   * @param {Set<number>|null} [indices] - Limit to residues with an atom
+   *   in this set (default: all residues)
+   * @returns {{helix: number, sheet: number}|null} Residues assigned per
+   *   type, or null if nothing is loaded
+   */
+  assignSecondaryStructure(indices = null) {
+    if (!this.model) return null;
+
+    let residueSet = null;
+    if (indices) {
+      residueSet = new Set();
+      this.model.residues.forEach((res, ri) => {
+        for (let j = res.atomStart; j < res.atomEnd; j++) {
+          if (indices.has(j)) { residueSet.add(ri); break; }
+        }
+      });
+    }
+    const counts = assignSecondaryStructure(this.model, residueSet);
+
+    // With several structures the merged residues are copies: write back
+    let ri = 0;
+    for (const entry of this.structureManager._orderedEntries()) {
+      for (const res of entry.model.residues) {
+        const merged = this.model.residues[ri++];
+        if (res === merged) continue;
+        res.ss = merged.ss;
+        if (merged.dssp !== undefined) res.dssp = merged.dssp;
+      }
+    }
+
+    for (const type of [REP_TYPES.CARTOON, REP_TYPES.PUTTY]) {
+      const rep = this.activeReps.get(type);
+      if (!rep) continue;
+      rep.updatePositions();
+      if (this.atomColors) rep.applyColors(this.atomColors);
+    }
+    this._syncRepVisibility();
+    return counts;
+  }
+
   // ---- Private helpers ----
 
   /**
@@ -1356,15 +2127,34 @@ export class PDBViewer {
 
     for (const [repType, rep] of this.activeReps) {
       for (let i = 0; i < n; i++) {
-        combined[i] = (this.atomRepType[i] === repType && this.atomVisible[i]) ? 1 : 0;
+        combined[i] = (this.atomRepType[i] === repType && this.atomVisible[i] && this.atomAltShown[i]) ? 1 : 0;
       }
       rep.applyVisibility(combined, this.atomScale);
     }
 
     // Sync interaction overlay visibility with atom visibility
     if (this.interactionOverlay && this.interactionOverlay.hasLayers()) {
-      this.interactionOverlay.applyVisibility(this.atomVisible);
+      this.interactionOverlay.applyVisibility(this._displayMask());
+    }
+    if (this.measurementOverlay && this.measurementOverlay.hasMeasurements()) {
+      this.measurementOverlay.applyVisibility(this._displayMask());
+    }
+    if (this.labelOverlay && this.labelOverlay.hasLabels()) {
+      this.labelOverlay.applyVisibility(this._displayMask());
+    }
+  }
+
+  /**
+   * Per-atom display mask: visible and belonging to the displayed altLoc.
+   * @returns {Uint8Array}
+   */
+  _displayMask() {
+    const n = this.model.atomCount;
+    const mask = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+      mask[i] = (this.atomVisible[i] && this.atomAltShown[i]) ? 1 : 0;
     }
+    return mask;
   }
 
   /**
@@ -1426,12 +2216,24 @@ export class PDBViewer {
    * Remove current structure meshes from the scene.
    */
   clearStructure() {
+    this._framePlayback = null;
+    this.currentFrame = 0;
     for (const rep of this.activeReps.values()) rep.dispose();
     this.activeReps.clear();
     if (this.interactionOverlay) {
       this.interactionOverlay.dispose();
       this.interactionOverlay = null;
     }
+    if (this.measurementOverlay) {
+      this.measurementOverlay.dispose();
+      this.measurementOverlay = null;
+    }
+    if (this.labelOverlay) {
+      this.labelOverlay.dispose();
+      this.labelOverlay = null;
+    }
+    this._pickHighlightIndices = [];
+    this._updatePickHighlight();
     this.atomMesh = null;
     this.bondMesh = null;
     this.model = null;
@@ -1440,6 +2242,7 @@ export class PDBViewer {
     this.atomVisible = null;
     this.atomScale = null;
     this.atomRepType = null;
+    this.atomAltShown = null;
     this.baseScales = null;
     this.baseBondScales = null;
     this.baseBondPositions = null;
@@ -1492,6 +2295,9 @@ export class PDBViewer {
       chains: chains.map(c => c.id),
     };
 
+    const frameCount = this.getFrameCount();
+    if (frameCount > 1) info.frameCount = frameCount;
+
     // Multi-structure info
     if (this.structureManager.count > 1) {
       info.structureCount = this.structureManager.count;
@@ -0,0 +1,508 @@
+// ============================================================
+// writers.js — Structure serializers for export
+// Writes the in-browser model (current coordinates, bonds,
+// chain/residue metadata) as PDB, mmCIF, SDF or XYZ text
+// ============================================================
+
+import { FORMATS } from './formats.js';
+import { SS_HELIX, SS_SHEET } from './parser.js';
+import { bondKey } from './bondInference.js';
+import { BOND_ORDERS } from './constants.js';
+import { TITLE_PROPERTY } from './molParser.js';
+
+export const EXPORT_FORMATS = {
+  PDB: FORMATS.PDB,
+  MMCIF: FORMATS.MMCIF,
+  SDF: 'sdf',
+  XYZ: 'xyz',
+};
+
+// Extension / user-facing alias → export format
+const EXPORT_ALIASES = {
+  pdb: EXPORT_FORMATS.PDB,
+  ent: EXPORT_FORMATS.PDB,
+  cif: EXPORT_FORMATS.MMCIF,
+  mmcif: EXPORT_FORMATS.MMCIF,
+  sdf: EXPORT_FORMATS.SDF,
+  sd: EXPORT_FORMATS.SDF,
+  mol: EXPORT_FORMATS.SDF,
+  xyz: EXPORT_FORMATS.XYZ,
+};
+
+// Default file extension per export format
+const EXPORT_EXTENSIONS = {
+  [EXPORT_FORMATS.PDB]: 'pdb',
+  [EXPORT_FORMATS.MMCIF]: 'cif',
+  [EXPORT_FORMATS.SDF]: 'sdf',
+  [EXPORT_FORMATS.XYZ]: 'xyz',
+};
+
+/**
+ * Resolve an export format name or alias ("cif", "mol", "xyz").
+ *
+ * @param {string} name
+ * @returns {string|null} Export format, or null if unsupported
+ */
+export function normalizeExportFormat(name) {
+  return EXPORT_ALIASES[(name || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Export format implied by a filename's extension.
+ *
+ * @param {string} filename
+ * @returns {string|null}
+ */
+export function exportFormatFromFilename(filename) {
+  const m = /\.([a-z0-9]+)$/i.exec(filename || '');
+  return m ? normalizeExportFormat(m[1]) : null;
+}
+
+/**
+ * Default file extension for an export format.
+ *
+ * @param {string} format
+ * @returns {string}
+ */
+export function exportExtension(format) {
+  return EXPORT_EXTENSIONS[format] || 'txt';
+}
+
+// ---- Shared helpers ----
+
+/** Map each atom to its residue index */
+function atomResidueIndex(model) {
+  const map = new Int32Array(model.atomCount).fill(-1);
+  model.residues.forEach((res, ri) => {
+    for (let i = res.atomStart; i < res.atomEnd; i++) map[i] = ri;
+  });
+  return map;
+}
+
+/**
+ * Bonds with both endpoints in the exported set, as pairs of output
+ * positions (0-based).
+ */
+function collectBonds(bonds, outIndex) {
+  const pairs = [];
+  if (!bonds) return pairs;
+  for (let i = 0; i < bonds.length; i += 2) {
+    const a = outIndex.get(bonds[i]);
+    const b = outIndex.get(bonds[i + 1]);
+    if (a !== undefined && b !== undefined) pairs.push([a, b]);
+  }
+  return pairs;
+}
+
+/**
+ * Whether a bond needs an explicit record (CONECT / struct_conn) because a
+ * reader would not recreate it from residue templates: anything touching a
+ * HETATM, and inter-residue bonds other than the polymer C–N / O3'–P link.
+ */
+function isExplicitBond(model, resIndex, a, b) {
+  const atomA = model.atoms[a];
+  const atomB = model.atoms[b];
+  if (atomA.isHet || atomB.isHet) return true;
+  if (resIndex[a] === resIndex[b]) return false;
+  const names = [atomA.name, atomB.name].sort().join('-');
+  return names !== 'C-N' && names !== "O3'-P";
+}
+
+/** Contiguous runs of residues with the same secondary structure type */
+function ssRanges(model, included, ssType) {
+  const ranges = [];
+  let run = null;
+  for (let ri = 0; ri < model.residues.length; ri++) {
+    const res = model.residues[ri];
+    const inRun = res.ss === ssType && included[ri];
+    if (inRun && run && run.end.chainId === res.chainId) {
+      run.end = res;
+      continue;
+    }
+    if (run) ranges.push(run);
+    run = inRun ? { start: res, end: res } : null;
+  }
+  if (run) ranges.push(run);
+  return ranges;
+}
+
+/** Title-case an element symbol ("FE" → "Fe") */
+function elementSymbol(el) {
+  return el.length > 1 ? el[0] + el.substring(1).toLowerCase() : el;
+}
+
+const f3 = (v) => v.toFixed(3);
+const f4 = (v) => v.toFixed(4);
+
+// ---- PDB ----
+
+/** Atom name in columns 13-16: one-letter elements start in column 14 */
+function pdbAtomName(name, element) {
+  if (name.length >= 4 || element.length > 1) return name.padEnd(4).substring(0, 4);
+  return (' ' + name).padEnd(4);
+}
+
+/**
+ * Serialize atoms as PDB text (HEADER/TITLE, HELIX/SHEET, ATOM/HETATM, TER,
+ * CONECT). Atoms are renumbered from 1; CONECT records cover bonds that
+ * readers cannot infer (ligands, disulfides, user-added bonds). Throws
+ * for chain IDs longer than one character (mmCIF holds them).
+ *
+ * @param {Object} model - parsePDB-shaped model (positions are authoritative)
+ * @param {Uint32Array} bonds - Bond pairs [a0,b0, a1,b1, ...]
+ * @param {number[]} indices - Sorted atom indices to write
+ * @returns {string}
+ */
+export function writePDB(model, bonds, indices) {
+  const { atoms, positions, header, residues } = model;
+  // One chain column: truncating "A1" to "A" would merge chains
+  const wide = indices.find(i => atoms[i].chainId.length > 1);
+  if (wide !== undefined) {
+    throw new Error(`Chain ID "${atoms[wide].chainId}" does not fit PDB's one-character chain column; save as mmCIF (.cif) instead`);
+  }
+  const resIndex = atomResidueIndex(model);
+  const lines = [];
+
+  if (header && (header.classification || header.pdbId)) {
+    lines.push(`HEADER    ${(header.classification || '').padEnd(40).substring(0, 40)}${(header.date || '').padEnd(9).substring(0, 9)}   ${(header.pdbId || '').substring(0, 4)}`);
+  }
+  if (header && header.title) {
+    const chunks = header.title.match(/.{1,70}/g) || [];
+    chunks.forEach((chunk, i) => {
+      lines.push(`TITLE   ${i === 0 ? '  ' : String(i + 1).padStart(2)}${chunk}`);
+    });
+  }
+
+  // Secondary structure records for residues that are exported
+  const included = new Uint8Array(residues.length);
+  for (const i of indices) if (resIndex[i] >= 0) included[resIndex[i]] = 1;
+  const chainOf = (res) => res.chainId.charAt(0) || ' ';
+  const seqOf = (res) => String(res.seq % 10000).padStart(4) + (res.iCode || ' ');
+  // HELIX: residue name, chain, space, seq (columns 16-25 / 28-37)
+  const helixRes = (res) => `${res.name.padStart(3)} ${chainOf(res)} ${seqOf(res)}`;
+  ssRanges(model, included, SS_HELIX).forEach((r, k) => {
+    const len = residues.indexOf(r.end) - residues.indexOf(r.start) + 1;
+    const id = String(k + 1);
+    lines.push(`HELIX  ${id.padStart(3)} ${id.padStart(3)} ${helixRes(r.start)} ${helixRes(r.end)} 1${' '.repeat(30)}${String(len).padStart(6)}`);
+  });
+  // SHEET: residue name, chain, seq with no gap (columns 18-27 / 29-38); one strand per sheet
+  const sheetRes = (res) => `${res.name.padStart(3)} ${chainOf(res)}${seqOf(res)}`;
+  ssRanges(model, included, SS_SHEET).forEach((r, k) => {
+    const id = String(k + 1);
+    lines.push(`SHEET  ${'1'.padStart(3)} ${id.padStart(3)} 1 ${sheetRes(r.start)} ${sheetRes(r.end)} 0`);
+  });
+
+  // Coordinates, with a TER after each polymer chain
+  const serialOf = new Map(); // atom index → written serial
+  let serial = 1;
+  for (let k = 0; k < indices.length; k++) {
+    const i = indices[k];
+    const a = atoms[i];
+    const record = a.isHet ? 'HETATM' : 'ATOM  ';
+    const chain = a.chainId.charAt(0) || ' ';
+    serialOf.set(i, serial);
+    lines.push(
+      record +
+      String(serial % 100000).padStart(5) + ' ' +
+      pdbAtomName(a.name, a.element) +
+      (a.altLoc || ' ') +
+      a.resName.padStart(3).substring(0, 3) + ' ' +
+      chain +
+      String(a.resSeq % 10000).padStart(4) +
+      (a.iCode || ' ') + '   ' +
+      f3(positions[i * 3]).padStart(8) +
+      f3(positions[i * 3 + 1]).padStart(8) +
+      f3(positions[i * 3 + 2]).padStart(8) +
+      (a.occupancy !== undefined ? a.occupancy : 1).toFixed(2).padStart(6) +
+      a.bFactor.toFixed(2).padStart(6) +
+      ' '.repeat(10) +
+      a.element.padStart(2) + '  '
+    );
+    serial++;
+
+    const next = k + 1 < indices.length ? atoms[indices[k + 1]] : null;
+    if (!a.isHet && (!next || next.isHet || next.chainId !== a.chainId)) {
+      lines.push(`TER   ${String(serial % 100000).padStart(5)}      ${a.resName.padStart(3)} ${chain}${String(a.resSeq % 10000).padStart(4)}${a.iCode || ' '}`);
+      serial++;
+    }
+  }
+
+  // CONECT: both directions, up to four partners per record
+  const partners = new Map();
+  for (let b = 0; bonds && b < bonds.length; b += 2) {
+    const i = bonds[b], j = bonds[b + 1];
+    if (!serialOf.has(i) || !serialOf.has(j)) continue;
+    if (!isExplicitBond(model, resIndex, i, j)) continue;
+    if (!partners.has(i)) partners.set(i, []);
+    if (!partners.has(j)) partners.set(j, []);
+    partners.get(i).push(serialOf.get(j));
+    partners.get(j).push(serialOf.get(i));
+  }
+  const conectAtoms = [...partners.keys()].sort((x, y) => serialOf.get(x) - serialOf.get(y));
+  for (const i of conectAtoms) {
+    const list = partners.get(i).sort((x, y) => x - y);
+    for (let p = 0; p < list.length; p += 4) {
+      lines.push('CONECT' + String(serialOf.get(i) % 100000).padStart(5) +
+        list.slice(p, p + 4).map(s => String(s % 100000).padStart(5)).join(''));
+    }
+  }
+
+  lines.push('END');
+  return lines.join('\n') + '\n';
+}
+
+// ---- mmCIF ----
+
+const CIF_RESERVED = /^(data_|loop_|global_|save_|stop_)/i;
+
+/** Quote a CIF value when needed; null is unknown ('?'), empty is '.' */
+function cifValue(v) {
+  if (v === null || v === undefined) return '?';
+  const s = String(v);
+  if (s === '' || s === ' ') return '.';
+  if (!/[\s'"]/.test(s) && !/^[_#$;[\]]/.test(s) && !CIF_RESERVED.test(s)) return s;
+  if (!s.includes("'")) return `'${s}'`;
+  return `"${s}"`;
+}
+
+/** Write one loop_ category from column names and row arrays, aligned per column */
+function cifLoop(lines, category, fields, rows) {
+  if (rows.length === 0) return;
+  lines.push('#', 'loop_');
+  for (const f of fields) lines.push(`_${category}.${f}`);
+  const cells = rows.map(r => r.map(cifValue));
+  const widths = fields.map((_, c) => Math.max(...cells.map(r => r[c].length)));
+  for (const r of cells) {
+    lines.push(r.map((v, c) => v.padEnd(widths[c])).join(' ').trimEnd());
+  }
+}
+
+/**
+ * Serialize atoms as mmCIF text (_atom_site, _struct_conf,
+ * _struct_sheet_range, _struct_conn). Author and label identifiers are
+ * both written from the model's chain/residue fields.
+ *
+ * @param {Object} model - parsePDB-shaped model
+ * @param {Uint32Array} bonds - Bond pairs
+ * @param {number[]} indices - Sorted atom indices to write
+ * @param {string} [name] - Data block name
+ * @returns {string}
+ */
+export function writeMMCIF(model, bonds, indices, name) {
+  const { atoms, positions, header, residues } = model;
+  const resIndex = atomResidueIndex(model);
+  const blockName = (name || (header && header.pdbId) || 'structure').replace(/\s+/g, '_');
+  const lines = [`data_${blockName}`, '#', `_entry.id ${cifValue(blockName)}`];
+  if (header && header.title) lines.push(`_struct.title ${cifValue(header.title)}`);
+
+  // Secondary structure
+  const included = new Uint8Array(residues.length);
+  for (const i of indices) if (resIndex[i] >= 0) included[resIndex[i]] = 1;
+  const ssRow = (r, type, id) => [
+    type, id,
+    r.start.name, r.start.chainId, r.start.seq, r.start.iCode === ' ' ? null : r.start.iCode,
+    r.end.name, r.end.chainId, r.end.seq, r.end.iCode === ' ' ? null : r.end.iCode,
+  ];
+  const ssFields = (prefix) => [
+    prefix, 'id',
+    'beg_auth_comp_id', 'beg_auth_asym_id', 'beg_auth_seq_id', 'pdbx_beg_PDB_ins_code',
+    'end_auth_comp_id', 'end_auth_asym_id', 'end_auth_seq_id', 'pdbx_end_PDB_ins_code',
+  ];
+  cifLoop(lines, 'struct_conf', ssFields('conf_type_id'),
+    ssRanges(model, included, SS_HELIX).map((r, k) => ssRow(r, 'HELX_P', `HELX_P${k + 1}`)));
+  cifLoop(lines, 'struct_sheet_range', ssFields('sheet_id'),
+    ssRanges(model, included, SS_SHEET).map((r, k) => ssRow(r, String(k + 1), '1')));
+
+  // Explicit inter-residue bonds between exported atoms
+  const exported = new Set(indices);
+  const connRows = [];
+  for (let b = 0; bonds && b < bonds.length; b += 2) {
+    const i = bonds[b], j = bonds[b + 1];
+    if (!exported.has(i) || !exported.has(j)) continue;
+    if (resIndex[i] === resIndex[j] || !isExplicitBond(model, resIndex, i, j)) continue;
+    const a1 = atoms[i], a2 = atoms[j];
+    const type = a1.name === 'SG' && a2.name === 'SG' ? 'disulf' : 'covale';
+    connRows.push([
+      `${type}${connRows.length + 1}`, type,
+      a1.chainId, a1.resName, a1.resSeq, a1.iCode === ' ' ? null : a1.iCode, a1.name,
+      a2.chainId, a2.resName, a2.resSeq, a2.iCode === ' ' ? null : a2.iCode, a2.name,
+    ]);
+  }
+  cifLoop(lines, 'struct_conn', [
+    'id', 'conn_type_id',
+    'ptnr1_auth_asym_id', 'ptnr1_label_comp_id', 'ptnr1_auth_seq_id', 'pdbx_ptnr1_PDB_ins_code', 'ptnr1_label_atom_id',
+    'ptnr2_auth_asym_id', 'ptnr2_label_comp_id', 'ptnr2_auth_seq_id', 'pdbx_ptnr2_PDB_ins_code', 'ptnr2_label_atom_id',
+  ], connRows);
+
+  // Coordinates
+  const atomRows = indices.map((i, k) => {
+    const a = atoms[i];
+    const ins = a.iCode === ' ' ? null : a.iCode;
+    return [
+      a.isHet ? 'HETATM' : 'ATOM', k + 1, a.element, a.name, a.altLoc === ' ' ? '.' : a.altLoc,
+      a.resName, a.chainId, a.isHet ? '.' : a.resSeq, ins,
+      f3(positions[i * 3]), f3(positions[i * 3 + 1]), f3(positions[i * 3 + 2]),
+      (a.occupancy !== undefined ? a.occupancy : 1).toFixed(2), a.bFactor.toFixed(2),
+      a.resSeq, a.resName, a.chainId, a.name, 1,
+    ];
+  });
+  cifLoop(lines, 'atom_site', [
+    'group_PDB', 'id', 'type_symbol', 'label_atom_id', 'label_alt_id',
+    'label_comp_id', 'label_asym_id', 'label_seq_id', 'pdbx_PDB_ins_code',
+    'Cartn_x', 'Cartn_y', 'Cartn_z', 'occupancy', 'B_iso_or_equiv',
+    'auth_seq_id', 'auth_comp_id', 'auth_asym_id', 'auth_atom_id', 'pdbx_PDB_model_num',
+  ], atomRows);
+
+  lines.push('#');
+  return lines.join('\n') + '\n';
+}
+
+// ---- SDF / MOL ----
+
+/**
+ * One SDF record (MDL V2000, or V3000 above 999 atoms/bonds) followed by
+ * its SD tags. Bond types come from model.bondOrders (1-3, 4 for
+ * aromatic); bonds without an order are single.
+ */
+function writeSDFRecord(model, bonds, indices, title, props) {
+  const { atoms, positions } = model;
+  const outIndex = new Map(indices.map((i, k) => [i, k]));
+  const pairs = collectBonds(bonds, outIndex);
+  // MDL bond types are the BOND_ORDERS values
+  const orders = model.bondOrders || new Map();
+  const bondType = (a, b) => orders.get(bondKey(indices[a], indices[b])) || BOND_ORDERS.SINGLE;
+  const lines = [title.substring(0, 80), '  AiMOL         3D', ''];
+
+  if (indices.length <= 999 && pairs.length <= 999) {
+    lines.push(`${String(indices.length).padStart(3)}${String(pairs.length).padStart(3)}  0  0  0  0  0  0  0  0999 V2000`);
+    for (const i of indices) {
+      lines.push(
+        f4(positions[i * 3]).padStart(10) +
+        f4(positions[i * 3 + 1]).padStart(10) +
+        f4(positions[i * 3 + 2]).padStart(10) + ' ' +
+        elementSymbol(atoms[i].element).padEnd(3) +
+        ' 0  0  0  0  0  0  0  0  0  0  0  0'
+      );
+    }
+    for (const [a, b] of pairs) {
+      lines.push(`${String(a + 1).padStart(3)}${String(b + 1).padStart(3)}${String(bondType(a, b)).padStart(3)}  0  0  0  0`);
+    }
+  } else {
+    lines.push('  0  0  0     0  0            999 V3000');
+    lines.push('M  V30 BEGIN CTAB');
+    lines.push(`M  V30 COUNTS ${indices.length} ${pairs.length} 0 0 0`);
+    lines.push('M  V30 BEGIN ATOM');
+    indices.forEach((i, k) => {
+      lines.push(`M  V30 ${k + 1} ${elementSymbol(atoms[i].element)} ${f4(positions[i * 3])} ${f4(positions[i * 3 + 1])} ${f4(positions[i * 3 + 2])} 0`);
+    });
+    lines.push('M  V30 END ATOM');
+    if (pairs.length > 0) {
+      lines.push('M  V30 BEGIN BOND');
+      pairs.forEach(([a, b], k) => lines.push(`M  V30 ${k + 1} ${bondType(a, b)} ${a + 1} ${b + 1}`));
+      lines.push('M  V30 END BOND');
+    }
+    lines.push('M  V30 END CTAB');
+  }
+
+  lines.push('M  END');
+  for (const [tag, value] of Object.entries(props || {})) {
+    if (tag === TITLE_PROPERTY) continue;
+    lines.push(`> <${tag}>`, ...String(value).split('\n'), '');
+  }
+  lines.push('$$$$');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize atoms as SDF, one record per chain (a molecule read from
+ * SDF / MOL2 is one chain). A record is titled with its molecule's title
+ * and carries its SD tags (residue.props); bonds between chains are
+ * not written.
+ *
+ * @param {Object} model - parsePDB-shaped model
+ * @param {Uint32Array} bonds - Bond pairs
+ * @param {number[]} indices - Sorted atom indices to write
+ * @param {string} [name] - Title of records without a molecule title
+ * @returns {string}
+ */
+export function writeSDF(model, bonds, indices, name) {
+  const selected = new Set(indices);
+  const records = [];
+  for (const chain of model.chains) {
+    const first = model.residues[chain.residueStart];
+    const last = model.residues[chain.residueEnd - 1];
+    const part = [];
+    for (let i = first.atomStart; i < last.atomEnd; i++) {
+      if (selected.has(i)) part.push(i);
+    }
+    if (part.length > 0) records.push({ chain, part, props: first.props });
+  }
+  return records.map(({ chain, part, props }) => {
+    let title = props && props[TITLE_PROPERTY];
+    if (!title) title = records.length > 1 ? `${name || 'structure'} ${chain.id}` : name || 'structure';
+    return writeSDFRecord(model, bonds, part, title, props);
+  }).join('');
+}
+
+// ---- XYZ ----
+
+/**
+ * Serialize atoms as XYZ text (count, comment line, element + coordinates).
+ *
+ * @param {Object} model - parsePDB-shaped model
+ * @param {Uint32Array} bonds - Unused (XYZ has no connectivity)
+ * @param {number[]} indices - Sorted atom indices to write
+ * @param {string} [name] - Comment line
+ * @returns {string}
+ */
+export function writeXYZ(model, bonds, indices, name) {
+  const { atoms, positions } = model;
+  const lines = [String(indices.length), name || ''];
+  for (const i of indices) {
+    lines.push(`${elementSymbol(atoms[i].element).padEnd(2)} ${f4(positions[i * 3]).padStart(12)} ${f4(positions[i * 3 + 1]).padStart(12)} ${f4(positions[i * 3 + 2]).padStart(12)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+const WRITERS = {
+  [EXPORT_FORMATS.PDB]: writePDB,
+  [EXPORT_FORMATS.MMCIF]: writeMMCIF,
+  [EXPORT_FORMATS.SDF]: writeSDF,
+  [EXPORT_FORMATS.XYZ]: writeXYZ,
+};
+
+/**
+ * Serialize a subset of a model in the given export format.
+ *
+ * @param {Object} model - parsePDB-shaped model
+ * @param {Uint32Array} bonds - Bond pairs
+ * @param {Iterable<number>} indices - Atom indices to write (any order)
+ * @param {string} format - Export format or alias
+ * @param {string} [name] - Title / data block name
+ * @returns {string}
+ */
+export function writeStructure(model, bonds, indices, format, name) {
+  const fmt = normalizeExportFormat(format);
+  if (!fmt) throw new Error(`Unknown export format: "${format}"`);
+  const sorted = Int32Array.from(indices).sort();
+  return WRITERS[fmt](model, bonds, Array.from(sorted), name);
+}
+
+/**
+ * Trigger a browser download of text or binary content.
+ *
+ * @param {string|Blob} content
+ * @param {string} filename
+ * @param {string} [mimeType]
+ */
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -4,23 +4,26 @@
 
 import { ViewerEvents } from './events.js';
 import { PDBConsole } from './pdb/console.js';
+import { SequencePanel } from './pdb/sequencePanel.js';
+import { readShareParams, decodeSessionBlob } from './pdb/shareLink.js';
+import { fetchStructure, formatFromFilename, isBinaryFormat, stripStructureExtension, STRUCTURE_FILE_ACCEPT } from './pdb/formats.js';
 
 const { useState, useEffect, useCallback, useRef } = React;
 
 const isMobile = window.matchMedia('(max-width: 768px)').matches;
 
 // --- Title Screen (PDB open only) ---
-function TitleScreen({ onOpenViewer }) {
+function TitleScreen({ onOpenViewer, initialError }) {
   const [fade, setFade] = useState(false);
   const [pdbId, setPdbId] = useState('');
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(initialError || '');
   const [dragOver, setDragOver] = useState(false);
   const fileInputRef = useRef(null);
 
-  const loadPDB = (pdbText, name) => {
+  const loadPDB = (pdbText, name, format, source) => {
     setFade(true);
-    setTimeout(() => onOpenViewer(pdbText, name), 600);
+    setTimeout(() => onOpenViewer(pdbText, name, format, source), 600);
   };
 
   const handleFetchPDB = async () => {
@@ -32,11 +35,9 @@ function TitleScreen({ onOpenViewer }) {
     setLoading(true);
     setError('');
     try {
-      const url = `https://files.rcsb.org/download/${id}.pdb`;
-      const resp = await fetch(url);
-      if (!resp.ok) throw new Error(`PDB ID "${id}" not found`);
-      const text = await resp.text();
-      loadPDB(text, id);
+      const result = await fetchStructure(id);
+      if (!result) throw new Error(`PDB ID "${id}" not found`);
+      loadPDB(result.data, id, result.format, { pdbId: id, format: null });
     } catch (e) {
       setError(e.message);
     } finally {
@@ -52,10 +53,9 @@ function TitleScreen({ onOpenViewer }) {
     setLoading(true);
     setError('');
     try {
-      const resp = await fetch('https://files.rcsb.org/download/1CRN.pdb');
-      if (!resp.ok) throw new Error('Failed to fetch example');
-      const text = await resp.text();
-      loadPDB(text, '1CRN');
+      const result = await fetchStructure('1CRN', 'pdb');
+      if (!result) throw new Error('Failed to fetch example');
+      loadPDB(result.data, '1CRN', result.format, { pdbId: '1CRN', format: 'pdb' });
     } catch (e) {
       setError(e.message);
     } finally {
@@ -66,9 +66,11 @@ function TitleScreen({ onOpenViewer }) {
   const handleFile = (file) => {
     if (!file) return;
     const reader = new FileReader();
-    reader.onload = () => loadPDB(reader.result, file.name.replace(/\.(pdb|ent|pdb1)$/i, ''));
+    const format = formatFromFilename(file.name);
+    reader.onload = () => loadPDB(reader.result, stripStructureExtension(file.name), format);
     reader.onerror = () => setError('Failed to read file');
-    reader.readAsText(file);
+    if (isBinaryFormat(format)) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
   };
 
   const handleDrop = (e) => {
@@ -110,12 +112,12 @@ function TitleScreen({ onOpenViewer }) {
       },
         React.createElement('span', { className: 'pdb-drop-icon' }, '\u{1F4C2}'),
         React.createElement('span', { className: 'pdb-drop-text' },
-          dragOver ? 'Drop PDB file here' : 'Open PDB File'
+          dragOver ? 'Drop structure file here' : 'Open PDB / mmCIF / SDF / MOL2 File'
         ),
         React.createElement('input', {
           ref: fileInputRef,
           type: 'file',
-          accept: '.pdb,.ent,.pdb1',
+          accept: STRUCTURE_FILE_ACCEPT,
           style: { display: 'none' },
           onChange: handleFileInput,
         }),
@@ -167,7 +169,8 @@ function ViewerInfoBar({ info, name, onBack, quality, onQualityChange }) {
     }, '\u2190'),
     React.createElement('span', { className: 'viewer-name' }, name || 'AiMOL'),
     React.createElement('span', { className: 'viewer-stats' },
-      `${info.atomCount.toLocaleString()} atoms \u00B7 ${info.residueCount} residues \u00B7 ${info.chainCount} chain${info.chainCount !== 1 ? 's' : ''}`
+      `${info.atomCount.toLocaleString()} atoms \u00B7 ${info.residueCount} residues \u00B7 ${info.chainCount} chain${info.chainCount !== 1 ? 's' : ''}` +
+      (info.frameCount ? ` \u00B7 ${info.frameCount} states` : '')
     ),
     React.createElement('div', { className: 'viewer-quality-toggle' },
       React.createElement('span', { className: 'viewer-quality-label' }, 'FX'),
@@ -196,6 +199,7 @@ const REP_BUTTONS = [
   { key: 'spacefill',      label: 'Spacefill' },
   { key: 'sticks',         label: 'Sticks' },
   { key: 'lines',          label: 'Lines' },
+  { key: 'surface',        label: 'Surface' },
 ];
 
 function RepToolbar({ currentRep, onRepChange }) {
@@ -241,11 +245,11 @@ function LoadStructureButton() {
     setLoading(true);
     setError('');
     try {
-      const url = `https://files.rcsb.org/download/${id}.pdb`;
-      const resp = await fetch(url);
-      if (!resp.ok) throw new Error(`PDB ID "${id}" not found`);
-      const text = await resp.text();
-      ViewerEvents.emit('loadAdditionalStructure', { pdbText: text, name: id });
+      const result = await fetchStructure(id);
+      if (!result) throw new Error(`PDB ID "${id}" not found`);
+      ViewerEvents.emit('loadAdditionalStructure', {
+        pdbText: result.data, name: id, format: result.format, source: { pdbId: id, format: null },
+      });
       setPdbId('');
       setOpen(false);
     } catch (e) {
@@ -258,12 +262,18 @@ function LoadStructureButton() {
   const handleFile = (file) => {
     if (!file) return;
     const reader = new FileReader();
+    const format = formatFromFilename(file.name);
     reader.onload = () => {
-      ViewerEvents.emit('loadAdditionalStructure', { pdbText: reader.result, name: file.name.replace(/\.(pdb|ent|pdb1)$/i, '') });
+      ViewerEvents.emit('loadAdditionalStructure', {
+        pdbText: reader.result,
+        name: stripStructureExtension(file.name),
+        format,
+      });
       setOpen(false);
     };
     reader.onerror = () => setError('Failed to read file');
-    reader.readAsText(file);
+    if (isBinaryFormat(format)) reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
   };
 
   const handleKeyDown = (e) => {
@@ -301,11 +311,11 @@ function LoadStructureButton() {
       React.createElement('button', {
         className: 'load-structure-file-btn',
         onClick: () => fileInputRef.current?.click(),
-      }, 'Open PDB File'),
+      }, 'Open PDB / mmCIF File'),
       React.createElement('input', {
         ref: fileInputRef,
         type: 'file',
-        accept: '.pdb,.ent,.pdb1',
+        accept: STRUCTURE_FILE_ACCEPT,
         style: { display: 'none' },
         onChange: (e) => handleFile(e.target.files[0]),
       }),
@@ -316,33 +326,81 @@ function LoadStructureButton() {
 
 // --- App Root ---
 export function ViewerApp() {
-  const [mode, setMode] = useState('title');
+  // 'link' while a shared URL's structures load (no title screen)
+  const [mode, setMode] = useState(() => (readShareParams() ? 'link' : 'title'));
+  const [linkError, setLinkError] = useState('');
   const [faded, setFaded] = useState(false);
   const [viewerInfo, setViewerInfo] = useState(null);
   const [viewerName, setViewerName] = useState('');
   const [viewerError, setViewerError] = useState('');
   const [viewerQuality, setViewerQuality] = useState(isMobile ? 'off' : 'low');
   const [consoleVisible, setConsoleVisible] = useState(false);
+  const [sequenceVisible, setSequenceVisible] = useState(false);
   const [currentRep, setCurrentRep] = useState('cartoon');
   const [interpreter, setInterpreter] = useState(null);
   const legendUpdateRef = React.useRef(null);
+  const linkCommandsRef = useRef(null);
 
-  const handleOpenViewer = useCallback((pdbText, name) => {
+  const handleOpenViewer = useCallback((pdbText, name, format, source) => {
     setMode('viewer');
     setViewerName(name || 'Structure');
     setViewerError('');
     setViewerInfo(null);
-    ViewerEvents.emit('enterViewerMode', { pdbText, name: name || 'Structure', quality: viewerQuality });
+    ViewerEvents.emit('enterViewerMode', { pdbText, name: name || 'Structure', format, source, quality: viewerQuality });
   }, [viewerQuality]);
 
+  // Open the structures (or session) named in the URL, then run its commands
+  useEffect(() => {
+    const shared = readShareParams();
+    if (!shared) return;
+    (async () => {
+      try {
+        linkCommandsRef.current = shared.commands;
+        if (shared.session) {
+          const session = await decodeSessionBlob(shared.session);
+          const name = (session.structures || []).map(st => st.name).join(', ') || 'Shared view';
+          setMode('viewer');
+          setViewerName(name);
+          ViewerEvents.emit('enterViewerMode', { session, name, quality: viewerQuality });
+          return;
+        }
+        // Same fetch as the title screen / Load button, first structure opens the viewer
+        const results = await Promise.all(shared.pdbIds.map(id => fetchStructure(id, shared.format)));
+        const missing = shared.pdbIds.find((id, k) => !results[k]);
+        if (missing) throw new Error(`PDB ID "${missing}" not found`);
+        const source = (k) => ({ pdbId: shared.pdbIds[k], format: shared.format || null });
+        handleOpenViewer(results[0].data, shared.pdbIds[0], results[0].format, source(0));
+        results.slice(1).forEach((result, k) => {
+          ViewerEvents.emit('loadAdditionalStructure', {
+            pdbText: result.data, name: shared.pdbIds[k + 1], format: result.format, source: source(k + 1),
+          });
+        });
+      } catch (e) {
+        linkCommandsRef.current = null;
+        setLinkError(`Could not open shared link: ${e.message}`);
+        setMode('title');
+      }
+    })();
+  }, []);
+
+  // Commands from the URL run once the console's interpreter exists
+  useEffect(() => {
+    const commands = linkCommandsRef.current;
+    if (!interpreter || !commands) return;
+    linkCommandsRef.current = null;
+    if (commands.length > 0) ViewerEvents.emit('runScript', { text: commands.join('\n'), name: 'shared link' });
+  }, [interpreter]);
+
   const handleBackToTitle = useCallback(() => {
     ViewerEvents.emit('exitViewerMode');
     setMode('title');
+    setLinkError('');
     setViewerInfo(null);
     setViewerName('');
     setViewerError('');
     setViewerQuality(isMobile ? 'off' : 'low');
     setConsoleVisible(false);
+    setSequenceVisible(false);
     setCurrentRep('cartoon');
     setInterpreter(null);
     legendUpdateRef.current = null;
@@ -400,6 +458,31 @@ export function ViewerApp() {
     return () => window.removeEventListener('keydown', onKey);
   }, [mode]);
 
+  // Drop a .pml / .txt command script anywhere on the viewer to run it
+  useEffect(() => {
+    if (mode !== 'viewer') return;
+    const onDragOver = (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) e.preventDefault();
+    };
+    const onDrop = (e) => {
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if (!file) return;
+      // Keep the browser from navigating to any dropped file
+      e.preventDefault();
+      if (!/\.(pml|txt)$/i.test(file.name)) return;
+      file.text().then(text => {
+        setConsoleVisible(true);
+        ViewerEvents.emit('runScript', { text, name: file.name });
+      }).catch(() => setViewerError(`Failed to read ${file.name}`));
+    };
+    window.addEventListener('dragover', onDragOver);
+    window.addEventListener('drop', onDrop);
+    return () => {
+      window.removeEventListener('dragover', onDragOver);
+      window.removeEventListener('drop', onDrop);
+    };
+  }, [mode]);
+
   const toggleConsole = useCallback(() => {
     setConsoleVisible(v => !v);
   }, []);
@@ -413,9 +496,17 @@ export function ViewerApp() {
   if (mode === 'title') {
     return React.createElement(TitleScreen, {
       onOpenViewer: handleOpenViewer,
+      initialError: linkError,
     });
   }
 
+  if (mode === 'link') {
+    return React.createElement('div', { className: 'title-screen' },
+      React.createElement('h1', null, 'AiMOL'),
+      React.createElement('p', { className: 'subtitle' }, 'Opening shared view\u2026'),
+    );
+  }
+
   // Viewer mode
   return React.createElement('div', {
     className: isMobile && faded ? 'ui-faded' : '',
@@ -440,7 +531,17 @@ export function ViewerApp() {
         onClick: () => ViewerEvents.emit('viewerOrient'),
         title: 'Orient view (PCA)',
       }, 'Orient'),
+      React.createElement('button', {
+        className: 'orient-btn' + (sequenceVisible ? ' active' : ''),
+        onClick: () => setSequenceVisible(v => !v),
+        title: 'Show sequence',
+      }, 'Sequence'),
     ),
+    React.createElement(SequencePanel, {
+      visible: sequenceVisible,
+      interpreter: interpreter,
+      onClose: () => setSequenceVisible(false),
+    }),
     !consoleVisible && React.createElement('button', {
       className: 'console-fab',
       onClick: toggleConsole,
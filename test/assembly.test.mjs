@@ -0,0 +1,47 @@
+// ============================================================
+// assembly.test.mjs — Chain IDs of large biological assemblies
+// Copies use one-character chain IDs while any are free; the rest
+// get numbered IDs that PDB export refuses instead of truncating.
+// Run: node --test test/*.test.mjs
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePDB } from '../js/pdb/parser.js';
+import { buildAssembly, findAssembly } from '../js/pdb/assembly.js';
+import { writePDB, writeMMCIF } from '../js/pdb/writers.js';
+
+/** One-atom chain A with an assembly of `copies` translated copies */
+function assemblyPDB(copies) {
+  const lines = ['REMARK 350 BIOMOLECULE: 1', 'REMARK 350 APPLY THE FOLLOWING TO CHAINS: A'];
+  for (let k = 1; k <= copies; k++) {
+    const n = String(k).padStart(3);
+    lines.push(
+      `REMARK 350   BIOMT1 ${n}  1.000000  0.000000  0.000000   ${(k * 5).toFixed(5).padStart(10)}`,
+      `REMARK 350   BIOMT2 ${n}  0.000000  1.000000  0.000000        0.00000`,
+      `REMARK 350   BIOMT3 ${n}  0.000000  0.000000  1.000000        0.00000`,
+    );
+  }
+  lines.push('ATOM      1  CA  ALA A   1       0.000   0.000   0.000  1.00  0.00           C', 'END');
+  return lines.join('\n') + '\n';
+}
+
+test('assembly copies keep one-character chain IDs while any are free', () => {
+  const model = parsePDB(assemblyPDB(62));
+  const built = buildAssembly(model, findAssembly(model, '1'));
+  assert.equal(built.copies, 62);
+  assert.ok(built.chainIds.every(c => c.length === 1));
+  assert.equal(new Set(built.chainIds).size, 62);
+  assert.equal(built.model.header.title, 'Structure - assembly 1');
+  const indices = built.model.atoms.map((_, i) => i);
+  assert.doesNotThrow(() => writePDB(built.model, new Uint32Array(0), indices));
+});
+
+test('PDB export refuses the numbered chain IDs past 62 copies', () => {
+  const model = parsePDB(assemblyPDB(64));
+  const built = buildAssembly(model, findAssembly(model, '1'));
+  assert.deepEqual(built.chainIds.slice(62), ['A1', 'A2']);
+  const indices = built.model.atoms.map((_, i) => i);
+  assert.throws(() => writePDB(built.model, new Uint32Array(0), indices), /Chain ID "A1" .* mmCIF/);
+  assert.match(writeMMCIF(built.model, new Uint32Array(0), indices, 'big'), /\bA2\b/);
+});
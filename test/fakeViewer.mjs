@@ -0,0 +1,76 @@
+// ============================================================
+// fakeViewer.mjs — PDBViewer stand-in for interpreter tests
+// A real StructureManager and model without WebGL: enough for
+// commands, scripts and undo history to run in Node.
+// ============================================================
+
+import { StructureManager } from '../js/pdb/structureManager.js';
+import { parsePDB } from '../js/pdb/parser.js';
+import { inferBonds } from '../js/pdb/bondInference.js';
+
+// Two alanines: too few CA atoms to align, one coordinate frame
+const PDB = `\
+ATOM      1  N   ALA A   1      11.104   6.134  -6.504  1.00  0.00           N
+ATOM      2  CA  ALA A   1      11.639   6.071  -5.147  1.00  0.00           C
+ATOM      3  C   ALA A   1      13.140   5.740  -5.160  1.00  0.00           C
+ATOM      4  O   ALA A   1      13.657   5.207  -6.143  1.00  0.00           O
+ATOM      5  CB  ALA A   1      10.878   4.951  -4.435  1.00  0.00           C
+ATOM      6  N   ALA A   2      13.833   6.064  -4.070  1.00  0.00           N
+ATOM      7  CA  ALA A   2      15.278   5.830  -3.967  1.00  0.00           C
+ATOM      8  C   ALA A   2      15.639   4.367  -3.700  1.00  0.00           C
+ATOM      9  O   ALA A   2      14.791   3.497  -3.490  1.00  0.00           O
+ATOM     10  CB  ALA A   2      15.908   6.704  -2.880  1.00  0.00           C
+END
+`;
+
+/**
+ * Viewer stand-in holding the two-residue structure "ala".
+ * `colored` logs colorAtoms() calls; display methods do nothing.
+ */
+export function createViewer() {
+  const model = parsePDB(PDB);
+  const bonds = inferBonds(model);
+  const structureManager = new StructureManager();
+  structureManager.addStructure('ala', model, bonds);
+  const colored = [];
+  const viewer = {
+    model,
+    bonds,
+    structureManager,
+    currentFrame: 0,
+    colored,
+    scene: { background: null },
+    renderer: { domElement: { width: 800, height: 600 } },
+    interactionOverlay: null,
+    legendOverlay: null,
+    atomRepType: null,
+    colorAtoms: (indices, hex) => colored.push([indices.size, hex]),
+    getFrameCount: () => structureManager.getFrameCount(),
+    playFrames: () => structureManager.getFrameCount() > 1,
+    stopFrames: () => false,
+    removeMeasurement: () => false,
+    getMeasurements: () => [],
+    getLabels: () => [],
+    captureAtomState: () => null,
+    getSurfaceSettings: () => ({}),
+    getPuttySettings: () => ({}),
+    getValence: () => true,
+    getCameraState: () => null,
+    assignSecondaryStructure: () => ({ helix: 0, sheet: 0 }),
+    setPickHighlight: () => {},
+    restoreAtomState: () => {},
+    setSurfaceSettings: () => {},
+    setPuttySettings: () => {},
+    setValence: () => {},
+    clearAllInteractions: () => {},
+    addInteractions: () => {},
+    clearMeasurements: () => {},
+    addMeasurement: () => {},
+    removeLabels: () => {},
+    setLabels: () => {},
+    setLabelStyle: () => {},
+    setLabelsShown: () => {},
+    setBackground: () => {},
+  };
+  return viewer;
+}
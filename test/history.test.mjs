@@ -0,0 +1,35 @@
+// ============================================================
+// history.test.mjs — Undo history skips failed commands
+// A failed command changes nothing, so it must not become an undo
+// step (a failed align would also keep a structure snapshot).
+// Run: node --test test/*.test.mjs
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandInterpreter } from '../js/pdb/commands.js';
+import { createViewer } from './fakeViewer.mjs';
+
+const FAILURES = ['align ala, nosuch', 'align ala, ala', 'frame 5', 'bond none, all', 'color nosuch, all', 'set'];
+
+test('failed commands are not undo steps', () => {
+  const interpreter = createCommandInterpreter(createViewer());
+  for (const line of FAILURES) assert.match(interpreter.execute(line), /^(Error|Usage):/);
+  assert.equal(interpreter.execute('undo'), 'Nothing to undo');
+});
+
+test('a failed command does not hide the step before it', () => {
+  const interpreter = createCommandInterpreter(createViewer());
+  interpreter.execute('color red, all');
+  for (const line of FAILURES) interpreter.execute(line);
+  assert.equal(interpreter.execute('undo'), 'Undid: color red, all');
+  assert.equal(interpreter.execute('undo'), 'Nothing to undo');
+});
+
+test('an AI response with only failed commands is not an undo step', () => {
+  const interpreter = createCommandInterpreter(createViewer());
+  const ctx = interpreter.beginUndoGroup('AI: align');
+  interpreter.execute('align ala, nosuch', ctx);
+  interpreter.endUndoGroup(ctx);
+  assert.equal(interpreter.execute('undo'), 'Nothing to undo');
+});
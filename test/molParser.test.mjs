@@ -0,0 +1,58 @@
+// ============================================================
+// molParser.test.mjs — Multi-record SDF files
+// Poses of one molecule load as frames; different molecules load as
+// separate models. PDB export refuses chain IDs it would truncate.
+// Run: node --test test/*.test.mjs
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSDF } from '../js/pdb/molParser.js';
+import { StructureManager } from '../js/pdb/structureManager.js';
+import { writePDB } from '../js/pdb/writers.js';
+
+/** V2000 record of a chain of atoms along x, shifted by dx, with an SD score */
+function record(title, elements, dx, score) {
+  const atoms = elements.map((el, i) =>
+    `${(i * 1.5 + dx).toFixed(4).padStart(10)}${'0.0000'.padStart(10)}${'0.0000'.padStart(10)} ${el.padEnd(3)} 0  0  0  0  0  0  0  0  0  0  0  0`);
+  const bonds = elements.slice(1).map((_, i) => `${String(i + 1).padStart(3)}${String(i + 2).padStart(3)}  1  0`);
+  return [
+    title, '  test', '',
+    `${String(elements.length).padStart(3)}${String(bonds.length).padStart(3)}  0  0  0  0  0  0  0  0999 V2000`,
+    ...atoms, ...bonds, 'M  END', '> <score>', String(score), '', '$$$$', '',
+  ].join('\n');
+}
+
+test('poses with the same atoms load as frames of one model', () => {
+  const text = Array.from({ length: 70 }, (_, k) => record(`pose${k + 1}`, ['C', 'C', 'O'], k, -k)).join('');
+  const model = parseSDF(text);
+  assert.ok(!Array.isArray(model));
+  assert.equal(model.atomCount, 3);
+  assert.equal(model.frames.length, 70);
+  assert.deepEqual([...new Set(model.atoms.map(a => a.chainId))], ['A']);
+
+  const sm = new StructureManager();
+  sm.addStructure('poses', model, model.explicitBonds);
+  sm.setFrame(69);
+  assert.equal(model.atoms[0].x, 69);
+  assert.equal(model.residues[0].props.score, '-69');
+  assert.equal(model.residues[0].props._Name, 'pose70');
+});
+
+test('different molecules load as separate models', () => {
+  const models = parseSDF(record('ethanol', ['C', 'C', 'O'], 0, 1) + record('propane', ['C', 'C', 'C'], 0, 2));
+  assert.ok(Array.isArray(models));
+  assert.equal(models.length, 2);
+  for (const model of models) {
+    assert.equal(model.frames, null);
+    assert.equal(model.atoms[0].chainId, 'A');
+  }
+  assert.equal(models[1].residues[0].props.score, '2');
+});
+
+test('PDB export refuses chain IDs longer than one character', () => {
+  const model = parseSDF(record('ethanol', ['C', 'C', 'O'], 0, 1));
+  assert.match(writePDB(model, model.explicitBonds, [0, 1, 2]), /^HETATM {4}1 .* A {3}1 /m);
+  for (const a of model.atoms) a.chainId = 'A1';
+  assert.throws(() => writePDB(model, model.explicitBonds, [0, 1, 2]), /Chain ID "A1" .* mmCIF/);
+});
@@ -0,0 +1,39 @@
+// ============================================================
+// pickHighlight.test.mjs — "sele" markers follow only "sele" changes
+// Commands that leave "sele" alone must not rebuild the pick markers
+// or make the sequence panel recompute its selection.
+// Run: node --test test/*.test.mjs
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandInterpreter } from '../js/pdb/commands.js';
+import { ViewerEvents } from '../js/events.js';
+import { createViewer } from './fakeViewer.mjs';
+
+test('pick markers and selection events only follow "sele" changes', () => {
+  const viewer = createViewer();
+  const shown = [];
+  viewer.setPickHighlight = (indices) => shown.push(indices ? indices.size ?? indices.length : 0);
+  let events = 0;
+  const onChange = () => events++;
+  ViewerEvents.on('viewerSelectionChanged', onChange);
+  try {
+    const interpreter = createCommandInterpreter(viewer);
+    interpreter.execute('color red, all');
+    interpreter.execute('select mine, resi 1');
+    assert.deepEqual(shown, []);
+
+    interpreter.execute('select sele, resi 2');
+    interpreter.execute('color blue, sele');
+    assert.deepEqual(shown, [5]);
+
+    interpreter.pick(0);
+    interpreter.execute('label all, name');
+    interpreter.execute('delete sele');
+    assert.deepEqual(shown, [5, 10, 0]);
+    assert.equal(events, 3);
+  } finally {
+    ViewerEvents.off('viewerSelectionChanged', onChange);
+  }
+});
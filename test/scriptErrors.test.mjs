@@ -0,0 +1,75 @@
+// ============================================================
+// scriptErrors.test.mjs — Failed commands stop a script
+// Runs each failure path of the interpreter as line 2 of a script
+// under "script_on_error, stop" and checks that the script stops
+// there, before line 3 colors anything.
+// Run: node --test test/*.test.mjs  (with three resolvable, e.g. npm install
+// --no-save three@0.162.0, the version index.html loads)
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandInterpreter } from '../js/pdb/commands.js';
+import { createViewer } from './fakeViewer.mjs';
+
+/** Run `line` between "script_on_error, stop" and a color command */
+function runBetween(line) {
+  const viewer = createViewer();
+  const interpreter = createCommandInterpreter(viewer);
+  const script = ['set script_on_error, stop', line, 'color red, all'].join('\n');
+  return { viewer, result: interpreter.runScript(script, 'test.pml') };
+}
+
+const FAILURES = [
+  'hide cell',
+  'delete nosuch',
+  'bond none, all',
+  'bond all, none',
+  'bond all, all, -1',
+  'unbond none, all',
+  'unbond all, none',
+  'contacts hbonds, none, all',
+  'contacts hbonds, all, none',
+  'contacts distance, all, all',
+  'contacts hbonds, all, all, -1',
+  'distance none, all',
+  'distance all, none',
+  'assembly 1, nosuch',
+  'align nosuch, ala',
+  'align ala, nosuch',
+  'align ala, ala',
+  'png out.png, supersample=9',
+  'png out.png, 99999',
+  'frame 5',
+  'mplay',
+  'set',
+  'set nosuch, 1',
+  'color nosuch, all',
+  'nosuch',
+];
+
+for (const line of FAILURES) {
+  test(`script stops at "${line}"`, () => {
+    const { viewer, result } = runBetween(line);
+    assert.equal(typeof result, 'string');
+    assert.match(result, /Error: stopped test\.pml at line 2 /);
+    assert.doesNotMatch(result, /is not a function|Cannot read/);
+    assert.equal(viewer.colored.length, 0);
+  });
+}
+
+test('script runs past a succeeding command', () => {
+  const { viewer, result } = runBetween('count_atoms all');
+  assert.match(result, /Ran 3 commands from test\.pml$/);
+  assert.equal(viewer.colored.length, 1);
+});
+
+test('script stops at an alias that stopped', () => {
+  const viewer = createViewer();
+  const interpreter = createCommandInterpreter(viewer);
+  const script = ['set script_on_error, stop', 'alias broken, frame 9; color blue, all', 'broken', 'color red, all'].join('\n');
+  const result = interpreter.runScript(script, 'test.pml');
+  assert.match(result, /Error: stopped alias broken at "frame 9"/);
+  assert.match(result, /Error: stopped test\.pml at line 3 /);
+  assert.equal(viewer.colored.length, 0);
+});
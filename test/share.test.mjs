@@ -0,0 +1,55 @@
+// ============================================================
+// share.test.mjs — share picks the link form
+// Fetched, unedited structures share as ?pdb=<ids>&cmd=<commands>;
+// anything the commands can't rebuild falls back to the session.
+// Run: node --test test/*.test.mjs
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandInterpreter } from '../js/pdb/commands.js';
+import { createViewer } from './fakeViewer.mjs';
+
+globalThis.window = { location: new URL('https://example.org/viewer/') };
+
+/** Viewer whose structure counts as fetched by PDB ID */
+function fetchedViewer() {
+  const viewer = createViewer();
+  viewer.structureManager.getStructure('ala').model.source = { pdbId: '1ALA', format: null };
+  return viewer;
+}
+
+function shareUrl(message) {
+  return new URL(message.split('\n')[1]);
+}
+
+test('fetched structures share their IDs and the successful commands', async () => {
+  const interpreter = createCommandInterpreter(fetchedViewer());
+  interpreter.execute('color red, all');
+  interpreter.execute('color nosuch, all');
+  interpreter.execute('count_atoms');
+  interpreter.execute('label all, name');
+  const message = await interpreter.execute('share');
+  assert.match(message, /^Share link \(structure IDs \+ 2 commands, camera not included;/);
+  const url = shareUrl(message);
+  assert.equal(url.searchParams.get('pdb'), '1ALA');
+  assert.equal(url.searchParams.get('cmd'), 'color red, all;label all, name');
+  assert.equal(url.hash, '');
+});
+
+test('views the commands cannot rebuild fall back to the session', async () => {
+  const cases = [
+    ['a structure not fetched by ID', createViewer(), () => {}],
+    ['an undo', fetchedViewer(), (it) => { it.execute('color red, all'); it.execute('undo'); }],
+    ['an edited structure', fetchedViewer(), (it) => it.execute('dss')],
+    ['a toolbar change', fetchedViewer(), (it) => it.noteExternalChange()],
+    ['a clicked "sele" used by a command', fetchedViewer(), (it) => { it.pick(1); it.execute('color red, sele'); }],
+  ];
+  for (const [what, viewer, setup] of cases) {
+    const interpreter = createCommandInterpreter(viewer);
+    setup(interpreter);
+    const message = await interpreter.execute('share');
+    assert.match(message, /^Share link \(session snapshot;/, what);
+    assert.match(shareUrl(message).hash, /^#session=/, what);
+  }
+});
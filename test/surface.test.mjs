@@ -0,0 +1,52 @@
+// ============================================================
+// surface.test.mjs — When the molecular surface is recomputed
+// Same atoms and coordinates reuse the surface; new frames rebuild
+// it, except during playback, which keeps the last one.
+// Run: node --test test/*.test.mjs
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SurfaceRepresentation } from '../js/pdb/representations/SurfaceRepresentation.js';
+import { createViewer } from './fakeViewer.mjs';
+
+function createSurface() {
+  const { model, bonds } = createViewer();
+  const rep = new SurfaceRepresentation(model, bonds, { atom: { envMap: null } }, new THREE.Group());
+  rep.build();
+  return { rep, model };
+}
+
+test('the surface is reused until the shown atoms change', () => {
+  const { rep, model } = createSurface();
+  const visible = new Uint8Array(model.atomCount).fill(1);
+  rep.applyVisibility(visible);
+  const first = rep.surfaceMesh;
+  assert.ok(first);
+  rep.applyVisibility(visible.slice());
+  assert.equal(rep.surfaceMesh, first);
+  visible[9] = 0;
+  rep.applyVisibility(visible);
+  assert.notEqual(rep.surfaceMesh, first);
+});
+
+test('frame playback keeps the last surface until it stops', () => {
+  const { rep, model } = createSurface();
+  const visible = new Uint8Array(model.atomCount).fill(1);
+  rep.applyVisibility(visible);
+  const first = rep.surfaceMesh;
+
+  rep.playing = true;
+  rep.updatePositions();
+  rep.applyVisibility(visible);
+  assert.equal(rep.surfaceMesh, first);
+
+  rep.playing = false;
+  rep.applyVisibility(visible);
+  assert.notEqual(rep.surfaceMesh, first);
+  const second = rep.surfaceMesh;
+  rep.updatePositions();
+  rep.applyVisibility(visible);
+  assert.notEqual(rep.surfaceMesh, second);
+});